@@ -1,17 +1,25 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync } from 'fs';
-import { resolve, basename, dirname } from 'path';
+import { readFileSync, writeFileSync, readSync, mkdirSync } from 'fs';
+import { resolve, basename, dirname, relative, sep } from 'path';
 import { createInterface } from 'readline';
+import { StringDecoder } from 'string_decoder';
+import { Worker, isMainThread, parentPort } from 'worker_threads';
 import { Lexer } from '../src/lexer.js';
 import { Parser } from '../src/parser.js';
+import { Resolver } from '../src/resolver.js';
 import { Interpreter } from '../src/interpreter.js';
-import { formatError } from '../src/errors.js';
+import { Debugger } from '../src/debugger.js';
+import { DapServer } from '../src/dap.js';
+import { LanguageServer } from '../src/lsp.js';
+import { QuitSignal } from '../src/environment.js';
+import { formatError, RuntimeError, MAX_CALL_DEPTH } from '../src/errors.js';
 import { formatValue } from '../src/stdlib.js';
 import { Compiler } from '../src/compiler.js';
+import { loadModuleGraph, resolveModulePath, inModule } from '../src/modules.js';
 import { CodeGenerator } from '../src/codegen.js';
 import { VM } from '../src/vm.js';
-import { serializeBytecode, deserializeBytecode } from '../src/serializer.js';
+import { serializeBytecode, deserializeProgram } from '../src/serializer.js';
 
 const VERSION = '1.0.0';
 
@@ -35,9 +43,13 @@ Usage: tmbdl <command> [options]
 
 Commands:
   run <file>        Execute a .tmbdl file (interpreter)
+  debug <file>      Step through a .tmbdl file (commands on stdin)
+  dap               Serve the Debug Adapter Protocol over stdio
+  lsp               Serve the Language Server Protocol over stdio
   vm <file>         Execute via bytecode VM
-  compile <file>    Compile to JavaScript (.js output)
-  build <file>      Compile to bytecode (.tmbdlc output)
+  compile <file>    Compile to JavaScript (.mjs per module)
+  bundle <file>     Compile a program and its modules to one .js file
+  build <file>      Compile a program and its modules to bytecode (.tmbdlc)
   exec <file>       Run compiled bytecode (.tmbdlc)
   bytecode <file>   Show bytecode (debugging)
   lex <file>        Show tokens from a .tmbdl file
@@ -45,31 +57,83 @@ Commands:
   repl              Start interactive mode
   help              Show this message
 
+Options:
+  --max-depth=<n>   How deeply songs may call each other (default ${MAX_CALL_DEPTH})
+  --source-map      With compile, write a .map file beside each module
+  --source-map=inline
+                    With compile, put each module's source map inside it
+
 Examples:
   tmbdl run examples/hello.tmbdl
   tmbdl vm examples/hello.tmbdl
+  tmbdl debug examples/hello.tmbdl
   tmbdl build examples/hello.tmbdl   # Creates hello.tmbdlc
   tmbdl exec examples/hello.tmbdlc   # Runs compiled bytecode
   tmbdl compile examples/hello.tmbdl
+  tmbdl compile --source-map examples/hello.tmbdl
+  tmbdl bundle examples/modules_test.tmbdl    # Creates modules_test.js
   tmbdl repl
 `);
 }
 
+// Host stack a song call may take in the interpreter, at the most. Calls
+// that are not tail calls nest on the host's own stack.
+const STACK_PER_CALL_KB = 8;
+
 function runFile(filepath) {
+  // The host's stack has room for only a few hundred songs by default, so
+  // the program runs on a thread with room for as many as the limit allows
+  if (isMainThread) {
+    runOnDeepStack();
+    return;
+  }
+
   try {
     const fullPath = resolve(filepath);
     const source = readFileSync(fullPath, 'utf-8');
     run(source, fullPath);
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.error(`\n  The path has vanished: '${filepath}' not found\n`);
+      stop(`\n  The path has vanished: '${filepath}' not found\n`);
     } else {
-      console.error(formatError(error));
+      stop(formatError(error));
     }
-    process.exit(1);
   }
 }
 
+// Run this same command again on a worker thread with a stack deep
+// enough for the recursion limit
+function runOnDeepStack() {
+  const maxDepth = runOptions.maxDepth ?? MAX_CALL_DEPTH;
+  const stackSizeMb = Math.min(Math.ceil(maxDepth * STACK_PER_CALL_KB / 1024) + 4, 1024);
+  const worker = new Worker(new URL(import.meta.url), {
+    argv: process.argv.slice(2),
+    resourceLimits: { stackSizeMb },
+  });
+  // The worker's stdout and stderr reach this thread separately, so why it
+  // failed is printed once all it sang has been written, not as it arrives
+  let report = null;
+  worker.on('message', (message) => {
+    report = message.report;
+  });
+  worker.on('error', (error) => {
+    report = formatError(error);
+  });
+  worker.on('exit', (code) => {
+    process.exitCode = code;
+  });
+  worker.stdout.on('end', () => {
+    if (report !== null) console.error(report);
+  });
+}
+
+// Stop the program on the deep stack, handing the main thread the report
+// of why it failed
+function stop(report) {
+  parentPort.postMessage({ report });
+  process.exit(1);
+}
+
 function run(source, filepath = null) {
   try {
     const lexer = new Lexer(source);
@@ -77,15 +141,102 @@ function run(source, filepath = null) {
 
     const parser = new Parser(tokens);
     const ast = parser.parse();
+    checkProgram(ast, source);
+
+    const interpreter = new Interpreter(filepath, runOptions);
+    interpreter.interpret(ast);
+  } catch (error) {
+    stop(formatError(error, source));
+  }
+}
+
+// Run the resolver over a parsed program. Errors throw; warnings are
+// printed and the program goes on.
+function checkProgram(ast, source) {
+  for (const warning of new Resolver().resolve(ast)) {
+    console.error(formatError(warning, source));
+  }
+}
+
+function debugFile(filepath) {
+  let source;
+  try {
+    source = readFileSync(resolve(filepath), 'utf-8');
+  } catch (error) {
+    console.error(`\n  The path has vanished: '${filepath}' not found\n`);
+    process.exit(1);
+  }
+
+  try {
+    const lexer = new Lexer(source);
+    const tokens = lexer.tokenize();
+
+    const parser = new Parser(tokens);
+    const ast = parser.parse();
+    checkProgram(ast, source);
+
+    const interpreter = new Interpreter(resolve(filepath), runOptions);
+    const debug = new Debugger(source, ast, { readCommand: createStdinReader() });
+    debug.attach(interpreter);
 
-    const interpreter = new Interpreter(filepath);
+    console.log(`\n  Debugging ${filepath} - type "help" for commands`);
     interpreter.interpret(ast);
+    console.log('\n  The program has finished.\n');
   } catch (error) {
+    if (error instanceof QuitSignal) {
+      console.log('\n  Abandoned the journey.\n');
+      return;
+    }
     console.error(formatError(error, source));
     process.exit(1);
   }
 }
 
+// Read stdin one line at a time, blocking until the line arrives. The
+// interpreter runs synchronously, so the debugger cannot wait on events.
+function createStdinReader() {
+  const decoder = new StringDecoder('utf-8');
+  const chunk = Buffer.alloc(4096);
+  let pending = '';
+  let ended = false;
+
+  return function readCommand(prompt) {
+    process.stdout.write(prompt);
+
+    while (!ended && !pending.includes('\n')) {
+      let bytesRead;
+      try {
+        bytesRead = readSync(0, chunk, 0, chunk.length, null);
+      } catch (error) {
+        if (error.code === 'EAGAIN') continue;
+        if (error.code !== 'EOF') throw error;
+        bytesRead = 0;
+      }
+      if (bytesRead === 0) {
+        ended = true;
+        pending += decoder.end();
+      } else {
+        pending += decoder.write(chunk.subarray(0, bytesRead));
+      }
+    }
+
+    if (pending === '') {
+      process.stdout.write('\n');
+      return null;
+    }
+
+    const newline = pending.indexOf('\n');
+    const line = newline === -1 ? pending : pending.slice(0, newline);
+    pending = newline === -1 ? '' : pending.slice(newline + 1);
+
+    // Echo scripted commands so the transcript reads like a session
+    if (!process.stdin.isTTY) {
+      process.stdout.write(line + '\n');
+    }
+    return line.replace(/\r$/, '');
+  };
+}
+
 function lexFile(filepath) {
   try {
     const source = readFileSync(filepath, 'utf-8');
@@ -124,35 +275,69 @@ function parseFile(filepath) {
   }
 }
 
-function compileFile(filepath, outputPath = null) {
+// Load a program and every module it summons for the backends that
+// translate it ahead of time, print each module's warnings, then hand the
+// modules and the output path (input.tmbdl → input<extension> unless one
+// is given) to `write`
+function translateProgram(filepath, outputPath, extension, write) {
   try {
-    const source = readFileSync(filepath, 'utf-8');
-    const lexer = new Lexer(source);
-    const tokens = lexer.tokenize();
-
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-
-    const compiler = new Compiler();
-    const jsCode = compiler.compile(ast);
+    const modules = loadModuleGraph(filepath);
+    for (const module of modules.values()) {
+      for (const warning of module.warnings) {
+        console.error(formatError(warning));
+      }
+    }
 
-    // Determine output path: input.tmbdl → input.js
     if (!outputPath) {
-      outputPath = filepath.replace(/\.tmbdl$/, '.js');
+      outputPath = filepath.replace(/\.tmbdl$/, extension);
       if (outputPath === filepath) {
-        outputPath = filepath + '.js';
+        outputPath = filepath + extension;
       }
     }
 
-    writeFileSync(outputPath, jsCode);
-    console.log(`\n  ✨ Compiled successfully!`);
-    console.log(`  📜 ${filepath} → ${outputPath}\n`);
+    write(modules, outputPath);
   } catch (error) {
-    console.error(formatError(error, readFileSync(filepath, 'utf-8')));
+    if (error.code === 'ENOENT') {
+      console.error(`\n  The path has vanished: '${filepath}' not found\n`);
+    } else {
+      console.error(formatError(error));
+    }
     process.exit(1);
   }
 }
 
+function compileFile(filepath, outputPath = null) {
+  translateProgram(filepath, outputPath, '.mjs', (modules, outputPath) => {
+    const compiler = new Compiler();
+    const files = compiler.compileModules(modules, outputPath, compileOptions);
+    for (const file of files) {
+      mkdirSync(dirname(file.output), { recursive: true });
+      writeFileSync(file.output, file.code);
+      if (file.map) {
+        writeFileSync(`${file.output}.map`, JSON.stringify(file.map));
+      }
+    }
+
+    console.log(`\n  ✨ Compiled successfully!`);
+    for (const file of files) {
+      const from = file.path ? relative(process.cwd(), file.path) : 'runtime';
+      console.log(`  📜 ${from} → ${relative(process.cwd(), file.output)}`);
+    }
+    console.log();
+  });
+}
+
+function bundleFile(filepath, outputPath = null) {
+  translateProgram(filepath, outputPath, '.js', (modules, outputPath) => {
+    const bundle = new Compiler().bundle(modules);
+
+    writeFileSync(outputPath, bundle);
+    console.log(`\n  ✨ Bundled successfully!`);
+    console.log(`  📦 ${filepath} and ${modules.size - 1} summoned module${modules.size === 2 ? '' : 's'} → ${outputPath}`);
+    console.log(`  📊 ${Buffer.byteLength(bundle)} bytes\n`);
+  });
+}
+
 function showBytecode(filepath) {
   try {
     const source = readFileSync(filepath, 'utf-8');
@@ -161,6 +346,7 @@ function showBytecode(filepath) {
 
     const parser = new Parser(tokens);
     const ast = parser.parse();
+    checkProgram(ast, source);
 
     const codegen = new CodeGenerator();
     const chunk = codegen.generate(ast);
@@ -173,16 +359,29 @@ function showBytecode(filepath) {
   }
 }
 
-function createModuleLoader() {
+// Read, parse and compile the module at a full path. Errors are pointed at
+// the module, so they show its source rather than the entry file's.
+function compileModuleSource(fullPath) {
+  const source = readFileSync(fullPath, 'utf-8');
+  try {
+    const lexer = new Lexer(source);
+    const tokens = lexer.tokenize();
+    const parser = new Parser(tokens);
+    const ast = parser.parse();
+    new Resolver().resolve(ast);
+    const codegen = new CodeGenerator();
+    return codegen.generate(ast);
+  } catch (error) {
+    throw inModule(error, fullPath);
+  }
+}
+
+// A module loader for the VM. `chunkFor` answers the compiled chunk of the
+// module at a full path: from its source by default.
+function createModuleLoader(chunkFor = compileModuleSource) {
   return function loadModule(modulePath, currentFile, moduleCache) {
     // Resolve the module path relative to current file
-    const basePath = currentFile ? dirname(currentFile) : process.cwd();
-    let fullPath = resolve(basePath, modulePath);
-
-    // Add .tmbdl extension if not present
-    if (!fullPath.endsWith('.tmbdl')) {
-      fullPath += '.tmbdl';
-    }
+    const fullPath = resolveModulePath(modulePath, currentFile);
 
     // Check cache
     if (moduleCache.has(fullPath)) {
@@ -192,19 +391,14 @@ function createModuleLoader() {
     // Mark as loading (for circular import detection)
     moduleCache.set(fullPath, {});
 
-    // Read and compile the module
-    const source = readFileSync(fullPath, 'utf-8');
-    const lexer = new Lexer(source);
-    const tokens = lexer.tokenize();
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-    const codegen = new CodeGenerator();
-    const chunk = codegen.generate(ast);
+    const chunk = chunkFor(fullPath);
 
     // Execute the module
     const moduleVM = new VM({
       currentFile: fullPath,
       moduleLoader: loadModule,
+      isModule: true,
+      ...runOptions,
     });
     moduleVM.moduleCache = moduleCache;
     moduleVM.run(chunk);
@@ -225,6 +419,7 @@ function runVM(filepath) {
 
     const parser = new Parser(tokens);
     const ast = parser.parse();
+    checkProgram(ast, source);
 
     const codegen = new CodeGenerator();
     const chunk = codegen.generate(ast);
@@ -232,6 +427,7 @@ function runVM(filepath) {
     const vm = new VM({
       currentFile: fullPath,
       moduleLoader: createModuleLoader(),
+      ...runOptions,
     });
     vm.run(chunk);
   } catch (error) {
@@ -241,44 +437,50 @@ function runVM(filepath) {
 }
 
 function buildBytecode(filepath, outputPath = null) {
-  try {
-    const source = readFileSync(filepath, 'utf-8');
-    const lexer = new Lexer(source);
-    const tokens = lexer.tokenize();
-
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-
-    const codegen = new CodeGenerator();
-    const chunk = codegen.generate(ast);
+  translateProgram(filepath, outputPath, '.tmbdlc', (modules, outputPath) => {
+    // Summoned modules go in by their path from the entry's directory
+    const entry = [...modules.values()].at(-1);
+    const chunk = new CodeGenerator().generate(entry.ast);
+    const summoned = new Map();
+    for (const module of modules.values()) {
+      if (module === entry) continue;
+      const path = relative(dirname(entry.path), module.path).split(sep).join('/');
+      summoned.set(path, new CodeGenerator().generate(module.ast));
+    }
 
     // Serialize to binary
-    const bytecode = serializeBytecode(chunk);
-
-    // Determine output path: input.tmbdl → input.tmbdlc
-    if (!outputPath) {
-      outputPath = filepath.replace(/\.tmbdl$/, '.tmbdlc');
-      if (outputPath === filepath) {
-        outputPath = filepath + 'c';
-      }
-    }
+    const bytecode = serializeBytecode(chunk, summoned, entry.path);
 
     writeFileSync(outputPath, bytecode);
     console.log(`\n  ✨ Built successfully!`);
-    console.log(`  📦 ${filepath} → ${outputPath}`);
+    if (summoned.size > 0) {
+      console.log(`  📦 ${filepath} and ${summoned.size} summoned module${summoned.size === 1 ? '' : 's'} → ${outputPath}`);
+    } else {
+      console.log(`  📦 ${filepath} → ${outputPath}`);
+    }
     console.log(`  📊 ${bytecode.length} bytes\n`);
-  } catch (error) {
-    console.error(formatError(error, readFileSync(filepath, 'utf-8')));
-    process.exit(1);
-  }
+  });
 }
 
 function execBytecode(filepath) {
   try {
     const bytecode = readFileSync(filepath);
-    const chunk = deserializeBytecode(bytecode);
+    const { file, chunk, modules } = deserializeProgram(bytecode);
 
-    const vm = new VM();
+    // The program runs as the files it was built from, so stack traces name
+    // them, and summons find the modules built in by their path from there
+    const root = file ? dirname(file) : process.cwd();
+    const vm = new VM({
+      currentFile: file,
+      moduleLoader: createModuleLoader((modulePath) => {
+        const chunk = modules.get(relative(root, modulePath).split(sep).join('/'));
+        if (!chunk) {
+          throw new RuntimeError(`Cannot summon module '${modulePath}': it was not built into '${filepath}'`);
+        }
+        return chunk;
+      }),
+      ...runOptions,
+    });
     vm.run(chunk);
   } catch (error) {
     console.error(formatError(error));
@@ -296,7 +498,7 @@ function repl() {
     prompt: '  shire> '
   });
 
-  const interpreter = new Interpreter();
+  const interpreter = new Interpreter(null, runOptions);
   let buffer = '';  // For multi-line input
   let braceDepth = 0;
 
@@ -346,6 +548,10 @@ function repl() {
 
       const parser = new Parser(tokens);
       const ast = parser.parse();
+      const resolver = new Resolver({ globals: [...interpreter.globals.bindings().keys()] });
+      for (const warning of resolver.resolve(ast)) {
+        console.error(formatError(warning, input));
+      }
 
       const result = interpreter.interpret(ast);
       if (result !== undefined && result !== null) {
@@ -364,8 +570,26 @@ function repl() {
 }
 
 
-// Main entry point
-const args = process.argv.slice(2);
+// Main entry point. Options may come anywhere; the rest are positional.
+const args = [];
+const runOptions = {};
+const compileOptions = {};
+for (const arg of process.argv.slice(2)) {
+  if (arg === '--source-map' || arg === '--source-map=inline') {
+    compileOptions.sourceMap = arg === '--source-map' ? 'file' : 'inline';
+    continue;
+  }
+  if (!arg.startsWith('--max-depth=')) {
+    args.push(arg);
+    continue;
+  }
+  const maxDepth = Number(arg.slice('--max-depth='.length));
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+    console.error('\n  --max-depth needs a whole number of at least 1\n');
+    process.exit(1);
+  }
+  runOptions.maxDepth = maxDepth;
+}
 const command = args[0];
 
 switch (command) {
@@ -377,6 +601,22 @@ switch (command) {
     runFile(args[1]);
     break;
 
+  case 'debug':
+    if (!args[1]) {
+      console.error('\n  Usage: tmbdl debug <file>\n');
+      process.exit(1);
+    }
+    debugFile(args[1]);
+    break;
+
+  case 'dap':
+    new DapServer().run();
+    break;
+
+  case 'lsp':
+    new LanguageServer().run();
+    break;
+
   case 'compile':
     if (!args[1]) {
       console.error('\n  Usage: tmbdl compile <file> [output]\n');
@@ -385,6 +625,14 @@ switch (command) {
     compileFile(args[1], args[2]);
     break;
 
+  case 'bundle':
+    if (!args[1]) {
+      console.error('\n  Usage: tmbdl bundle <file> [output]\n');
+      process.exit(1);
+    }
+    bundleFile(args[1], args[2]);
+    break;
+
   case 'vm':
     if (!args[1]) {
       console.error('\n  Usage: tmbdl vm <file>\n');
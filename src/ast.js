@@ -29,6 +29,17 @@ export class VariableDeclaration extends ASTNode {
   }
 }
 
+// ring [first, ...rest] = fellowship or precious {name, age} = hobbit
+export class DestructuringDeclaration extends ASTNode {
+  constructor(pattern, value, isConstant, line, column) {
+    super(line, column);
+    this.type = 'DestructuringDeclaration';
+    this.pattern = pattern;  // ArrayPattern or ObjectPattern
+    this.value = value;
+    this.isConstant = isConstant;
+  }
+}
+
 export class Assignment extends ASTNode {
   constructor(name, value, line, column) {
     super(line, column);
@@ -79,7 +90,7 @@ export class ForInStatement extends ASTNode {
   constructor(variable, iterable, body, line, column) {
     super(line, column);
     this.type = 'ForInStatement';
-    this.variable = variable;
+    this.variable = variable;  // name, or an ArrayPattern or ObjectPattern to unpack each item into
     this.iterable = iterable;
     this.body = body;
   }
@@ -90,7 +101,8 @@ export class FunctionDeclaration extends ASTNode {
     super(line, column);
     this.type = 'FunctionDeclaration';
     this.name = name;
-    this.params = params;
+    this.params = params;  // names, ArrayPatterns and ObjectPatterns that unpack an argument,
+                           // DefaultPatterns and a last RestParameter
     this.body = body;
   }
 }
@@ -152,12 +164,169 @@ export class TryStatement extends ASTNode {
   }
 }
 
+// Pattern matching
+
+// riddle (value) { pattern perhaps (guard) => { ... } ... }
+export class RiddleStatement extends ASTNode {
+  constructor(subject, arms, line, column) {
+    super(line, column);
+    this.type = 'RiddleStatement';
+    this.subject = subject;
+    this.arms = arms;  // array of RiddleArms, tried in order
+  }
+}
+
+export class RiddleArm extends ASTNode {
+  constructor(pattern, guard, body, line, column) {
+    super(line, column);
+    this.type = 'RiddleArm';
+    this.pattern = pattern;
+    this.guard = guard;  // expression that must hold as well, or null
+    this.body = body;    // BlockStatement
+  }
+}
+
+// 42, "ring", goldberry, shadow
+export class LiteralPattern extends ASTNode {
+  constructor(value, line, column) {
+    super(line, column);
+    this.type = 'LiteralPattern';
+    this.value = value;
+  }
+}
+
+// A name, which matches anything and binds it
+export class BindingPattern extends ASTNode {
+  constructor(name, line, column) {
+    super(line, column);
+    this.type = 'BindingPattern';
+    this.name = name;
+  }
+}
+
+// _ matches anything and binds nothing
+export class WildcardPattern extends ASTNode {
+  constructor(line, column) {
+    super(line, column);
+    this.type = 'WildcardPattern';
+  }
+}
+
+// [first, second, ...rest]
+export class ArrayPattern extends ASTNode {
+  constructor(elements, rest, line, column) {
+    super(line, column);
+    this.type = 'ArrayPattern';
+    this.elements = elements;
+    this.rest = rest;  // BindingPattern or WildcardPattern after '...', or null
+  }
+}
+
+// {name, age: years}
+export class ObjectPattern extends ASTNode {
+  constructor(fields, rest, line, column) {
+    super(line, column);
+    this.type = 'ObjectPattern';
+    this.fields = fields;  // array of {key, pattern}
+    this.rest = rest;      // BindingPattern after '...' when unpacking, or null
+  }
+}
+
+// Hobbit {name, age: years}
+export class RealmPattern extends ASTNode {
+  constructor(realm, fields, line, column) {
+    super(line, column);
+    this.type = 'RealmPattern';
+    this.realm = realm;    // name of the realm the value must belong to
+    this.fields = fields;  // array of {key, pattern}
+  }
+}
+
+// years = 0 inside a pattern that unpacks: the value to use when the
+// element or field is missing
+export class DefaultPattern extends ASTNode {
+  constructor(pattern, value, line, column) {
+    super(line, column);
+    this.type = 'DefaultPattern';
+    this.pattern = pattern;
+    this.value = value;
+  }
+}
+
+// ...others as the last parameter: a fellowship of the arguments left over
+export class RestParameter extends ASTNode {
+  constructor(name, line, column) {
+    super(line, column);
+    this.type = 'RestParameter';
+    this.name = name;
+  }
+}
+
+// ...values among the arguments of a call: the elements of a fellowship,
+// each passed as an argument of its own
+export class SpreadArgument extends ASTNode {
+  constructor(argument, line, column) {
+    super(line, column);
+    this.type = 'SpreadArgument';
+    this.argument = argument;
+  }
+}
+
+// A parameter that is a pattern keeps its whole argument under a name no
+// program can mention, in the slot a plain parameter would have
+export function parameterName(param, index) {
+  if (typeof param === 'string') return param;
+  if (param.type === 'RestParameter') return param.name;
+  if (param.type === 'DefaultPattern' && param.pattern.type === 'BindingPattern') return param.pattern.name;
+  return `(argument ${index + 1})`;
+}
+
+// The fewest and most arguments a parameter list takes. Parameters with a
+// default may be left out, and a rest parameter takes any number.
+export function parameterRange(params) {
+  const positional = params.filter(param => param.type !== 'RestParameter');
+  return {
+    min: positional.filter(param => param.type !== 'DefaultPattern').length,
+    max: positional.length < params.length ? Infinity : positional.length,
+  };
+}
+
+// How a parameter reads in a signature, e.g. "[first, ...rest]"
+export function describeParameter(param) {
+  if (typeof param === 'string') return param;
+
+  switch (param.type) {
+    case 'BindingPattern':
+      return param.name;
+    case 'WildcardPattern':
+      return '_';
+    case 'RestParameter':
+      return `...${param.name}`;
+    case 'DefaultPattern':
+      return `${describeParameter(param.pattern)} = ...`;
+    case 'ArrayPattern': {
+      const parts = param.elements.map(describeParameter);
+      if (param.rest) parts.push(`...${describeParameter(param.rest)}`);
+      return `[${parts.join(', ')}]`;
+    }
+    case 'ObjectPattern': {
+      const parts = param.fields.map(({ key, pattern }) => {
+        const target = pattern.type === 'DefaultPattern' ? pattern.pattern : pattern;
+        const shorthand = target.type === 'BindingPattern' && target.name === key;
+        return shorthand ? describeParameter(pattern) : `${key}: ${describeParameter(pattern)}`;
+      });
+      if (param.rest) parts.push(`...${describeParameter(param.rest)}`);
+      return `{${parts.join(', ')}}`;
+    }
+  }
+}
+
 export class CompoundAssignment extends ASTNode {
   constructor(name, operator, value, line, column) {
     super(line, column);
     this.type = 'CompoundAssignment';
     this.name = name;
-    this.operator = operator;  // '+', '-', '*', '/'
+    this.operator = operator;  // '+', '-', '*', '/', '**', '//'
     this.value = value;
   }
 }
@@ -329,13 +498,27 @@ export class ShareStatement extends ASTNode {
 // realm Hobbit { ... }
 // realm Wizard inherits Being { ... }
 export class RealmDeclaration extends ASTNode {
-  constructor(name, superClass, constructor_, methods, line, column) {
+  constructor(name, superClass, constructor_, methods, statics, accessors, line, column) {
     super(line, column);
     this.type = 'RealmDeclaration';
     this.name = name;
     this.superClass = superClass;    // name of parent class or null
     this.constructor = constructor_; // ForgeDeclaration or null
     this.methods = methods;          // array of method declarations
+    this.statics = statics;          // realm-level ring/precious/song declarations, in order
+    this.accessors = accessors;      // array of AccessorDeclarations
+  }
+}
+
+// reveal fullName() { answer ... } or inscribe fullName(value) { ... }
+export class AccessorDeclaration extends ASTNode {
+  constructor(kind, name, params, body, line, column) {
+    super(line, column);
+    this.type = 'AccessorDeclaration';
+    this.kind = kind;          // 'reveal' (get) or 'inscribe' (set)
+    this.name = name;
+    this.params = params;
+    this.body = body;
   }
 }
 
@@ -378,6 +561,16 @@ export class PropertyAssignment extends ASTNode {
   }
 }
 
+// elder.greet() or elder.forge(name) - calls the parent realm's version
+export class ElderCall extends ASTNode {
+  constructor(method, args, line, column) {
+    super(line, column);
+    this.type = 'ElderCall';
+    this.method = method;      // string method name, 'forge' for the constructor
+    this.arguments = args;
+  }
+}
+
 // create Hobbit("Frodo", 50)
 export class CreateExpression extends ASTNode {
   constructor(className, args, line, column) {
@@ -2,6 +2,9 @@
 //
 // This defines the instruction set for our virtual machine.
 // Each opcode is a single byte, followed by optional operands.
+// Index and count operands are one byte; the *_LONG variants of those
+// instructions take a two-byte (big-endian) operand instead. Jump offsets
+// are always two bytes.
 
 // ============================================================
 // OPCODES - The instructions our VM understands
@@ -12,6 +15,7 @@ export const OpCode = {
   PUSH_CONST: 0x01,    // Push a constant onto the stack
   POP: 0x02,           // Discard top of stack
   DUP: 0x03,           // Duplicate top of stack
+  PUSH_CONST_LONG: 0x04, // PUSH_CONST with a two-byte constant index
 
   // Arithmetic
   ADD: 0x10,           // Pop 2, push sum
@@ -20,6 +24,15 @@ export const OpCode = {
   DIV: 0x13,           // Pop 2, push quotient
   MOD: 0x14,           // Pop 2, push remainder
   NEG: 0x15,           // Negate top of stack
+  POW: 0x16,           // Pop 2, push power
+  BIT_AND: 0x17,       // Pop 2, push bitwise AND (as 32-bit integers)
+  BIT_OR: 0x18,        // Pop 2, push bitwise OR
+  BIT_XOR: 0x19,       // Pop 2, push bitwise XOR
+  SHL: 0x1A,           // Pop 2, push left shifted by right
+  SHR: 0x1B,           // Pop 2, push left shifted right by right, keeping the sign
+  INCREMENT: 0x1C,     // Add 1 to the number on top of stack (++)
+  DECREMENT: 0x1D,     // Subtract 1 from the number on top of stack (--)
+  FLOOR_DIV: 0x1E,     // Pop 2, push quotient rounded down
 
   // Comparison
   EQ: 0x20,            // Pop 2, push true if equal
@@ -39,6 +52,10 @@ export const OpCode = {
   STORE: 0x41,         // Pop and store in variable
   LOAD_GLOBAL: 0x42,   // Load from global scope
   STORE_GLOBAL: 0x43,  // Store to global scope
+  LOAD_LONG: 0x44,     // LOAD with a two-byte slot
+  STORE_LONG: 0x45,    // STORE with a two-byte slot
+  LOAD_GLOBAL_LONG: 0x46,  // LOAD_GLOBAL with a two-byte name index
+  STORE_GLOBAL_LONG: 0x47, // STORE_GLOBAL with a two-byte name index
 
   // Control flow
   JUMP: 0x50,          // Unconditional jump
@@ -53,6 +70,10 @@ export const OpCode = {
   GET_UPVALUE: 0x63,   // Get value from upvalue
   SET_UPVALUE: 0x64,   // Set value in upvalue
   CLOSE_UPVALUE: 0x65, // Close upvalue (move from stack to heap)
+  MAKE_CLOSURE_LONG: 0x66, // MAKE_CLOSURE with a two-byte function index
+  GET_UPVALUE_LONG: 0x67,  // GET_UPVALUE with a two-byte slot
+  SET_UPVALUE_LONG: 0x68,  // SET_UPVALUE with a two-byte slot
+  TAIL_CALL: 0x69,     // CALL in tail position - the callee takes over this frame
 
   // Built-ins
   PRINT: 0x70,         // Print top of stack
@@ -68,15 +89,64 @@ export const OpCode = {
   MAKE_OBJECT: 0x83,   // Create object from N key-value pairs
   GET_PROP: 0x84,      // Get property
   SET_PROP: 0x85,      // Set property
+  MAKE_ARRAY_LONG: 0x87,   // MAKE_ARRAY with a two-byte count
+  MAKE_OBJECT_LONG: 0x88,  // MAKE_OBJECT with a two-byte count
+  GET_PROP_LONG: 0x89,     // GET_PROP with a two-byte name index
+  SET_PROP_LONG: 0x8A,     // SET_PROP with a two-byte name index
 
   // Classes
   MAKE_CLASS: 0x90,    // Create class
   GET_THIS: 0x91,      // Push 'self' onto stack
   INVOKE: 0x92,        // Call method
+  MAKE_CLASS_LONG: 0x93,   // MAKE_CLASS with a two-byte name index
+  INVOKE_LONG: 0x94,       // INVOKE with a two-byte name index
+  INVOKE_ELDER: 0x95,      // Call the parent realm's method on 'self'
+  INVOKE_ELDER_LONG: 0x96, // INVOKE_ELDER with a two-byte name index
+  DEFINE_MEMBER: 0x97,     // Add a realm-level member or accessor to the realm below it
+  DEFINE_MEMBER_LONG: 0x98, // DEFINE_MEMBER with a two-byte name index
+  TAIL_INVOKE: 0x99,       // INVOKE in tail position
+  TAIL_INVOKE_LONG: 0x9A,  // TAIL_INVOKE with a two-byte name index
 
   // Modules
   IMPORT: 0xA0,        // Import a module
   EXPORT: 0xA1,        // Export a value
+  IMPORT_LONG: 0xA2,   // IMPORT with a two-byte path index
+  EXPORT_LONG: 0xA3,   // EXPORT with a two-byte name index
+  IMPORT_ALL: 0xA4,    // Import a module and bind every name it shares as a global
+  IMPORT_ALL_LONG: 0xA5, // IMPORT_ALL with a two-byte path index
+
+  // Exceptions
+  TRY_BEGIN: 0xB0,     // Install a rescue handler (operand: offset to handler)
+  TRY_END: 0xB1,       // Remove the innermost rescue handler
+
+  // Pattern matching (riddle). Each test pops what it looks at and pushes a truth.
+  MATCH_ARRAY: 0xC0,       // Fellowship of exactly N elements (second operand 0), or at least N (1)
+  MATCH_ARRAY_LONG: 0xC1,  // MATCH_ARRAY with a two-byte count
+  MATCH_OBJECT: 0xC2,      // Plain object or realm instance
+  HAS_FIELD: 0xC3,         // Object with the named key, or instance with the named field
+  HAS_FIELD_LONG: 0xC4,    // HAS_FIELD with a two-byte name index
+  MATCH_REALM: 0xC5,       // Pop a realm, then a value: an instance of the realm or one inheriting from it
+  MATCH_REALM_LONG: 0xC6,  // MATCH_REALM with a two-byte name index (the realm's name, for errors)
+  SLICE: 0xC7,             // Replace a fellowship with its elements from index N on
+  SLICE_LONG: 0xC8,        // SLICE with a two-byte index
+
+  // Destructuring (patterns that unpack a value into names)
+  UNPACK_ARRAY: 0xD0,      // Check the value on top is a fellowship, leaving it there
+  UNPACK_OBJECT: 0xD1,     // Check the value on top is a plain object or realm instance, leaving it there
+  GET_ELEMENT: 0xD2,       // Replace a fellowship with its element N, or shadow when it has none
+  GET_ELEMENT_LONG: 0xD3,  // GET_ELEMENT with a two-byte index
+  GET_FIELD: 0xD4,         // Replace an object or instance with the named field, or shadow when it has none
+  GET_FIELD_LONG: 0xD5,    // GET_FIELD with a two-byte name index
+  OMIT_FIELDS: 0xD6,       // Pop N names, then an object or instance: push a plain object of its other fields
+  OMIT_FIELDS_LONG: 0xD7,  // OMIT_FIELDS with a two-byte count
+
+  // Arguments (defaults, rest parameters and spreading)
+  JUMP_IF_GIVEN: 0xE0,     // Jump if the argument on top was passed rather than left out, leaving it there
+  SPREAD: 0xE1,            // Mark the fellowship on top to have its elements passed as arguments
+  CALL_SPREAD: 0xE2,       // CALL with N values on the stack, some of them SPREAD
+  TAIL_CALL_SPREAD: 0xE3,  // CALL_SPREAD in tail position
+  GET_ELDER: 0xE4,         // Push the parent realm's named song (or forge) bound to 'self'
+  GET_ELDER_LONG: 0xE5,    // GET_ELDER with a two-byte name index
 
   // Misc
   HALT: 0xFF,          // Stop execution
@@ -87,6 +157,69 @@ export const OpCodeNames = Object.fromEntries(
   Object.entries(OpCode).map(([name, code]) => [code, name])
 );
 
+// Instructions whose first operand has a two-byte variant
+export const LongOpCode = {
+  [OpCode.PUSH_CONST]: OpCode.PUSH_CONST_LONG,
+  [OpCode.LOAD]: OpCode.LOAD_LONG,
+  [OpCode.STORE]: OpCode.STORE_LONG,
+  [OpCode.LOAD_GLOBAL]: OpCode.LOAD_GLOBAL_LONG,
+  [OpCode.STORE_GLOBAL]: OpCode.STORE_GLOBAL_LONG,
+  [OpCode.MAKE_CLOSURE]: OpCode.MAKE_CLOSURE_LONG,
+  [OpCode.GET_UPVALUE]: OpCode.GET_UPVALUE_LONG,
+  [OpCode.SET_UPVALUE]: OpCode.SET_UPVALUE_LONG,
+  [OpCode.MAKE_ARRAY]: OpCode.MAKE_ARRAY_LONG,
+  [OpCode.MAKE_OBJECT]: OpCode.MAKE_OBJECT_LONG,
+  [OpCode.GET_PROP]: OpCode.GET_PROP_LONG,
+  [OpCode.SET_PROP]: OpCode.SET_PROP_LONG,
+  [OpCode.MAKE_CLASS]: OpCode.MAKE_CLASS_LONG,
+  [OpCode.INVOKE]: OpCode.INVOKE_LONG,
+  [OpCode.INVOKE_ELDER]: OpCode.INVOKE_ELDER_LONG,
+  [OpCode.TAIL_INVOKE]: OpCode.TAIL_INVOKE_LONG,
+  [OpCode.DEFINE_MEMBER]: OpCode.DEFINE_MEMBER_LONG,
+  [OpCode.IMPORT]: OpCode.IMPORT_LONG,
+  [OpCode.EXPORT]: OpCode.EXPORT_LONG,
+  [OpCode.IMPORT_ALL]: OpCode.IMPORT_ALL_LONG,
+  [OpCode.MATCH_ARRAY]: OpCode.MATCH_ARRAY_LONG,
+  [OpCode.HAS_FIELD]: OpCode.HAS_FIELD_LONG,
+  [OpCode.MATCH_REALM]: OpCode.MATCH_REALM_LONG,
+  [OpCode.SLICE]: OpCode.SLICE_LONG,
+  [OpCode.GET_ELEMENT]: OpCode.GET_ELEMENT_LONG,
+  [OpCode.GET_FIELD]: OpCode.GET_FIELD_LONG,
+  [OpCode.OMIT_FIELDS]: OpCode.OMIT_FIELDS_LONG,
+  [OpCode.GET_ELDER]: OpCode.GET_ELDER_LONG,
+};
+
+// Second operand of DEFINE_MEMBER: what kind of member the value is
+export const MemberKind = {
+  RING: 0,       // realm ring
+  PRECIOUS: 1,   // realm precious
+  SONG: 2,       // realm song
+  REVEAL: 3,     // getter
+  INSCRIBE: 4,   // setter
+};
+
+export const MemberKindNames = Object.fromEntries(
+  Object.entries(MemberKind).map(([name, kind]) => [kind, name.toLowerCase()])
+);
+
+const longOpCodes = new Set(Object.values(LongOpCode));
+
+export function isLongOpCode(opcode) {
+  return longOpCodes.has(opcode);
+}
+
+// Hard limits imposed by the operand widths
+export const Limits = {
+  SHORT_OPERAND: 0xFF,     // Largest one-byte operand
+  LONG_OPERAND: 0xFFFF,    // Largest two-byte operand
+  CONSTANTS: 0x10000,      // Constants per chunk
+  LOCALS: 0x10000,         // Locals per song
+  UPVALUES: 0x10000,       // Upvalues per song
+  ARGUMENTS: 0xFF,         // Arguments per call (and parameters per song)
+  METHODS: 0xFF,           // Methods per realm
+  JUMP: 0xFFFF,            // Bytes a single jump can cover
+};
+
 // ============================================================
 // CHUNK - A compiled unit of bytecode
 // ============================================================
@@ -119,11 +252,22 @@ export class Chunk {
   // Write an instruction with a constant operand
   writeConstant(value, line = 0) {
     const index = this.addConstant(value);
-    this.write(OpCode.PUSH_CONST, line);
-    this.write(index, line);  // Constant index as operand
+    if (index > Limits.SHORT_OPERAND) {
+      this.write(OpCode.PUSH_CONST_LONG, line);
+      this.write((index >> 8) & 0xFF, line);
+      this.write(index & 0xFF, line);
+    } else {
+      this.write(OpCode.PUSH_CONST, line);
+      this.write(index, line);  // Constant index as operand
+    }
     return index;
   }
 
+  // Read a two-byte (big-endian) operand
+  readShort(offset) {
+    return (this.code[offset] << 8) | this.code[offset + 1];
+  }
+
   // Get current code offset (for jumps)
   currentOffset() {
     return this.code.length;
@@ -132,8 +276,9 @@ export class Chunk {
   // Patch a jump instruction with the actual offset
   patchJump(offset) {
     // Calculate jump distance
-    const jump = this.code.length - offset - 2;  // -2 for the jump instruction itself
-    this.code[offset + 1] = jump;
+    const jump = this.code.length - offset - 3;  // -3 for the jump instruction itself
+    this.code[offset + 1] = (jump >> 8) & 0xFF;
+    this.code[offset + 2] = jump & 0xFF;
   }
 
   // Disassemble for debugging
@@ -154,69 +299,159 @@ export class Chunk {
     // Format: offset | line | instruction [operands]
     let output = `${offset.toString().padStart(4, '0')} | L${line.toString().padStart(3)} | ${name}`;
 
+    // First operand, and where whatever follows it starts
+    const wide = isLongOpCode(instruction);
+    const operand = wide ? this.readShort(offset + 1) : this.code[offset + 1];
+    const next = offset + (wide ? 3 : 2);
+
     switch (instruction) {
-      case OpCode.PUSH_CONST: {
-        const constIndex = this.code[offset + 1];
-        const value = this.constants[constIndex];
-        output += ` ${constIndex} (${JSON.stringify(value)})`;
+      case OpCode.PUSH_CONST:
+      case OpCode.PUSH_CONST_LONG: {
+        const value = this.constants[operand];
+        output += ` ${operand} (${JSON.stringify(value)})`;
         console.log(output);
-        return offset + 2;
+        return next;
       }
 
-      case OpCode.LOAD:
-      case OpCode.STORE:
       case OpCode.LOAD_GLOBAL:
-      case OpCode.STORE_GLOBAL: {
-        const nameIndex = this.code[offset + 1];
-        const varName = this.constants[nameIndex];
-        output += ` ${nameIndex} (${varName})`;
+      case OpCode.LOAD_GLOBAL_LONG:
+      case OpCode.STORE_GLOBAL:
+      case OpCode.STORE_GLOBAL_LONG:
+      case OpCode.GET_PROP:
+      case OpCode.GET_PROP_LONG:
+      case OpCode.SET_PROP:
+      case OpCode.SET_PROP_LONG:
+      case OpCode.IMPORT:
+      case OpCode.IMPORT_LONG:
+      case OpCode.EXPORT:
+      case OpCode.EXPORT_LONG:
+      case OpCode.IMPORT_ALL:
+      case OpCode.IMPORT_ALL_LONG:
+      case OpCode.HAS_FIELD:
+      case OpCode.HAS_FIELD_LONG:
+      case OpCode.MATCH_REALM:
+      case OpCode.MATCH_REALM_LONG:
+      case OpCode.GET_FIELD:
+      case OpCode.GET_FIELD_LONG:
+      case OpCode.GET_ELDER:
+      case OpCode.GET_ELDER_LONG: {
+        output += ` ${operand} (${this.constants[operand]})`;
+        console.log(output);
+        return next;
+      }
+
+      case OpCode.MAKE_CLASS:
+      case OpCode.MAKE_CLASS_LONG: {
+        const methodCount = this.code[next];
+        output += ` ${operand} (${this.constants[operand]}, ${methodCount} methods)`;
+        console.log(output);
+        return next + 1;
+      }
+
+      case OpCode.INVOKE:
+      case OpCode.INVOKE_LONG:
+      case OpCode.INVOKE_ELDER:
+      case OpCode.INVOKE_ELDER_LONG:
+      case OpCode.TAIL_INVOKE:
+      case OpCode.TAIL_INVOKE_LONG: {
+        const argCount = this.code[next];
+        output += ` ${operand} (${this.constants[operand]}, ${argCount} args)`;
+        console.log(output);
+        return next + 1;
+      }
+
+      case OpCode.DEFINE_MEMBER:
+      case OpCode.DEFINE_MEMBER_LONG: {
+        const kind = this.code[next];
+        output += ` ${operand} (${this.constants[operand]}, ${MemberKindNames[kind]})`;
         console.log(output);
-        return offset + 2;
+        return next + 1;
+      }
+
+      case OpCode.MATCH_ARRAY:
+      case OpCode.MATCH_ARRAY_LONG: {
+        const rest = this.code[next];
+        output += ` (${rest ? 'at least ' : ''}${operand} elements)`;
+        console.log(output);
+        return next + 1;
+      }
+
+      case OpCode.SLICE:
+      case OpCode.SLICE_LONG: {
+        output += ` (from ${operand})`;
+        console.log(output);
+        return next;
+      }
+
+      case OpCode.GET_ELEMENT:
+      case OpCode.GET_ELEMENT_LONG: {
+        output += ` ${operand}`;
+        console.log(output);
+        return next;
+      }
+
+      case OpCode.OMIT_FIELDS:
+      case OpCode.OMIT_FIELDS_LONG: {
+        output += ` (${operand} names)`;
+        console.log(output);
+        return next;
       }
 
       case OpCode.JUMP:
       case OpCode.JUMP_IF_FALSE:
       case OpCode.JUMP_IF_TRUE:
+      case OpCode.JUMP_IF_GIVEN:
+      case OpCode.TRY_BEGIN:
       case OpCode.LOOP: {
-        const jumpOffset = this.code[offset + 1];
+        const jumpOffset = this.readShort(offset + 1);
         const target = instruction === OpCode.LOOP
-          ? offset - jumpOffset + 2
-          : offset + jumpOffset + 2;
+          ? offset + 3 - jumpOffset
+          : offset + 3 + jumpOffset;
         output += ` -> ${target}`;
         console.log(output);
-        return offset + 2;
+        return offset + 3;
       }
 
       case OpCode.CALL:
+      case OpCode.TAIL_CALL:
+      case OpCode.CALL_SPREAD:
+      case OpCode.TAIL_CALL_SPREAD:
       case OpCode.MAKE_ARRAY:
-      case OpCode.MAKE_OBJECT: {
-        const count = this.code[offset + 1];
-        output += ` (${count} args)`;
+      case OpCode.MAKE_ARRAY_LONG:
+      case OpCode.MAKE_OBJECT:
+      case OpCode.MAKE_OBJECT_LONG: {
+        output += ` (${operand} args)`;
         console.log(output);
-        return offset + 2;
+        return next;
       }
 
-      case OpCode.MAKE_CLOSURE: {
-        const funcIndex = this.code[offset + 1];
-        const func = this.constants[funcIndex];
-        output += ` ${funcIndex} (${func.name})`;
+      case OpCode.MAKE_CLOSURE:
+      case OpCode.MAKE_CLOSURE_LONG: {
+        const func = this.constants[operand];
+        output += ` ${operand} (${func.name})`;
         console.log(output);
-        // After MAKE_CLOSURE, there are upvalue descriptors
-        let o = offset + 2;
+        // After MAKE_CLOSURE, there are upvalue descriptors: isLocal byte + two-byte index
+        let o = next;
         for (let i = 0; i < func.upvalueCount; i++) {
-          const isLocal = this.code[o++];
-          const index = this.code[o++];
+          const isLocal = this.code[o];
+          const index = this.readShort(o + 1);
+          o += 3;
           console.log(`     |       |  upvalue ${i}: ${isLocal ? 'local' : 'upvalue'} ${index}`);
         }
         return o;
       }
 
+      case OpCode.LOAD:
+      case OpCode.LOAD_LONG:
+      case OpCode.STORE:
+      case OpCode.STORE_LONG:
       case OpCode.GET_UPVALUE:
-      case OpCode.SET_UPVALUE: {
-        const slot = this.code[offset + 1];
-        output += ` ${slot}`;
+      case OpCode.GET_UPVALUE_LONG:
+      case OpCode.SET_UPVALUE:
+      case OpCode.SET_UPVALUE_LONG: {
+        output += ` ${operand}`;
         console.log(output);
-        return offset + 2;
+        return next;
       }
 
       case OpCode.CLOSE_UPVALUE: {
@@ -244,9 +479,12 @@ export class Chunk {
 export class TmbdlBytecodeFunction {
   constructor(name, arity, chunk) {
     this.name = name;
-    this.arity = arity;      // Number of parameters
+    this.arity = arity;      // Number of parameters, not counting a rest parameter
     this.chunk = chunk;      // The function's bytecode
     this.upvalueCount = 0;   // Number of upvalues this function captures
+    this.required = arity;   // Parameters without a default
+    this.variadic = false;   // Whether a rest parameter takes the arguments past arity
+    this.signature = null;   // Parameter list as arity errors show it, e.g. "name, greeting = ..."
   }
 
   toString() {
@@ -297,6 +535,10 @@ export class Closure {
   constructor(func) {
     this.func = func;
     this.upvalues = new Array(func.upvalueCount).fill(null);
+    this.receiver = null;  // 'self' captured when created inside a method
+    this.file = null;      // source file of the module that created it, for stack traces
+    this.realm = null;     // realm whose method this is (or is nested in), for 'elder'
+    this.globals = null;   // globals of the module that created it (the running VM's when null)
   }
 
   get name() {
@@ -315,3 +557,131 @@ export class Closure {
     return `<song ${this.func.name}>`;
   }
 }
+
+// ============================================================
+// CLASS - A realm compiled to bytecode
+// ============================================================
+
+export class BytecodeClass {
+  constructor(name, superClass = null) {
+    this.name = name;
+    this.superClass = superClass;  // BytecodeClass or null
+    this.initializer = null;       // Closure for the forge, or null
+    this.methods = new Map();      // Method name -> Closure
+    this.getters = new Map();      // Property name -> Closure (reveal)
+    this.setters = new Map();      // Property name -> Closure (inscribe)
+    this.statics = new Map();      // Realm-level rings and preciouses: name -> value
+    this.staticMethods = new Map(); // Realm-level songs: name -> Closure
+    this.constants = new Set();    // Names of realm-level preciouses
+  }
+
+  findMethod(name) {
+    if (this.methods.has(name)) {
+      return this.methods.get(name);
+    }
+    // Check parent class
+    if (this.superClass) {
+      return this.superClass.findMethod(name);
+    }
+    return null;
+  }
+
+  // Whether this realm is realm itself or inherits from it
+  descendsFrom(realm) {
+    for (let klass = this; klass; klass = klass.superClass) {
+      if (klass === realm) return true;
+    }
+    return false;
+  }
+
+  // Nearest forge up the inheritance chain
+  findInitializer() {
+    if (this.initializer) {
+      return this.initializer;
+    }
+    if (this.superClass) {
+      return this.superClass.findInitializer();
+    }
+    return null;
+  }
+
+  // A realm declaring either accessor for a property hides both of its
+  // elder's, so a reveal without an inscribe makes the property read-only
+  findGetter(name) {
+    return this.accessorRealm(name)?.getters.get(name) ?? null;
+  }
+
+  findSetter(name) {
+    return this.accessorRealm(name)?.setters.get(name) ?? null;
+  }
+
+  accessorRealm(name) {
+    if (this.getters.has(name) || this.setters.has(name)) {
+      return this;
+    }
+    return this.superClass ? this.superClass.accessorRealm(name) : null;
+  }
+
+  // Realm-level member up the inheritance chain: { value } for a ring or
+  // precious, { method } for a song, or null
+  findStatic(name) {
+    if (this.statics.has(name)) {
+      return { value: this.statics.get(name) };
+    }
+    if (this.staticMethods.has(name)) {
+      return { method: this.staticMethods.get(name) };
+    }
+    return this.superClass ? this.superClass.findStatic(name) : null;
+  }
+
+  // Whether Realm.name = value would reassign a realm precious
+  isPrecious(name) {
+    for (let realm = this; realm; realm = realm.superClass) {
+      if (realm.constants.has(name)) return true;
+      if (realm.statics.has(name)) return false;
+    }
+    return false;
+  }
+
+  toString() {
+    return `<realm ${this.name}>`;
+  }
+}
+
+// ============================================================
+// INSTANCE - An object created from a BytecodeClass
+// ============================================================
+
+export class BytecodeInstance {
+  constructor(klass) {
+    this.klass = klass;
+    this.fields = new Map();
+  }
+
+  toString() {
+    return `<${this.klass.name} instance>`;
+  }
+}
+
+// ============================================================
+// BOUND METHOD - A method closure paired with its receiver
+// ============================================================
+
+export class BoundMethod {
+  constructor(receiver, method) {
+    this.receiver = receiver;  // The instance 'self' refers to
+    this.method = method;      // Closure
+  }
+
+  get name() {
+    return this.method.name;
+  }
+
+  get arity() {
+    return this.method.arity;
+  }
+
+  toString() {
+    return `<song ${this.method.name}>`;
+  }
+}
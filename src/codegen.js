@@ -4,7 +4,27 @@
 // This is similar to our Compiler (transpiler), but outputs
 // bytecode instead of JavaScript.
 
-import { OpCode, Chunk, TmbdlBytecodeFunction } from './bytecode.js';
+import { OpCode, LongOpCode, Limits, MemberKind, Chunk, TmbdlBytecodeFunction } from './bytecode.js';
+import { CompileError } from './errors.js';
+import { parameterName, parameterRange, describeParameter } from './ast.js';
+
+// The names a riddle pattern binds, in the order they appear
+function boundNames(pattern, names = []) {
+  switch (pattern.type) {
+    case 'BindingPattern':
+      names.push(pattern.name);
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) boundNames(element, names);
+      if (pattern.rest) boundNames(pattern.rest, names);
+      break;
+    case 'ObjectPattern':
+    case 'RealmPattern':
+      for (const field of pattern.fields) boundNames(field.pattern, names);
+      break;
+  }
+  return names;
+}
 
 // Compiler context for a single function
 class CompilerContext {
@@ -13,6 +33,7 @@ class CompilerContext {
     this.locals = [];           // Local variables: { name, depth, isCaptured }
     this.upvalues = [];         // Upvalues: { index, isLocal }
     this.scopeDepth = 0;
+    this.tryDepth = 0;          // Number of attempt blocks we're inside
     this.enclosing = enclosing; // Parent compiler context (for closures)
   }
 }
@@ -41,40 +62,87 @@ export class CodeGenerator {
     this.chunk.write(byte, line);
   }
 
-  // Emit instruction with one operand
+  // Emit instruction with one operand, switching to the *_LONG variant
+  // when the operand doesn't fit in a byte
   emitWithOperand(opcode, operand, line = 0) {
-    this.emit(opcode, line);
-    this.emit(operand, line);
+    if (operand <= Limits.SHORT_OPERAND) {
+      this.emit(opcode, line);
+      this.emit(operand, line);
+      return;
+    }
+
+    if (!(opcode in LongOpCode) || operand > Limits.LONG_OPERAND) {
+      throw new CompileError(`Operand ${operand} is too large for this instruction`, line);
+    }
+    this.emit(LongOpCode[opcode], line);
+    this.emitShort(operand, line);
+  }
+
+  // Emit a two-byte (big-endian) operand
+  emitShort(value, line = 0) {
+    this.emit((value >> 8) & 0xFF, line);
+    this.emit(value & 0xFF, line);
+  }
+
+  // Add a value to the constant pool, enforcing its size limit
+  makeConstant(value, line = 0) {
+    const index = this.chunk.addConstant(value);
+    if (index >= Limits.CONSTANTS) {
+      throw new CompileError(
+        `Too many constants in '${this.chunk.name}' - at most ${Limits.CONSTANTS} are allowed`,
+        line
+      );
+    }
+    return index;
   }
 
   // Emit a constant (adds to constant pool)
   emitConstant(value, line = 0) {
-    const index = this.chunk.addConstant(value);
+    const index = this.makeConstant(value, line);
     this.emitWithOperand(OpCode.PUSH_CONST, index, line);
   }
 
   // Emit a jump instruction, return offset to patch later
   emitJump(opcode, line = 0) {
     this.emit(opcode, line);
-    this.emit(0xFF, line);  // Placeholder
-    return this.chunk.currentOffset() - 2;
+    this.emitShort(0xFFFF, line);  // Placeholder
+    return this.chunk.currentOffset() - 3;
   }
 
   // Patch a previously emitted jump
   patchJump(offset) {
-    const jump = this.chunk.currentOffset() - offset - 2;
-    this.chunk.code[offset + 1] = jump;
+    const jump = this.chunk.currentOffset() - offset - 3;
+    if (jump > Limits.JUMP) {
+      throw new CompileError('Too much code to jump over', this.chunk.lines[offset]);
+    }
+    this.chunk.code[offset + 1] = (jump >> 8) & 0xFF;
+    this.chunk.code[offset + 2] = jump & 0xFF;
   }
 
   // Emit a loop (backward jump)
   emitLoop(loopStart, line = 0) {
     this.emit(OpCode.LOOP, line);
-    const offset = this.chunk.currentOffset() - loopStart + 1;
-    this.emit(offset, line);
+    const offset = this.chunk.currentOffset() - loopStart + 2;
+    if (offset > Limits.JUMP) {
+      throw new CompileError('Loop body is too large', line);
+    }
+    this.emitShort(offset, line);
+  }
+
+  // Calls, forges and song parameters share the one-byte argument count
+  checkArgumentCount(count, line) {
+    if (count > Limits.ARGUMENTS) {
+      throw new CompileError(`Cannot have more than ${Limits.ARGUMENTS} arguments`, line);
+    }
   }
 
   // Variable management
   addLocal(name) {
+    if (this.current.locals.length >= Limits.LOCALS) {
+      throw new CompileError(
+        `Too many local variables in '${this.chunk.name}' - at most ${Limits.LOCALS} are allowed`
+      );
+    }
     this.current.locals.push({ name, depth: this.current.scopeDepth, isCaptured: false });
   }
 
@@ -98,6 +166,12 @@ export class CodeGenerator {
       }
     }
 
+    if (upvalues.length >= Limits.UPVALUES) {
+      throw new CompileError(
+        `Too many captured variables in '${this.chunk.name}' - at most ${Limits.UPVALUES} are allowed`
+      );
+    }
+
     upvalues.push({ index, isLocal });
     return upvalues.length - 1;
   }
@@ -200,8 +274,7 @@ export class CodeGenerator {
     for (const element of node.elements) {
       this.visit(element);
     }
-    this.emit(OpCode.MAKE_ARRAY, node.line);
-    this.emit(node.elements.length, node.line);
+    this.emitWithOperand(OpCode.MAKE_ARRAY, node.elements.length, node.line);
   }
 
   visitObjectLiteral(node) {
@@ -210,8 +283,7 @@ export class CodeGenerator {
       this.emitConstant(prop.key, node.line);  // Key as string
       this.visit(prop.value);                   // Value
     }
-    this.emit(OpCode.MAKE_OBJECT, node.line);
-    this.emit(node.properties.length, node.line);
+    this.emitWithOperand(OpCode.MAKE_OBJECT, node.properties.length, node.line);
   }
 
   visitTemplateLiteral(node) {
@@ -242,16 +314,21 @@ export class CodeGenerator {
   // ============================================================
 
   visitIdentifier(node) {
-    const local = this.resolveLocal(node.name);
+    this.emitGetVariable(node.name, node.line);
+  }
+
+  // Push a variable's value, resolving it as local, upvalue or global
+  emitGetVariable(name, line) {
+    const local = this.resolveLocal(name);
     if (local !== -1) {
-      this.emitWithOperand(OpCode.LOAD, local, node.line);
+      this.emitWithOperand(OpCode.LOAD, local, line);
     } else {
-      const upvalue = this.resolveUpvalue(node.name);
+      const upvalue = this.resolveUpvalue(name);
       if (upvalue !== -1) {
-        this.emitWithOperand(OpCode.GET_UPVALUE, upvalue, node.line);
+        this.emitWithOperand(OpCode.GET_UPVALUE, upvalue, line);
       } else {
-        const nameIndex = this.chunk.addConstant(node.name);
-        this.emitWithOperand(OpCode.LOAD_GLOBAL, nameIndex, node.line);
+        const nameIndex = this.makeConstant(name, line);
+        this.emitWithOperand(OpCode.LOAD_GLOBAL, nameIndex, line);
       }
     }
   }
@@ -259,21 +336,32 @@ export class CodeGenerator {
   visitBinaryExpression(node) {
     this.visit(node.left);
     this.visit(node.right);
+    this.emitOperator(node.operator, node.line);
+  }
 
-    switch (node.operator) {
-      case '+': this.emit(OpCode.ADD, node.line); break;
-      case '-': this.emit(OpCode.SUB, node.line); break;
-      case '*': this.emit(OpCode.MUL, node.line); break;
-      case '/': this.emit(OpCode.DIV, node.line); break;
-      case '%': this.emit(OpCode.MOD, node.line); break;
-      case '==': this.emit(OpCode.EQ, node.line); break;
-      case '!=': this.emit(OpCode.NEQ, node.line); break;
-      case '<': this.emit(OpCode.LT, node.line); break;
-      case '<=': this.emit(OpCode.LTE, node.line); break;
-      case '>': this.emit(OpCode.GT, node.line); break;
-      case '>=': this.emit(OpCode.GTE, node.line); break;
+  // The instruction applying a binary operator to the two values on the stack
+  emitOperator(operator, line) {
+    switch (operator) {
+      case '+': this.emit(OpCode.ADD, line); break;
+      case '-': this.emit(OpCode.SUB, line); break;
+      case '*': this.emit(OpCode.MUL, line); break;
+      case '/': this.emit(OpCode.DIV, line); break;
+      case '//': this.emit(OpCode.FLOOR_DIV, line); break;
+      case '%': this.emit(OpCode.MOD, line); break;
+      case '**': this.emit(OpCode.POW, line); break;
+      case '&': this.emit(OpCode.BIT_AND, line); break;
+      case '|': this.emit(OpCode.BIT_OR, line); break;
+      case '^': this.emit(OpCode.BIT_XOR, line); break;
+      case '<<': this.emit(OpCode.SHL, line); break;
+      case '>>': this.emit(OpCode.SHR, line); break;
+      case '==': this.emit(OpCode.EQ, line); break;
+      case '!=': this.emit(OpCode.NEQ, line); break;
+      case '<': this.emit(OpCode.LT, line); break;
+      case '<=': this.emit(OpCode.LTE, line); break;
+      case '>': this.emit(OpCode.GT, line); break;
+      case '>=': this.emit(OpCode.GTE, line); break;
       default:
-        throw new Error(`Unknown binary operator: ${node.operator}`);
+        throw new Error(`Unknown binary operator: ${operator}`);
     }
   }
 
@@ -307,18 +395,51 @@ export class CodeGenerator {
     }
   }
 
-  visitCallExpression(node) {
-    // Push the function
+  // tail: the call is answered straight away, so the VM can reuse this frame
+  visitCallExpression(node, tail = false) {
+    const spread = node.arguments.some(arg => arg.type === 'SpreadArgument');
+
+    // obj.method(args) → INVOKE, which skips creating a bound method. A call
+    // that spreads its arguments reads obj.method as a bound method instead.
+    if (node.callee.type === 'PropertyAccess' && !spread) {
+      this.visit(node.callee.object);
+      this.emitArguments(node.arguments, node.line);
+      const nameIndex = this.makeConstant(node.callee.property, node.line);
+      this.emitWithOperand(tail ? OpCode.TAIL_INVOKE : OpCode.INVOKE, nameIndex, node.line);
+      this.emit(node.arguments.length, node.line);
+      return;
+    }
+
+    // Push the function, then the arguments
     this.visit(node.callee);
+    this.emitArguments(node.arguments, node.line);
 
-    // Push arguments
-    for (const arg of node.arguments) {
-      this.visit(arg);
+    // Call with argument count
+    this.emitCall(node.arguments, node.line, tail);
+  }
+
+  // Push a call's arguments, marking each ...fellowship to be spread
+  emitArguments(args, line) {
+    for (const arg of args) {
+      if (arg.type === 'SpreadArgument') {
+        this.visit(arg.argument);
+        this.emit(OpCode.SPREAD, arg.line);
+      } else {
+        this.visit(arg);
+      }
     }
+    this.checkArgumentCount(args.length, line);
+  }
 
-    // Call with argument count
-    this.emit(OpCode.CALL, node.line);
-    this.emit(node.arguments.length, node.line);
+  // CALL the function below the arguments, or CALL_SPREAD when some of them
+  // are spread and their number is only known once they run
+  emitCall(args, line, tail = false) {
+    if (args.some(arg => arg.type === 'SpreadArgument')) {
+      this.emit(tail ? OpCode.TAIL_CALL_SPREAD : OpCode.CALL_SPREAD, line);
+    } else {
+      this.emit(tail ? OpCode.TAIL_CALL : OpCode.CALL, line);
+    }
+    this.emit(args.length, line);
   }
 
   visitIndexExpression(node) {
@@ -338,7 +459,7 @@ export class CodeGenerator {
     } else if (upvalue !== -1) {
       this.emitWithOperand(OpCode.GET_UPVALUE, upvalue, node.line);
     } else {
-      const nameIndex = this.chunk.addConstant(node.name);
+      const nameIndex = this.makeConstant(node.name, node.line);
       this.emitWithOperand(OpCode.LOAD_GLOBAL, nameIndex, node.line);
     }
 
@@ -347,12 +468,7 @@ export class CodeGenerator {
     }
 
     // Add or subtract 1
-    this.emitConstant(1, node.line);
-    if (node.operator === '++') {
-      this.emit(OpCode.ADD, node.line);
-    } else {
-      this.emit(OpCode.SUB, node.line);
-    }
+    this.emit(node.operator === '++' ? OpCode.INCREMENT : OpCode.DECREMENT, node.line);
 
     // Store back
     if (local !== -1) {
@@ -360,20 +476,14 @@ export class CodeGenerator {
     } else if (upvalue !== -1) {
       this.emitWithOperand(OpCode.SET_UPVALUE, upvalue, node.line);
     } else {
-      const nameIndex = this.chunk.addConstant(node.name);
+      const nameIndex = this.makeConstant(node.name, node.line);
       this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
     }
 
-    if (node.prefix) {
-      // Prefix: result is the new value (already on stack from STORE)
-      if (local !== -1) {
-        this.emitWithOperand(OpCode.LOAD, local, node.line);
-      } else if (upvalue !== -1) {
-        this.emitWithOperand(OpCode.GET_UPVALUE, upvalue, node.line);
-      } else {
-        const nameIndex = this.chunk.addConstant(node.name);
-        this.emitWithOperand(OpCode.LOAD_GLOBAL, nameIndex, node.line);
-      }
+    if (!node.prefix) {
+      // Postfix: drop the new value, leaving the original underneath.
+      // Prefix: the new value STORE left on the stack is the result.
+      this.emit(OpCode.POP, node.line);
     }
   }
 
@@ -389,7 +499,7 @@ export class CodeGenerator {
       this.addLocal(node.name);
     } else {
       // Global variable - store and pop (globals don't use stack slots)
-      const nameIndex = this.chunk.addConstant(node.name);
+      const nameIndex = this.makeConstant(node.name, node.line);
       this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
       this.emit(OpCode.POP, node.line);  // Don't leave on stack
     }
@@ -406,11 +516,12 @@ export class CodeGenerator {
       if (upvalue !== -1) {
         this.emitWithOperand(OpCode.SET_UPVALUE, upvalue, node.line);
       } else {
-        const nameIndex = this.chunk.addConstant(node.name);
+        const nameIndex = this.makeConstant(node.name, node.line);
         this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
       }
     }
-    // Leave value on stack (assignment is an expression)
+    // Assignments only appear as statements - drop the value
+    this.emit(OpCode.POP, node.line);
   }
 
   visitIndexAssignment(node) {
@@ -418,6 +529,7 @@ export class CodeGenerator {
     this.visit(node.index);
     this.visit(node.value);
     this.emit(OpCode.INDEX_SET, node.line);
+    this.emit(OpCode.POP, node.line);
   }
 
   visitCompoundAssignment(node) {
@@ -431,7 +543,7 @@ export class CodeGenerator {
     } else if (upvalue !== -1) {
       this.emitWithOperand(OpCode.GET_UPVALUE, upvalue, node.line);
     } else {
-      const nameIndex = this.chunk.addConstant(node.name);
+      const nameIndex = this.makeConstant(node.name, node.line);
       this.emitWithOperand(OpCode.LOAD_GLOBAL, nameIndex, node.line);
     }
 
@@ -439,12 +551,7 @@ export class CodeGenerator {
     this.visit(node.value);
 
     // Apply the operator
-    switch (node.operator) {
-      case '+': this.emit(OpCode.ADD, node.line); break;
-      case '-': this.emit(OpCode.SUB, node.line); break;
-      case '*': this.emit(OpCode.MUL, node.line); break;
-      case '/': this.emit(OpCode.DIV, node.line); break;
-    }
+    this.emitOperator(node.operator, node.line);
 
     // Store back
     if (local !== -1) {
@@ -452,9 +559,10 @@ export class CodeGenerator {
     } else if (upvalue !== -1) {
       this.emitWithOperand(OpCode.SET_UPVALUE, upvalue, node.line);
     } else {
-      const nameIndex = this.chunk.addConstant(node.name);
+      const nameIndex = this.makeConstant(node.name, node.line);
       this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
     }
+    this.emit(OpCode.POP, node.line);
   }
 
   // ============================================================
@@ -517,7 +625,7 @@ export class CodeGenerator {
     const loopStart = this.chunk.currentOffset();
 
     // Push loop info for break/continue
-    this.loopStack.push({ start: loopStart, breaks: [] });
+    this.pushLoop(loopStart);
 
     this.visit(node.condition);
     const exitJump = this.emitJump(OpCode.JUMP_IF_FALSE, node.line);
@@ -525,6 +633,7 @@ export class CodeGenerator {
 
     this.visit(node.body);
 
+    this.patchContinues();
     this.emitLoop(loopStart, node.line);
 
     this.patchJump(exitJump);
@@ -543,7 +652,7 @@ export class CodeGenerator {
     //   let __iter = arr
     //   let __i = 0
     //   while (__i < length(__iter)) {
-    //     let x = __iter[__i]
+    //     let x = __iter[__i]   (a new x for each pass)
     //     ...body...
     //     __i++
     //   }
@@ -560,14 +669,14 @@ export class CodeGenerator {
     const indexLocal = this.locals.length;
     this.addLocal('__i');
 
-    // Loop variable slot (will hold current element)
+    // Slot for the current element
     this.emitConstant(null, node.line);  // Placeholder value
     const varLocal = this.locals.length;
-    this.addLocal(node.variable);
+    this.addLocal('__item');
 
     // Loop start - save position for jumping back
     const loopStart = this.chunk.currentOffset();
-    this.loopStack.push({ start: loopStart, breaks: [] });
+    this.pushLoop(loopStart);
 
     // Condition: __i < length(__iter)
     this.emitWithOperand(OpCode.LOAD, indexLocal, node.line);  // Push __i
@@ -579,15 +688,28 @@ export class CodeGenerator {
     const exitJump = this.emitJump(OpCode.JUMP_IF_FALSE, node.line);
     this.emit(OpCode.POP, node.line);  // Pop the condition result
 
-    // Get current element: x = __iter[__i]
+    // Get current element: __item = __iter[__i]
     this.emitWithOperand(OpCode.LOAD, iterLocal, node.line);   // Push __iter
     this.emitWithOperand(OpCode.LOAD, indexLocal, node.line);  // Push __i
     this.emit(OpCode.INDEX_GET, node.line);                    // Get __iter[__i]
-    this.emitWithOperand(OpCode.STORE, varLocal, node.line);   // Store in x
+    this.emitWithOperand(OpCode.STORE, varLocal, node.line);   // Store in __item
     this.emit(OpCode.POP, node.line);  // Pop the stored value
 
-    // Compile the loop body
+    // Compile the loop body. Each pass binds the element, or what a pattern
+    // unpacks from it, to names of its own, which go when the body is done
+    // with them, so songs made in the body keep the element of their pass.
+    this.beginScope();
+    this.emitWithOperand(OpCode.LOAD, varLocal, node.line);
+    if (typeof node.variable === 'string') {
+      this.addLocal(node.variable);
+    } else {
+      this.emitUnpack(node.variable, name => this.addLocal(name));
+    }
     this.visit(node.body);
+    this.endScope();
+
+    // onwards lands here so the index still advances
+    this.patchContinues();
 
     // Increment index: __i = __i + 1
     this.emitWithOperand(OpCode.LOAD, indexLocal, node.line);  // Push __i
@@ -616,8 +738,10 @@ export class CodeGenerator {
     if (this.loopStack.length === 0) {
       throw new Error('flee (break) outside of loop');
     }
+    const loop = this.loopStack[this.loopStack.length - 1];
+    this.emitLeaveLoopBody(loop, node.line);
     const jump = this.emitJump(OpCode.JUMP, node.line);
-    this.loopStack[this.loopStack.length - 1].breaks.push(jump);
+    loop.breaks.push(jump);
   }
 
   visitContinueStatement(node) {
@@ -625,7 +749,356 @@ export class CodeGenerator {
       throw new Error('onwards (continue) outside of loop');
     }
     const loop = this.loopStack[this.loopStack.length - 1];
-    this.emitLoop(loop.start, node.line);
+    this.emitLeaveLoopBody(loop, node.line);
+    const jump = this.emitJump(OpCode.JUMP, node.line);
+    loop.continues.push(jump);
+  }
+
+  // Track a loop for break/continue. Locals that exist when the loop starts
+  // (like the hidden journey counters) survive a flee or onwards.
+  pushLoop(start) {
+    this.loopStack.push({
+      start,
+      breaks: [],
+      continues: [],
+      localCount: this.locals.length,
+      tryDepth: this.current.tryDepth,
+    });
+  }
+
+  // Point pending onwards jumps at the current offset
+  patchContinues() {
+    const loop = this.loopStack[this.loopStack.length - 1];
+    for (const continueJump of loop.continues) {
+      this.patchJump(continueJump);
+    }
+  }
+
+  // Jumping out of the body pops its locals (the compiler keeps tracking them,
+  // since the code after the jump is still inside their scope) and leaves any
+  // attempt blocks opened inside the loop
+  emitLeaveLoopBody(loop, line) {
+    this.emitDiscardLocals(loop.localCount, line);
+    for (let i = loop.tryDepth; i < this.current.tryDepth; i++) {
+      this.emit(OpCode.TRY_END, line);
+    }
+  }
+
+  // Pop the locals above count off the stack, leaving the compiler's record
+  // of them for code that is still inside their scope
+  emitDiscardLocals(count, line) {
+    for (let i = this.locals.length - 1; i >= count; i--) {
+      this.emit(this.locals[i].isCaptured ? OpCode.CLOSE_UPVALUE : OpCode.POP, line);
+    }
+  }
+
+  // ============================================================
+  // PATTERN MATCHING
+  // ============================================================
+
+  visitRiddleStatement(node) {
+    // riddle (subject) { pattern perhaps (guard) => { body } ... }
+    // Compiles to:
+    //   ...subject...                (kept in a hidden local)
+    // arm:
+    //   shadow for each name the pattern binds
+    //   ...tests, each jumping to next on failure, and stores into the names...
+    //   ...guard, jumping to next when it fails...
+    //   ...body...
+    //   pop the names, JUMP -> end
+    // next:
+    //   POP the failed test, pop the names
+    //   ...the following arm...
+    // end:
+    this.beginScope();
+    this.visit(node.subject);
+    const subject = this.locals.length;
+    this.addLocal('__subject');
+
+    const endJumps = [];
+    for (const arm of node.arms) {
+      this.beginScope();
+      const bindingCount = this.locals.length;
+      for (const name of boundNames(arm.pattern)) {
+        this.emitConstant(null, arm.line);
+        this.addLocal(name);
+      }
+
+      const failJumps = [];
+      this.emitPatternTests(arm.pattern, subject, [], failJumps);
+      if (arm.guard) {
+        this.visit(arm.guard);
+        this.emitMatchTest(failJumps, arm.line);
+      }
+
+      this.visit(arm.body);
+      this.emitDiscardLocals(bindingCount, arm.line);
+      endJumps.push(this.emitJump(OpCode.JUMP, arm.line));
+
+      for (const jump of failJumps) {
+        this.patchJump(jump);
+      }
+      this.emit(OpCode.POP, arm.line);
+      this.endScope();
+    }
+
+    for (const jump of endJumps) {
+      this.patchJump(jump);
+    }
+    this.endScope();
+  }
+
+  // Test the value found by following path from the subject local against
+  // pattern, storing what it binds into the locals made for them
+  emitPatternTests(pattern, subject, path, failJumps) {
+    const line = pattern.line;
+
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+
+      case 'BindingPattern':
+        this.emitPath(subject, path, line);
+        this.emitWithOperand(OpCode.STORE, this.resolveLocal(pattern.name), line);
+        this.emit(OpCode.POP, line);
+        break;
+
+      case 'LiteralPattern':
+        this.emitPath(subject, path, line);
+        this.emitConstant(pattern.value, line);
+        this.emit(OpCode.EQ, line);
+        this.emitMatchTest(failJumps, line);
+        break;
+
+      case 'ArrayPattern': {
+        const count = pattern.elements.length;
+        this.emitPath(subject, path, line);
+        this.emitWithOperand(OpCode.MATCH_ARRAY, count, line);
+        this.emit(pattern.rest ? 1 : 0, line);
+        this.emitMatchTest(failJumps, line);
+
+        pattern.elements.forEach((element, i) => {
+          this.emitPatternTests(element, subject, [...path, { index: i }], failJumps);
+        });
+        if (pattern.rest) {
+          this.emitPatternTests(pattern.rest, subject, [...path, { from: count }], failJumps);
+        }
+        break;
+      }
+
+      case 'RealmPattern':
+        this.emitPath(subject, path, line);
+        this.emitGetVariable(pattern.realm, line);
+        this.emitWithOperand(OpCode.MATCH_REALM, this.makeConstant(pattern.realm, line), line);
+        this.emitMatchTest(failJumps, line);
+        this.emitFieldTests(pattern.fields, subject, path, failJumps, line);
+        break;
+
+      case 'ObjectPattern':
+        this.emitPath(subject, path, line);
+        this.emit(OpCode.MATCH_OBJECT, line);
+        this.emitMatchTest(failJumps, line);
+        this.emitFieldTests(pattern.fields, subject, path, failJumps, line);
+        break;
+
+      default:
+        throw new Error(`CodeGenerator: Unknown pattern type '${pattern.type}'`);
+    }
+  }
+
+  emitFieldTests(fields, subject, path, failJumps, line) {
+    for (const { key, pattern } of fields) {
+      this.emitPath(subject, path, line);
+      this.emitWithOperand(OpCode.HAS_FIELD, this.makeConstant(key, line), line);
+      this.emitMatchTest(failJumps, line);
+      this.emitPatternTests(pattern, subject, [...path, { key }], failJumps);
+    }
+  }
+
+  // Push the part of the subject a pattern looks at: each step of the path
+  // is an element { index }, the elements { from } an index on, or a field { key }
+  emitPath(subject, path, line) {
+    this.emitWithOperand(OpCode.LOAD, subject, line);
+    for (const step of path) {
+      if ('index' in step) {
+        this.emitConstant(step.index, line);
+        this.emit(OpCode.INDEX_GET, line);
+      } else if ('from' in step) {
+        this.emitWithOperand(OpCode.SLICE, step.from, line);
+      } else {
+        this.emitWithOperand(OpCode.GET_PROP, this.makeConstant(step.key, line), line);
+      }
+    }
+  }
+
+  // Leave the arm when the truth on the stack is false; go on without it if not
+  emitMatchTest(failJumps, line) {
+    failJumps.push(this.emitJump(OpCode.JUMP_IF_FALSE, line));
+    this.emit(OpCode.POP, line);
+  }
+
+  // ============================================================
+  // DESTRUCTURING
+  // ============================================================
+
+  visitDestructuringDeclaration(node) {
+    // ring [a, b = 2] = pair
+    // Compiles to:
+    //   ...pair...                  (kept in a hidden local)
+    //   UNPACK_ARRAY
+    //   LOAD pair, GET_ELEMENT 0    -> a
+    //   LOAD pair, MATCH_ARRAY 2 1, JUMP_IF_FALSE missing
+    //   POP, LOAD pair, GET_ELEMENT 1, JUMP done
+    // missing:
+    //   POP, PUSH_CONST 2
+    // done:                         -> b
+    // where each -> leaves the value as a local, or stores it as a global.
+    if (this.scopeDepth > 0) {
+      this.visit(node.value);
+      this.emitUnpack(node.pattern, name => this.addLocal(name));
+      return;
+    }
+
+    // The hidden locals of a global pattern go as soon as it is unpacked
+    this.beginScope();
+    this.visit(node.value);
+    this.emitUnpack(node.pattern, (name, line) => {
+      this.emitWithOperand(OpCode.STORE_GLOBAL, this.makeConstant(name, line), line);
+      this.emit(OpCode.POP, line);
+    });
+    this.endScope();
+  }
+
+  // Unpack the value on top of the stack, calling bind for each name the
+  // pattern binds with that name's value on top. A fellowship or object being
+  // unpacked stays in a hidden local while its parts are taken out.
+  emitUnpack(pattern, bind) {
+    const line = pattern.line;
+
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        this.emit(OpCode.POP, line);
+        break;
+
+      case 'BindingPattern':
+        bind(pattern.name, line);
+        break;
+
+      case 'ArrayPattern': {
+        this.emit(OpCode.UNPACK_ARRAY, line);
+        const source = this.locals.length;
+        this.addLocal('__unpack');
+
+        pattern.elements.forEach((element, i) => {
+          this.emitUnpackPart(element, source, { index: i }, bind);
+        });
+        if (pattern.rest) {
+          this.emitWithOperand(OpCode.LOAD, source, line);
+          this.emitWithOperand(OpCode.SLICE, pattern.elements.length, line);
+          this.emitUnpack(pattern.rest, bind);
+        }
+        break;
+      }
+
+      case 'ObjectPattern': {
+        this.emit(OpCode.UNPACK_OBJECT, line);
+        const source = this.locals.length;
+        this.addLocal('__unpack');
+
+        for (const field of pattern.fields) {
+          this.emitUnpackPart(field.pattern, source, { key: field.key }, bind);
+        }
+        if (pattern.rest) {
+          this.emitWithOperand(OpCode.LOAD, source, line);
+          for (const field of pattern.fields) {
+            this.emitConstant(field.key, line);
+          }
+          this.emitWithOperand(OpCode.OMIT_FIELDS, pattern.fields.length, line);
+          this.emitUnpack(pattern.rest, bind);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`CodeGenerator: Unknown pattern type '${pattern.type}'`);
+    }
+  }
+
+  // Take the element { index } or field { key } out of the hidden local
+  // source and unpack it, or the pattern's default when it is missing
+  emitUnpackPart(pattern, source, step, bind) {
+    if (pattern.type === 'WildcardPattern') return;
+    const line = pattern.line;
+    const hasDefault = pattern.type === 'DefaultPattern';
+
+    let missing;
+    if (hasDefault) {
+      this.emitWithOperand(OpCode.LOAD, source, line);
+      if ('index' in step) {
+        this.emitWithOperand(OpCode.MATCH_ARRAY, step.index + 1, line);
+        this.emit(1, line);
+      } else {
+        this.emitWithOperand(OpCode.HAS_FIELD, this.makeConstant(step.key, line), line);
+      }
+      missing = this.emitJump(OpCode.JUMP_IF_FALSE, line);
+      this.emit(OpCode.POP, line);
+    }
+
+    this.emitWithOperand(OpCode.LOAD, source, line);
+    if ('index' in step) {
+      this.emitWithOperand(OpCode.GET_ELEMENT, step.index, line);
+    } else {
+      this.emitWithOperand(OpCode.GET_FIELD, this.makeConstant(step.key, line), line);
+    }
+
+    if (hasDefault) {
+      const done = this.emitJump(OpCode.JUMP, line);
+      this.patchJump(missing);
+      this.emit(OpCode.POP, line);
+      this.visit(pattern.value);
+      this.patchJump(done);
+    }
+
+    this.emitUnpack(hasDefault ? pattern.pattern : pattern, bind);
+  }
+
+  // In order, fill in the default of each argument that was left out, and
+  // unpack each parameter that is a pattern into locals of its own
+  emitParameters(params, line) {
+    params.forEach((param, i) => {
+      const slot = this.resolveLocal(parameterName(param, i));
+
+      if (param.type === 'DefaultPattern') {
+        //   LOAD slot, JUMP_IF_GIVEN given, POP, ...default..., STORE slot
+        // given:
+        //   POP
+        this.emitWithOperand(OpCode.LOAD, slot, line);
+        const given = this.emitJump(OpCode.JUMP_IF_GIVEN, line);
+        this.emit(OpCode.POP, line);
+        this.visit(param.value);
+        this.emitWithOperand(OpCode.STORE, slot, line);
+        this.patchJump(given);
+        this.emit(OpCode.POP, line);
+        param = param.pattern;
+      }
+
+      if (param.type === 'ArrayPattern' || param.type === 'ObjectPattern') {
+        this.emitWithOperand(OpCode.LOAD, slot, line);
+        this.emitUnpack(param, name => this.addLocal(name));
+      }
+    });
+  }
+
+  // A function object for a compiled song, with what the VM needs to check
+  // its arguments: how many it takes and how arity errors should show them
+  makeFunction(name, params, chunk) {
+    const { min, max } = parameterRange(params);
+    const variadic = max === Infinity;
+    const func = new TmbdlBytecodeFunction(name, variadic ? params.length - 1 : max, chunk);
+    func.required = min;
+    func.variadic = variadic;
+    func.signature = params.map(describeParameter).join(', ');
+    return func;
   }
 
   // ============================================================
@@ -633,25 +1106,36 @@ export class CodeGenerator {
   // ============================================================
 
   visitFunctionDeclaration(node) {
+    this.emitFunction(node.name, node.params, node.body, node.line);
+
+    // Store in global and pop (function declaration is a statement, not expression)
+    const nameIndex = this.makeConstant(node.name, node.line);
+    this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
+    this.emit(OpCode.POP, node.line);
+  }
+
+  // Compile a song body in its own context and leave the closure on the stack.
+  // Shared by song declarations, realm methods and forges.
+  emitFunction(name, params, body, line) {
     // Create a new compiler context for the function
-    const funcContext = new CompilerContext(node.name, this.current);
+    const funcContext = new CompilerContext(name, this.current);
     const outerContext = this.current;
 
     this.current = funcContext;
 
     // Parameters become locals
+    this.checkArgumentCount(params.length, line);
     this.beginScope();
-    for (const param of node.params) {
-      this.addLocal(param);
-    }
+    params.forEach((param, i) => this.addLocal(parameterName(param, i)));
+    this.emitParameters(params, line);
 
     // Compile body
-    if (Array.isArray(node.body)) {
-      for (const stmt of node.body) {
+    if (Array.isArray(body)) {
+      for (const stmt of body) {
         this.visit(stmt);
       }
     } else {
-      this.visit(node.body);
+      this.visit(body);
     }
 
     // Implicit return null
@@ -666,27 +1150,28 @@ export class CodeGenerator {
     this.current = outerContext;
 
     // Create function object
-    const func = new TmbdlBytecodeFunction(node.name, node.params.length, funcChunk);
+    const func = this.makeFunction(name, params, funcChunk);
     func.upvalueCount = upvalues.length;
 
     // Emit MAKE_CLOSURE with upvalue descriptors
-    const funcIndex = this.chunk.addConstant(func);
-    this.emitWithOperand(OpCode.MAKE_CLOSURE, funcIndex, node.line);
+    const funcIndex = this.makeConstant(func, line);
+    this.emitWithOperand(OpCode.MAKE_CLOSURE, funcIndex, line);
 
-    // Emit upvalue descriptors: [isLocal, index] for each
+    // Emit upvalue descriptors: [isLocal, two-byte index] for each
     for (const upvalue of upvalues) {
-      this.emit(upvalue.isLocal ? 1 : 0, node.line);
-      this.emit(upvalue.index, node.line);
+      this.emit(upvalue.isLocal ? 1 : 0, line);
+      this.emitShort(upvalue.index, line);
     }
-
-    // Store in global and pop (function declaration is a statement, not expression)
-    const nameIndex = this.chunk.addConstant(node.name);
-    this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
-    this.emit(OpCode.POP, node.line);
   }
 
   visitReturnStatement(node) {
-    if (node.value) {
+    // A rescue around the call still needs this frame to land in
+    const tail = node.value?.type === 'CallExpression' &&
+      this.current.enclosing !== null && this.current.tryDepth === 0;
+
+    if (tail) {
+      this.visitCallExpression(node.value, true);
+    } else if (node.value) {
       this.visit(node.value);
     } else {
       this.emitConstant(null, node.line);
@@ -701,10 +1186,10 @@ export class CodeGenerator {
 
     this.current = funcContext;
 
+    this.checkArgumentCount(node.params.length, node.line);
     this.beginScope();
-    for (const param of node.params) {
-      this.addLocal(param);
-    }
+    node.params.forEach((param, i) => this.addLocal(parameterName(param, i)));
+    this.emitParameters(node.params, node.line);
 
     // Body might be expression or block
     if (Array.isArray(node.body)) {
@@ -729,37 +1214,131 @@ export class CodeGenerator {
     this.current = outerContext;
 
     // Create function object
-    const func = new TmbdlBytecodeFunction('<lambda>', node.params.length, funcChunk);
+    const func = this.makeFunction('<lambda>', node.params, funcChunk);
     func.upvalueCount = upvalues.length;
 
     // Emit MAKE_CLOSURE with upvalue descriptors
-    const funcIndex = this.chunk.addConstant(func);
+    const funcIndex = this.makeConstant(func, node.line);
     this.emitWithOperand(OpCode.MAKE_CLOSURE, funcIndex, node.line);
 
-    // Emit upvalue descriptors: [isLocal, index] for each
+    // Emit upvalue descriptors: [isLocal, two-byte index] for each
     for (const upvalue of upvalues) {
       this.emit(upvalue.isLocal ? 1 : 0, node.line);
-      this.emit(upvalue.index, node.line);
+      this.emitShort(upvalue.index, node.line);
     }
   }
 
   // ============================================================
-  // TRY/CATCH (simplified - just compile the try block for now)
+  // TRY/CATCH
   // ============================================================
 
   visitTryStatement(node) {
-    // TODO: Proper exception handling
-    // For now, just compile try block
+    // attempt { ... } rescue (peril) { ... }
+    // Compiles to:
+    //   TRY_BEGIN -> rescue
+    //   ...attempt block...
+    //   TRY_END
+    //   JUMP -> end
+    // rescue:            (VM has unwound and pushed the peril object)
+    //   ...rescue block with the peril as a local...
+    // end:
+    const handlerJump = this.emitJump(OpCode.TRY_BEGIN, node.line);
+
+    this.current.tryDepth++;
     this.visit(node.tryBlock);
+    this.current.tryDepth--;
+
+    this.emit(OpCode.TRY_END, node.line);
+    const endJump = this.emitJump(OpCode.JUMP, node.line);
+
+    this.patchJump(handlerJump);
+
+    // The peril object is already on the stack - it becomes the local's slot
+    this.beginScope();
+    this.addLocal(node.catchParam);
+    for (const stmt of node.catchBlock.statements) {
+      this.visit(stmt);
+    }
+    this.endScope();
+
+    this.patchJump(endJump);
   }
 
   // ============================================================
-  // CLASSES (Placeholder - complex to implement)
+  // CLASSES (Realms)
   // ============================================================
 
   visitRealmDeclaration(node) {
-    console.warn('Warning: Classes not fully implemented in bytecode yet');
-    // TODO: Implement class compilation
+    // Stack layout consumed by MAKE_CLASS:
+    //   [superclass or shadow] [forge closure or shadow] [method closures...]
+    if (node.superClass) {
+      this.emitGetVariable(node.superClass, node.line);
+    } else {
+      this.emitConstant(null, node.line);
+    }
+
+    if (node.constructor) {
+      const forge = node.constructor;
+      this.emitFunction('forge', forge.params, forge.body, forge.line);
+    } else {
+      this.emitConstant(null, node.line);
+    }
+
+    for (const method of node.methods) {
+      this.emitFunction(method.name, method.params, method.body, method.line);
+    }
+
+    if (node.methods.length > Limits.METHODS) {
+      throw new CompileError(
+        `Realm '${node.name}' has too many methods - at most ${Limits.METHODS} are allowed`,
+        node.line
+      );
+    }
+
+    const nameIndex = this.makeConstant(node.name, node.line);
+    this.emitWithOperand(OpCode.MAKE_CLASS, nameIndex, node.line);
+    this.emit(node.methods.length, node.line);
+
+    // Name the realm before its members are added, so realm rings can use it
+    if (this.scopeDepth > 0) {
+      // Local realm - the class stays on the stack as the local's slot
+      this.addLocal(node.name);
+    } else {
+      this.emitWithOperand(OpCode.STORE_GLOBAL, nameIndex, node.line);
+    }
+
+    // Each DEFINE_MEMBER pops a value into the realm left on top of the stack:
+    // realm songs and accessors first, then realm rings in order
+    for (const member of node.statics) {
+      if (member.type === 'FunctionDeclaration') {
+        this.emitFunction(member.name, member.params, member.body, member.line);
+        this.emitMember(member.name, MemberKind.SONG, member.line);
+      }
+    }
+    for (const accessor of node.accessors) {
+      this.emitFunction(accessor.name, accessor.params, accessor.body, accessor.line);
+      this.emitMember(accessor.name, accessor.kind === 'reveal' ? MemberKind.REVEAL : MemberKind.INSCRIBE, accessor.line);
+    }
+    for (const member of node.statics) {
+      if (member.type === 'VariableDeclaration') {
+        if (member.value) {
+          this.visit(member.value);
+        } else {
+          this.emitConstant(null, member.line);
+        }
+        this.emitMember(member.name, member.isConstant ? MemberKind.PRECIOUS : MemberKind.RING, member.line);
+      }
+    }
+
+    if (this.scopeDepth === 0) {
+      this.emit(OpCode.POP, node.line);
+    }
+  }
+
+  emitMember(name, kind, line) {
+    const nameIndex = this.makeConstant(name, line);
+    this.emitWithOperand(OpCode.DEFINE_MEMBER, nameIndex, line);
+    this.emit(kind, line);
   }
 
   visitSelfExpression(node) {
@@ -768,19 +1347,45 @@ export class CodeGenerator {
 
   visitPropertyAccess(node) {
     this.visit(node.object);
-    const propIndex = this.chunk.addConstant(node.property);
+    const propIndex = this.makeConstant(node.property, node.line);
     this.emitWithOperand(OpCode.GET_PROP, propIndex, node.line);
   }
 
   visitPropertyAssignment(node) {
     this.visit(node.object);
-    const propIndex = this.chunk.addConstant(node.property);
+    const propIndex = this.makeConstant(node.property, node.line);
     this.visit(node.value);
     this.emitWithOperand(OpCode.SET_PROP, propIndex, node.line);
+    this.emit(OpCode.POP, node.line);
+  }
+
+  visitElderCall(node) {
+    // elder.walk(args) → self and the args, then INVOKE_ELDER. A call that
+    // spreads its arguments calls the elder song bound by GET_ELDER instead.
+    const nameIndex = this.makeConstant(node.method, node.line);
+    if (node.arguments.some(arg => arg.type === 'SpreadArgument')) {
+      this.emitWithOperand(OpCode.GET_ELDER, nameIndex, node.line);
+      this.emitArguments(node.arguments, node.line);
+      this.emitCall(node.arguments, node.line);
+    } else {
+      this.emit(OpCode.GET_THIS, node.line);
+      this.emitArguments(node.arguments, node.line);
+      this.emitWithOperand(OpCode.INVOKE_ELDER, nameIndex, node.line);
+      this.emit(node.arguments.length, node.line);
+    }
+
+    if (node.method === 'forge') {
+      // elder.forge(...) is worth nothing, whatever the forge answers
+      this.emit(OpCode.POP, node.line);
+      this.emitConstant(null, node.line);
+    }
   }
 
   visitCreateExpression(node) {
-    console.warn('Warning: create (new) not implemented in bytecode yet');
+    // create Hobbit("Frodo") → calling the realm itself builds the instance
+    this.emitGetVariable(node.className, node.line);
+    this.emitArguments(node.arguments, node.line);
+    this.emitCall(node.arguments, node.line);
   }
 
   // ============================================================
@@ -788,8 +1393,16 @@ export class CodeGenerator {
   // ============================================================
 
   visitSummonStatement(node) {
+    const pathIndex = this.makeConstant(node.path, node.line);
+
+    if (!node.imports && !node.alias) {
+      // Import all exports: summon "module". The names are only known once
+      // the module has run, so the VM binds them as globals.
+      this.emitWithOperand(OpCode.IMPORT_ALL, pathIndex, node.line);
+      return;
+    }
+
     // Emit IMPORT with the module path
-    const pathIndex = this.chunk.addConstant(node.path);
     this.emitWithOperand(OpCode.IMPORT, pathIndex, node.line);
 
     if (node.imports) {
@@ -797,35 +1410,27 @@ export class CodeGenerator {
       // Stack has the module exports object
       for (const { name, alias } of node.imports) {
         this.emit(OpCode.DUP, node.line);  // Keep module on stack
-        const nameIndex = this.chunk.addConstant(name);
+        const nameIndex = this.makeConstant(name, node.line);
         this.emitWithOperand(OpCode.GET_PROP, nameIndex, node.line);
         // Store in current scope
         if (this.current.scopeDepth > 0) {
           this.addLocal(alias);
         } else {
-          const aliasIndex = this.chunk.addConstant(alias);
+          const aliasIndex = this.makeConstant(alias, node.line);
           this.emitWithOperand(OpCode.STORE_GLOBAL, aliasIndex, node.line);
           this.emit(OpCode.POP, node.line);
         }
       }
       this.emit(OpCode.POP, node.line);  // Pop module object
-    } else if (node.alias) {
+    } else {
       // Import as namespace: summon "module" as m
       if (this.current.scopeDepth > 0) {
         this.addLocal(node.alias);
       } else {
-        const aliasIndex = this.chunk.addConstant(node.alias);
+        const aliasIndex = this.makeConstant(node.alias, node.line);
         this.emitWithOperand(OpCode.STORE_GLOBAL, aliasIndex, node.line);
         this.emit(OpCode.POP, node.line);
       }
-    } else {
-      // Import all exports into current scope
-      // We can't easily do this in bytecode without knowing the keys at compile time
-      // For now, store as __module_<path>
-      const tempName = `__module_${node.path}`;
-      const tempIndex = this.chunk.addConstant(tempName);
-      this.emitWithOperand(OpCode.STORE_GLOBAL, tempIndex, node.line);
-      this.emit(OpCode.POP, node.line);
     }
   }
 
@@ -836,7 +1441,7 @@ export class CodeGenerator {
 
       // Get the name from the declaration
       const name = node.declaration.name;
-      const nameIndex = this.chunk.addConstant(name);
+      const nameIndex = this.makeConstant(name, node.line);
 
       // Load the value we just defined
       if (this.current.scopeDepth > 0) {
@@ -851,7 +1456,7 @@ export class CodeGenerator {
     } else if (node.names) {
       // share { x, y, z }
       for (const name of node.names) {
-        const nameIndex = this.chunk.addConstant(name);
+        const nameIndex = this.makeConstant(name, node.line);
 
         // Load the value
         const local = this.resolveLocal(name);
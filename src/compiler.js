@@ -3,18 +3,432 @@
 // The compiler "visits" each AST node and outputs equivalent JavaScript.
 // We start simple (literals) and build up to complex (classes).
 
+import { dirname, relative, resolve, join, basename, sep } from 'path';
+import { natives, checkArguments, formatWith, TYPE_LABELS, isEqual, add, arithmetic, negate, step } from './stdlib.js';
+import { TmbdlError, RuntimeError, TypeError, ConstantError, DivisionByZeroError, arityError, createPeril } from './errors.js';
+import { parameterRange, describeParameter } from './ast.js';
+import { sharedNames, inModule } from './modules.js';
+import { mark, stripMarks, decodeMappings, createSourceMap, sourceMappingComment } from './sourcemap.js';
+
+// Every identifier mentioned anywhere in an AST
+function collectIdentifiers(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectIdentifiers(child, names);
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'Identifier') names.add(node.name);
+    for (const value of Object.values(node)) collectIdentifiers(value, names);
+  }
+  return names;
+}
+
+// Whether a forge body calls elder.forge(...) itself
+function callsElderForge(node) {
+  if (Array.isArray(node)) return node.some(callsElderForge);
+  if (node && typeof node === 'object') {
+    if (node.type === 'ElderCall' && node.method === 'forge') return true;
+    return Object.values(node).some(callsElderForge);
+  }
+  return false;
+}
+
+// A song's parameter list as arity errors show it, e.g. "(name, ...rest)"
+function describeSignature(params) {
+  return `(${params.map(describeParameter).join(', ')})`;
+}
+
+// Runtime host for transpiled programs. These are copied into the generated
+// runtime as source, so they must not use anything else from this module.
+
+// What a JavaScript value is, for formatWith
+function describeJsValue(value) {
+  if (typeof value === 'function') {
+    if (value.isNative) return { kind: 'native song', name: value.name };
+    if (/^class\b/.test(Function.prototype.toString.call(value))) return { kind: 'realm', name: value.name };
+    if (value.signature !== undefined) return { kind: 'lambda', name: value.signature };
+    return { kind: 'song', name: value.name };
+  }
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+      return { kind: 'instance', name: value.constructor.name, fields: Object.entries(value) };
+    }
+  }
+  return null;
+}
+
+function typeOfJsValue(value) {
+  if (value === null || value === undefined) return 'shadow';
+  if (typeof value === 'boolean') return 'truth';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'tale';
+  if (Array.isArray(value)) return 'fellowship';
+  if (typeof value === 'function') {
+    return /^class\b/.test(Function.prototype.toString.call(value)) ? 'realm' : 'song';
+  }
+  return 'realm';
+}
+
+// The names a destructuring pattern binds
+function patternNames(pattern, names = []) {
+  switch (pattern.type) {
+    case 'BindingPattern': names.push(pattern.name); break;
+    case 'DefaultPattern': patternNames(pattern.pattern, names); break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) patternNames(element, names);
+      if (pattern.rest) patternNames(pattern.rest, names);
+      break;
+    case 'ObjectPattern':
+      for (const field of pattern.fields) patternNames(field.pattern, names);
+      if (pattern.rest) patternNames(pattern.rest, names);
+      break;
+  }
+  return names;
+}
+
+// An import specifier for file `to`, written from inside file `from`
+function specifier(from, to) {
+  const path = relative(dirname(from), to).split(sep).join('/');
+  return path.startsWith('.') ? path : `./${path}`;
+}
+
+// The shared runtime that every compiled module imports, next to the entry
+const RUNTIME_MODULE = 'tmbdl-runtime.mjs';
+
+// Error.prepareStackTrace for transpiled programs: a frame in a module that
+// gave its source map is shown at the tmbdl line and column it came from
+function tmbdlStackTrace(error, frames) {
+  const lines = frames.map(frame => {
+    const location = __tmbdl_locate(frame.getFileName(), frame.getLineNumber(), frame.getColumnNumber());
+    if (!location) return `    at ${frame}`;
+    const at = `${location.url}:${location.line}:${location.column}`;
+    const name = frame.getFunctionName();
+    return name ? `    at ${name} (${at})` : `    at ${at}`;
+  });
+  return [String(error), ...lines].join('\n');
+}
+
+// Error.prepareStackTrace as JavaScript's own, for programs that keep the
+// frames only to hand them to perils
+function jsStackTrace(error, frames) {
+  return [Error.prototype.toString.call(error), ...frames.map(frame => `    at ${frame}`)].join('\n');
+}
+
+// The part of the runtime that keeps the modules' source maps. Rescues need
+// them as well, to tell a caught error's line and the songs it passed
+// through the way the other backends do: every frame is kept, and the song a
+// frame is in is the one whose name is mapped where its function begins.
+function sourceMapRuntime({ sourceMaps, perils, bundle }) {
+  let runtime = `// Source maps: script -> for each generated line, { url, entry, names,
+// segments }: the URL of the tmbdl file it came from, whether that is the
+// program's entry, and its [column, source line, source column, name] segments
+const __tmbdl_sourceMaps = new Map();
+const __tmbdl_decodeMappings = ${decodeMappings};
+const __tmbdl_sourceMap = (script, source, mappings, { names = [], entry = true, offset = 0, base = script } = {}) => {
+  const url = source === null ? null : new URL(source, base).href;
+  const lines = __tmbdl_sourceMaps.get(script) ?? [];
+  __tmbdl_decodeMappings(mappings).forEach((segments, i) => {
+    if (segments.length > 0) lines[offset + i] = { url, entry, names, segments };
+  });
+  __tmbdl_sourceMaps.set(script, lines);
+};
+// The tmbdl { url, line, column, name, entry } a place in a script came from
+const __tmbdl_locate = (script, line, column) => {
+  const mapped = __tmbdl_sourceMaps.get(script)?.[line - 1];
+  const segment = mapped?.segments.findLast(([start]) => start <= column - 1);
+  if (!segment) return null;
+  const name = segment.length > 3 ? mapped.names[segment[3]] : null;
+  return { url: mapped.url, line: segment[1] + 1, column: segment[2] + 1, name, entry: mapped.entry };
+};
+`;
+  if (!perils) return `${runtime}Error.prepareStackTrace = ${tmbdlStackTrace};
+
+`;
+
+  if (bundle) {
+    runtime += `// The script the bundle runs from, as its stack frames name it, and its URL
+const __tmbdl_script = (() => {
+  const prepare = Error.prepareStackTrace;
+  Error.prepareStackTrace = (error, frames) => frames[0].getFileName();
+  const script = new Error().stack;
+  Error.prepareStackTrace = prepare;
+  return script;
+})();
+const __tmbdl_scriptUrl = __tmbdl_script.startsWith('file:') ? __tmbdl_script : pathToFileURL(__tmbdl_script).href;
+`;
+  }
+  return `${runtime}// The frames of each error, kept as its stack is first asked for
+const __tmbdl_callSites = new WeakMap();
+const __tmbdl_stackTrace = ${sourceMaps ? tmbdlStackTrace : jsStackTrace};
+Error.stackTraceLimit = Infinity;
+Error.prepareStackTrace = (error, frames) => {
+  __tmbdl_callSites.set(error, frames);
+  return __tmbdl_stackTrace(error, frames);
+};
+${createPeril}
+// A frame is named as in the interpreter: a method after the realm of its
+// self, and code outside any song <main>, or <module> in a summoned module
+const __tmbdl_frameName = (frame, song, entry) => {
+  if (song === null) return entry ? '<main>' : '<module>';
+  const type = frame.getTypeName();
+  if (!song.includes('.') || !type || type === 'Function' || frame.isConstructor()) return song;
+  return \`\${type}.\${song.split('.')[1]}\`;
+};
+// What a rescue is handed: the error as a peril, traced through the tmbdl
+// songs its frames are in, innermost first
+const __tmbdl_peril = (error) => {
+  if (error instanceof Error && !error.trace) {
+    error.stack; // asking for the stack hands its frames to prepareStackTrace
+    const trace = [];
+    for (const frame of __tmbdl_callSites.get(error) ?? []) {
+      const at = __tmbdl_locate(frame.getFileName(), frame.getLineNumber(), frame.getColumnNumber());
+      if (!at) continue;
+      const start = __tmbdl_locate(frame.getFileName(), frame.getEnclosingLineNumber(), frame.getEnclosingColumnNumber());
+      const file = at.url?.startsWith('file:') ? fileURLToPath(at.url) : at.url;
+      trace.push({ name: __tmbdl_frameName(frame, start?.name ?? null, at.entry), file, line: at.line });
+    }
+    error.trace = trace;
+    error.line ??= trace[0]?.line ?? null;
+  }
+  return createPeril(error);
+};
+
+`;
+}
+
+// How the runtime reaches the file system: a module imports it, while a
+// bundle may be run as either a module or a CommonJS script
+const FS_IMPORT = "import { readFileSync, writeFileSync, existsSync } from 'fs';";
+const FS_REQUIRE = "const { readFileSync, writeFileSync, existsSync } = process.getBuiltinModule('fs');";
+const URL_IMPORT = "import { fileURLToPath, pathToFileURL } from 'url';";
+const URL_REQUIRE = "const { fileURLToPath, pathToFileURL } = process.getBuiltinModule('url');";
+
+// The module registry of a bundle: path -> the song that runs the module,
+// and path -> what it shared. A module runs the first time it is summoned,
+// and one summoned again while it runs gets what it has shared so far.
+const MODULE_REGISTRY = `const __tmbdl_modules = new Map();
+const __tmbdl_shared = new Map();
+const __tmbdl_require = (path) => {
+  if (!__tmbdl_shared.has(path)) {
+    const shared = {};
+    __tmbdl_shared.set(path, shared);
+    __tmbdl_modules.get(path)(shared);
+  }
+  return __tmbdl_shared.get(path);
+};
+`;
+
+// Whether a program has an attempt anywhere, so its compiled code must be
+// able to tell what it rescues the way the other backends do
+function hasRescue(node) {
+  if (Array.isArray(node)) return node.some(hasRescue);
+  if (node === null || typeof node !== 'object') return false;
+  return node.type === 'TryStatement' || Object.values(node).some(hasRescue);
+}
+
 export class Compiler {
   constructor() {
     this.indentLevel = 0;
     this.indentStr = '  '; // 2 spaces
+    this.riddleCount = 0;  // riddles compiled so far, to name their labels
+    this.unpackCount = 0;  // fellowships and objects destructured so far, to name them
+    this.realm = null;     // name of the realm being compiled, for arity errors
+    this.summons = null;   // summon node -> { specifier, shares } when compiling modules
+    this.imports = new Map();  // module specifier -> its namespace name, hoisted to the top
+    this.sourceMaps = false;   // whether to mark where each node's code begins
+    this.bundling = false;     // whether modules are songs in a bundle's registry
   }
 
   // Main entry point - compile an entire program
   compile(ast) {
     // The runtime provides stdlib functions like sing, eyeof, etc.
-    const runtime = this.generateRuntime();
-    const code = this.visit(ast);
-    return runtime + '\n' + code;
+    const perils = hasRescue(ast);
+    const runtime = this.generateRuntime(ast, { perils });
+    this.sourceMaps = perils;
+    const { code, mappings, names } = stripMarks(this.visit(ast));
+    this.sourceMaps = false;
+    const header = runtime + '\n' + this.hoistedImports();
+    if (!perils) return header + code;
+
+    // The code comes after the header and the line handing over the mappings
+    const options = `{ names: ${JSON.stringify(names)}, offset: ${header.split('\n').length} }`;
+    return `${header}__tmbdl_sourceMap(import.meta.url, null, ${JSON.stringify(mappings)}, ${options});\n${code}`;
+  }
+
+  // Compile a program and every module it summons, as loaded by
+  // loadModuleGraph, to one ES module each. The entry is written to
+  // outputPath and the other modules where they sit relative to it, with
+  // .mjs in place of .tmbdl; all of them import the runtime from a module of
+  // its own. sourceMap is null, 'file' for a .map file beside each module or
+  // 'inline' for one inside it. Answers [{ path, output, code, map }], the
+  // runtime's path being null and map set only for .map files.
+  compileModules(modules, outputPath, { sourceMap = null } = {}) {
+    const entry = [...modules.keys()].at(-1);
+    const outputs = new Map();
+    for (const path of modules.keys()) {
+      outputs.set(path, path === entry
+        ? resolve(outputPath)
+        : resolve(dirname(outputPath), relative(dirname(entry), path)).replace(/\.tmbdl$/, '.mjs'));
+    }
+
+    const asts = [...modules.values()].map(module => module.ast);
+    const runtime = {
+      path: null,
+      output: join(dirname(resolve(outputPath)), RUNTIME_MODULE),
+      code: this.generateRuntime(asts, { sourceMaps: sourceMap !== null, perils: hasRescue(asts) }),
+    };
+    const exported = [...runtime.code.matchAll(/^(?:const|let) (\w+)/gm)].map(match => match[1]);
+    runtime.code += `\nexport { ${exported.join(', ')} };\n`;
+
+    const files = [runtime];
+    for (const { path, source, ast, summons } of modules.values()) {
+      const output = outputs.get(path);
+      const known = new Map();
+      for (const [node, modulePath] of summons) {
+        known.set(node, {
+          specifier: specifier(output, outputs.get(modulePath)),
+          shares: sharedNames(modules.get(modulePath).ast),
+        });
+      }
+      const map = sourceMap !== null || hasRescue(asts)
+        ? { style: sourceMap, file: basename(output), source: specifier(output, path), content: source, entry: path === entry }
+        : null;
+      try {
+        files.push({ path, output, ...this.compileModule(ast, specifier(output, runtime.output), known, exported, map) });
+      } catch (error) {
+        throw inModule(error, path);
+      }
+    }
+    return files;
+  }
+
+  // Compile one module of a program. Instead of a runtime of its own, it
+  // imports the helpers and stdlib songs it uses from the runtime module,
+  // except those its own top-level names would clash with. With a source
+  // map, the module hands its mappings to the runtime as it starts, so
+  // stack traces and perils through it can be told in tmbdl lines; a map
+  // with no style is only handed over, not written. Answers { code, map }.
+  compileModule(ast, runtime, summons, exported, sourceMap = null) {
+    this.summons = summons;
+    this.imports = new Map();
+    this.sourceMaps = sourceMap !== null;
+    const marked = this.visit(ast);
+    this.sourceMaps = false;
+    const { code, mappings, names: songNames } = stripMarks(marked);
+
+    const declared = this.topLevelNames(ast);
+    const stdlib = new Set(natives.map(native => native.name));
+    const wanted = new Set(code.match(/\b__tmbdl_\w+/g));
+    for (const name of collectIdentifiers(ast)) {
+      if (stdlib.has(name) && !declared.has(name)) wanted.add(name);
+    }
+    if (sourceMap) wanted.add('__tmbdl_sourceMap');
+    const names = exported.filter(name => wanted.has(name));
+
+    const imports = `import { ${names.join(', ')} } from "${runtime}";\n${this.hoistedImports()}`;
+    if (!sourceMap) {
+      return { code: `${imports}\n${code}\n`, map: null };
+    }
+
+    // The code comes after the imports, the line handing over the mappings and a blank line
+    const lines = ';'.repeat(imports.split('\n').length + 1) + mappings;
+    const options = `{ names: ${JSON.stringify(songNames)}, entry: ${sourceMap.entry} }`;
+    const header = `${imports}__tmbdl_sourceMap(import.meta.url, ${JSON.stringify(sourceMap.source)}, ${JSON.stringify(lines)}, ${options});\n\n`;
+    if (!sourceMap.style) {
+      return { code: `${header}${code}\n`, map: null };
+    }
+    const map = createSourceMap(sourceMap.file, sourceMap.source, sourceMap.content, lines, songNames);
+    if (sourceMap.style === 'inline') {
+      return { code: `${header}${code}\n${sourceMappingComment(map)}\n`, map: null };
+    }
+    return { code: `${header}${code}\n${sourceMappingComment(map, `${sourceMap.file}.map`)}\n`, map };
+  }
+
+  // Bundle a program and every module it summons, as loaded by
+  // loadModuleGraph, into one script that plain node can run. Each module
+  // becomes a song in a registry, named by its path from the entry's
+  // directory and run when it is first summoned, as in the interpreter. The
+  // runtime, holding only the stdlib songs the program uses, comes first.
+  // A program that rescues hands each module's mappings to the runtime, so
+  // its perils are told in tmbdl lines, as in compileModule.
+  bundle(modules) {
+    const entry = [...modules.keys()].at(-1);
+    const ids = new Map();
+    for (const path of modules.keys()) {
+      ids.set(path, relative(dirname(entry), path).split(sep).join('/'));
+    }
+
+    const asts = [...modules.values()].map(module => module.ast);
+    const perils = hasRescue(asts);
+    const runtime = this.generateRuntime(asts, { bundle: true, perils });
+
+    let bundled = `'use strict';\n${runtime}\n${MODULE_REGISTRY}\n`;
+    const sourceMaps = [];
+    this.bundling = true;
+    this.sourceMaps = perils;
+    this.indentLevel = 1;
+    try {
+      for (const { path, ast, summons } of modules.values()) {
+        this.summons = new Map();
+        for (const [node, modulePath] of summons) {
+          this.summons.set(node, { id: ids.get(modulePath), shares: sharedNames(modules.get(modulePath).ast) });
+        }
+        try {
+          const { code, mappings, names } = stripMarks(this.visit(ast));
+          const id = JSON.stringify(ids.get(path));
+          const opening = `// ${ids.get(path)}\n__tmbdl_modules.set(${id}, (__tmbdl_exports) => {\n`;
+          if (perils) {
+            const offset = (bundled + opening).split('\n').length - 1;
+            const options = `{ names: ${JSON.stringify(names)}, entry: ${path === entry}, offset: ${offset}, base: __tmbdl_scriptUrl }`;
+            sourceMaps.push(`__tmbdl_sourceMap(__tmbdl_script, ${id}, ${JSON.stringify(mappings)}, ${options});\n`);
+          }
+          bundled += `${opening}${code}\n});\n\n`;
+        } catch (error) {
+          throw inModule(error, path);
+        }
+      }
+    } finally {
+      this.bundling = false;
+      this.sourceMaps = false;
+      this.indentLevel = 0;
+    }
+
+    return `${bundled}${sourceMaps.join('')}__tmbdl_require(${JSON.stringify(ids.get(entry))});\n`;
+  }
+
+  // The names a module declares outside any block, which a stdlib song of
+  // the same name must not be imported alongside
+  topLevelNames(ast) {
+    const names = new Set();
+    for (let statement of ast.statements) {
+      if (statement.type === 'ShareStatement') statement = statement.declaration;
+      if (!statement) continue;
+      switch (statement.type) {
+        case 'VariableDeclaration':
+        case 'FunctionDeclaration':
+        case 'RealmDeclaration':
+          names.add(statement.name);
+          break;
+        case 'DestructuringDeclaration':
+          for (const name of patternNames(statement.pattern)) names.add(name);
+          break;
+        case 'SummonStatement':
+          for (const name of this.summonedNames(statement)) names.add(name);
+          break;
+      }
+    }
+    return names;
+  }
+
+  // The names a summon binds: those it lists, its alias, or all its module shares
+  summonedNames(node) {
+    if (node.imports) return node.imports.map(({ alias }) => alias);
+    if (node.alias) return [node.alias];
+    return this.summons?.get(node)?.shares ?? [];
+  }
+
+  // One namespace import per summoned module, for the top of the output
+  hoistedImports() {
+    return [...this.imports].map(([path, name]) => `import * as ${name} from "${path}";\n`).join('');
   }
 
   // Compile without runtime (for testing individual pieces)
@@ -22,54 +436,119 @@ export class Compiler {
     return this.visit(ast);
   }
 
-  // Generate the runtime support code
-  generateRuntime() {
+  // Generate the runtime support code. The stdlib comes from the shared
+  // registry in stdlib.js; given an AST, only the songs it mentions are
+  // included. With sourceMaps, it can tell stack traces in tmbdl lines, and
+  // with perils, errors for rescues; for a bundle, which is a script rather
+  // than a module, it imports nothing.
+  generateRuntime(ast = null, { sourceMaps = false, perils = false, bundle = false } = {}) {
+    const used = ast ? collectIdentifiers(ast) : null;
+    const songs = natives.filter(native => used === null || used.has(native.name));
+    const usesFs = songs.some(native => /\b(readFileSync|writeFileSync|existsSync)\b/.test(String(native.fn)));
+
+    const definitions = songs.map(native => {
+      const { fn, ...meta } = native;
+      return `const ${native.name} = __tmbdl_native(${JSON.stringify(meta)}, ${fn});`;
+    });
+
     return `// Tmbdl Runtime
-const __tmbdl_print = (...args) => console.log(...args);
-const __tmbdl_eyeof = (label, value) => console.debug(\`👁 [\${label}]:\`, value);
-
-// Standard library functions
-const length = (x) => x.length;
-const push = (arr, val) => { arr.push(val); return arr; };
-const pop = (arr) => arr.pop();
-const type = (x) => {
-  if (x === null) return 'shadow';
-  if (typeof x === 'boolean') return 'truth';
-  if (typeof x === 'number') return 'number';
-  if (typeof x === 'string') return 'tale';
-  if (Array.isArray(x)) return 'fellowship';
-  if (typeof x === 'function') return 'song';
-  if (typeof x === 'object') return 'realm';
-  return 'unknown';
+${usesFs ? `${bundle ? FS_REQUIRE : FS_IMPORT}\n` : ''}${perils ? `${bundle ? URL_REQUIRE : URL_IMPORT}\n` : ''}
+${TmbdlError}
+${RuntimeError}
+${TypeError}
+${ConstantError}
+${DivisionByZeroError}
+${arityError}
+
+const __tmbdl_formatWith = ${formatWith};
+const __tmbdl_format = (value) => __tmbdl_formatWith(value, ${describeJsValue});
+const __tmbdl_typeOf = ${typeOfJsValue};
+// How the next song to check its arguments was called: by a native, which
+// may pass more than the song takes (map passes the index too), or by the
+// super() added to the forge of a realm that inherits, which is not checked
+let __tmbdl_caller = null;
+// Forges set it through this, as a module cannot assign a binding it imports
+const __tmbdl_calledBy = (caller) => { __tmbdl_caller = caller; };
+const __tmbdl_arity = (song, min, max, received) => {
+  const caller = __tmbdl_caller;
+  __tmbdl_caller = null;
+  if (caller === 'super') return;
+  if (received < min || (received > max && caller !== 'native')) {
+    throw arityError(song, min, max, received);
+  }
+};
+const __tmbdl_lambda = (signature, min, max, fn) => {
+  const lambda = (...args) => {
+    __tmbdl_arity('Lambda ' + signature, min, max, args.length);
+    return fn(...args);
+  };
+  lambda.signature = signature;
+  return lambda;
+};
+const __tmbdl_host = {
+  call: (song, args) => {
+    __tmbdl_caller = 'native';
+    try {
+      return song(...args);
+    } finally {
+      __tmbdl_caller = null;
+    }
+  },
+  format: __tmbdl_format,
+  typeOf: __tmbdl_typeOf,
+};
+const TYPE_LABELS = ${JSON.stringify(TYPE_LABELS)};
+const __tmbdl_spread = (value) => {
+  if (Array.isArray(value)) return value;
+  throw new TypeError(\`Only a fellowship can be spread into arguments, not a \${TYPE_LABELS[__tmbdl_typeOf(value)]}\`);
+};
+// A fellowship or object a pattern unpacks, checked as the other backends check it
+const __tmbdl_unpack = (kind, value) => {
+  if (kind === 'fellowship' ? Array.isArray(value) : typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    return value;
+  }
+  throw new TypeError(\`\${kind === 'fellowship' ? 'A fellowship' : 'An object'} pattern cannot unpack a \${TYPE_LABELS[__tmbdl_typeOf(value)]}\`);
+};
+const __tmbdl_check = ${checkArguments};
+// A realm precious keeps its value, and cannot be assigned through the realm
+// or any realm that inherits it
+const __tmbdl_precious = (realm, name) => {
+  const value = realm[name];
+  Object.defineProperty(realm, name, {
+    get: () => value,
+    set: () => {
+      throw new ConstantError(name);
+    },
+  });
 };
-const str = (x) => String(x);
-const num = (x) => Number(x);
-const floor = (x) => Math.floor(x);
-const ceil = (x) => Math.ceil(x);
-const round = (x) => Math.round(x);
-const abs = (x) => Math.abs(x);
-const min = (...args) => Math.min(...args);
-const max = (...args) => Math.max(...args);
-const random = () => Math.random();
-const range = (start, end, step = 1) => {
-  if (end === undefined) { end = start; start = 0; }
-  const result = [];
-  if (step > 0) for (let i = start; i < end; i += step) result.push(i);
-  else for (let i = start; i > end; i += step) result.push(i);
-  return result;
+// The inscribe of a property its realm only reveals
+const __tmbdl_revealOnly = (instance, name) => {
+  throw new TypeError(\`'\${name}' of \${instance.constructor.name} can only be revealed, not inscribed\`);
 };
-const keys = (obj) => Object.keys(obj);
-const values = (obj) => Object.values(obj);
-const split = (str, delim) => str.split(delim);
-const join = (arr, delim) => arr.join(delim);
-const slice = (x, start, end) => x.slice(start, end);
-const map = (arr, fn) => arr.map(fn);
-const filter = (arr, fn) => arr.filter(fn);
-const reduce = (arr, fn, init) => init !== undefined ? arr.reduce(fn, init) : arr.reduce(fn);
-const find = (arr, fn) => arr.find(fn) ?? null;
-const some = (arr, fn) => arr.some(fn);
-const every = (arr, fn) => arr.every(fn);
-const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
+
+// The operators, as every backend runs them. Conditions, none, with and
+// either use JavaScript's own truthiness, which is already tmbdl's.
+const __tmbdl_equal = ${isEqual};
+const __tmbdl_join = ${add};
+const __tmbdl_add = (a, b) => __tmbdl_join(a, b, __tmbdl_format);
+const __tmbdl_arithmetic = ${arithmetic};
+const __tmbdl_negate = ${negate};
+const __tmbdl_step = ${step};
+const __tmbdl_native = (native, fn) => {
+  const song = (...args) => {
+    __tmbdl_check(native, args, __tmbdl_typeOf);
+    return fn(args, __tmbdl_host);
+  };
+  Object.defineProperty(song, 'name', { value: native.name });
+  song.isNative = true;
+  return song;
+};
+
+const __tmbdl_print = (value) => console.log(__tmbdl_format(value));
+const __tmbdl_eyeof = (label, value) => console.debug(\`👁 [\${__tmbdl_format(label)}]:\`, __tmbdl_format(value));
+
+${sourceMaps || perils ? sourceMapRuntime({ sourceMaps, perils, bundle }) : ''}// Standard library functions
+${definitions.join('\n')}
 `;
   }
 
@@ -84,12 +563,18 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
 
     const methodName = `visit${node.type}`;
     if (this[methodName]) {
-      return this[methodName](node);
+      const code = this[methodName](node);
+      return this.sourceMaps && node.line ? mark(code, node) : code;
     }
 
     throw new Error(`Compiler: Unknown node type '${node.type}'`);
   }
 
+  // Mark where the code of a song begins with the name its frames go by
+  named(code, node, name) {
+    return this.sourceMaps && node.line ? mark(code, node, name) : code;
+  }
+
   // ============================================================
   // LITERALS - The simplest nodes, just output their JS equivalent
   // ============================================================
@@ -144,8 +629,8 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
       if (part.type === 'text') {
         result += part.value;
       } else {
-        // It's an expression
-        result += '${' + this.visit(part.value) + '}';
+        // It's an expression - formatted the way sing would print it
+        result += '${__tmbdl_format(' + this.visit(part.value) + ')}';
       }
     }
     result += '`';
@@ -162,17 +647,22 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
   }
 
   visitBinaryExpression(node) {
-    // a + b → "(a + b)"
+    // a + b → "__tmbdl_add(a, b)", a == b → "__tmbdl_equal(a, b)",
+    // a - b → "__tmbdl_arithmetic("-", a, b)"
     const left = this.visit(node.left);
     const right = this.visit(node.right);
-    return `(${left} ${node.operator} ${right})`;
+    switch (node.operator) {
+      case '+': return `__tmbdl_add(${left}, ${right})`;
+      case '==': return `__tmbdl_equal(${left}, ${right})`;
+      case '!=': return `(!__tmbdl_equal(${left}, ${right}))`;
+      default: return `__tmbdl_arithmetic("${node.operator}", ${left}, ${right})`;
+    }
   }
 
   visitUnaryExpression(node) {
-    // none x → "(!x)"  (none is our NOT)
+    // none x → "(!x)"  (none is our NOT), -x → "__tmbdl_negate(x)"
     const operand = this.visit(node.operand);
-    const operator = node.operator === 'none' ? '!' : node.operator;
-    return `(${operator}${operand})`;
+    return node.operator === 'none' ? `(!${operand})` : `__tmbdl_negate(${operand})`;
   }
 
   visitLogicalExpression(node) {
@@ -198,6 +688,11 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
     return `${callee}(${args.join(', ')})`;
   }
 
+  visitSpreadArgument(node) {
+    // f(...list) → "f(...__tmbdl_spread(list))"
+    return `...__tmbdl_spread(${this.visit(node.argument)})`;
+  }
+
   visitIndexExpression(node) {
     // arr[0] → "arr[0]"
     const obj = this.visit(node.object);
@@ -206,26 +701,30 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
   }
 
   visitUpdateExpression(node) {
-    // x++ → "x++", ++x → "++x"
-    if (node.prefix) {
-      return `(${node.operator}${node.name})`;
-    } else {
-      return `(${node.name}${node.operator})`;
-    }
+    // ++x → "(x = __tmbdl_step("++", x))"; x++ answers the value before
+    const update = `(${node.name} = __tmbdl_step("${node.operator}", ${node.name}))`;
+    if (node.prefix) return update;
+    return `(${update} ${node.operator === '++' ? '-' : '+'} 1)`;
   }
 
   visitLambdaExpression(node) {
-    // (x) => x * 2 → "(x) => x * 2"
-    const params = node.params.join(', ');
+    // (x) => x * 2 → "__tmbdl_lambda("(x)", 1, 1, (x) => x * 2)"
+    // The wrapper checks the argument count, which an arrow function cannot,
+    // and keeps the parameter list for str() to show
+    const { params, bindings } = this.compileParameters(node.params);
+    const { min, max } = parameterRange(node.params);
+    const signature = JSON.stringify(describeSignature(node.params));
 
     // Body can be an expression, block, or array
+    let body;
     if (Array.isArray(node.body) || (node.body && node.body.type === 'BlockStatement')) {
-      const body = this.compileBody(node.body);
-      return `(${params}) => ${body}`;
+      body = this.compileBody(node.body, bindings.length > 0 ? bindings : null);
+    } else if (bindings.length > 0) {
+      body = this.compileBody([], [...bindings, `return ${this.visit(node.body)};`]);
     } else {
-      const body = this.visit(node.body);
-      return `(${params}) => ${body}`;
+      body = this.visit(node.body);
     }
+    return this.named(`__tmbdl_lambda(${signature}, ${min}, ${max}, (${params}) => ${body})`, node, '<lambda>');
   }
 
   // ============================================================
@@ -240,24 +739,128 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
     return `${this.indent()}${keyword} ${node.name} = ${value};`;
   }
 
+  visitDestructuringDeclaration(node) {
+    // ring [a, _, b = 2] = arr
+    // → let __unpack1 = __tmbdl_unpack("fellowship", arr);
+    //   let a = (__unpack1.length > 0 ? __unpack1[0] : null);
+    //   let b = (__unpack1.length > 2 ? __unpack1[2] : (2));
+    const keyword = node.isConstant ? 'const' : 'let';
+    const bindings = [];
+    this.compileUnpack(node.pattern, this.visit(node.value), bindings);
+    return bindings.map(([name, value]) => `${this.indent()}${keyword} ${name} = ${value};`).join('\n');
+  }
+
+  // Add the [name, expression] pairs that unpack value into pattern to
+  // bindings, in order, so a default sees the names bound before it. A
+  // fellowship or object is checked by __tmbdl_unpack and kept under a name
+  // of its own first, and a missing element or field is shadow.
+  compileUnpack(pattern, value, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+
+      case 'BindingPattern':
+        bindings.push([pattern.name, value]);
+        break;
+
+      case 'ArrayPattern': {
+        const fellowship = `__unpack${++this.unpackCount}`;
+        bindings.push([fellowship, `__tmbdl_unpack("fellowship", ${value})`]);
+        pattern.elements.forEach((element, i) => {
+          this.compileUnpackPart(element, `${fellowship}.length > ${i}`, `${fellowship}[${i}]`, bindings);
+        });
+        if (pattern.rest) {
+          this.compileUnpack(pattern.rest, `${fellowship}.slice(${pattern.elements.length})`, bindings);
+        }
+        break;
+      }
+
+      case 'ObjectPattern': {
+        const object = `__unpack${++this.unpackCount}`;
+        bindings.push([object, `__tmbdl_unpack("object", ${value})`]);
+        for (const { key, pattern: field } of pattern.fields) {
+          this.compileUnpackPart(field, `Object.hasOwn(${object}, "${key}")`, `${object}.${key}`, bindings);
+        }
+        if (pattern.rest) {
+          const keys = JSON.stringify(pattern.fields.map(field => field.key));
+          const rest = `Object.fromEntries(Object.entries(${object}).filter(([key]) => !${keys}.includes(key)))`;
+          this.compileUnpack(pattern.rest, rest, bindings);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Compiler: Unknown pattern type '${pattern.type}'`);
+    }
+  }
+
+  // One element or field of a pattern, present when the test holds, which
+  // may give a default for when it is not
+  compileUnpackPart(pattern, present, value, bindings) {
+    const missing = pattern.type === 'DefaultPattern' ? `(${this.visit(pattern.value)})` : 'null';
+    const target = pattern.type === 'DefaultPattern' ? pattern.pattern : pattern;
+    if (target.type === 'WildcardPattern' && missing === 'null') return;
+    this.compileUnpack(target, `(${present} ? ${value} : ${missing})`, bindings);
+  }
+
+  // Parameters that are all names, perhaps with a ...rest, are JavaScript's
+  // own. Otherwise the arguments come as one array, and the parameters are
+  // bound from it by the lines the body starts with.
+  compileParameters(params) {
+    if (params.every(param => typeof param === 'string' || param.type === 'RestParameter')) {
+      return {
+        params: params.map(param => typeof param === 'string' ? param : `...${param.name}`).join(', '),
+        bindings: [],
+      };
+    }
+
+    const bindings = [];
+    params.forEach((param, i) => {
+      if (typeof param === 'string') {
+        bindings.push([param, `__tmbdl_args[${i}]`]);
+      } else if (param.type === 'RestParameter') {
+        bindings.push([param.name, `__tmbdl_args.slice(${i})`]);
+      } else {
+        this.compileUnpackPart(param, `__tmbdl_args.length > ${i}`, `__tmbdl_args[${i}]`, bindings);
+      }
+    });
+    return { params: '...__tmbdl_args', bindings: bindings.map(([name, value]) => `let ${name} = ${value};`) };
+  }
+
+  // A song's parameter list, and the lines its body starts with: the check
+  // of how many arguments it got, then the binding of any parameter with a
+  // default or a pattern, so that no default runs, and nothing is unpacked,
+  // on a call the check rejects
+  compileSignature(song, params) {
+    const { min, max } = parameterRange(params);
+    const { params: list, bindings } = this.compileParameters(params);
+    return { params: list, prologue: [`__tmbdl_arity(${JSON.stringify(song)}, ${min}, ${max}, arguments.length);`, ...bindings] };
+  }
+
+  // Assignments are statements of their own, so end with a semicolon: a
+  // next line starting with '(' would otherwise call the assigned value
+
   visitAssignment(node) {
-    // x = 10 → "x = 10"
+    // x = 10 → "x = 10;"
     const value = this.visit(node.value);
-    return `${node.name} = ${value}`;
+    return `${this.indent()}${node.name} = ${value};`;
   }
 
   visitIndexAssignment(node) {
-    // arr[0] = 5 → "arr[0] = 5"
+    // arr[0] = 5 → "arr[0] = 5;"
     const obj = this.visit(node.object);
     const index = this.visit(node.index);
     const value = this.visit(node.value);
-    return `${obj}[${index}] = ${value}`;
+    return `${this.indent()}${obj}[${index}] = ${value};`;
   }
 
   visitCompoundAssignment(node) {
-    // x += 5 → "x += 5"
+    // x += 5 → "x = __tmbdl_add(x, 5);", x -= 5 → "x = __tmbdl_arithmetic("-", x, 5);"
     const value = this.visit(node.value);
-    return `${node.name} ${node.operator}= ${value}`;
+    const result = node.operator === '+'
+      ? `__tmbdl_add(${node.name}, ${value})`
+      : `__tmbdl_arithmetic("${node.operator}", ${node.name}, ${value})`;
+    return `${this.indent()}${node.name} = ${result};`;
   }
 
   // ============================================================
@@ -331,10 +934,17 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
 
   visitForInStatement(node) {
     // journey (x in arr) { ... } → for (let x of arr) { ... }
-    const variable = node.variable;
+    // journey ([k, v] in pairs) { ... }
+    // → for (const __item1 of pairs) { let __unpack2 = __tmbdl_unpack("fellowship", __item1); ... }
     const iterable = this.visit(node.iterable);
-    const body = this.visit(node.body);
-    return `${this.indent()}for (let ${variable} of ${iterable}) ${body}`;
+    if (typeof node.variable === 'string') {
+      return `${this.indent()}for (let ${node.variable} of ${iterable}) ${this.visit(node.body)}`;
+    }
+    const item = `__item${++this.unpackCount}`;
+    const bindings = [];
+    this.compileUnpack(node.variable, item, bindings);
+    const body = this.compileBody(node.body, bindings.map(([name, value]) => `let ${name} = ${value};`));
+    return `${this.indent()}for (const ${item} of ${iterable}) ${body}`;
   }
 
   visitBreakStatement(node) {
@@ -347,23 +957,131 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
     return `${this.indent()}continue;`;
   }
 
+  // ============================================================
+  // PATTERN MATCHING
+  // ============================================================
+
+  visitRiddleStatement(node) {
+    // riddle (x) { [a, ...rest] perhaps (a > 0) => { ... } }
+    // → __riddle1: {
+    //     const __subject1 = x;
+    //     if (Array.isArray(__subject1) && __subject1.length >= 1) {
+    //       let a = __subject1[0];
+    //       let rest = __subject1.slice(1);
+    //       if (a > 0) { ...; break __riddle1; }
+    //     }
+    //   }
+    // The labelled break leaves the riddle without catching a flee meant for a loop.
+    const label = `__riddle${++this.riddleCount}`;
+    const subject = `__subject${this.riddleCount}`;
+    const outer = this.indent();
+
+    this.indentLevel++;
+    const lines = [`${this.indent()}const ${subject} = ${this.visit(node.subject)};`];
+    for (const arm of node.arms) {
+      lines.push(this.compileArm(arm, subject, label));
+    }
+    this.indentLevel--;
+
+    return `${outer}${label}: {\n${lines.join('\n')}\n${outer}}`;
+  }
+
+  compileArm(arm, subject, label) {
+    const tests = [];
+    const bindings = [];
+    this.compilePattern(arm.pattern, subject, tests, bindings);
+
+    const lines = [`${this.indent()}${tests.length > 0 ? `if (${tests.join(' && ')}) ` : ''}{`];
+    this.indentLevel++;
+    for (const [name, value] of bindings) {
+      lines.push(`${this.indent()}let ${name} = ${value};`);
+    }
+    if (arm.guard) {
+      lines.push(`${this.indent()}if (${this.visit(arm.guard)}) {`);
+      this.indentLevel++;
+    }
+    for (const stmt of arm.body.statements) {
+      lines.push(this.visit(stmt));
+    }
+    lines.push(`${this.indent()}break ${label};`);
+    if (arm.guard) {
+      this.indentLevel--;
+      lines.push(`${this.indent()}}`);
+    }
+    this.indentLevel--;
+    lines.push(`${this.indent()}}`);
+
+    return lines.join('\n');
+  }
+
+  // Add the checks that the value at path fits pattern to tests, and the
+  // [name, expression] pairs it binds to bindings
+  compilePattern(pattern, path, tests, bindings) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+
+      case 'BindingPattern':
+        bindings.push([pattern.name, path]);
+        break;
+
+      case 'LiteralPattern':
+        tests.push(`${path} === ${JSON.stringify(pattern.value)}`);
+        break;
+
+      case 'ArrayPattern': {
+        const count = pattern.elements.length;
+        tests.push(`Array.isArray(${path})`, `${path}.length ${pattern.rest ? '>=' : '==='} ${count}`);
+        pattern.elements.forEach((element, i) => {
+          this.compilePattern(element, `${path}[${i}]`, tests, bindings);
+        });
+        if (pattern.rest) {
+          this.compilePattern(pattern.rest, `${path}.slice(${count})`, tests, bindings);
+        }
+        break;
+      }
+
+      case 'RealmPattern':
+        tests.push(`${path} instanceof ${pattern.realm}`);
+        this.compileFieldPatterns(pattern.fields, path, tests, bindings);
+        break;
+
+      case 'ObjectPattern':
+        tests.push(`typeof ${path} === "object"`, `${path} !== null`, `!Array.isArray(${path})`);
+        this.compileFieldPatterns(pattern.fields, path, tests, bindings);
+        break;
+
+      default:
+        throw new Error(`Compiler: Unknown pattern type '${pattern.type}'`);
+    }
+  }
+
+  compileFieldPatterns(fields, path, tests, bindings) {
+    for (const { key, pattern } of fields) {
+      tests.push(`Object.hasOwn(${path}, "${key}")`);
+      this.compilePattern(pattern, `${path}.${key}`, tests, bindings);
+    }
+  }
+
   // ============================================================
   // FUNCTIONS
   // ============================================================
 
   visitFunctionDeclaration(node) {
     // song greet(name) { ... } → function greet(name) { ... }
-    const params = node.params.join(', ');
+    const { params, prologue } = this.compileSignature(`Song ${node.name}${describeSignature(node.params)}`, node.params);
     // Body might be an array or a BlockStatement
-    const body = this.compileBody(node.body);
-    return `${this.indent()}function ${node.name}(${params}) ${body}`;
+    const body = this.compileBody(node.body, prologue);
+    return this.named(`${this.indent()}function ${node.name}(${params}) ${body}`, node, node.name);
   }
 
-  // Helper to compile a body that might be an array or BlockStatement
-  compileBody(body) {
-    if (Array.isArray(body)) {
+  // Helper to compile a body that might be an array or BlockStatement,
+  // optionally starting with a prologue of one or more lines of JavaScript
+  compileBody(body, prologue = null) {
+    if (Array.isArray(body) || prologue !== null) {
       this.indentLevel++;
-      const statements = body.map(stmt => this.visit(stmt));
+      const statements = (Array.isArray(body) ? body : body.statements).map(stmt => this.visit(stmt));
+      if (prologue !== null) statements.unshift(...[prologue].flat().map(line => `${this.indent()}${line}`));
       this.indentLevel--;
       return `{\n${statements.join('\n')}\n${this.indent()}}`;
     }
@@ -385,12 +1103,13 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
 
   visitTryStatement(node) {
     // attempt { ... } rescue (e) { ... }
-    // → try { ... } catch (e) { ... }
+    // → try { ... } catch (__tmbdl_error) { let e = __tmbdl_peril(__tmbdl_error); ... }
+    // The rescue gets a peril, as in the other backends, not the raw error
     const tryBlock = this.visit(node.tryBlock);
-    const catchBlock = this.visit(node.catchBlock);
     const catchParam = node.catchParam || 'e';
+    const catchBlock = this.compileBody(node.catchBlock, `let ${catchParam} = __tmbdl_peril(__tmbdl_error);`);
 
-    return `${this.indent()}try ${tryBlock} catch (${catchParam}) ${catchBlock}`;
+    return `${this.indent()}try ${tryBlock} catch (__tmbdl_error) ${catchBlock}`;
   }
 
   // ============================================================
@@ -401,6 +1120,9 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
     // realm Hobbit { ... } → class Hobbit { ... }
     // realm Wizard inherits Being { ... } → class Wizard extends Being { ... }
 
+    const enclosingRealm = this.realm;
+    this.realm = node.name;
+
     let declaration = `${this.indent()}class ${node.name}`;
     if (node.superClass) {
       declaration += ` extends ${node.superClass}`;
@@ -420,8 +1142,44 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
       declaration += this.visitMethodDeclaration(method) + '\n';
     }
 
+    // reveal x() → get x(), inscribe x(value) → set x(value)
+    for (const accessor of node.accessors) {
+      // An inscribe whose parameter is a pattern unpacks the value it is given
+      const keyword = accessor.kind === 'reveal' ? 'get' : 'set';
+      const [param = ''] = accessor.params;
+      const bindings = [];
+      if (typeof param !== 'string') this.compileUnpack(param, '__tmbdl_value', bindings);
+      const lines = bindings.map(([name, value]) => `let ${name} = ${value};`);
+      const body = this.compileBody(accessor.body, lines.length > 0 ? lines : null);
+      const code = `${this.indent()}${keyword} ${accessor.name}(${typeof param === 'string' ? param : '__tmbdl_value'}) ${body}`;
+      declaration += `${this.named(code, accessor, `${node.name}.${accessor.name}`)}\n`;
+    }
+
+    // A property the realm reveals but does not inscribe refuses to be set
+    for (const accessor of node.accessors) {
+      const inscribed = node.accessors.some(other => other.kind === 'inscribe' && other.name === accessor.name);
+      if (accessor.kind === 'reveal' && !inscribed) {
+        declaration += `${this.indent()}set ${accessor.name}(value) { __tmbdl_revealOnly(this, '${accessor.name}'); }\n`;
+      }
+    }
+
+    // realm ring/song → static field/method; a realm precious is made read-only
+    for (const member of node.statics) {
+      if (member.type === 'FunctionDeclaration') {
+        const code = `${this.indent()}static ${this.visitMethodDeclaration(member, false).trimStart()}`;
+        declaration += `${this.named(code, member, `${node.name}.${member.name}`)}\n`;
+        continue;
+      }
+      const value = member.value ? this.visit(member.value) : 'null';
+      declaration += `${this.indent()}static ${member.name} = ${value};\n`;
+      if (member.isConstant) {
+        declaration += `${this.indent()}static { __tmbdl_precious(this, '${member.name}'); }\n`;
+      }
+    }
+
     this.indentLevel--;
     declaration += `${this.indent()}}`;
+    this.realm = enclosingRealm;
 
     return declaration;
   }
@@ -429,13 +1187,19 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
   visitForgeDeclaration(node, superClass = null) {
     // forge(name, age) { self.name = name }
     // → constructor(name, age) { this.name = name }
-    // If there's a superclass, we need to inject super() at the start
-    const params = node.params.join(', ');
-
-    if (superClass) {
-      // Inject super() call at the beginning of the constructor body
+    // If there's a superclass, we need to inject super() at the start,
+    // unless the forge calls elder.forge(...), which becomes super(...).
+    // JavaScript only allows 'this' after super(), so elder.forge must
+    // come before the forge touches self.
+    const { params, prologue } = this.compileSignature(`Forge ${this.realm}${describeSignature(node.params)}`, node.params);
+    const [check, ...bindings] = prologue;
+
+    if (superClass && !callsElderForge(node.body)) {
+      // Inject super() call at the beginning of the constructor body. The
+      // elder forge does not run in the other backends, so it is not checked.
       this.indentLevel++;
-      const superCall = `${this.indent()}super();\n`;
+      const superCall = [check, "__tmbdl_calledBy('super');", 'super();', '__tmbdl_calledBy(null);', ...bindings]
+        .map(line => `${this.indent()}${line}\n`).join('');
 
       let bodyStatements;
       if (Array.isArray(node.body)) {
@@ -445,18 +1209,21 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
       }
       this.indentLevel--;
 
-      return `${this.indent()}constructor(${params}) {\n${superCall}${bodyStatements.join('\n')}\n${this.indent()}}`;
+      const code = `${this.indent()}constructor(${params}) {\n${superCall}${bodyStatements.join('\n')}\n${this.indent()}}`;
+      return this.named(code, node, `${this.realm}.forge`);
     }
 
-    const body = this.compileBody(node.body);
-    return `${this.indent()}constructor(${params}) ${body}`;
+    const body = this.compileBody(node.body, prologue);
+    return this.named(`${this.indent()}constructor(${params}) ${body}`, node, `${this.realm}.forge`);
   }
 
-  visitMethodDeclaration(node) {
+  // Statics are marked by the realm, with their keyword, so leave named off
+  visitMethodDeclaration(node, named = true) {
     // song greet() { ... } → greet() { ... }
-    const params = node.params.join(', ');
-    const body = this.compileBody(node.body);
-    return `${this.indent()}${node.name}(${params}) ${body}`;
+    const { params, prologue } = this.compileSignature(`Method ${this.realm}.${node.name}${describeSignature(node.params)}`, node.params);
+    const body = this.compileBody(node.body, prologue);
+    const code = `${this.indent()}${node.name}(${params}) ${body}`;
+    return named ? this.named(code, node, `${this.realm}.${node.name}`) : code;
   }
 
   visitSelfExpression(node) {
@@ -471,10 +1238,18 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
   }
 
   visitPropertyAssignment(node) {
-    // self.name = value → this.name = value
+    // self.name = value → this.name = value;
     const obj = this.visit(node.object);
     const value = this.visit(node.value);
-    return `${obj}.${node.property} = ${value}`;
+    return `${this.indent()}${obj}.${node.property} = ${value};`;
+  }
+
+  visitElderCall(node) {
+    // elder.greet() → super.greet()
+    // elder.forge(name) → super(name)
+    const args = node.arguments.map(arg => this.visit(arg));
+    const callee = node.method === 'forge' ? 'super' : `super.${node.method}`;
+    return `${callee}(${args.join(', ')})`;
   }
 
   visitCreateExpression(node) {
@@ -488,31 +1263,59 @@ const sort = (arr, fn) => [...arr].sort(fn || ((a, b) => a - b));
   // ============================================================
 
   visitSummonStatement(node) {
-    // summon "module.tmbdl" → import ... from "module.js"
-    // Note: Module paths need .tmbdl → .js conversion
-    const path = node.path.replace(/\.tmbdl$/, '.js');
+    // summon "lib/math.tmbdl" as math
+    // → import * as __tmbdl_module1 from "./lib/math.mjs";  (at the top)
+    //   let math = { PI: __tmbdl_module1.PI, square: __tmbdl_module1.square };
+    // JavaScript only imports at the top of a module, so the module is
+    // imported there and the summon binds its names where it stands, taking
+    // the values shared at the time, as the interpreter does. In a bundle,
+    // the summon runs the module itself: __tmbdl_require("lib/math.tmbdl").
+    const module = this.summons?.get(node)
+      ?? { specifier: node.path.replace(/\.tmbdl$/, '') + '.mjs', shares: null };
+    let namespace;
+    if (this.bundling) {
+      namespace = `__tmbdl_require(${JSON.stringify(module.id)})`;
+    } else {
+      if (!this.imports.has(module.specifier)) {
+        this.imports.set(module.specifier, `__tmbdl_module${this.imports.size + 1}`);
+      }
+      namespace = this.imports.get(module.specifier);
+    }
 
     if (node.imports) {
-      // summon { foo, bar } from "module.tmbdl"
-      const imports = node.imports.map(imp => {
-        if (imp.alias) {
-          return `${imp.name} as ${imp.alias}`;
+      // summon { foo, bar as b } from "module.tmbdl" → let { foo, bar: b } = __tmbdl_module1;
+      const imports = node.imports.map(({ name, alias }) => {
+        if (module.shares && !module.shares.includes(name)) {
+          throw new RuntimeError(`Module '${node.path}' does not share '${name}'`, node.line, node.column);
         }
-        return imp.name;
+        return name === alias ? name : `${name}: ${alias}`;
       });
-      return `${this.indent()}import { ${imports.join(', ')} } from "${path}";`;
+      return `${this.indent()}let { ${imports.join(', ')} } = ${namespace};`;
     } else if (node.alias) {
-      // summon "module.tmbdl" as myModule
-      return `${this.indent()}import * as ${node.alias} from "${path}";`;
+      // summon "module.tmbdl" as myModule → a plain object of what it shares
+      const members = module.shares && !this.bundling
+        ? `{ ${module.shares.map(name => `${name}: ${namespace}.${name}`).join(', ')} }`
+        : `{ ...${namespace} }`;
+      return `${this.indent()}let ${node.alias} = ${members};`;
     } else {
-      // summon "module.tmbdl" (side effects only)
-      return `${this.indent()}import "${path}";`;
+      // summon "module.tmbdl" → every name it shares
+      if (!module.shares) {
+        throw new Error(`Compiler: cannot tell what '${node.path}' shares without compiling it too`);
+      }
+      return `${this.indent()}let { ${module.shares.join(', ')} } = ${namespace};`;
     }
   }
 
   visitShareStatement(node) {
     // share ring x = 5 → export let x = 5
     // share { x, y } → export { x, y }
+    // In a bundle, shared values are set on the module's exports instead:
+    // share ring x = 5 → let x = 5; __tmbdl_exports.x = x;
+    if (this.bundling) {
+      const names = node.declaration ? [node.declaration.name] : node.names ?? [];
+      const shares = names.map(name => `${this.indent()}__tmbdl_exports.${name} = ${name};`);
+      return [...(node.declaration ? [this.visit(node.declaration)] : []), ...shares].join('\n');
+    }
 
     if (node.declaration) {
       // Compile the declaration without indent (we'll add export prefix)
@@ -0,0 +1,518 @@
+// Debug Adapter Protocol server for the tree-walking interpreter
+//
+// Speaks DAP over stdio so editors can drive the same debugger as
+// `tmbdl debug`. The interpreter runs synchronously, so the server does too:
+// it blocks on stdin for the next message, and while the program is paused
+// it answers requests from inside the debugger's pause() until one of them
+// resumes execution. Requests sent while the program is running are read
+// once it next pauses or finishes.
+
+import { readFileSync } from 'fs';
+import { resolve, basename } from 'path';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Resolver } from './resolver.js';
+import { Interpreter } from './interpreter.js';
+import { Debugger, visibleBindings } from './debugger.js';
+import { QuitSignal, TmbdlInstance } from './environment.js';
+import { TmbdlError, formatError } from './errors.js';
+import { formatValue, typeOf } from './stdlib.js';
+import { MessageTransport } from './transport.js';
+
+const THREAD_ID = 1;
+
+const EXCEPTION_FILTERS = [
+  {
+    filter: 'raised',
+    label: 'Raised perils',
+    description: 'Pause wherever a TmbdlError is thrown. The condition may list error classes, e.g. "TypeError, DivisionByZeroError".',
+    supportsCondition: true,
+  },
+  {
+    filter: 'uncaught',
+    label: 'Uncaught perils',
+    description: 'Pause when no attempt block will rescue the error',
+    default: true,
+    supportsCondition: true,
+  },
+];
+
+const CAPABILITIES = {
+  supportsConfigurationDoneRequest: true,
+  supportsEvaluateForHovers: true,
+  supportsExceptionInfoRequest: true,
+  supportsExceptionFilterOptions: true,
+  supportsTerminateRequest: true,
+  exceptionBreakpointFilters: EXCEPTION_FILTERS,
+};
+
+// Debugger whose pauses are reported to the client instead of a prompt
+class DapDebugger extends Debugger {
+  constructor(server, source, program, options) {
+    super(source, program, options);
+    this.server = server;
+  }
+
+  pause(reason, error = null) {
+    this.server.stopped(reason, error);
+  }
+}
+
+export class DapServer {
+  constructor({ input = 0, output = 1 } = {}) {
+    this.transport = new MessageTransport(input, output);
+    this.seq = 1;
+
+    this.program = null;        // { path, source, ast } once launched
+    this.debugger = null;
+    this.interpreter = null;
+    this.configured = false;    // configurationDone has arrived
+    this.running = false;
+    this.finished = false;
+
+    // Requested breakpoints per source path, kept until the program loads
+    this.breakpoints = new Map();
+    this.nextBreakpointId = 1;
+    this.exceptionFilters = new Map([['uncaught', null]]);
+
+    // While paused: why, and the values handed out as variablesReference
+    this.stop = null;
+    this.handles = [];
+  }
+
+  // Serve requests until the client disconnects or hangs up
+  run() {
+    const log = console.log;
+    console.log = (...values) => this.emitOutput(values.join(' ') + '\n', 'stdout');
+    try {
+      let message;
+      while ((message = this.readMessage()) !== null) {
+        if (message.type === 'request' && this.handle(message) === 'disconnect') {
+          break;
+        }
+      }
+    } finally {
+      console.log = log;
+    }
+  }
+
+  // === Transport ===
+
+  readMessage() {
+    return this.transport.read();
+  }
+
+  send(message) {
+    this.transport.write({ seq: this.seq++, ...message });
+  }
+
+  respond(request, body = {}) {
+    this.send({ type: 'response', request_seq: request.seq, command: request.command, success: true, body });
+  }
+
+  fail(request, message) {
+    this.send({ type: 'response', request_seq: request.seq, command: request.command, success: false, message });
+  }
+
+  event(event, body = {}) {
+    this.send({ type: 'event', event, body });
+  }
+
+  emitOutput(text, category) {
+    this.event('output', { category, output: text });
+  }
+
+  // === Requests ===
+
+  // Returns 'resume' when the request restarts a paused program and
+  // 'disconnect' when the session is over
+  handle(request) {
+    const args = request.arguments || {};
+
+    switch (request.command) {
+      case 'initialize':
+        this.respond(request, CAPABILITIES);
+        this.event('initialized');
+        return null;
+
+      case 'launch':
+        return this.launch(request, args);
+
+      case 'setBreakpoints':
+        this.setBreakpoints(request, args);
+        return null;
+
+      case 'setExceptionBreakpoints':
+        this.setExceptionBreakpoints(request, args);
+        return null;
+
+      case 'configurationDone':
+        this.respond(request);
+        this.configured = true;
+        return this.start();
+
+      case 'threads':
+        this.respond(request, { threads: [{ id: THREAD_ID, name: 'main' }] });
+        return null;
+
+      case 'stackTrace':
+        this.stackTrace(request, args);
+        return null;
+
+      case 'scopes':
+        this.scopes(request, args);
+        return null;
+
+      case 'variables':
+        this.variables(request, args);
+        return null;
+
+      case 'evaluate':
+        this.evaluate(request, args);
+        return null;
+
+      case 'exceptionInfo':
+        this.exceptionInfo(request);
+        return null;
+
+      case 'continue':
+        return this.resume(request, 'continue', { allThreadsContinued: true });
+
+      case 'next':
+        return this.resume(request, 'next');
+
+      case 'stepIn':
+        return this.resume(request, 'step');
+
+      case 'stepOut':
+        return this.resume(request, 'out');
+
+      case 'disconnect':
+      case 'terminate':
+        this.respond(request);
+        if (this.stop) {
+          throw new QuitSignal();
+        }
+        return 'disconnect';
+
+      default:
+        this.fail(request, `Unsupported request '${request.command}'`);
+        return null;
+    }
+  }
+
+  launch(request, args) {
+    if (!args.program) {
+      this.fail(request, 'launch requires a program');
+      return null;
+    }
+
+    const path = resolve(args.program);
+    let source;
+    try {
+      source = readFileSync(path, 'utf-8');
+    } catch (error) {
+      this.fail(request, `The path has vanished: '${args.program}' not found`);
+      return null;
+    }
+
+    let ast;
+    let warnings;
+    try {
+      ast = new Parser(new Lexer(source).tokenize()).parse();
+      warnings = new Resolver().resolve(ast);
+    } catch (error) {
+      if (!(error instanceof TmbdlError)) throw error;
+      this.fail(request, formatError(error, source).trim());
+      return null;
+    }
+
+    this.program = { path, source, ast };
+    this.interpreter = new Interpreter(path);
+    this.debugger = new DapDebugger(this, source, ast, { stopOnEntry: Boolean(args.stopOnEntry) });
+    this.debugger.exceptionFilters = this.exceptionFilters;
+    this.debugger.attach(this.interpreter);
+    this.respond(request);
+    for (const warning of warnings) {
+      this.emitOutput(formatError(warning, source).trimStart(), 'console');
+    }
+
+    // Breakpoints that arrived before the program can now be checked
+    for (const [breakpointPath, breakpoints] of this.breakpoints) {
+      this.verifyBreakpoints(breakpointPath, breakpoints);
+      for (const breakpoint of breakpoints) {
+        this.event('breakpoint', { reason: 'changed', breakpoint: describeBreakpoint(breakpoint) });
+      }
+    }
+
+    return this.start();
+  }
+
+  // Run the program once it is both launched and configured
+  start() {
+    if (!this.program || !this.configured || this.running || this.finished) {
+      return null;
+    }
+
+    this.running = true;
+    let exitCode = 0;
+    try {
+      this.interpreter.interpret(this.program.ast);
+    } catch (error) {
+      if (error instanceof QuitSignal) {
+        this.finished = true;
+        this.event('terminated');
+        return 'disconnect';
+      }
+      this.emitOutput(formatError(error, this.program.source), 'stderr');
+      exitCode = 1;
+    } finally {
+      this.running = false;
+    }
+
+    this.finished = true;
+    this.event('exited', { exitCode });
+    this.event('terminated');
+    return null;
+  }
+
+  setBreakpoints(request, args) {
+    const path = args.source?.path ? resolve(args.source.path) : null;
+    const lines = args.breakpoints ? args.breakpoints.map(breakpoint => breakpoint.line) : (args.lines || []);
+    const breakpoints = lines.map(line => ({ id: this.nextBreakpointId++, requested: line, line, verified: false }));
+
+    this.breakpoints.set(path, breakpoints);
+    this.verifyBreakpoints(path, breakpoints);
+    this.respond(request, { breakpoints: breakpoints.map(describeBreakpoint) });
+  }
+
+  // Move each breakpoint onto a line that runs and hand them to the debugger
+  verifyBreakpoints(path, breakpoints) {
+    if (!this.program) {
+      for (const breakpoint of breakpoints) {
+        breakpoint.message = 'The program has not been launched yet';
+      }
+      return;
+    }
+    if (path !== this.program.path) {
+      for (const breakpoint of breakpoints) {
+        breakpoint.message = 'Breakpoints are only supported in the launched program';
+      }
+      return;
+    }
+
+    this.debugger.breakpoints.clear();
+    for (const breakpoint of breakpoints) {
+      const line = this.debugger.resolveBreakpoint(breakpoint.requested);
+      breakpoint.verified = line !== null;
+      breakpoint.line = line ?? breakpoint.requested;
+      breakpoint.message = line === null ? `No statement at or after line ${breakpoint.requested}` : undefined;
+      if (line !== null) {
+        this.debugger.breakpoints.add(line);
+      }
+    }
+  }
+
+  setExceptionBreakpoints(request, args) {
+    // Updated in place - the debugger shares this map
+    this.exceptionFilters.clear();
+    for (const filter of args.filters || []) {
+      this.exceptionFilters.set(filter, null);
+    }
+    for (const { filterId, condition } of args.filterOptions || []) {
+      const classes = condition ? condition.split(',').map(name => name.trim()).filter(Boolean) : [];
+      this.exceptionFilters.set(filterId, classes.length > 0 ? new Set(classes) : null);
+    }
+    this.respond(request);
+  }
+
+  // === Paused state ===
+
+  // Report the pause, then answer requests until one resumes the program
+  stopped(reason, error) {
+    this.stop = { reason, error, frames: this.debugger.frames() };
+    this.handles = [];
+
+    const body = { reason, threadId: THREAD_ID, allThreadsStopped: true };
+    if (error) {
+      body.description = `Paused on ${error.name}`;
+      body.text = error.message;
+    }
+    this.event('stopped', body);
+
+    try {
+      let message;
+      while ((message = this.readMessage()) !== null) {
+        if (message.type === 'request' && this.handle(message) === 'resume') {
+          return;
+        }
+      }
+      // The client hung up - run the program to its end
+      this.debugger.detached = true;
+    } finally {
+      this.stop = null;
+      this.handles = [];
+    }
+  }
+
+  resume(request, mode, body = {}) {
+    if (!this.stop) {
+      this.fail(request, 'The program is not paused');
+      return null;
+    }
+    this.respond(request, body);
+    this.debugger.resume(mode);
+    return 'resume';
+  }
+
+  frameAt(request, frameId) {
+    const frame = this.stop?.frames[frameId];
+    if (!frame) {
+      this.fail(request, this.stop ? `Unknown frame ${frameId}` : 'The program is not paused');
+    }
+    return frame;
+  }
+
+  stackTrace(request, args) {
+    if (!this.stop) {
+      this.respond(request, { stackFrames: [], totalFrames: 0 });
+      return;
+    }
+
+    const source = { name: basename(this.program.path), path: this.program.path };
+    const start = args.startFrame || 0;
+    const end = args.levels ? start + args.levels : this.stop.frames.length;
+    const stackFrames = this.stop.frames.slice(start, end).map((frame, i) => ({
+      id: start + i,
+      name: frame.name,
+      source,
+      line: frame.line,
+      column: 1,
+    }));
+    this.respond(request, { stackFrames, totalFrames: this.stop.frames.length });
+  }
+
+  // Locals cover the song's arguments and the blocks inside it
+  scopes(request, args) {
+    const frame = this.frameAt(request, args.frameId);
+    if (!frame) return;
+
+    const groups = { Locals: [], Closure: [], Globals: [] };
+    for (const { kind, environment } of this.debugger.scopeChain(frame)) {
+      const group = kind === 'global' ? 'Globals' : kind === 'closure' ? 'Closure' : 'Locals';
+      groups[group].push(environment);
+    }
+
+    const scopes = Object.entries(groups)
+      .filter(([, environments]) => environments.length > 0)
+      .map(([name, environments]) => ({
+        name,
+        presentationHint: name === 'Locals' ? 'locals' : undefined,
+        variablesReference: this.handleFor({ environments }),
+        expensive: false,
+      }));
+    this.respond(request, { scopes });
+  }
+
+  variables(request, args) {
+    const target = this.handles[args.variablesReference - 1];
+    if (!target) {
+      this.fail(request, `Unknown variablesReference ${args.variablesReference}`);
+      return;
+    }
+
+    const variables = [];
+    if (target.environments) {
+      // Inner scopes shadow outer ones
+      const seen = new Set();
+      for (const environment of target.environments) {
+        for (const [name, value] of visibleBindings(environment)) {
+          if (seen.has(name)) continue;
+          seen.add(name);
+          const variable = this.describeVariable(name, value);
+          if (environment.isConstant(name)) {
+            variable.presentationHint = { attributes: ['constant'] };
+          }
+          variables.push(variable);
+        }
+      }
+    } else {
+      for (const [name, value] of children(target.value)) {
+        variables.push(this.describeVariable(name, value));
+      }
+    }
+    this.respond(request, { variables });
+  }
+
+  evaluate(request, args) {
+    if (!this.stop) {
+      this.fail(request, 'The program is not paused');
+      return;
+    }
+    const frame = args.frameId === undefined ? this.stop.frames[0] : this.frameAt(request, args.frameId);
+    if (!frame) return;
+
+    try {
+      const value = this.debugger.evaluate(args.expression, frame.environment);
+      this.respond(request, {
+        result: formatValue(value),
+        type: typeOf(value),
+        variablesReference: this.expandable(value),
+      });
+    } catch (error) {
+      if (!(error instanceof TmbdlError)) throw error;
+      this.fail(request, `${error.name}: ${error.message}`);
+    }
+  }
+
+  exceptionInfo(request) {
+    const error = this.stop?.error;
+    if (!error) {
+      this.fail(request, 'The program is not paused on an error');
+      return;
+    }
+    this.respond(request, {
+      exceptionId: error.constructor.name,
+      description: error.message,
+      breakMode: this.interpreter.rescueDepth === 0 ? 'unhandled' : 'always',
+      details: { message: error.message, typeName: error.name },
+    });
+  }
+
+  describeVariable(name, value) {
+    return {
+      name: String(name),
+      value: formatValue(value),
+      type: typeOf(value),
+      variablesReference: this.expandable(value),
+    };
+  }
+
+  // Fellowships, objects and realm instances can be opened in the editor
+  expandable(value) {
+    if (Array.isArray(value) || value instanceof TmbdlInstance ||
+        (typeof value === 'object' && value !== null && !value.boundMethod && value.constructor === Object)) {
+      return this.handleFor({ value });
+    }
+    return 0;
+  }
+
+  handleFor(target) {
+    this.handles.push(target);
+    return this.handles.length;
+  }
+}
+
+function children(value) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => [`[${i}]`, item]);
+  }
+  if (value instanceof TmbdlInstance) {
+    return [...value.fields];
+  }
+  return Object.entries(value);
+}
+
+function describeBreakpoint({ id, verified, line, message }) {
+  return { id, verified, line, message };
+}
@@ -0,0 +1,422 @@
+// Source-level debugger for the tree-walking interpreter
+//
+// The interpreter calls beforeStatement() ahead of every statement it
+// executes and afterError() when a statement throws. When a breakpoint, an
+// exception breakpoint or a pending step applies, the debugger pauses and
+// reads commands until one of them resumes the program. Commands come from
+// a readCommand(prompt) function that returns one line, or null once the input
+// is exhausted, so a session can be driven from a terminal or a script.
+//
+// The DAP server (src/dap.js) reuses the stepping, frame and scope logic here
+// and only replaces pause() with a protocol loop.
+
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { NativeFunction, formatValue } from './stdlib.js';
+import { QuitSignal } from './environment.js';
+import { TmbdlError } from './errors.js';
+
+const PROMPT = '  debug> ';
+
+const HELP = `
+  Commands:
+    break <line>    b   Pause whenever <line> is reached
+    clear <line>        Remove the breakpoint on <line>
+    breakpoints         List breakpoints
+    continue        c   Run until the next breakpoint
+    step            s   Run to the next line, entering songs
+    next            n   Run to the next line, stepping over songs
+    out             o   Run until the current song has answered
+    scope           v   Show the environment chain
+    print <expr>    p   Evaluate an expression where we are paused
+    stack           bt  Show the call stack
+    list            l   Show the source around the current line
+    quit            q   Abandon the program
+`;
+
+export class Debugger {
+  constructor(source, program, { readCommand, write = console.log, stopOnEntry = true } = {}) {
+    this.lines = source.split('\n');
+    this.statementLines = collectStatementLines(program);
+    this.readCommand = readCommand;
+    this.write = write;
+
+    this.interpreter = null;
+    this.breakpoints = new Set();
+    this.mode = stopOnEntry ? 'step' : 'continue';  // 'continue', 'step', 'next' or 'out'
+    this.stepDepth = 0;         // call depth the last step started from
+    this.detached = false;      // input exhausted - run to the end
+    this.started = false;       // the first statement has run
+
+    // Exception breakpoints: 'raised' pauses wherever a TmbdlError is thrown,
+    // 'uncaught' only when no attempt block will rescue it. Each filter holds
+    // the error class names it applies to, or null for every TmbdlError.
+    this.exceptionFilters = new Map();
+    this.seenErrors = new WeakSet();
+
+    // Where the last statement ran and what has run on that line since, so
+    // a line pauses once but a loop coming back around pauses again
+    this.currentLine = null;
+    this.currentDepth = 0;
+    this.lineNodes = new Set();
+  }
+
+  attach(interpreter) {
+    this.interpreter = interpreter;
+    interpreter.debugger = this;
+  }
+
+  // Called by the interpreter before each statement
+  beforeStatement(node) {
+    const depth = this.interpreter.callStack.length;
+    const sameLine = node.line === this.currentLine && depth === this.currentDepth && !this.lineNodes.has(node);
+    if (!sameLine) {
+      this.currentLine = node.line;
+      this.currentDepth = depth;
+      this.lineNodes.clear();
+    }
+    this.lineNodes.add(node);
+
+    const entry = !this.started;
+    this.started = true;
+    if (this.detached || sameLine) {
+      return;
+    }
+
+    if (this.breakpoints.has(node.line)) {
+      this.pause('breakpoint');
+    } else if (this.shouldStop(depth)) {
+      this.pause(entry ? 'entry' : 'step');
+    }
+  }
+
+  // Called by the interpreter as an error unwinds through each statement
+  afterError(error) {
+    if (this.detached || !(error instanceof TmbdlError) || this.seenErrors.has(error)) {
+      return;
+    }
+    // Only the innermost statement, where the error was thrown, may pause
+    this.seenErrors.add(error);
+
+    const uncaught = this.interpreter.rescueDepth === 0;
+    if (this.matchesFilter('raised', error) || (uncaught && this.matchesFilter('uncaught', error))) {
+      this.pause('exception', error);
+    }
+  }
+
+  matchesFilter(filter, error) {
+    if (!this.exceptionFilters.has(filter)) {
+      return false;
+    }
+    const classes = this.exceptionFilters.get(filter);
+    return classes === null || classes.has(error.constructor.name);
+  }
+
+  shouldStop(depth) {
+    switch (this.mode) {
+      case 'step':
+        return true;
+      case 'next':
+        return depth <= this.stepDepth;
+      case 'out':
+        return depth < this.stepDepth;
+      default:
+        return false;
+    }
+  }
+
+  // Read commands until one of them resumes execution. The reason is
+  // 'entry', 'breakpoint', 'step' or 'exception'.
+  pause(reason, error = null) {
+    if (reason === 'exception') {
+      this.write(`\n  ${error.name} at line ${this.currentLine}: ${error.message}`);
+    } else {
+      this.write(`\n  ${reason === 'breakpoint' ? 'Breakpoint' : 'Paused'} at line ${this.currentLine}`);
+    }
+    this.showLine(this.currentLine, '→');
+
+    while (true) {
+      const input = this.readCommand(PROMPT);
+      if (input === null) {
+        this.detached = true;
+        return;
+      }
+
+      const trimmed = input.trim();
+      const space = trimmed.indexOf(' ');
+      const command = space === -1 ? trimmed : trimmed.slice(0, space);
+      const argument = space === -1 ? '' : trimmed.slice(space + 1).trim();
+
+      if (this.runCommand(command, argument)) {
+        return;
+      }
+    }
+  }
+
+  // Returns true when the command resumes the program
+  runCommand(command, argument) {
+    switch (command) {
+      case '':
+        return false;
+
+      case 'break':
+      case 'b':
+        this.setBreakpoint(argument);
+        return false;
+
+      case 'clear':
+        this.clearBreakpoint(argument);
+        return false;
+
+      case 'breakpoints':
+        this.listBreakpoints();
+        return false;
+
+      case 'continue':
+      case 'c':
+        return this.resume('continue');
+
+      case 'step':
+      case 's':
+        return this.resume('step');
+
+      case 'next':
+      case 'n':
+        return this.resume('next');
+
+      case 'out':
+      case 'o':
+        return this.resume('out');
+
+      case 'scope':
+      case 'v':
+        this.showScope();
+        return false;
+
+      case 'print':
+      case 'p':
+        this.printExpression(argument);
+        return false;
+
+      case 'stack':
+      case 'bt':
+        this.showStack();
+        return false;
+
+      case 'list':
+      case 'l':
+        this.listSource();
+        return false;
+
+      case 'quit':
+      case 'q':
+        throw new QuitSignal();
+
+      case 'help':
+      case 'h':
+        this.write(HELP);
+        return false;
+
+      default:
+        this.write(`  Unknown command '${command}' - type "help" for the list`);
+        return false;
+    }
+  }
+
+  resume(mode) {
+    this.mode = mode;
+    this.stepDepth = this.interpreter.callStack.length;
+    return true;
+  }
+
+  // === Breakpoints ===
+
+  parseLine(argument) {
+    const line = Number(argument);
+    if (argument === '' || !Number.isInteger(line) || line < 1) {
+      this.write(`  Expected a line number, got '${argument}'`);
+      return null;
+    }
+    return line;
+  }
+
+  // Blank lines and comments never run, so use the next line that does
+  resolveBreakpoint(requested) {
+    return this.statementLines.find(line => line >= requested) ?? null;
+  }
+
+  setBreakpoint(argument) {
+    const requested = this.parseLine(argument);
+    if (requested === null) return;
+
+    const line = this.resolveBreakpoint(requested);
+    if (line === null) {
+      this.write(`  No statement at or after line ${requested}`);
+      return;
+    }
+
+    this.breakpoints.add(line);
+    this.write(`  Breakpoint set at line ${line}`);
+  }
+
+  clearBreakpoint(argument) {
+    const line = this.parseLine(argument);
+    if (line === null) return;
+
+    if (this.breakpoints.delete(line)) {
+      this.write(`  Breakpoint at line ${line} cleared`);
+    } else {
+      this.write(`  No breakpoint at line ${line}`);
+    }
+  }
+
+  listBreakpoints() {
+    if (this.breakpoints.size === 0) {
+      this.write('  No breakpoints');
+      return;
+    }
+    for (const line of [...this.breakpoints].sort((a, b) => a - b)) {
+      this.showLine(line, '●');
+    }
+  }
+
+  // === Inspection ===
+
+  // The active frames, innermost first. Each is at the line that made the
+  // next call in, and 'song' is its interpreter call record (null for main).
+  frames() {
+    const callStack = this.interpreter.callStack;
+    const frames = [];
+    let line = this.currentLine;
+    let environment = this.interpreter.environment;
+
+    for (let i = callStack.length - 1; i >= 0; i--) {
+      frames.push({ name: callStack[i].name, line, environment, song: callStack[i] });
+      line = callStack[i].line;
+      environment = callStack[i].caller;
+    }
+    frames.push({ name: '<main>', line, environment, song: null });
+    return frames;
+  }
+
+  // Walk a frame's environment chain out to the globals, labelling each
+  // scope 'block', 'song', 'closure' or 'global'
+  scopeChain(frame) {
+    const scopes = [];
+    let kind = 'block';
+
+    for (let env = frame.environment; env; env = env.parent) {
+      if (env === this.interpreter.globals) {
+        kind = 'global';
+      } else if (frame.song && env === frame.song.environment) {
+        kind = 'song';
+      }
+      scopes.push({ kind, environment: env });
+
+      // Scopes past the song's own arguments belong to its closure
+      if (kind === 'song') {
+        kind = 'closure';
+      }
+    }
+    return scopes;
+  }
+
+  // Run source in the given environment; songs called from here run without pausing
+  evaluate(source, environment) {
+    const interpreter = this.interpreter;
+    const previous = interpreter.environment;
+    interpreter.debugger = null;
+    interpreter.environment = environment;
+    try {
+      const program = new Parser(new Lexer(source).tokenize()).parse();
+      let result = null;
+      for (const statement of program.statements) {
+        result = interpreter.execute(statement);
+      }
+      return result;
+    } finally {
+      interpreter.environment = previous;
+      interpreter.debugger = this;
+    }
+  }
+
+  showScope() {
+    const frame = this.frames()[0];
+    for (const { kind, environment } of this.scopeChain(frame)) {
+      const bindings = visibleBindings(environment);
+      const label = kind === 'song' ? `song ${frame.name}` : kind;
+      this.write(`  ${label}${bindings.length === 0 ? ' (empty)' : ''}`);
+      for (const [name, value] of bindings) {
+        const marker = environment.isConstant(name) ? 'precious ' : '';
+        this.write(`    ${marker}${name} = ${formatValue(value)}`);
+      }
+    }
+  }
+
+  printExpression(argument) {
+    if (argument === '') {
+      this.write('  Expected an expression');
+      return;
+    }
+
+    try {
+      this.write(`  ${formatValue(this.evaluate(argument, this.interpreter.environment))}`);
+    } catch (error) {
+      if (!(error instanceof TmbdlError)) throw error;
+      this.write(`  ${error.name}: ${error.message}`);
+    }
+  }
+
+  showStack() {
+    this.frames().forEach((frame, i) => {
+      this.write(`  #${i} ${frame.name} (line ${frame.line})`);
+    });
+  }
+
+  listSource() {
+    const start = Math.max(1, this.currentLine - 3);
+    const end = Math.min(this.lines.length, this.currentLine + 3);
+    for (let line = start; line <= end; line++) {
+      const marker = line === this.currentLine ? '→' : this.breakpoints.has(line) ? '●' : ' ';
+      this.showLine(line, marker);
+    }
+  }
+
+  showLine(line, marker) {
+    const text = this.lines[line - 1] ?? '';
+    this.write(`  ${marker} ${String(line).padStart(4)} │ ${text}`);
+  }
+}
+
+// [name, value] for everything defined in an environment, leaving out the
+// standard library
+export function visibleBindings(environment) {
+  return [...environment.bindings()].filter(([, value]) => !(value instanceof NativeFunction));
+}
+
+// Lines holding a statement the interpreter will execute
+function collectStatementLines(program) {
+  const lines = new Set();
+
+  function visit(node, isStatement) {
+    if (Array.isArray(node)) {
+      for (const item of node) visit(item, isStatement);
+      return;
+    }
+    if (node === null || typeof node !== 'object') {
+      return;
+    }
+
+    if (isStatement && node.type && node.type !== 'BlockStatement' && node.line) {
+      lines.add(node.line);
+    }
+    for (const [key, child] of Object.entries(node)) {
+      const holdsStatements = key === 'statements' || (key === 'body' && Array.isArray(child)) ||
+        (key === 'elseBranch' && child?.type === 'IfStatement');
+      visit(child, holdsStatements);
+    }
+  }
+
+  visit(program, false);
+  return [...lines].sort((a, b) => a - b);
+}
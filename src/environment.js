@@ -1,78 +1,165 @@
 import { UndefinedVariableError, ConstantError } from './errors.js';
+import { describeParameter } from './ast.js';
 
+// A scope's variables. Names the resolver gave a slot to live in an array and
+// are read by position; the rest (globals, code that was never resolved, and
+// names a wildcard summon brings in) are kept by name.
 export class Environment {
   constructor(parent = null) {
-    this.values = new Map();
-    this.constants = new Set();
+    this.slots = [];         // values by slot
+    this.names = [];         // the name in each slot, set once it is defined
+    this.values = null;      // name -> value for everything without a slot
+    this.constants = null;   // names declared precious
     this.parent = parent;
   }
 
-  define(name, value, isConstant = false) {
-    this.values.set(name, value);
+  define(name, value, isConstant = false, slot = null) {
+    if (slot === null) {
+      slot = this.names.indexOf(name);
+    }
+    if (slot === -1) {
+      this.values ??= new Map();
+      this.values.set(name, value);
+    } else {
+      this.slots[slot] = value;
+      this.names[slot] = name;
+    }
+
     if (isConstant) {
+      this.constants ??= new Set();
       this.constants.add(name);
     }
   }
 
   get(name, line, column) {
-    if (this.values.has(name)) {
-      return this.values.get(name);
-    }
-
-    if (this.parent) {
-      return this.parent.get(name, line, column);
+    for (let env = this; env !== null; env = env.parent) {
+      const slot = env.names.indexOf(name);
+      if (slot !== -1) {
+        return env.slots[slot];
+      }
+      if (env.values?.has(name)) {
+        return env.values.get(name);
+      }
     }
 
     throw new UndefinedVariableError(name, line, column);
   }
 
+  // Read the slot the resolver found for a name, depth scopes out. A slot
+  // whose declaration has not run yet is looked up by name instead, as it
+  // would have been without the resolver.
+  getAt(depth, slot, name, line, column) {
+    const value = this.ancestor(depth).slots[slot];
+    if (value === undefined) {
+      return this.get(name, line, column);
+    }
+    return value;
+  }
+
   assign(name, value, line, column) {
-    if (this.values.has(name)) {
-      if (this.constants.has(name)) {
-        throw new ConstantError(name, line, column);
+    for (let env = this; env !== null; env = env.parent) {
+      const slot = env.names.indexOf(name);
+      if (slot !== -1 || env.values?.has(name)) {
+        if (env.isConstant(name)) {
+          throw new ConstantError(name, line, column);
+        }
+        if (slot !== -1) {
+          env.slots[slot] = value;
+        } else {
+          env.values.set(name, value);
+        }
+        return;
       }
-      this.values.set(name, value);
-      return;
     }
 
-    if (this.parent) {
-      this.parent.assign(name, value, line, column);
+    throw new UndefinedVariableError(name, line, column);
+  }
+
+  assignAt(depth, slot, name, value, line, column) {
+    const env = this.ancestor(depth);
+    if (env.slots[slot] === undefined) {
+      this.assign(name, value, line, column);
       return;
     }
+    if (env.isConstant(name)) {
+      throw new ConstantError(name, line, column);
+    }
+    env.slots[slot] = value;
+  }
 
-    throw new UndefinedVariableError(name, line, column);
+  ancestor(depth) {
+    let env = this;
+    for (let i = 0; i < depth; i++) {
+      env = env.parent;
+    }
+    return env;
   }
 
   has(name) {
-    if (this.values.has(name)) return true;
-    if (this.parent) return this.parent.has(name);
+    for (let env = this; env !== null; env = env.parent) {
+      if (env.names.includes(name) || env.values?.has(name)) return true;
+    }
     return false;
   }
 
+  isConstant(name) {
+    return this.constants?.has(name) ?? false;
+  }
+
+  // Every name defined in this scope and its value, slots first
+  bindings() {
+    const bindings = new Map();
+    this.names.forEach((name, slot) => bindings.set(name, this.slots[slot]));
+    for (const [name, value] of this.values ?? []) {
+      bindings.set(name, value);
+    }
+    return bindings;
+  }
+
   // Create a child scope
   extend() {
     return new Environment(this);
   }
 }
 
-// Special control flow signals
-export class ReturnValue {
-  constructor(value) {
-    this.value = value;
+// How a statement finished, when it did not simply run on into the next one.
+// Statements hand these back up to the loop or song that acts on them rather
+// than throwing them, so 'answer', 'flee' and 'onwards' in a hot loop don't
+// pay for a JavaScript throw and catch every time round.
+export class Completion {
+  static BREAK = new Completion('break');
+  static CONTINUE = new Completion('continue');
+
+  constructor(type, value = null) {
+    this.type = type;    // 'return', 'break', 'continue' or 'tail'
+    this.value = value;  // what 'answer' gave back
+  }
+}
+
+// 'answer f(...)' in tail position: the running song is finished, and the
+// song running it calls f in its place
+export class TailCall extends Completion {
+  constructor(callee, args, node) {
+    super('tail');
+    this.callee = callee;  // TmbdlFunction, TmbdlLambda or a bound method
+    this.args = args;
+    this.node = node;      // the call expression
   }
 }
 
-export class BreakSignal {}
-export class ContinueSignal {}
+// Thrown by the debugger to abandon the program; 'rescue' cannot catch it
+export class QuitSignal {}
 
 // User-defined function representation
 export class TmbdlFunction {
-  constructor(declaration, closure) {
+  constructor(declaration, closure, file = null) {
     this.declaration = declaration;
     this.closure = closure;
     this.name = declaration.name;
     this.params = declaration.params;
     this.body = declaration.body;
+    this.file = file;  // source file it was declared in, for stack traces
+    this.realm = null;  // TmbdlClass that declares it, when it is a method
   }
 
   toString() {
@@ -82,29 +169,49 @@ export class TmbdlFunction {
 
 // Lambda/anonymous function representation
 export class TmbdlLambda {
-  constructor(params, body, closure) {
+  constructor(params, body, closure, file = null) {
     this.params = params;
     this.body = body;
     this.closure = closure;
+    this.file = file;
+    this.instance = null;  // 'self' of the method it was made in, kept as the VM and JS keep it
+    this.realm = null;     // realm of that method, for 'elder'
   }
 
   toString() {
-    return `<lambda (${this.params.join(', ')})>`;
+    return `<lambda (${this.params.map(describeParameter).join(', ')})>`;
   }
 }
 
 // Class (Realm) representation
 export class TmbdlClass {
-  constructor(name, superClass, constructor_, methods) {
+  constructor(name, superClass, constructor_, methods, file = null, accessors = [], staticMethods = []) {
     this.name = name;
     this.superClass = superClass;  // TmbdlClass or null
     this.constructor = constructor_;  // ForgeDeclaration or null
     this.methods = new Map();  // Map of method name -> TmbdlFunction
+    this.getters = new Map();  // Map of property name -> TmbdlFunction (reveal)
+    this.setters = new Map();  // Map of property name -> TmbdlFunction (inscribe)
+    this.statics = new Map();  // Realm-level rings and preciouses: name -> value
+    this.staticMethods = new Map();  // Realm-level songs: name -> TmbdlFunction
+    this.constants = new Set();  // Names of realm-level preciouses
+    this.file = file;
+    this.closure = null;  // Environment the realm was declared in, which its forge sees
 
     // Register methods
     for (const method of methods) {
+      method.realm = this;
       this.methods.set(method.name, method);
     }
+    for (const accessor of accessors) {
+      accessor.realm = this;
+      const table = accessor.declaration.kind === 'reveal' ? this.getters : this.setters;
+      table.set(accessor.name, accessor);
+    }
+    for (const method of staticMethods) {
+      method.realm = this;
+      this.staticMethods.set(method.name, method);
+    }
   }
 
   findMethod(name) {
@@ -118,6 +225,61 @@ export class TmbdlClass {
     return null;
   }
 
+  // Whether this realm is realm itself or inherits from it
+  descendsFrom(realm) {
+    for (let klass = this; klass; klass = klass.superClass) {
+      if (klass === realm) return true;
+    }
+    return false;
+  }
+
+  // A realm declaring either accessor for a property hides both of its
+  // elder's, so a reveal without an inscribe makes the property read-only
+  findGetter(name) {
+    return this.accessorRealm(name)?.getters.get(name) ?? null;
+  }
+
+  findSetter(name) {
+    return this.accessorRealm(name)?.setters.get(name) ?? null;
+  }
+
+  accessorRealm(name) {
+    if (this.getters.has(name) || this.setters.has(name)) {
+      return this;
+    }
+    return this.superClass ? this.superClass.accessorRealm(name) : null;
+  }
+
+  // Realm-level member up the inheritance chain: { value } for a ring or
+  // precious, { method } for a song, or null
+  findStatic(name) {
+    if (this.statics.has(name)) {
+      return { value: this.statics.get(name) };
+    }
+    if (this.staticMethods.has(name)) {
+      return { method: this.staticMethods.get(name) };
+    }
+    return this.superClass ? this.superClass.findStatic(name) : null;
+  }
+
+  defineStatic(name, value, isConstant = false) {
+    this.statics.set(name, value);
+    if (isConstant) {
+      this.constants.add(name);
+    }
+  }
+
+  // Realm.name = value; a precious anywhere up the chain cannot be reassigned
+  assignStatic(name, value, line, column) {
+    for (let realm = this; realm; realm = realm.superClass) {
+      if (realm.constants.has(name)) {
+        throw new ConstantError(name, line, column);
+      }
+      if (realm.statics.has(name)) break;
+    }
+    this.statics.set(name, value);
+  }
+
   toString() {
     return `<realm ${this.name}>`;
   }
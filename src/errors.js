@@ -1,11 +1,15 @@
 // LOTR-themed error handling for Tmbdl
 
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+
 export class TmbdlError extends Error {
   constructor(message, line = null, column = null) {
     super(message);
     this.name = 'TmbdlError';
     this.line = line;
     this.column = column;
+    this.trace = null;  // song calls that led here, innermost first: { name, file, line }
   }
 
   toString() {
@@ -62,8 +66,78 @@ export class DivisionByZeroError extends TmbdlError {
   }
 }
 
+export class CompileError extends TmbdlError {
+  constructor(message, line, column) {
+    super(message, line, column);
+    this.name = 'Too heavy a burden';
+  }
+}
+
+// Something that will not stop the program but is probably a mistake,
+// such as a ring that is never used
+export class TmbdlWarning extends TmbdlError {
+  constructor(message, line, column) {
+    super(message, line, column);
+    this.name = 'A whisper in the dark';
+  }
+}
+
+// Several errors found in one pass. The parser and resolver keep going
+// after a mistake; for the parser, `program` holds whatever did parse.
+export class ErrorList extends TmbdlError {
+  constructor(errors = [], program = null) {
+    super(`${errors.length} errors - the road has gone astray in many places`, errors[0]?.line ?? null, errors[0]?.column ?? null);
+    this.name = 'Many roads have gone astray';
+    this.errors = errors;
+    this.program = program;
+  }
+}
+
+// How deeply songs may call one another before the interpreter and the VM
+// give up, unless told otherwise
+export const MAX_CALL_DEPTH = 10000;
+
+// Raised when song calls nest past the limit, or past what the host's own
+// stack can hold
+export function recursionError(depth, limit, line = null, column = null) {
+  const reason = depth > limit
+    ? `past the limit of ${limit}`
+    : 'and the host ran out of room for more';
+  return new RuntimeError(`The road goes ever on and on - songs were called ${depth} deep, ${reason}`, line, column);
+}
+
+// Raised when a song is called with too few or too many arguments. song
+// names it with its signature, as in "Song greet(name, greeting = ...)";
+// min and max are the fewest and most arguments it takes.
+export function arityError(song, min, max, received, line = null, column = null) {
+  const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+  const noun = min === 1 && (max === 1 || max === Infinity) ? 'argument' : 'arguments';
+  return new RuntimeError(`${song} expects ${expected} ${noun} but received ${received}`, line, column);
+}
+
+// Whether a host error is the JavaScript stack running out. Checked without a
+// regular expression, which would need stack of its own to compile.
+export function isStackOverflow(error) {
+  return error instanceof RangeError && error.message.includes('call stack');
+}
+
+// Build the object bound by `rescue (peril)` - shared by every backend
+export function createPeril(error) {
+  return {
+    message: error.message || String(error),
+    line: error.line || null,
+    name: error.name || 'Error',
+    trace: (error.trace ?? []).map(frame => ({ name: frame.name, file: frame.file, line: frame.line }))
+  };
+}
+
 // Format error for display
 export function formatError(error, source = null) {
+  if (error.errors) {
+    const each = error.errors.map(inner => formatError(inner, source)).join('');
+    return `${each}\n  ${error.message}\n`;
+  }
+
   let output = `\n  ${error.name}`;
 
   if (error.line !== null) {
@@ -77,6 +151,7 @@ export function formatError(error, source = null) {
   output += `\n  ${error.message}\n`;
 
   // Show source line if available
+  source = traceSource(error) ?? source;
   if (source && error.line !== null) {
     const lines = source.split('\n');
     if (error.line <= lines.length) {
@@ -84,11 +159,46 @@ export function formatError(error, source = null) {
       output += `\n  ${error.line} | ${line}\n`;
 
       if (error.column !== null) {
-        const padding = ' '.repeat(String(error.line).length + 3 + error.column - 1);
+        const padding = ' '.repeat(2 + String(error.line).length + 3 + error.column - 1);
         output += `${padding}^\n`;
       }
     }
   }
 
+  // Only worth showing once a song call is involved - <main> alone adds nothing
+  if (error.trace && error.trace.length > 1) {
+    output += '\n  The road that led here (most recent song last):\n';
+    const frames = [...error.trace].reverse().map(frame => `    ${frame.name} (${formatFrameLocation(frame)})\n`);
+    for (let i = 0; i < frames.length; i++) {
+      // Deep recursion repeats the same frame - show it once and count the rest
+      let repeats = 0;
+      while (frames[i + repeats + 1] === frames[i]) repeats++;
+      output += frames[i];
+      if (repeats > 1) {
+        output += `    ... the same song ${repeats} more times\n`;
+        i += repeats;
+      } else if (repeats === 1) {
+        output += frames[i];
+        i++;
+      }
+    }
+  }
+
   return output;
 }
+
+// An error raised inside a summoned module points into that module's source
+function traceSource(error) {
+  const file = error.trace?.[0]?.file;
+  if (!file) return null;
+  try {
+    return readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function formatFrameLocation(frame) {
+  const line = frame.line ?? '?';
+  return frame.file ? `${relative(process.cwd(), frame.file)}:${line}` : `line ${line}`;
+}
@@ -1,19 +1,39 @@
 import { readFileSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { Environment, ReturnValue, BreakSignal, ContinueSignal, TmbdlFunction, TmbdlLambda, TmbdlClass, TmbdlInstance } from './environment.js';
-import { RuntimeError, TypeError, DivisionByZeroError, TmbdlError } from './errors.js';
-import { createStdlib, NativeFunction, HigherOrderFunction, formatValue } from './stdlib.js';
+import { Environment, Completion, TailCall, QuitSignal, TmbdlFunction, TmbdlLambda, TmbdlClass, TmbdlInstance } from './environment.js';
+import { RuntimeError, TypeError, TmbdlError, createPeril, recursionError, arityError, isStackOverflow, MAX_CALL_DEPTH } from './errors.js';
+import { createStdlib, NativeFunction, HigherOrderFunction, formatValue, typeOf, TYPE_LABELS, isTruthy, isEqual, add, arithmetic, negate, step } from './stdlib.js';
+import { parameterName, parameterRange, describeParameter } from './ast.js';
 import { Lexer } from './lexer.js';
 import { Parser } from './parser.js';
+import { Resolver } from './resolver.js';
+import { resolveModulePath, inModule } from './modules.js';
+
+// Parse and resolve a summoned module, pointing its errors at it so they
+// show its source rather than the entry file's
+function parseModule(source, modulePath) {
+  try {
+    const ast = new Parser(new Lexer(source).tokenize()).parse();
+    new Resolver().resolve(ast);
+    return ast;
+  } catch (error) {
+    throw inModule(error, modulePath);
+  }
+}
 
 export class Interpreter {
-  constructor(currentFile = null) {
+  constructor(currentFile = null, { maxDepth = MAX_CALL_DEPTH } = {}) {
     this.globals = new Environment();
     this.environment = this.globals;
     this.currentFile = currentFile;  // path of currently executing file
     this.exports = new Map();        // exports from current module
     this.moduleCache = new Map();    // cache of loaded modules
     this.currentInstance = null;     // current 'self' for method calls
+    this.currentRealm = null;        // realm declaring the running method, for 'elder'
+    this.callStack = [];             // active song calls, innermost last
+    this.maxDepth = maxDepth;        // song calls allowed on callStack at once
+    this.rescueDepth = 0;            // attempt blocks currently running
+    this.isModule = false;           // set for interpreters running a summoned module
+    this.debugger = null;            // set by Debugger.attach
 
     // Load standard library
     const stdlib = createStdlib();
@@ -27,12 +47,57 @@ export class Interpreter {
 
     for (const statement of program.statements) {
       result = this.execute(statement);
+      // Nothing at the top level catches an 'answer' or 'flee' - just stop
+      if (result instanceof Completion) {
+        return null;
+      }
     }
 
     return result;
   }
 
   execute(node) {
+    const debugging = this.debugger && node.type !== 'BlockStatement';
+    if (debugging) {
+      this.debugger.beforeStatement(node);
+    }
+
+    try {
+      return this.executeStatement(node);
+    } catch (error) {
+      this.captureTrace(error, node);
+      if (debugging) {
+        this.debugger.afterError(error);
+      }
+      throw error;
+    }
+  }
+
+  // Note where an error happened the first time it passes a statement, while
+  // the song calls that led to it are still on the call stack
+  captureTrace(error, node) {
+    if (!(error instanceof TmbdlError) || error.trace) return;
+
+    // Errors from the standard library don't know their line
+    if (error.line === null) {
+      error.line = node.line;
+    }
+    error.trace = this.stackTrace(error.line);
+  }
+
+  // The active song calls, innermost first, each with the line it has reached
+  stackTrace(line) {
+    const trace = [];
+    for (let i = this.callStack.length - 1; i >= 0; i--) {
+      const frame = this.callStack[i];
+      trace.push({ name: frame.name, file: frame.file, line });
+      line = frame.line;
+    }
+    trace.push({ name: this.isModule ? '<module>' : '<main>', file: this.currentFile, line });
+    return trace;
+  }
+
+  executeStatement(node) {
     switch (node.type) {
       case 'Program':
         return this.interpret(node);
@@ -40,6 +105,9 @@ export class Interpreter {
       case 'VariableDeclaration':
         return this.executeVariableDeclaration(node);
 
+      case 'DestructuringDeclaration':
+        return this.executeDestructuring(node);
+
       case 'Assignment':
         return this.executeAssignment(node);
 
@@ -65,10 +133,10 @@ export class Interpreter {
         return this.executeReturn(node);
 
       case 'BreakStatement':
-        throw new BreakSignal();
+        return Completion.BREAK;
 
       case 'ContinueStatement':
-        throw new ContinueSignal();
+        return Completion.CONTINUE;
 
       case 'PrintStatement':
         return this.executePrint(node);
@@ -79,6 +147,9 @@ export class Interpreter {
       case 'TryStatement':
         return this.executeTry(node);
 
+      case 'RiddleStatement':
+        return this.executeRiddle(node);
+
       case 'SummonStatement':
         return this.executeSummon(node);
 
@@ -114,7 +185,7 @@ export class Interpreter {
 
     if (node.imports) {
       // Destructured import: summon { x, y } from "module"
-      for (const { name, alias } of node.imports) {
+      for (const { name, alias, slot } of node.imports) {
         if (!moduleExports.has(name)) {
           throw new RuntimeError(
             `Module '${node.path}' does not share '${name}'`,
@@ -122,7 +193,7 @@ export class Interpreter {
             node.column
           );
         }
-        this.environment.define(alias, moduleExports.get(name));
+        this.environment.define(alias, moduleExports.get(name), false, slot ?? null);
       }
     } else if (node.alias) {
       // Import as namespace: summon "module" as m
@@ -130,7 +201,7 @@ export class Interpreter {
       for (const [key, value] of moduleExports) {
         namespace[key] = value;
       }
-      this.environment.define(node.alias, namespace);
+      this.environment.define(node.alias, namespace, false, node.slot ?? null);
     } else {
       // Import all exports into current scope: summon "module"
       for (const [name, value] of moduleExports) {
@@ -162,18 +233,8 @@ export class Interpreter {
   }
 
   resolveModulePath(importPath, line, column) {
-    // If no current file, use current working directory
-    const basePath = this.currentFile ? dirname(this.currentFile) : process.cwd();
-
-    // Resolve relative to the current file
-    let fullPath = resolve(basePath, importPath);
-
-    // Add .tmbdl extension if not present
-    if (!fullPath.endsWith('.tmbdl')) {
-      fullPath += '.tmbdl';
-    }
-
-    return fullPath;
+    // Relative to the current file, or the working directory without one
+    return resolveModulePath(importPath, this.currentFile);
   }
 
   loadModule(modulePath, line, column) {
@@ -197,17 +258,21 @@ export class Interpreter {
       );
     }
 
-    const lexer = new Lexer(source);
-    const tokens = lexer.tokenize();
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-
     // Create a new interpreter for the module
-    const moduleInterpreter = new Interpreter(modulePath);
+    const moduleInterpreter = new Interpreter(modulePath, { maxDepth: this.maxDepth });
     moduleInterpreter.moduleCache = this.moduleCache; // Share the cache
+    moduleInterpreter.isModule = true;
 
-    // Execute the module
-    moduleInterpreter.interpret(ast);
+    // Parse and execute the module
+    try {
+      moduleInterpreter.interpret(parseModule(source, modulePath));
+    } catch (error) {
+      // Carry the trace on through the songs that summoned the module
+      if (error instanceof TmbdlError && error.trace) {
+        error.trace.push(...this.stackTrace(line));
+      }
+      throw error;
+    }
 
     // Store exports in cache
     this.moduleCache.set(modulePath, moduleInterpreter.exports);
@@ -217,72 +282,51 @@ export class Interpreter {
 
   executeTry(node) {
     try {
-      return this.execute(node.tryBlock);
+      this.rescueDepth++;
+      try {
+        return this.execute(node.tryBlock);
+      } finally {
+        this.rescueDepth--;
+      }
     } catch (error) {
-      // Only catch TmbdlErrors, not control flow signals
-      if (error instanceof ReturnValue || error instanceof BreakSignal || error instanceof ContinueSignal) {
+      // The debugger abandoning the program is not a peril
+      if (error instanceof QuitSignal) {
         throw error;
       }
 
-      // Create error object for the rescue block
-      const errorObj = {
-        message: error.message || String(error),
-        line: error.line || null,
-        name: error.name || 'Error'
-      };
-
       const catchEnv = new Environment(this.environment);
-      catchEnv.define(node.catchParam, errorObj);
+      catchEnv.define(node.catchParam, createPeril(error), false, 0);
       return this.executeBlock(node.catchBlock.statements, catchEnv);
     }
   }
 
   executeCompoundAssignment(node) {
-    const current = this.environment.get(node.name, node.line, node.column);
+    const current = this.lookUp(node, node.name);
     const operand = this.evaluate(node.value);
 
     let result;
-    switch (node.operator) {
-      case '+':
-        if (typeof current === 'string' || typeof operand === 'string') {
-          result = formatValue(current) + formatValue(operand);
-        } else {
-          result = current + operand;
-        }
-        break;
-      case '-':
-        result = current - operand;
-        break;
-      case '*':
-        result = current * operand;
-        break;
-      case '/':
-        if (operand === 0) {
-          throw new DivisionByZeroError(node.line, node.column);
-        }
-        result = current / operand;
-        break;
-      default:
-        throw new RuntimeError(`Unknown compound operator: ${node.operator}`, node.line, node.column);
+    try {
+      result = node.operator === '+'
+        ? add(current, operand, formatValue)
+        : arithmetic(node.operator, current, operand);
+    } catch (error) {
+      throw this.locate(error, node);
     }
 
-    this.environment.assign(node.name, result, node.line, node.column);
+    this.assignVariable(node, result);
     return result;
   }
 
   executeUpdate(node) {
-    const current = this.environment.get(node.name, node.line, node.column);
+    const current = this.lookUp(node, node.name);
 
-    if (typeof current !== 'number') {
-      throw new TypeError(
-        `One does not simply use '${node.operator}' on a non-number`,
-        node.line,
-        node.column
-      );
+    let newValue;
+    try {
+      newValue = step(node.operator, current);
+    } catch (error) {
+      throw this.locate(error, node);
     }
-
-    const newValue = node.operator === '++' ? current + 1 : current - 1;
-    this.environment.assign(node.name, newValue, node.line, node.column);
+    this.assignVariable(node, newValue);
 
     // Return old value for postfix, new value for prefix
     return node.prefix ? newValue : current;
@@ -293,16 +337,41 @@ export class Interpreter {
     if (node.value) {
       value = this.evaluate(node.value);
     }
-    this.environment.define(node.name, value, node.isConstant);
+    this.environment.define(node.name, value, node.isConstant, node.slot ?? null);
+    return value;
+  }
+
+  executeDestructuring(node) {
+    const value = this.evaluate(node.value);
+    this.destructure(node.pattern, value, this.environment, node.isConstant);
     return value;
   }
 
   executeAssignment(node) {
     const value = this.evaluate(node.value);
-    this.environment.assign(node.name, value, node.line, node.column);
+    this.assignVariable(node, value);
     return value;
   }
 
+  // Read a name through the slot the resolver found for it, or by name when
+  // it found none (globals, and code that was never resolved)
+  lookUp(node, name) {
+    const local = node.local;
+    if (local) {
+      return this.environment.getAt(local.depth, local.slot, name, node.line, node.column);
+    }
+    return this.environment.get(name, node.line, node.column);
+  }
+
+  assignVariable(node, value) {
+    const local = node.local;
+    if (local) {
+      this.environment.assignAt(local.depth, local.slot, node.name, value, node.line, node.column);
+    } else {
+      this.environment.assign(node.name, value, node.line, node.column);
+    }
+  }
+
   executeIndexAssignment(node) {
     const object = this.evaluate(node.object);
     const index = this.evaluate(node.index);
@@ -323,6 +392,8 @@ export class Interpreter {
     return value;
   }
 
+  // Runs statements in order and returns the last one's value - or, as soon
+  // as one finishes with 'answer', 'flee' or 'onwards', that Completion
   executeBlock(statements, environment) {
     const previous = this.environment;
     let result = null;
@@ -331,6 +402,7 @@ export class Interpreter {
       this.environment = environment;
       for (const statement of statements) {
         result = this.execute(statement);
+        if (result instanceof Completion) break;
       }
     } finally {
       this.environment = previous;
@@ -342,7 +414,7 @@ export class Interpreter {
   executeIf(node) {
     const condition = this.evaluate(node.condition);
 
-    if (this.isTruthy(condition)) {
+    if (isTruthy(condition)) {
       return this.execute(node.thenBranch);
     } else if (node.elseBranch) {
       return this.execute(node.elseBranch);
@@ -354,14 +426,12 @@ export class Interpreter {
   executeWhile(node) {
     let result = null;
 
-    while (this.isTruthy(this.evaluate(node.condition))) {
-      try {
-        result = this.execute(node.body);
-      } catch (signal) {
-        if (signal instanceof BreakSignal) break;
-        if (signal instanceof ContinueSignal) continue;
-        throw signal;
-      }
+    while (isTruthy(this.evaluate(node.condition))) {
+      const completion = this.execute(node.body);
+      if (completion === Completion.BREAK) break;
+      if (completion === Completion.CONTINUE) continue;
+      if (completion instanceof Completion) return completion;
+      result = completion;
     }
 
     return result;
@@ -383,32 +453,204 @@ export class Interpreter {
 
     for (const item of items) {
       const loopEnv = new Environment(this.environment);
-      loopEnv.define(node.variable, item);
-
-      try {
-        result = this.executeBlock(node.body.statements, loopEnv);
-      } catch (signal) {
-        if (signal instanceof BreakSignal) break;
-        if (signal instanceof ContinueSignal) continue;
-        throw signal;
+      if (typeof node.variable === 'string') {
+        loopEnv.define(node.variable, item, false, 0);
+      } else {
+        this.destructure(node.variable, item, loopEnv);
       }
+
+      const completion = this.executeBlock(node.body.statements, loopEnv);
+      if (completion === Completion.BREAK) break;
+      if (completion === Completion.CONTINUE) continue;
+      if (completion instanceof Completion) return completion;
+      result = completion;
     }
 
     return result;
   }
 
+  // Run the first arm whose pattern fits the subject and whose guard holds
+  executeRiddle(node) {
+    const subject = this.evaluate(node.subject);
+
+    for (const arm of node.arms) {
+      const armEnv = new Environment(this.environment);
+      if (!this.matchPattern(arm.pattern, subject, armEnv)) continue;
+
+      if (arm.guard && !isTruthy(this.evaluateIn(arm.guard, armEnv))) continue;
+
+      return this.executeBlock(arm.body.statements, armEnv);
+    }
+
+    return null;
+  }
+
+  // Whether value fits pattern, defining the names it binds in environment
+  // along the way
+  matchPattern(pattern, value, environment) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return true;
+
+      case 'BindingPattern':
+        environment.define(pattern.name, value, false, pattern.slot ?? null);
+        return true;
+
+      case 'LiteralPattern':
+        return isEqual(value, pattern.value);
+
+      case 'ArrayPattern': {
+        if (!Array.isArray(value)) return false;
+        const count = pattern.elements.length;
+        if (pattern.rest ? value.length < count : value.length !== count) return false;
+        if (!pattern.elements.every((element, i) => this.matchPattern(element, value[i], environment))) {
+          return false;
+        }
+        return !pattern.rest || this.matchPattern(pattern.rest, value.slice(count), environment);
+      }
+
+      case 'ObjectPattern':
+        return this.matchFields(pattern.fields, this.fieldsOf(value), environment);
+
+      case 'RealmPattern': {
+        const realm = this.lookUp(pattern, pattern.realm);
+        if (!(realm instanceof TmbdlClass)) {
+          throw new TypeError(
+            `'${pattern.realm}' is not a realm - cannot match against it`,
+            pattern.line,
+            pattern.column
+          );
+        }
+        if (!(value instanceof TmbdlInstance) || !value.klass.descendsFrom(realm)) return false;
+        return this.matchFields(pattern.fields, value.fields, environment);
+      }
+
+      default:
+        throw new RuntimeError(
+          `Unknown pattern type: ${pattern.type}`,
+          pattern.line,
+          pattern.column
+        );
+    }
+  }
+
+  matchFields(fields, values, environment) {
+    if (values === null) return false;
+    return fields.every(({ key, pattern }) =>
+      values.has(key) && this.matchPattern(pattern, values.get(key), environment));
+  }
+
+  // What an object pattern sees of a value: a realm instance's fields or a
+  // plain object's keys. Anything else has no fields to match.
+  fieldsOf(value) {
+    if (value instanceof TmbdlInstance) {
+      return value.fields;
+    }
+    if (typeof value === 'object' && value !== null && !value.boundMethod && value.constructor === Object) {
+      return new Map(Object.entries(value));
+    }
+    return null;
+  }
+
+  // Define the names pattern unpacks from value in environment. An element
+  // or field that is missing is shadow, unless the pattern gives a default.
+  destructure(pattern, value, environment, isConstant = false) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        break;
+
+      case 'BindingPattern':
+        environment.define(pattern.name, value, isConstant, pattern.slot ?? null);
+        break;
+
+      case 'ArrayPattern': {
+        if (!Array.isArray(value)) {
+          throw this.unpackError('A fellowship', value, pattern);
+        }
+        pattern.elements.forEach((element, i) => {
+          this.destructurePart(element, i < value.length, value[i], environment, isConstant);
+        });
+        if (pattern.rest) {
+          this.destructure(pattern.rest, value.slice(pattern.elements.length), environment, isConstant);
+        }
+        break;
+      }
+
+      case 'ObjectPattern': {
+        const fields = this.fieldsOf(value);
+        if (fields === null) {
+          throw this.unpackError('An object', value, pattern);
+        }
+        for (const field of pattern.fields) {
+          this.destructurePart(field.pattern, fields.has(field.key), fields.get(field.key), environment, isConstant);
+        }
+        if (pattern.rest) {
+          const rest = {};
+          for (const [key, fieldValue] of fields) {
+            if (!pattern.fields.some(field => field.key === key)) rest[key] = fieldValue;
+          }
+          this.destructure(pattern.rest, rest, environment, isConstant);
+        }
+        break;
+      }
+
+      default:
+        throw new RuntimeError(
+          `Unknown pattern type: ${pattern.type}`,
+          pattern.line,
+          pattern.column
+        );
+    }
+  }
+
+  // One element or field of a pattern that unpacks, which may give a default
+  // for when it is missing
+  destructurePart(pattern, present, value, environment, isConstant) {
+    if (pattern.type === 'DefaultPattern') {
+      value = present ? value : this.evaluateIn(pattern.value, environment);
+      pattern = pattern.pattern;
+    } else if (!present) {
+      value = null;
+    }
+    this.destructure(pattern, value, environment, isConstant);
+  }
+
+  unpackError(kind, value, pattern) {
+    return new TypeError(
+      `${kind} pattern cannot unpack a ${TYPE_LABELS[typeOf(value)]}`,
+      pattern.line,
+      pattern.column
+    );
+  }
+
   executeFunctionDeclaration(node) {
-    const fn = new TmbdlFunction(node, this.environment);
-    this.environment.define(node.name, fn);
+    const fn = new TmbdlFunction(node, this.environment, this.currentFile);
+    this.environment.define(node.name, fn, false, node.slot ?? null);
     return fn;
   }
 
   executeReturn(node) {
+    if (node.value?.type === 'CallExpression' && this.inTailPosition()) {
+      const callee = this.evaluate(node.value.callee);
+      const args = this.evaluateArguments(node.value.arguments);
+      if (callee instanceof TmbdlFunction || callee instanceof TmbdlLambda || callee?.boundMethod) {
+        return new TailCall(callee, args, node.value);
+      }
+      return new Completion('return', this.callValue(callee, args, node.value));
+    }
+
     let value = null;
     if (node.value) {
       value = this.evaluate(node.value);
     }
-    throw new ReturnValue(value);
+    return new Completion('return', value);
+  }
+
+  // Whether an 'answer' would leave the innermost song outright. Inside an
+  // attempt of that song it would not: the rescue still has to be able to run.
+  inTailPosition() {
+    const frame = this.callStack[this.callStack.length - 1];
+    return frame !== undefined && frame.rescueDepth === this.rescueDepth;
   }
 
   executePrint(node) {
@@ -448,7 +690,7 @@ export class Interpreter {
         return obj;
 
       case 'Identifier':
-        return this.environment.get(node.name, node.line, node.column);
+        return this.lookUp(node, node.name);
 
       case 'BinaryExpression':
         return this.evaluateBinary(node);
@@ -465,8 +707,12 @@ export class Interpreter {
       case 'IndexExpression':
         return this.evaluateIndex(node);
 
-      case 'LambdaExpression':
-        return new TmbdlLambda(node.params, node.body, this.environment);
+      case 'LambdaExpression': {
+        const lambda = new TmbdlLambda(node.params, node.body, this.environment, this.currentFile);
+        lambda.instance = this.currentInstance;
+        lambda.realm = this.currentRealm;
+        return lambda;
+      }
 
       case 'TemplateLiteral':
         return this.evaluateTemplateLiteral(node);
@@ -487,6 +733,9 @@ export class Interpreter {
       case 'PropertyAccess':
         return this.evaluatePropertyAccess(node);
 
+      case 'ElderCall':
+        return this.evaluateElderCall(node);
+
       case 'CreateExpression':
         return this.evaluateCreate(node);
 
@@ -499,64 +748,34 @@ export class Interpreter {
     }
   }
 
+  // Evaluate node with environment as the current scope
+  evaluateIn(node, environment) {
+    const previous = this.environment;
+    try {
+      this.environment = environment;
+      return this.evaluate(node);
+    } finally {
+      this.environment = previous;
+    }
+  }
+
   evaluateBinary(node) {
     const left = this.evaluate(node.left);
     const right = this.evaluate(node.right);
 
-    switch (node.operator) {
-      case '+':
-        if (typeof left === 'string' || typeof right === 'string') {
-          return formatValue(left) + formatValue(right);
-        }
-        return left + right;
-
-      case '-':
-        this.checkNumbers(left, right, '-', node);
-        return left - right;
-
-      case '*':
-        this.checkNumbers(left, right, '*', node);
-        return left * right;
-
-      case '/':
-        this.checkNumbers(left, right, '/', node);
-        if (right === 0) {
-          throw new DivisionByZeroError(node.line, node.column);
-        }
-        return left / right;
-
-      case '%':
-        this.checkNumbers(left, right, '%', node);
-        return left % right;
-
-      case '==':
-        return this.isEqual(left, right);
-
-      case '!=':
-        return !this.isEqual(left, right);
-
-      case '<':
-        this.checkNumbers(left, right, '<', node);
-        return left < right;
-
-      case '>':
-        this.checkNumbers(left, right, '>', node);
-        return left > right;
-
-      case '<=':
-        this.checkNumbers(left, right, '<=', node);
-        return left <= right;
-
-      case '>=':
-        this.checkNumbers(left, right, '>=', node);
-        return left >= right;
-
-      default:
-        throw new RuntimeError(
-          `Unknown operator: ${node.operator}`,
-          node.line,
-          node.column
-        );
+    try {
+      switch (node.operator) {
+        case '+':
+          return add(left, right, formatValue);
+        case '==':
+          return isEqual(left, right);
+        case '!=':
+          return !isEqual(left, right);
+        default:
+          return arithmetic(node.operator, left, right);
+      }
+    } catch (error) {
+      throw this.locate(error, node);
     }
   }
 
@@ -565,17 +784,14 @@ export class Interpreter {
 
     switch (node.operator) {
       case '-':
-        if (typeof operand !== 'number') {
-          throw new TypeError(
-            'One does not simply negate a non-number',
-            node.line,
-            node.column
-          );
+        try {
+          return negate(operand);
+        } catch (error) {
+          throw this.locate(error, node);
         }
-        return -operand;
 
       case 'none':
-        return !this.isTruthy(operand);
+        return !isTruthy(operand);
 
       default:
         throw new RuntimeError(
@@ -590,18 +806,50 @@ export class Interpreter {
     const left = this.evaluate(node.left);
 
     if (node.operator === 'either') {
-      if (this.isTruthy(left)) return left;
+      if (isTruthy(left)) return left;
     } else if (node.operator === 'with') {
-      if (!this.isTruthy(left)) return left;
+      if (!isTruthy(left)) return left;
     }
 
     return this.evaluate(node.right);
   }
 
+  // The values of a call's arguments, with each ...fellowship spread out
+  evaluateArguments(nodes) {
+    const args = [];
+    for (const node of nodes) {
+      if (node.type !== 'SpreadArgument') {
+        args.push(this.evaluate(node));
+        continue;
+      }
+
+      const values = this.evaluate(node.argument);
+      if (!Array.isArray(values)) {
+        throw new TypeError(
+          `Only a fellowship can be spread into arguments, not a ${TYPE_LABELS[typeOf(values)]}`,
+          node.line,
+          node.column
+        );
+      }
+      args.push(...values);
+    }
+    return args;
+  }
+
   evaluateCall(node) {
     const callee = this.evaluate(node.callee);
-    const args = node.arguments.map(arg => this.evaluate(arg));
+    const args = this.evaluateArguments(node.arguments);
 
+    // Songs and lambdas skip callValue, to keep deep recursion off the host stack
+    if (callee instanceof TmbdlFunction || callee instanceof TmbdlLambda) {
+      this.checkArity(callee, args, node);
+      return this.runSong(callee, this.bindArguments(callee, args), node);
+    }
+    return this.callValue(callee, args, node);
+  }
+
+  // Call whatever the callee of a call expression evaluated to
+  callValue(callee, args, node) {
     // Bound method (from property access on instance)
     if (callee && callee.boundMethod) {
       return this.callMethod(callee.instance, callee.boundMethod, args, node);
@@ -628,77 +876,135 @@ export class Interpreter {
       return callee.call(args);
     }
 
-    // User-defined function
-    if (callee instanceof TmbdlFunction) {
-      if (args.length !== callee.params.length) {
-        throw new RuntimeError(
-          `Song '${callee.name}' expects ${callee.params.length} arguments but received ${args.length}`,
-          node.line,
-          node.column
-        );
-      }
+    // User-defined function or lambda
+    if (callee instanceof TmbdlFunction || callee instanceof TmbdlLambda) {
+      this.checkArity(callee, args, node);
+      return this.runSong(callee, this.bindArguments(callee, args), node);
+    }
 
-      const environment = new Environment(callee.closure);
-      for (let i = 0; i < callee.params.length; i++) {
-        environment.define(callee.params[i], args[i]);
-      }
+    throw new TypeError(
+      `'${formatValue(callee)}' is not a song (function)`,
+      node.line,
+      node.column
+    );
+  }
 
-      try {
-        this.executeBlock(callee.body, environment);
-      } catch (returnValue) {
-        if (returnValue instanceof ReturnValue) {
-          return returnValue.value;
-        }
-        throw returnValue;
-      }
+  checkArity(callee, args, node) {
+    const { min, max } = parameterRange(callee.params);
+    if (args.length >= min && args.length <= max) return;
+    throw arityError(this.describeSong(callee), min, max, args.length, node.line, node.column);
+  }
 
-      return null;
-    }
+  // A song as arity errors name it, with its signature: "Song greet(name)",
+  // "Method Hobbit.greet(name)", "Forge Hobbit(name)" or "Lambda (x)"
+  describeSong(song) {
+    const signature = `(${song.params.map(describeParameter).join(', ')})`;
+    if (song instanceof TmbdlLambda) return `Lambda ${signature}`;
+    if (song.name === 'forge') return `Forge ${song.realm?.name ?? ''}${signature}`;
+    if (song.realm) return `Method ${song.realm.name}.${song.name}${signature}`;
+    return `Song ${song.name}${signature}`;
+  }
 
-    // Lambda expression
-    if (callee instanceof TmbdlLambda) {
-      if (args.length !== callee.params.length) {
-        throw new RuntimeError(
-          `Lambda expects ${callee.params.length} arguments but received ${args.length}`,
-          node.line,
-          node.column
-        );
+  // A fresh environment for a call, with the parameters bound. The caller
+  // has checked the argument count.
+  bindArguments(callee, args) {
+    const environment = new Environment(callee.closure);
+    this.defineParameters(callee.params, args, environment);
+    return environment;
+  }
+
+  // Each argument goes in its parameter's slot - or the parameter's default
+  // when it was left out, or the leftover arguments for a rest parameter -
+  // and is then unpacked if the parameter is a pattern. Arguments past the
+  // last parameter are dropped.
+  defineParameters(params, args, environment) {
+    params.forEach((param, i) => {
+      let value = args[i];
+      if (param.type === 'RestParameter') {
+        value = args.slice(i);
+      } else if (param.type === 'DefaultPattern') {
+        if (i >= args.length) value = this.evaluateIn(param.value, environment);
+        param = param.pattern;
       }
 
-      const environment = new Environment(callee.closure);
-      for (let i = 0; i < callee.params.length; i++) {
-        environment.define(callee.params[i], args[i]);
+      environment.define(parameterName(params[i], i), value, false, i);
+      if (param.type === 'ArrayPattern' || param.type === 'ObjectPattern') {
+        this.destructure(param, value, environment);
       }
+    });
+  }
 
-      // Lambda body can be an expression (implicit return) or a block
-      if (Array.isArray(callee.body)) {
-        // Block body
-        try {
-          this.executeBlock(callee.body, environment);
-        } catch (returnValue) {
-          if (returnValue instanceof ReturnValue) {
-            return returnValue.value;
-          }
-          throw returnValue;
+  // Run a song, lambda or method in a new frame and return its answer.
+  // 'answer g(...)' in tail position finishes the body with a TailCall, and g
+  // then runs in the same frame, so tail recursion doesn't grow the host stack.
+  // instance is the self of a method call, or null to keep the caller's.
+  runSong(song, environment, node, instance = null) {
+    const previousInstance = this.currentInstance;
+    const previousRealm = this.currentRealm;
+    this.pushFrame(this.frameName(song, instance), node, environment, song.file);
+
+    try {
+      while (true) {
+        if (song instanceof TmbdlLambda) {
+          // A lambda sees the self it was made with, not its caller's
+          this.currentInstance = song.instance;
+          this.currentRealm = song.realm;
+        } else if (instance !== null) {
+          this.currentInstance = instance;
+          this.currentRealm = song.realm;
         }
-        return null;
-      } else {
-        // Expression body - evaluate and return
-        const previous = this.environment;
-        try {
-          this.environment = environment;
-          return this.evaluate(callee.body);
-        } finally {
-          this.environment = previous;
+
+        if (!Array.isArray(song.body)) {
+          return this.evaluateBody(song.body, environment);
+        }
+
+        const completion = this.executeBlock(song.body, environment);
+        if (!(completion instanceof TailCall)) {
+          return completion instanceof Completion ? completion.value : null;
         }
+
+        const { callee, args } = completion;
+        instance = callee.boundMethod ? callee.instance : null;
+        song = callee.boundMethod ?? callee;
+        this.checkArity(song, args, completion.node);
+        environment = this.bindArguments(song, args);
+        this.replaceFrame(this.frameName(song, instance), environment, song.file);
+      }
+    } catch (error) {
+      // Non-tail recursion can still outgrow the host's stack
+      if (isStackOverflow(error)) {
+        throw recursionError(this.callStack.length, this.maxDepth, node.line, node.column);
       }
+      throw error;
+    } finally {
+      this.callStack.pop();
+      this.currentInstance = previousInstance;
+      this.currentRealm = previousRealm;
     }
+  }
 
-    throw new TypeError(
-      `'${formatValue(callee)}' is not a song (function)`,
-      node.line,
-      node.column
-    );
+  // Expression-bodied lambda - evaluate and return
+  evaluateBody(body, environment) {
+    const previous = this.environment;
+    try {
+      this.environment = environment;
+      return this.evaluate(body);
+    } catch (error) {
+      // No statement inside to record the trace while this frame is up
+      this.captureTrace(error, body);
+      throw error;
+    } finally {
+      this.environment = previous;
+    }
+  }
+
+  frameName(song, instance) {
+    if (instance !== null) {
+      // Realm songs run with self bound to the realm itself
+      const realm = instance instanceof TmbdlClass ? instance : instance.klass;
+      return `${realm.name}.${song.name}`;
+    }
+    return song instanceof TmbdlLambda ? '<lambda>' : song.name;
   }
 
   evaluateTemplateLiteral(node) {
@@ -753,74 +1059,38 @@ export class Interpreter {
 
   // Helper methods
 
-  isTruthy(value) {
-    if (value === null) return false;
-    if (typeof value === 'boolean') return value;
-    if (typeof value === 'number') return value !== 0;
-    if (typeof value === 'string') return value.length > 0;
-    return true;
+  // Errors from the shared operators don't know where they happened
+  locate(error, node) {
+    if (error instanceof TmbdlError && error.line === null) {
+      error.line = node.line;
+      error.column = node.column;
+    }
+    return error;
   }
 
-  isEqual(a, b) {
-    if (a === null && b === null) return true;
-    if (a === null || b === null) return false;
-    return a === b;
+  // Record a song call; callers pop the frame once the body has finished
+  pushFrame(name, node, environment, file = null) {
+    if (this.callStack.length >= this.maxDepth) {
+      throw recursionError(this.callStack.length + 1, this.maxDepth, node.line, node.column);
+    }
+    this.callStack.push({
+      name, line: node.line, file, environment, caller: this.environment, rescueDepth: this.rescueDepth,
+    });
   }
 
-  checkNumbers(left, right, operator, node) {
-    if (typeof left !== 'number' || typeof right !== 'number') {
-      throw new TypeError(
-        `One does not simply use '${operator}' with non-numbers`,
-        node.line,
-        node.column
-      );
-    }
+  // A tail call takes over the innermost frame, which keeps the line it was called from
+  replaceFrame(name, environment, file) {
+    const frame = this.callStack[this.callStack.length - 1];
+    this.callStack[this.callStack.length - 1] = { ...frame, name, environment, file };
   }
 
   // Helper to invoke any callable (function, lambda, or native)
   invokeCallable(callable, args, node) {
-    if (callable instanceof TmbdlFunction) {
-      const environment = new Environment(callable.closure);
-      for (let i = 0; i < callable.params.length && i < args.length; i++) {
-        environment.define(callable.params[i], args[i]);
-      }
-
-      try {
-        this.executeBlock(callable.body, environment);
-      } catch (returnValue) {
-        if (returnValue instanceof ReturnValue) {
-          return returnValue.value;
-        }
-        throw returnValue;
-      }
-      return null;
-    }
-
-    if (callable instanceof TmbdlLambda) {
-      const environment = new Environment(callable.closure);
-      for (let i = 0; i < callable.params.length && i < args.length; i++) {
-        environment.define(callable.params[i], args[i]);
-      }
-
-      if (Array.isArray(callable.body)) {
-        try {
-          this.executeBlock(callable.body, environment);
-        } catch (returnValue) {
-          if (returnValue instanceof ReturnValue) {
-            return returnValue.value;
-          }
-          throw returnValue;
-        }
-        return null;
-      } else {
-        const previous = this.environment;
-        try {
-          this.environment = environment;
-          return this.evaluate(callable.body);
-        } finally {
-          this.environment = previous;
-        }
-      }
+    if (callable instanceof TmbdlFunction || callable instanceof TmbdlLambda) {
+      // Natives may pass more than a song takes, such as map's index
+      args = args.slice(0, parameterRange(callable.params).max);
+      this.checkArity(callable, args, node);
+      return this.runSong(callable, this.bindArguments(callable, args), node);
     }
 
     if (callable instanceof NativeFunction) {
@@ -840,7 +1110,7 @@ export class Interpreter {
     // Resolve superclass if any
     let superClass = null;
     if (node.superClass) {
-      superClass = this.environment.get(node.superClass, node.line, node.column);
+      superClass = this.lookUp(node, node.superClass);
       if (!(superClass instanceof TmbdlClass)) {
         throw new TypeError(
           `'${node.superClass}' is not a realm - cannot inherit`,
@@ -850,25 +1120,40 @@ export class Interpreter {
       }
     }
 
-    // Convert method declarations to TmbdlFunctions
-    const methods = node.methods.map(method =>
-      new TmbdlFunction(method, this.environment)
-    );
+    // Convert method, accessor and realm song declarations to TmbdlFunctions
+    const toFunction = declaration => new TmbdlFunction(declaration, this.environment, this.currentFile);
+    const methods = node.methods.map(toFunction);
+    const accessors = node.accessors.map(toFunction);
+    const staticMethods = node.statics.filter(member => member.type === 'FunctionDeclaration').map(toFunction);
 
     // Create the class
     const klass = new TmbdlClass(
       node.name,
       superClass,
       node.constructor,
-      methods
+      methods,
+      this.currentFile,
+      accessors,
+      staticMethods
     );
 
-    this.environment.define(node.name, klass);
+    klass.closure = this.environment;
+    this.environment.define(node.name, klass, false, node.slot ?? null);
+
+    // Realm-level rings are set up in order once the realm exists, so
+    // their values can use its songs
+    for (const member of node.statics) {
+      if (member.type === 'VariableDeclaration') {
+        const value = member.value ? this.evaluate(member.value) : null;
+        klass.defineStatic(member.name, value, member.isConstant);
+      }
+    }
+
     return klass;
   }
 
   evaluateCreate(node) {
-    const klass = this.environment.get(node.className, node.line, node.column);
+    const klass = this.lookUp(node, node.className);
 
     if (!(klass instanceof TmbdlClass)) {
       throw new TypeError(
@@ -880,89 +1165,122 @@ export class Interpreter {
 
     // Create new instance
     const instance = new TmbdlInstance(klass);
-    const args = node.arguments.map(arg => this.evaluate(arg));
-
-    // Find constructor in class hierarchy
-    let constructor_ = klass.constructor;
-    if (!constructor_ && klass.superClass) {
-      constructor_ = klass.superClass.constructor;
-    }
+    const args = this.evaluateArguments(node.arguments);
 
     // Call constructor if present
-    if (constructor_) {
-      this.callConstructor(instance, constructor_, args, node);
+    const owner = this.findForge(klass);
+    if (owner) {
+      this.callConstructor(instance, owner.constructor, args, node, owner);
     }
 
     return instance;
   }
 
-  callConstructor(instance, constructor_, args, node) {
-    if (args.length !== constructor_.params.length) {
-      throw new RuntimeError(
-        `Forge expects ${constructor_.params.length} arguments but received ${args.length}`,
-        node.line,
-        node.column
-      );
+  // Nearest realm in the hierarchy, starting at klass, that declares a forge
+  findForge(klass) {
+    let owner = klass;
+    while (owner && !owner.constructor) {
+      owner = owner.superClass;
     }
+    return owner;
+  }
 
-    const environment = new Environment(this.environment);
-    for (let i = 0; i < constructor_.params.length; i++) {
-      environment.define(constructor_.params[i], args[i]);
-    }
+  callConstructor(instance, constructor_, args, node, owner = null) {
+    const forge = {
+      name: 'forge', params: constructor_.params, body: constructor_.body, file: owner?.file ?? null, realm: owner,
+    };
+    this.checkArity(forge, args, node);
 
-    const previousInstance = this.currentInstance;
-    this.currentInstance = instance;
+    // The forge sees the scope its realm was declared in
+    const environment = new Environment(owner?.closure ?? this.environment);
+    this.defineParameters(constructor_.params, args, environment);
 
-    try {
-      this.executeBlock(constructor_.body, environment);
-    } catch (returnValue) {
-      if (returnValue instanceof ReturnValue) {
-        // Ignore return value from constructor
-      } else {
-        throw returnValue;
-      }
-    } finally {
-      this.currentInstance = previousInstance;
-    }
+    // The forge's answer, if any, is ignored
+    this.runSong(forge, environment, node, instance);
   }
 
   callMethod(instance, method, args, node) {
-    if (args.length !== method.params.length) {
+    this.checkArity(method, args, node);
+    return this.runSong(method, this.bindArguments(method, args), node, instance);
+  }
+
+  // elder.name(args) runs the parent realm's version of a song on self,
+  // elder.forge(args) runs the parent realm's forge
+  evaluateElderCall(node) {
+    if (this.currentRealm === null) {
       throw new RuntimeError(
-        `Method '${method.name}' expects ${method.params.length} arguments but received ${args.length}`,
+        'Cannot use "elder" outside of a realm method',
         node.line,
         node.column
       );
     }
 
-    const environment = new Environment(method.closure);
-    for (let i = 0; i < method.params.length; i++) {
-      environment.define(method.params[i], args[i]);
+    const elder = this.currentRealm.superClass;
+    if (!elder) {
+      throw new RuntimeError(
+        `Realm '${this.currentRealm.name}' has no elder realm`,
+        node.line,
+        node.column
+      );
     }
 
-    const previousInstance = this.currentInstance;
-    this.currentInstance = instance;
+    const args = this.evaluateArguments(node.arguments);
 
-    try {
-      this.executeBlock(method.body, environment);
-    } catch (returnValue) {
-      if (returnValue instanceof ReturnValue) {
-        return returnValue.value;
+    // Inside a realm song, elder reaches the parent realm's realm songs
+    if (this.currentInstance instanceof TmbdlClass) {
+      const found = node.method === 'forge' ? null : elder.findStatic(node.method);
+      if (!found?.method) {
+        throw new RuntimeError(
+          `${elder.name} has no realm song '${node.method}'`,
+          node.line,
+          node.column
+        );
       }
-      throw returnValue;
-    } finally {
-      this.currentInstance = previousInstance;
+      return this.callMethod(this.currentInstance, found.method, args, node);
     }
 
-    return null;
+    if (node.method === 'forge') {
+      const owner = this.findForge(elder);
+      if (!owner) {
+        throw new RuntimeError(
+          `Realm '${elder.name}' has no forge`,
+          node.line,
+          node.column
+        );
+      }
+      this.callConstructor(this.currentInstance, owner.constructor, args, node, owner);
+      return null;
+    }
+
+    const method = elder.findMethod(node.method);
+    if (!method) {
+      throw new RuntimeError(
+        `${elder.name} has no song '${node.method}'`,
+        node.line,
+        node.column
+      );
+    }
+    return this.callMethod(this.currentInstance, method, args, node);
   }
 
   evaluatePropertyAccess(node) {
     const object = this.evaluate(node.object);
 
     if (object instanceof TmbdlInstance) {
+      // A reveal runs unless a field of the same name hides it
+      if (!object.fields.has(node.property)) {
+        const getter = object.klass.findGetter(node.property);
+        if (getter) {
+          return this.callMethod(object, getter, [], node);
+        }
+      }
+
       const value = object.get(node.property);
       if (value === undefined) {
+        // A property with only an inscribe reads as shadow
+        if (object.klass.findSetter(node.property)) {
+          return null;
+        }
         throw new RuntimeError(
           `${object.klass.name} has no property '${node.property}'`,
           node.line,
@@ -976,6 +1294,19 @@ export class Interpreter {
       return value;
     }
 
+    if (object instanceof TmbdlClass) {
+      const found = object.findStatic(node.property);
+      if (!found) {
+        throw new RuntimeError(
+          `${object.name} has no property '${node.property}'`,
+          node.line,
+          node.column
+        );
+      }
+      // Realm songs are bound to the realm they are read through
+      return found.method ? { boundMethod: found.method, instance: object } : found.value;
+    }
+
     // Also support property access on plain objects
     if (typeof object === 'object' && object !== null) {
       return object[node.property];
@@ -993,10 +1324,27 @@ export class Interpreter {
     const value = this.evaluate(node.value);
 
     if (object instanceof TmbdlInstance) {
+      const setter = object.klass.findSetter(node.property);
+      if (setter) {
+        this.callMethod(object, setter, [value], node);
+        return value;
+      }
+      if (object.klass.findGetter(node.property)) {
+        throw new TypeError(
+          `'${node.property}' of ${object.klass.name} can only be revealed, not inscribed`,
+          node.line,
+          node.column
+        );
+      }
       object.set(node.property, value);
       return value;
     }
 
+    if (object instanceof TmbdlClass) {
+      object.assignStatic(node.property, value, node.line, node.column);
+      return value;
+    }
+
     if (typeof object === 'object' && object !== null) {
       object[node.property] = value;
       return value;
@@ -1,6 +1,16 @@
 import { TokenType, Keywords, Token } from './tokens.js';
 import { TmbdlError } from './errors.js';
 
+// Prefixes of numbers written in another base: 0xFF, 0b1010, 0o17
+const RADIXES = {
+  x: { base: 16, name: 'hexadecimal' },
+  X: { base: 16, name: 'hexadecimal' },
+  b: { base: 2, name: 'binary' },
+  B: { base: 2, name: 'binary' },
+  o: { base: 8, name: 'octal' },
+  O: { base: 8, name: 'octal' },
+};
+
 export class Lexer {
   constructor(source) {
     this.source = source;
@@ -37,7 +47,15 @@ export class Lexer {
       case ',': this.addToken(TokenType.COMMA); break;
       case ':': this.addToken(TokenType.COLON); break;
       case ';': this.addToken(TokenType.SEMICOLON); break;
-      case '.': this.addToken(TokenType.DOT); break;
+      case '.':
+        if (this.peek() === '.' && this.peekNext() === '.') {
+          this.advance();
+          this.advance();
+          this.addToken(TokenType.ELLIPSIS);
+        } else {
+          this.addToken(TokenType.DOT);
+        }
+        break;
       case '+':
         if (this.match('+')) this.addToken(TokenType.PLUS_PLUS);
         else if (this.match('=')) this.addToken(TokenType.PLUS_EQUALS);
@@ -49,12 +67,19 @@ export class Lexer {
         else this.addToken(TokenType.MINUS);
         break;
       case '*':
-        this.addToken(this.match('=') ? TokenType.STAR_EQUALS : TokenType.STAR);
+        if (this.match('*')) this.addToken(this.match('=') ? TokenType.STAR_STAR_EQUALS : TokenType.STAR_STAR);
+        else if (this.match('=')) this.addToken(TokenType.STAR_EQUALS);
+        else this.addToken(TokenType.STAR);
         break;
       case '/':
-        this.addToken(this.match('=') ? TokenType.SLASH_EQUALS : TokenType.SLASH);
+        if (this.match('/')) this.addToken(this.match('=') ? TokenType.SLASH_SLASH_EQUALS : TokenType.SLASH_SLASH);
+        else if (this.match('=')) this.addToken(TokenType.SLASH_EQUALS);
+        else this.addToken(TokenType.SLASH);
         break;
       case '%': this.addToken(TokenType.PERCENT); break;
+      case '&': this.addToken(TokenType.AMPERSAND); break;
+      case '|': this.addToken(TokenType.PIPE); break;
+      case '^': this.addToken(TokenType.CARET); break;
 
       // One or two character tokens
       case '=':
@@ -74,10 +99,14 @@ export class Lexer {
         }
         break;
       case '<':
-        this.addToken(this.match('=') ? TokenType.LESS_EQUALS : TokenType.LESS);
+        if (this.match('<')) this.addToken(TokenType.LESS_LESS);
+        else if (this.match('=')) this.addToken(TokenType.LESS_EQUALS);
+        else this.addToken(TokenType.LESS);
         break;
       case '>':
-        this.addToken(this.match('=') ? TokenType.GREATER_EQUALS : TokenType.GREATER);
+        if (this.match('>')) this.addToken(TokenType.GREATER_GREATER);
+        else if (this.match('=')) this.addToken(TokenType.GREATER_EQUALS);
+        else this.addToken(TokenType.GREATER);
         break;
 
       // Comments: ~ for single line, ~* *~ for multi-line
@@ -264,23 +293,71 @@ export class Lexer {
     this.addToken(TokenType.STRING, value);
   }
 
+  // 42, 3.14, 6.02e23, 0xFF, 0b1010 or 0o17. An '_' between two digits
+  // groups them: 1_000_000.
   number() {
-    while (this.isDigit(this.peek())) {
-      this.advance();
-    }
+    const radix = this.source[this.start] === '0' ? RADIXES[this.peek()] : undefined;
+    let value;
 
-    // Look for decimal
-    if (this.peek() === '.' && this.isDigit(this.peekNext())) {
-      this.advance(); // consume .
-      while (this.isDigit(this.peek())) {
+    if (radix) {
+      this.advance(); // consume x, b or o
+      if (!this.isDigitIn(this.peek(), radix.base)) {
+        throw this.numberError(`expected ${radix.name} digits after '${this.text()}'`);
+      }
+      this.digits(char => this.isDigitIn(char, radix.base));
+      value = parseInt(this.text().slice(2).replaceAll('_', ''), radix.base);
+    } else {
+      this.digits(char => this.isDigit(char));
+
+      // Look for decimal. 1.e3 and 1._5 would read as property access, so
+      // they are refused rather than left to mean something else.
+      if (this.peek() === '.' && this.isDigit(this.peekNext())) {
+        this.advance(); // consume .
+        this.digits(char => this.isDigit(char));
+      } else if (this.peek() === '.' && ['_', 'e', 'E'].includes(this.peekNext())) {
+        throw this.numberError(`expected digits after the '.' in '${this.text()}.${this.peekNext()}'`);
+      }
+
+      // Look for an exponent: e10, E+3, e-6
+      if (this.peek() === 'e' || this.peek() === 'E') {
         this.advance();
+        if (this.peek() === '+' || this.peek() === '-') this.advance();
+        if (!this.isDigit(this.peek())) {
+          throw this.numberError(`expected digits in the exponent of '${this.text()}'`);
+        }
+        this.digits(char => this.isDigit(char));
       }
+      value = parseFloat(this.text().replaceAll('_', ''));
     }
 
-    const value = parseFloat(this.source.substring(this.start, this.current));
+    if (this.isAlphaNumeric(this.peek())) {
+      throw this.numberError(`unexpected '${this.peek()}' in '${this.text()}${this.peek()}'`);
+    }
     this.addToken(TokenType.NUMBER, value);
   }
 
+  // The rest of a run of digits, each '_' among them sitting between two
+  // digits. The first digit has been consumed already.
+  digits(accepts) {
+    while (accepts(this.peek()) || this.peek() === '_') {
+      if (this.peek() === '_') {
+        if (!accepts(this.source[this.current - 1]) || !accepts(this.peekNext())) {
+          throw this.numberError(`'_' must sit between two digits in '${this.text()}_'`);
+        }
+      }
+      this.advance();
+    }
+  }
+
+  numberError(problem) {
+    return new TmbdlError(`The number has gone astray - ${problem}`, this.line, this.startColumn);
+  }
+
+  // The source of the token scanned so far
+  text() {
+    return this.source.substring(this.start, this.current);
+  }
+
   identifier() {
     while (this.isAlphaNumeric(this.peek())) {
       this.advance();
@@ -332,6 +409,10 @@ export class Lexer {
     return char >= '0' && char <= '9';
   }
 
+  isDigitIn(char, base) {
+    return base === 16 ? /^[0-9a-fA-F]$/.test(char) : char >= '0' && char < String(base);
+  }
+
   isAlpha(char) {
     return (char >= 'a' && char <= 'z') ||
            (char >= 'A' && char <= 'Z') ||
@@ -0,0 +1,916 @@
+// Language Server Protocol server for .tmbdl files
+//
+// Speaks LSP over stdio (see src/transport.js). Diagnostics come from running
+// the real Lexer and Parser over each open document. Everything else -
+// definitions, hover, completion and document symbols - comes from a
+// DocumentIndex built from the token stream alone, so it keeps working while
+// the file being edited does not parse.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Resolver } from './resolver.js';
+import { TokenType, Keywords } from './tokens.js';
+import { TmbdlError, TmbdlWarning } from './errors.js';
+import { natives } from './stdlib.js';
+import { resolveModulePath } from './modules.js';
+import { MessageTransport } from './transport.js';
+
+// LSP enumerations we use
+const DiagnosticSeverity = { Error: 1, Warning: 2 };
+const SymbolKind = { Module: 2, Class: 5, Method: 6, Constructor: 9, Function: 12, Variable: 13, Constant: 14 };
+const CompletionItemKind = { Function: 3, Variable: 6, Class: 7, Module: 9, Keyword: 14, Constant: 21 };
+const ErrorCodes = { MethodNotFound: -32601, InvalidRequest: -32600 };
+
+const NATIVES = new Map(natives.map(native => [native.name, native]));
+
+// ═══════════════════════════════════════════════════════════════
+// The index
+// ═══════════════════════════════════════════════════════════════
+
+class Scope {
+  constructor(parent, kind, start) {
+    this.parent = parent;
+    this.kind = kind;           // 'global', 'block', 'realm', 'lambda', 'riddle' or 'arm'
+    this.start = start;         // { line, column } of the opening token
+    this.end = null;            // { line, column } just past the closing token
+    this.symbols = new Map();   // name -> Declaration
+    this.wildcards = [];        // module paths summoned without a name list
+    this.depth = 0;             // open ( and [ inside an expression lambda
+  }
+
+  contains(line, column) {
+    return comparePositions(this.start, { line, column }) <= 0 &&
+      (this.end === null || comparePositions({ line, column }, this.end) < 0);
+  }
+}
+
+// Declarations are 'variable', 'constant', 'song', 'realm', 'method', 'forge',
+// 'parameter', 'import' (one name from a module) or 'namespace' (a whole module)
+class Declaration {
+  constructor(name, kind, token) {
+    this.name = name;
+    this.kind = kind;
+    this.line = token.line;
+    this.column = token.column;
+    this.params = null;         // songs, methods and forges
+    this.superClass = null;     // realms
+    this.children = [];         // a realm's forge and methods
+    this.module = null;         // imports and namespaces: resolved module path
+    this.importedName = null;   // imports: the name inside the module
+    this.shared = false;        // exported with 'share'
+    this.keyword = null;        // methods: 'reveal' or 'inscribe' for accessors
+    this.end = null;            // end of the body, for songs and realms
+  }
+}
+
+// Names, scopes and the symbols they declare, from a document's tokens
+class DocumentIndex {
+  constructor(tokens, path) {
+    this.tokens = tokens;
+    this.path = path;
+    this.global = new Scope(null, 'global', { line: 1, column: 1 });
+    this.scopes = [this.global];
+    this.names = [];            // { token, declaration?, scope, object? } for each identifier
+    this.symbols = [];          // top-level songs and realms, for the outline
+
+    this.scan();
+  }
+
+  // === Building ===
+
+  scan() {
+    const tokens = this.tokens;
+    let scope = this.global;
+    let pending = null;         // { kind, symbols, owner, at? } for the next '{', or the one at index at
+    const riddles = new Set();  // indexes of the '{' before a riddle's arms
+    const sharedNames = [];
+
+    const open = (kind, token) => {
+      scope = new Scope(scope, kind, { line: token.line, column: token.column });
+      this.scopes.push(scope);
+      return scope;
+    };
+    const close = (end) => {
+      scope.end = end;
+      if (scope.owner) scope.owner.end = end;
+      scope = scope.parent;
+    };
+    const declare = (kind, token, target = scope) => {
+      const declaration = new Declaration(token.value, kind, token);
+      if (target) target.symbols.set(token.value, declaration);
+      this.names.push({ token, declaration, scope: target ?? scope });
+      return declaration;
+    };
+    // The names bound between the bracket at index and the one matching it,
+    // by parameters or a destructuring pattern, leaving out the keys of
+    // object patterns and everything in a default
+    const bindings = (index) => {
+      const names = [];
+      let i = index + 1;
+      let depth = 0;
+      let inDefault = null;     // the depth a default started at
+      while (i < tokens.length && tokens[i].type !== TokenType.EOF) {
+        const { type } = tokens[i];
+        if (type === TokenType.LPAREN || type === TokenType.LBRACKET || type === TokenType.LBRACE) {
+          depth++;
+        } else if (type === TokenType.RPAREN || type === TokenType.RBRACKET || type === TokenType.RBRACE) {
+          if (depth === 0) break;
+          depth--;
+          if (inDefault !== null && depth < inDefault) inDefault = null;
+        } else if (inDefault !== null) {
+          if (type === TokenType.COMMA && depth === inDefault) inDefault = null;
+        } else if (type === TokenType.EQUALS) {
+          inDefault = depth;
+        } else if (type === TokenType.IDENTIFIER && tokens[i + 1]?.type !== TokenType.COLON) {
+          names.push(tokens[i]);
+        }
+        i++;
+      }
+      return { names, next: i + 1 };
+    };
+
+    let i = 0;
+    while (i < tokens.length) {
+      const token = tokens[i];
+
+      // Expression lambdas end at the first ',' or closing bracket of their
+      // own, or when the expression runs onto a new line
+      while (scope.kind === 'lambda' && this.endsLambda(scope, token, tokens[i - 1])) {
+        close(endOf(tokens[i - 1]));
+      }
+      if (scope.kind === 'lambda') {
+        if (token.type === TokenType.LPAREN || token.type === TokenType.LBRACKET) scope.depth++;
+        if (token.type === TokenType.RPAREN || token.type === TokenType.RBRACKET) scope.depth--;
+      }
+
+      // Each arm of a riddle is a scope of its own, holding the names its
+      // pattern binds for its guard and body
+      if (scope.kind === 'riddle' && token.type !== TokenType.RBRACE) {
+        const { bound, realms, next } = this.scanPattern(i);
+        if (tokens[next]?.type === TokenType.PERHAPS || tokens[next]?.type === TokenType.ARROW) {
+          const arm = open('arm', token);
+          for (const name of bound) declare('variable', name, arm);
+          for (const realm of realms) this.names.push({ token: realm, scope: arm });
+        }
+        i = next;
+        continue;
+      }
+
+      switch (token.type) {
+        case TokenType.RING:
+        case TokenType.PRECIOUS: {
+          const kind = token.type === TokenType.RING ? 'variable' : 'constant';
+          const shared = tokens[i - 1]?.type === TokenType.SHARE;
+          if (tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+            declare(kind, tokens[i + 1]).shared = shared;
+            i += 2;
+            continue;
+          }
+          // ring [a, b] = ... and ring {a, b: c} = ...
+          if (tokens[i + 1]?.type === TokenType.LBRACKET || tokens[i + 1]?.type === TokenType.LBRACE) {
+            const { names, next } = bindings(i + 1);
+            for (const name of names) declare(kind, name).shared = shared;
+            i = next;
+            continue;
+          }
+          break;
+        }
+
+        case TokenType.SONG:
+        case TokenType.FORGE:
+        case TokenType.REVEAL:
+        case TokenType.INSCRIBE: {
+          const inRealm = scope.kind === 'realm';
+          let declaration;
+          let paren = i + 1;
+          if (token.type === TokenType.FORGE) {
+            declaration = declare('forge', token, null);
+          } else if (tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+            declaration = declare(inRealm ? 'method' : 'song', tokens[i + 1], inRealm ? null : scope);
+            declaration.shared = tokens[i - 1]?.type === TokenType.SHARE;
+            if (token.type !== TokenType.SONG) declaration.keyword = token.value;
+            paren = i + 2;
+          } else {
+            break;
+          }
+
+          if (inRealm) {
+            scope.owner.children.push(declaration);
+          } else if (scope === this.global) {
+            this.symbols.push(declaration);
+          }
+
+          if (tokens[paren]?.type === TokenType.LPAREN) {
+            const { names, next } = bindings(paren);
+            declaration.params = names.map(name => name.value);
+            pending = { kind: 'block', symbols: names.map(name => ['parameter', name]), owner: declaration };
+            i = next;
+            continue;
+          }
+          i = paren;
+          continue;
+        }
+
+        case TokenType.REALM:
+          if (tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+            const declaration = declare('realm', tokens[i + 1]);
+            if (scope === this.global) this.symbols.push(declaration);
+            i += 2;
+            if (tokens[i]?.type === TokenType.INHERITS && tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+              declaration.superClass = tokens[i + 1].value;
+              this.names.push({ token: tokens[i + 1], scope });
+              i += 2;
+            }
+            pending = { kind: 'realm', symbols: [], owner: declaration };
+            continue;
+          }
+          break;
+
+        case TokenType.JOURNEY: {
+          if (tokens[i + 1]?.type !== TokenType.LPAREN) break;
+          // journey (x in ...) or journey ([k, v] in ...)
+          let names = [tokens[i + 2]];
+          let next = i + 3;
+          if (tokens[i + 2]?.type === TokenType.LBRACKET || tokens[i + 2]?.type === TokenType.LBRACE) {
+            ({ names, next } = bindings(i + 2));
+          } else if (tokens[i + 2]?.type !== TokenType.IDENTIFIER) {
+            break;
+          }
+          // The body is the '{' after the ')', past any braces in the iterable
+          pending = { kind: 'block', symbols: names.map(name => ['variable', name]), owner: null, at: bindings(i + 1).next };
+          // Keep the names from also being read as references
+          for (const name of names) this.names.push({ token: name, declaration: null, scope, deferred: pending });
+          i = next;
+          continue;
+        }
+
+        case TokenType.RIDDLE:
+          // The subject is read as usual; the arms come in the '{' after it
+          if (tokens[i + 1]?.type === TokenType.LPAREN) {
+            const { next } = bindings(i + 1);
+            if (tokens[next]?.type === TokenType.LBRACE) riddles.add(next);
+          }
+          break;
+
+        case TokenType.RESCUE:
+          if (tokens[i + 1]?.type === TokenType.LPAREN && tokens[i + 2]?.type === TokenType.IDENTIFIER) {
+            pending = { kind: 'block', symbols: [['variable', tokens[i + 2]]], owner: null };
+            this.names.push({ token: tokens[i + 2], declaration: null, scope, deferred: pending });
+            i += 3;
+            continue;
+          }
+          break;
+
+        case TokenType.LPAREN: {
+          // (a, b) => ..., but not a riddle arm's perhaps (guard) => { ... }
+          const { names, next } = bindings(i);
+          const isLambda = tokens[next]?.type === TokenType.ARROW && tokens[i - 1]?.type !== TokenType.PERHAPS &&
+            tokens.slice(i + 1, next - 1).every(t => [TokenType.IDENTIFIER, TokenType.COMMA, TokenType.ELLIPSIS].includes(t.type));
+          if (!isLambda) break;
+
+          const symbols = names.map(name => ['parameter', name]);
+          if (tokens[next + 1]?.type === TokenType.LBRACE) {
+            pending = { kind: 'block', symbols, owner: null };
+            for (const name of names) this.names.push({ token: name, declaration: null, scope, deferred: pending });
+          } else {
+            const lambda = open('lambda', token);
+            for (const [kind, name] of symbols) declare(kind, name, lambda);
+          }
+          i = next + 1;
+          continue;
+        }
+
+        case TokenType.SUMMON:
+          i = this.scanSummon(i, scope, declare);
+          continue;
+
+        case TokenType.SHARE:
+          if (tokens[i + 1]?.type === TokenType.LBRACE) {
+            i += 2;
+            while (i < tokens.length && tokens[i].type !== TokenType.RBRACE && tokens[i].type !== TokenType.EOF) {
+              if (tokens[i].type === TokenType.IDENTIFIER) {
+                sharedNames.push(tokens[i].value);
+                this.names.push({ token: tokens[i], scope });
+              }
+              i++;
+            }
+            i++;
+            continue;
+          }
+          break;
+
+        case TokenType.LBRACE: {
+          if (riddles.has(i)) {
+            open('riddle', token);
+            break;
+          }
+          const claims = pending !== null && (pending.at === undefined || pending.at === i);
+          const block = open(claims ? pending.kind : 'block', token);
+          if (claims) {
+            block.owner = pending.owner;
+            for (const [kind, name] of pending.symbols) {
+              const declaration = new Declaration(name.value, kind, name);
+              block.symbols.set(name.value, declaration);
+              const entry = this.names.find(entry => entry.deferred === pending && entry.token === name);
+              if (entry) {
+                entry.declaration = declaration;
+                entry.scope = block;
+                delete entry.deferred;
+              } else {
+                this.names.push({ token: name, declaration, scope: block });
+              }
+            }
+            pending = null;
+          }
+          break;
+        }
+
+        case TokenType.RBRACE:
+          if (scope !== this.global) close(endOf(token));
+          // The end of an arm's body is the end of the arm
+          if (scope.kind === 'arm') close(endOf(token));
+          break;
+
+        case TokenType.IDENTIFIER: {
+          const previous = tokens[i - 1];
+          const next = tokens[i + 1];
+          if (previous?.type === TokenType.DOT) {
+            // A property - resolvable when the object is a module or self
+            this.names.push({ token, scope, property: true, object: tokens[i - 2] });
+          } else if (next?.type !== TokenType.COLON) {
+            this.names.push({ token, scope });
+          }
+          break;
+        }
+      }
+
+      i++;
+    }
+
+    while (scope !== this.global) {
+      close(endOf(tokens[tokens.length - 1]));
+    }
+    for (const name of sharedNames) {
+      const declaration = this.global.symbols.get(name);
+      if (declaration) declaration.shared = true;
+    }
+  }
+
+  endsLambda(scope, token, previous) {
+    if (scope.depth > 0) {
+      return false;
+    }
+    return token.type === TokenType.COMMA || token.type === TokenType.RPAREN ||
+      token.type === TokenType.RBRACKET || token.type === TokenType.RBRACE ||
+      token.type === TokenType.EOF || (previous && token.line > previous.line);
+  }
+
+  // summon { a, b as c } from "path" | summon "path" as name | summon "path"
+  scanSummon(i, scope, declare) {
+    const tokens = this.tokens;
+    i++;
+
+    if (tokens[i]?.type === TokenType.LBRACE) {
+      const imports = [];
+      i++;
+      while (i < tokens.length && tokens[i].type === TokenType.IDENTIFIER) {
+        const name = tokens[i];
+        let alias = name;
+        i++;
+        if (tokens[i]?.type === TokenType.AS && tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+          alias = tokens[i + 1];
+          i += 2;
+        }
+        imports.push({ name, alias });
+        if (tokens[i]?.type !== TokenType.COMMA) break;
+        i++;
+      }
+      if (tokens[i]?.type === TokenType.RBRACE) i++;
+      if (tokens[i]?.type === TokenType.FROM) i++;
+      const module = tokens[i]?.type === TokenType.STRING ? resolveModulePath(tokens[i].value, this.path) : null;
+      if (module) i++;
+
+      for (const { name, alias } of imports) {
+        const declaration = declare('import', alias);
+        declaration.module = module;
+        declaration.importedName = name.value;
+        if (alias !== name) {
+          // The original name points into the module too
+          this.names.push({ token: name, scope, imported: declaration });
+        }
+      }
+      return i;
+    }
+
+    if (tokens[i]?.type === TokenType.STRING) {
+      const module = resolveModulePath(tokens[i].value, this.path);
+      i++;
+      if (tokens[i]?.type === TokenType.AS && tokens[i + 1]?.type === TokenType.IDENTIFIER) {
+        declare('namespace', tokens[i + 1]).module = module;
+        return i + 2;
+      }
+      scope.wildcards.push(module);
+    }
+    return i;
+  }
+
+  // A riddle arm's pattern from index up to its guard or '=>': the names it
+  // binds, those of the realms it matches, and the index it stops at
+  scanPattern(index) {
+    const tokens = this.tokens;
+    const bound = [];
+    const realms = [];
+    let depth = 0;
+    let i = index;
+    while (i < tokens.length && tokens[i].type !== TokenType.EOF) {
+      const { type, value } = tokens[i];
+      if (depth === 0 && (type === TokenType.PERHAPS || type === TokenType.ARROW)) break;
+      if (type === TokenType.LBRACKET || type === TokenType.LBRACE) {
+        depth++;
+      } else if (type === TokenType.RBRACKET || type === TokenType.RBRACE) {
+        if (depth === 0) break;
+        depth--;
+      } else if (type === TokenType.IDENTIFIER) {
+        // Hobbit {...} names a realm, key: pattern a field, and _ binds nothing
+        const next = tokens[i + 1]?.type;
+        if (next === TokenType.LBRACE) realms.push(tokens[i]);
+        else if (next !== TokenType.COLON && value !== '_') bound.push(tokens[i]);
+      }
+      i++;
+    }
+    return { bound, realms, next: i };
+  }
+
+  // === Queries ===
+
+  // The identifier under a 1-based position, touching either end of it
+  nameAt(line, column) {
+    return this.names.find(({ token }) =>
+      token.line === line && column >= token.column && column <= token.column + token.value.length
+    ) ?? null;
+  }
+
+  scopeAt(line, column) {
+    let innermost = this.global;
+    for (const scope of this.scopes) {
+      if (scope.contains(line, column) && comparePositions(scope.start, innermost.start) >= 0) {
+        innermost = scope;
+      }
+    }
+    return innermost;
+  }
+
+  lookup(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.symbols.has(name)) {
+        return current.symbols.get(name);
+      }
+    }
+    return null;
+  }
+
+  // A method of the realm enclosing a scope, searching its ancestors too
+  method(name, scope) {
+    let current = scope;
+    while (current && current.kind !== 'realm') {
+      current = current.parent;
+    }
+    let realm = current?.owner;
+    const visited = new Set();
+    while (realm && !visited.has(realm)) {
+      visited.add(realm);
+      const method = realm.children.find(child => child.kind === 'method' && child.name === name);
+      if (method) return method;
+      realm = realm.superClass ? this.lookup(realm.superClass, this.global) : null;
+    }
+    return null;
+  }
+
+  // Wildcard-summoned modules visible from a scope
+  wildcards(scope) {
+    const modules = [];
+    for (let current = scope; current; current = current.parent) {
+      modules.push(...current.wildcards);
+    }
+    return modules;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// The server
+// ═══════════════════════════════════════════════════════════════
+
+export class LanguageServer {
+  constructor({ input = 0, output = 1 } = {}) {
+    this.transport = new MessageTransport(input, output);
+    this.documents = new Map();   // uri -> { text, index }
+    this.shuttingDown = false;
+  }
+
+  // Serve messages until the client sends 'exit' or hangs up
+  run() {
+    let message;
+    while ((message = this.transport.read()) !== null) {
+      if (message.method === 'exit') {
+        break;
+      }
+      this.receive(message);
+    }
+  }
+
+  receive(message) {
+    const isRequest = message.id !== undefined;
+    let result = null;
+    try {
+      result = this.dispatch(message.method, message.params || {});
+    } catch (error) {
+      if (!isRequest) {
+        // Notifications we do not handle, like didSave, are there to be ignored
+        if (error.code === ErrorCodes.MethodNotFound) return;
+        throw error;
+      }
+      this.transport.write({ jsonrpc: '2.0', id: message.id, error: { code: error.code ?? ErrorCodes.InvalidRequest, message: error.message } });
+      return;
+    }
+    if (isRequest) {
+      this.transport.write({ jsonrpc: '2.0', id: message.id, result: result ?? null });
+    }
+  }
+
+  notify(method, params) {
+    this.transport.write({ jsonrpc: '2.0', method, params });
+  }
+
+  dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          capabilities: {
+            textDocumentSync: { openClose: true, change: 1 },
+            definitionProvider: true,
+            hoverProvider: true,
+            completionProvider: { triggerCharacters: ['.'] },
+            documentSymbolProvider: true,
+          },
+          serverInfo: { name: 'tmbdl' },
+        };
+
+      case 'initialized':
+        return null;
+
+      case 'shutdown':
+        this.shuttingDown = true;
+        return null;
+
+      case 'textDocument/didOpen':
+        this.update(params.textDocument.uri, params.textDocument.text);
+        return null;
+
+      case 'textDocument/didChange': {
+        // Full sync - the last change holds the whole document
+        const changes = params.contentChanges;
+        this.update(params.textDocument.uri, changes[changes.length - 1].text);
+        return null;
+      }
+
+      case 'textDocument/didClose':
+        this.documents.delete(params.textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: params.textDocument.uri, diagnostics: [] });
+        return null;
+
+      case 'textDocument/definition':
+        return this.definition(params);
+
+      case 'textDocument/hover':
+        return this.hover(params);
+
+      case 'textDocument/completion':
+        return this.completion(params);
+
+      case 'textDocument/documentSymbol':
+        return this.documentSymbols(params);
+
+      default: {
+        if (method.startsWith('$/')) {
+          return null;
+        }
+        const error = new Error(`Unsupported method '${method}'`);
+        error.code = ErrorCodes.MethodNotFound;
+        throw error;
+      }
+    }
+  }
+
+  // === Documents ===
+
+  update(uri, text) {
+    const path = uriToPath(uri);
+    const document = this.documents.get(uri) ?? { text, index: null };
+    document.text = text;
+
+    const diagnostics = [];
+    let tokens = null;
+    try {
+      tokens = new Lexer(text).tokenize();
+      const parser = new Parser(tokens);
+      const program = parser.parsePartial();
+      for (const error of parser.errors) {
+        diagnostics.push(this.diagnostic(error, tokens, text));
+      }
+
+      // A partial program would report the names its broken statements declare
+      if (parser.errors.length === 0) {
+        const resolver = new Resolver().analyze(program);
+        for (const problem of [...resolver.errors, ...resolver.warnings]) {
+          diagnostics.push(this.diagnostic(problem, tokens, text));
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof TmbdlError)) throw error;
+      diagnostics.push(this.diagnostic(error, tokens, text));
+    }
+
+    // A file that does not lex keeps its last index so navigation still works
+    if (tokens) {
+      document.index = new DocumentIndex(tokens, path);
+    } else if (!document.index) {
+      document.index = new DocumentIndex([], path);
+    }
+
+    this.documents.set(uri, document);
+    this.notify('textDocument/publishDiagnostics', { uri, diagnostics });
+  }
+
+  diagnostic(error, tokens, text) {
+    const lines = text.split('\n');
+    const line = Math.max(0, (error.line ?? 1) - 1);
+    const character = Math.max(0, (error.column ?? 1) - 1);
+
+    // Underline the offending token, or the rest of the line when it did not lex
+    const token = tokens?.find(t => t.line === line + 1 && t.column === character + 1);
+    const length = token && token.type !== TokenType.EOF ? tokenLength(token, lines) : (lines[line] ?? '').length - character;
+
+    return {
+      range: { start: { line, character }, end: { line, character: character + Math.max(1, length) } },
+      severity: error instanceof TmbdlWarning ? DiagnosticSeverity.Warning : DiagnosticSeverity.Error,
+      source: 'tmbdl',
+      code: error.name,
+      message: error.message,
+    };
+  }
+
+  // The index for a module path: the open document if there is one, else the file on disk
+  indexForPath(path) {
+    for (const [uri, document] of this.documents) {
+      if (uriToPath(uri) === path) return document.index;
+    }
+    try {
+      const tokens = new Lexer(readFileSync(path, 'utf-8')).tokenize();
+      return new DocumentIndex(tokens, path);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // === Navigation ===
+
+  // What the identifier at an LSP position refers to: { declaration, index }
+  resolveAt(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return null;
+    const index = document.index;
+    const name = index.nameAt(params.position.line + 1, params.position.character + 1);
+    if (!name) return null;
+    return { name, ...this.resolveName(index, name) };
+  }
+
+  resolveName(index, name) {
+    if (name.declaration) {
+      return { declaration: name.declaration, index };
+    }
+    if (name.imported) {
+      return this.follow(name.imported, index);
+    }
+    if (name.property) {
+      if (name.object?.type === TokenType.SELF) {
+        return { declaration: index.method(name.token.value, name.scope), index };
+      }
+      // module.member through a namespace summon
+      const object = name.object?.type === TokenType.IDENTIFIER ? index.lookup(name.object.value, name.scope) : null;
+      if (object?.kind === 'namespace') {
+        return this.inModule(object.module, name.token.value);
+      }
+      return { declaration: null, index };
+    }
+
+    const declaration = index.lookup(name.token.value, name.scope);
+    if (declaration) {
+      return this.follow(declaration, index);
+    }
+    for (const module of index.wildcards(name.scope)) {
+      const found = this.inModule(module, name.token.value);
+      if (found.declaration) return found;
+    }
+    return { declaration: null, index };
+  }
+
+  // Imports point at the declaration inside their module when it can be found
+  follow(declaration, index) {
+    if (declaration.kind === 'import' && declaration.module) {
+      const found = this.inModule(declaration.module, declaration.importedName);
+      if (found.declaration) return found;
+    }
+    return { declaration, index };
+  }
+
+  inModule(path, name) {
+    const index = this.indexForPath(path);
+    const declaration = index?.global.symbols.get(name) ?? null;
+    return declaration ? this.follow(declaration, index) : { declaration: null, index };
+  }
+
+  definition(params) {
+    const resolved = this.resolveAt(params);
+    if (!resolved?.declaration) return null;
+
+    const { declaration, index } = resolved;
+    return {
+      uri: index.path ? pathToFileURL(index.path).href : params.textDocument.uri,
+      range: nameRange(declaration),
+    };
+  }
+
+  hover(params) {
+    const resolved = this.resolveAt(params);
+    if (!resolved) return null;
+
+    const { name, declaration, index } = resolved;
+    let value = null;
+    if (declaration) {
+      value = '```tmbdl\n' + signature(declaration) + '\n```';
+      if (index.path && index !== this.documents.get(params.textDocument.uri).index) {
+        value += `\nfrom ${index.path}`;
+      }
+    } else if (!name.property && NATIVES.has(name.token.value)) {
+      const native = NATIVES.get(name.token.value);
+      value = '```tmbdl\n' + nativeSignature(native) + '\n```\n' + native.doc;
+    }
+
+    return value === null ? null : {
+      contents: { kind: 'markdown', value },
+      range: nameRange(name.token),
+    };
+  }
+
+  completion(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return [];
+    const index = document.index;
+    const line = params.position.line + 1;
+    const column = params.position.character + 1;
+
+    // After 'module.' offer what the module shares
+    const before = document.text.split('\n')[params.position.line]?.slice(0, params.position.character) ?? '';
+    const member = before.match(/([A-Za-z_][A-Za-z0-9_]*)\.[A-Za-z0-9_]*$/);
+    if (member) {
+      const object = index.lookup(member[1], index.scopeAt(line, column));
+      if (object?.kind !== 'namespace') return [];
+      const module = this.indexForPath(object.module);
+      return module ? sharedDeclarations(module).map(completionItem) : [];
+    }
+
+    const items = new Map();
+    const add = (item) => {
+      if (!items.has(item.label)) items.set(item.label, item);
+    };
+
+    const scope = index.scopeAt(line, column);
+    for (let current = scope; current; current = current.parent) {
+      for (const declaration of current.symbols.values()) {
+        add(completionItem(declaration));
+      }
+    }
+    for (const path of index.wildcards(scope)) {
+      const module = this.indexForPath(path);
+      if (module) sharedDeclarations(module).forEach(declaration => add(completionItem(declaration)));
+    }
+    for (const native of natives) {
+      add({ label: native.name, kind: CompletionItemKind.Function, detail: nativeSignature(native), documentation: native.doc });
+    }
+    for (const keyword of Object.keys(Keywords)) {
+      add({ label: keyword, kind: CompletionItemKind.Keyword });
+    }
+    return [...items.values()];
+  }
+
+  documentSymbols(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return [];
+    return document.index.symbols.map(documentSymbol);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════
+
+function comparePositions(a, b) {
+  return a.line !== b.line ? a.line - b.line : a.column - b.column;
+}
+
+function endOf(token) {
+  const length = typeof token.value === 'string' ? token.value.length : 1;
+  return { line: token.line, column: token.column + Math.max(1, length) };
+}
+
+function tokenLength(token, lines) {
+  if (token.type === TokenType.IDENTIFIER || Keywords[token.value] !== undefined) {
+    return token.value.length;
+  }
+  // Literals lose their quotes and formatting - measure up to the next space
+  const rest = (lines[token.line - 1] ?? '').slice(token.column - 1);
+  const match = rest.match(/^\S+/);
+  return match ? match[0].length : 1;
+}
+
+// Zero-based LSP range covering a declaration's or token's name
+function nameRange({ line, column, name, value }) {
+  const length = (name ?? value).length;
+  return {
+    start: { line: line - 1, character: column - 1 },
+    end: { line: line - 1, character: column - 1 + length },
+  };
+}
+
+function uriToPath(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : null;
+}
+
+function signature(declaration) {
+  switch (declaration.kind) {
+    case 'song':
+      return `song ${declaration.name}(${declaration.params.join(', ')})`;
+    case 'method':
+      return `${declaration.keyword ?? 'song'} ${declaration.name}(${declaration.params.join(', ')})  ~ method`;
+    case 'forge':
+      return `forge(${declaration.params.join(', ')})`;
+    case 'realm':
+      return `realm ${declaration.name}${declaration.superClass ? ` inherits ${declaration.superClass}` : ''}`;
+    case 'constant':
+      return `precious ${declaration.name}`;
+    case 'parameter':
+      return `${declaration.name}  ~ parameter`;
+    case 'import':
+      return `summon { ${declaration.importedName} } from "${declaration.module}"`;
+    case 'namespace':
+      return `summon "${declaration.module}" as ${declaration.name}`;
+    default:
+      return `ring ${declaration.name}`;
+  }
+}
+
+function nativeSignature(native) {
+  const params = native.params.map(param =>
+    `${param.rest ? '...' : ''}${param.name}${param.optional ? '?' : ''}: ${param.type}`
+  );
+  return `song ${native.name}(${params.join(', ')}) -> ${native.returns}`;
+}
+
+function sharedDeclarations(index) {
+  return [...index.global.symbols.values()].filter(declaration => declaration.shared);
+}
+
+function completionItem(declaration) {
+  const kinds = {
+    song: CompletionItemKind.Function,
+    realm: CompletionItemKind.Class,
+    constant: CompletionItemKind.Constant,
+    namespace: CompletionItemKind.Module,
+  };
+  return {
+    label: declaration.name,
+    kind: kinds[declaration.kind] ?? CompletionItemKind.Variable,
+    detail: signature(declaration),
+  };
+}
+
+function documentSymbol(declaration) {
+  const kinds = {
+    realm: SymbolKind.Class,
+    method: SymbolKind.Method,
+    forge: SymbolKind.Constructor,
+    song: SymbolKind.Function,
+  };
+  const selectionRange = nameRange(declaration);
+  const end = declaration.end ?? { line: declaration.line, column: declaration.column + declaration.name.length };
+  return {
+    name: declaration.name,
+    detail: signature(declaration),
+    kind: kinds[declaration.kind],
+    range: { start: selectionRange.start, end: { line: end.line - 1, character: end.column - 1 } },
+    selectionRange,
+    children: declaration.children.map(documentSymbol),
+  };
+}
@@ -0,0 +1,105 @@
+// Tmbdl Modules - Finding the files a program summons
+//
+// The interpreter and the VM load a module when its summon runs. Backends
+// that translate a whole program ahead of time use loadModuleGraph to find
+// and parse every module first, starting from the entry file.
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Resolver } from './resolver.js';
+import { RuntimeError, TmbdlError } from './errors.js';
+
+// The file a summon refers to: relative to the summoning file (or the
+// working directory), with .tmbdl added when it is left off
+export function resolveModulePath(importPath, currentFile = null) {
+  const basePath = currentFile ? dirname(currentFile) : process.cwd();
+  let fullPath = resolve(basePath, importPath);
+  if (!fullPath.endsWith('.tmbdl')) {
+    fullPath += '.tmbdl';
+  }
+  return fullPath;
+}
+
+// The names a module shares, in the order its share statements appear
+export function sharedNames(ast) {
+  const names = [];
+  for (const statement of ast.statements) {
+    if (statement.type !== 'ShareStatement') continue;
+    if (statement.declaration?.name) names.push(statement.declaration.name);
+    if (statement.names) names.push(...statement.names);
+  }
+  return names;
+}
+
+// Every summon statement in an AST, however deeply nested
+function findSummons(node, found = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) findSummons(child, found);
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'SummonStatement') found.push(node);
+    for (const value of Object.values(node)) findSummons(value, found);
+  }
+  return found;
+}
+
+// Point an error at the module it came from, so formatError shows that
+// module's source rather than the entry file's. For a list of errors, each
+// one is pointed there.
+export function inModule(error, path) {
+  for (const each of error.errors ?? [error]) {
+    if (each instanceof TmbdlError && !each.trace) {
+      each.trace = [{ name: '<module>', file: path, line: each.line }];
+    }
+  }
+  return error;
+}
+
+// Parse the entry file and everything it summons, directly or not. Answers
+// a Map from full path to { path, source, ast, summons, warnings }, where
+// summons maps each summon statement to the full path it loads. Modules come
+// before the files that summon them, so the entry file is last. Errors and
+// warnings are pointed at the module they are found in.
+export function loadModuleGraph(entryPath) {
+  const modules = new Map();
+  const loading = new Set();
+
+  function load(path, summonedBy = null) {
+    if (modules.has(path) || loading.has(path)) return;
+    loading.add(path);
+
+    let source;
+    try {
+      source = readFileSync(path, 'utf-8');
+    } catch (error) {
+      if (!summonedBy) throw error;
+      const { node, file } = summonedBy;
+      throw inModule(
+        new RuntimeError(`Cannot summon module '${path}': ${error.message}`, node.line, node.column),
+        file
+      );
+    }
+
+    let ast, warnings;
+    try {
+      ast = new Parser(new Lexer(source).tokenize()).parse();
+      warnings = new Resolver().resolve(ast).map(warning => inModule(warning, path));
+    } catch (error) {
+      throw inModule(error, path);
+    }
+
+    const summons = new Map();
+    for (const node of findSummons(ast)) {
+      const modulePath = resolveModulePath(node.path, path);
+      summons.set(node, modulePath);
+      load(modulePath, { node, file: path });
+    }
+
+    loading.delete(path);
+    modules.set(path, { path, source, ast, summons, warnings });
+  }
+
+  load(resolve(entryPath));
+  return modules;
+}
@@ -1,15 +1,65 @@
 import { TokenType } from './tokens.js';
-import { TmbdlError } from './errors.js';
+import { TmbdlError, ErrorList } from './errors.js';
 import * as AST from './ast.js';
 import { Lexer } from './lexer.js';
 
+// Where parsing can resume after a syntax error
+const STATEMENT_BOUNDARIES = new Set([
+  TokenType.RING, TokenType.PRECIOUS, TokenType.SONG, TokenType.FORGE, TokenType.REALM,
+  TokenType.PERHAPS, TokenType.WANDER, TokenType.JOURNEY, TokenType.ANSWER, TokenType.SING,
+  TokenType.EYEOF, TokenType.ATTEMPT, TokenType.SUMMON, TokenType.SHARE,
+  TokenType.FLEE, TokenType.ONWARDS, TokenType.RIDDLE, TokenType.RBRACE,
+]);
+
+const REALM_BOUNDARIES = new Set([
+  TokenType.SONG, TokenType.FORGE, TokenType.REALM, TokenType.REVEAL, TokenType.INSCRIBE, TokenType.RBRACE,
+]);
+
+// Binary operators from the loosest binding to the tightest, each level
+// grouping to the left. Bitwise operators bind tighter than comparisons, so
+// n & 1 == 0 asks whether n is even. '**' binds tighter still (see power()).
+const BINARY_PRECEDENCE = [
+  [TokenType.EQUALS_EQUALS, TokenType.BANG_EQUALS],
+  [TokenType.LESS, TokenType.GREATER, TokenType.LESS_EQUALS, TokenType.GREATER_EQUALS],
+  [TokenType.PIPE],
+  [TokenType.CARET],
+  [TokenType.AMPERSAND],
+  [TokenType.LESS_LESS, TokenType.GREATER_GREATER],
+  [TokenType.PLUS, TokenType.MINUS],
+  [TokenType.STAR, TokenType.SLASH, TokenType.SLASH_SLASH, TokenType.PERCENT],
+];
+
+// Compound assignments and the operator each applies: x += 1 is x = x + 1
+const COMPOUND_OPERATORS = new Map([
+  [TokenType.PLUS_EQUALS, '+'],
+  [TokenType.MINUS_EQUALS, '-'],
+  [TokenType.STAR_EQUALS, '*'],
+  [TokenType.SLASH_EQUALS, '/'],
+  [TokenType.STAR_STAR_EQUALS, '**'],
+  [TokenType.SLASH_SLASH_EQUALS, '//'],
+]);
+
+// A broken riddle arm skips the rest of the riddle, since any token can start a pattern
+const RIDDLE_BOUNDARIES = new Set([TokenType.RBRACE]);
+
 export class Parser {
   constructor(tokens) {
     this.tokens = tokens;
     this.current = 0;
+    this.errors = [];
   }
 
   parse() {
+    const program = this.parsePartial();
+
+    if (this.errors.length === 1) throw this.errors[0];
+    if (this.errors.length > 1) throw new ErrorList(this.errors, program);
+    return program;
+  }
+
+  // Parse the whole file, recovering at statement boundaries. Statements
+  // that failed to parse are left out; their errors are in this.errors.
+  parsePartial() {
     const statements = [];
 
     while (!this.isAtEnd()) {
@@ -23,6 +73,7 @@ export class Parser {
   // Declarations
 
   declaration() {
+    const start = this.current;
     try {
       if (this.check(TokenType.SUMMON)) return this.summonStatement();
       if (this.check(TokenType.SHARE)) return this.shareStatement();
@@ -32,8 +83,8 @@ export class Parser {
       if (this.check(TokenType.SONG)) return this.functionDeclaration();
       return this.statement();
     } catch (error) {
-      this.synchronize();
-      throw error;
+      this.recover(error, start);
+      return null;
     }
   }
 
@@ -51,44 +102,95 @@ export class Parser {
 
     let constructor_ = null;
     const methods = [];
+    const statics = [];
+    const accessors = [];
 
     while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-      if (this.check(TokenType.FORGE)) {
-        // Constructor
-        if (constructor_) {
-          throw new TmbdlError("A realm can only have one forge", this.peek().line, this.peek().column);
+      const start = this.current;
+      try {
+        if (this.check(TokenType.FORGE)) {
+          // Constructor
+          if (constructor_) {
+            throw new TmbdlError("A realm can only have one forge", this.peek().line, this.peek().column);
+          }
+          constructor_ = this.forgeDeclaration();
+        } else if (this.check(TokenType.SONG)) {
+          // Method
+          methods.push(this.functionDeclaration());
+        } else if (this.check(TokenType.REALM)) {
+          // Realm-level member: realm ring count = 0
+          statics.push(this.staticMember());
+        } else if (this.check(TokenType.REVEAL) || this.check(TokenType.INSCRIBE)) {
+          accessors.push(this.accessorDeclaration());
+        } else {
+          throw new TmbdlError(
+            "Expected 'forge', 'song', 'reveal', 'inscribe' or 'realm' in realm body",
+            this.peek().line,
+            this.peek().column
+          );
         }
-        constructor_ = this.forgeDeclaration();
-      } else if (this.check(TokenType.SONG)) {
-        // Method
-        methods.push(this.functionDeclaration());
-      } else {
+      } catch (error) {
+        // Skip to the next member so the rest of the realm still parses
+        this.recover(error, start, REALM_BOUNDARIES);
+      }
+    }
+
+    this.consume(TokenType.RBRACE, "Expected '}' after realm body");
+
+    return new AST.RealmDeclaration(
+      name.value, superClass, constructor_, methods, statics, accessors, keyword.line, keyword.column
+    );
+  }
+
+  staticMember() {
+    this.advance(); // consume realm
+    if (this.check(TokenType.RING) || this.check(TokenType.PRECIOUS)) {
+      const declaration = this.variableDeclaration(this.check(TokenType.PRECIOUS));
+      if (declaration.type === 'DestructuringDeclaration') {
         throw new TmbdlError(
-          "Expected 'forge' or 'song' in realm body",
-          this.peek().line,
-          this.peek().column
+          `A realm ${declaration.isConstant ? 'precious' : 'ring'} must have a single name`,
+          declaration.line,
+          declaration.column
         );
       }
+      return declaration;
     }
+    if (this.check(TokenType.SONG)) return this.functionDeclaration();
 
-    this.consume(TokenType.RBRACE, "Expected '}' after realm body");
+    throw new TmbdlError(
+      "Expected 'ring', 'precious' or 'song' after 'realm'",
+      this.peek().line,
+      this.peek().column
+    );
+  }
+
+  accessorDeclaration() {
+    const keyword = this.advance(); // consume reveal/inscribe
+    const kind = keyword.type === TokenType.REVEAL ? 'reveal' : 'inscribe';
+    const name = this.consume(TokenType.IDENTIFIER, `Expected property name after '${kind}'`);
+
+    this.consume(TokenType.LPAREN, "Expected '(' after property name");
+    const params = this.parameters();
+
+    const expected = kind === 'reveal' ? 0 : 1;
+    if (params.length !== expected || params.some(param => param.type === 'RestParameter' || param.type === 'DefaultPattern')) {
+      throw new TmbdlError(
+        kind === 'reveal' ? "A reveal takes no parameters" : "An inscribe takes exactly one parameter",
+        name.line,
+        name.column
+      );
+    }
+
+    this.consume(TokenType.LBRACE, `Expected '{' before ${kind} body`);
+    const body = this.block();
 
-    return new AST.RealmDeclaration(name.value, superClass, constructor_, methods, keyword.line, keyword.column);
+    return new AST.AccessorDeclaration(kind, name.value, params, body, keyword.line, keyword.column);
   }
 
   forgeDeclaration() {
     const keyword = this.advance(); // consume forge
     this.consume(TokenType.LPAREN, "Expected '(' after 'forge'");
-
-    const params = [];
-    if (!this.check(TokenType.RPAREN)) {
-      do {
-        const param = this.consume(TokenType.IDENTIFIER, "Expected parameter name");
-        params.push(param.value);
-      } while (this.match(TokenType.COMMA));
-    }
-
-    this.consume(TokenType.RPAREN, "Expected ')' after parameters");
+    const params = this.parameters();
     this.consume(TokenType.LBRACE, "Expected '{' before forge body");
 
     const body = this.block();
@@ -169,11 +271,23 @@ export class Parser {
       );
     }
 
+    if (declaration.type === 'DestructuringDeclaration') {
+      throw new TmbdlError(
+        "Share the names a pattern unpacks with 'share { ... }' instead",
+        keyword.line,
+        keyword.column
+      );
+    }
+
     return new AST.ShareStatement(declaration, null, keyword.line, keyword.column);
   }
 
   variableDeclaration(isConstant) {
     const keyword = this.advance(); // consume ring/precious
+    if (this.check(TokenType.LBRACKET) || this.check(TokenType.LBRACE)) {
+      return this.destructuringDeclaration(keyword, isConstant);
+    }
+
     const name = this.consume(TokenType.IDENTIFIER, 'Expected variable name');
 
     let value = null;
@@ -191,26 +305,92 @@ export class Parser {
     return new AST.VariableDeclaration(name.value, value, isConstant, keyword.line, keyword.column);
   }
 
+  // ring [a, b] = pair or precious {name, age} = hobbit
+  destructuringDeclaration(keyword, isConstant) {
+    const pattern = this.unpackPattern(new Set());
+    this.consume(TokenType.EQUALS, "Expected '=' after pattern");
+    const value = this.expression();
+
+    this.optionalSemicolon();
+    return new AST.DestructuringDeclaration(pattern, value, isConstant, keyword.line, keyword.column);
+  }
+
   functionDeclaration() {
     const keyword = this.advance(); // consume song
     const name = this.consume(TokenType.IDENTIFIER, 'Expected song name');
 
     this.consume(TokenType.LPAREN, "Expected '(' after song name");
+    const params = this.parameters();
+    this.consume(TokenType.LBRACE, "Expected '{' before song body");
+
+    const body = this.block();
+
+    return new AST.FunctionDeclaration(name.value, params, body, keyword.line, keyword.column);
+  }
+
+  // After '(': the parameters up to and including ')'. Each is a name, or a
+  // fellowship or object pattern that unpacks its argument, perhaps with a
+  // default for when the argument is left out. The last may be ...rest.
+  parameters() {
     const params = [];
 
     if (!this.check(TokenType.RPAREN)) {
       do {
-        const param = this.consume(TokenType.IDENTIFIER, 'Expected parameter name');
-        params.push(param.value);
+        if (this.match(TokenType.ELLIPSIS)) {
+          const name = this.consume(TokenType.IDENTIFIER, "Expected a name after '...'");
+          if (this.check(TokenType.COMMA)) {
+            throw new TmbdlError("The '...' parameter must come last", name.line, name.column);
+          }
+          params.push(new AST.RestParameter(name.value, name.line, name.column));
+          continue;
+        }
+
+        let param;
+        if (this.check(TokenType.LBRACKET) || this.check(TokenType.LBRACE)) {
+          param = this.unpackPattern(new Set());
+        } else {
+          param = this.consume(TokenType.IDENTIFIER, 'Expected parameter name');
+        }
+
+        if (this.check(TokenType.EQUALS)) {
+          const target = param.type === TokenType.IDENTIFIER
+            ? new AST.BindingPattern(param.value, param.line, param.column)
+            : param;
+          params.push(this.withDefault(target));
+        } else if (params.some(earlier => earlier.type === 'DefaultPattern')) {
+          throw new TmbdlError(
+            'A parameter without a default cannot follow one with a default',
+            param.line,
+            param.column
+          );
+        } else {
+          params.push(param.type === TokenType.IDENTIFIER ? param.value : param);
+        }
       } while (this.match(TokenType.COMMA));
     }
 
     this.consume(TokenType.RPAREN, "Expected ')' after parameters");
-    this.consume(TokenType.LBRACE, "Expected '{' before song body");
+    return params;
+  }
 
-    const body = this.block();
+  // After '(': the arguments of a call up to and including ')'. ...values
+  // passes each element of a fellowship as an argument of its own.
+  callArguments() {
+    const args = [];
 
-    return new AST.FunctionDeclaration(name.value, params, body, keyword.line, keyword.column);
+    if (!this.check(TokenType.RPAREN)) {
+      do {
+        if (this.match(TokenType.ELLIPSIS)) {
+          const ellipsis = this.previous();
+          args.push(new AST.SpreadArgument(this.expression(), ellipsis.line, ellipsis.column));
+        } else {
+          args.push(this.expression());
+        }
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RPAREN, "Expected ')' after arguments");
+    return args;
   }
 
   // Statements
@@ -225,6 +405,7 @@ export class Parser {
     if (this.check(TokenType.SING)) return this.printStatement();
     if (this.check(TokenType.EYEOF)) return this.eyeofStatement();
     if (this.check(TokenType.ATTEMPT)) return this.tryStatement();
+    if (this.check(TokenType.RIDDLE)) return this.riddleStatement();
     if (this.check(TokenType.LBRACE)) {
       this.advance();
       return new AST.BlockStatement(this.block(), this.previous().line, this.previous().column);
@@ -248,6 +429,177 @@ export class Parser {
     return new AST.TryStatement(tryBlock, catchParam.value, catchBlock, keyword.line, keyword.column);
   }
 
+  riddleStatement() {
+    const keyword = this.advance(); // consume riddle
+    this.consume(TokenType.LPAREN, "Expected '(' after 'riddle'");
+    const subject = this.expression();
+    this.consume(TokenType.RPAREN, "Expected ')' after riddle subject");
+    this.consume(TokenType.LBRACE, "Expected '{' before riddle arms");
+
+    const arms = [];
+    while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
+      const start = this.current;
+      try {
+        arms.push(this.riddleArm());
+      } catch (error) {
+        this.recover(error, start, RIDDLE_BOUNDARIES);
+      }
+    }
+
+    this.consume(TokenType.RBRACE, "Expected '}' after riddle arms");
+    return new AST.RiddleStatement(subject, arms, keyword.line, keyword.column);
+  }
+
+  // pattern => { ... } or pattern perhaps (guard) => { ... }
+  riddleArm() {
+    const start = this.peek();
+    const pattern = this.pattern(new Set());
+
+    let guard = null;
+    if (this.match(TokenType.PERHAPS)) {
+      this.consume(TokenType.LPAREN, "Expected '(' after 'perhaps'");
+      guard = this.expression();
+      this.consume(TokenType.RPAREN, "Expected ')' after guard");
+    }
+
+    this.consume(TokenType.ARROW, "Expected '=>' after pattern");
+    this.consume(TokenType.LBRACE, "Expected '{' after '=>'");
+    const body = new AST.BlockStatement(this.block(), start.line, start.column);
+
+    return new AST.RiddleArm(pattern, guard, body, start.line, start.column);
+  }
+
+  // bound holds the names this arm's pattern has bound so far
+  pattern(bound) {
+    const token = this.peek();
+
+    if (this.match(TokenType.MINUS)) {
+      const number = this.consume(TokenType.NUMBER, "Expected a number after '-' in pattern");
+      return new AST.LiteralPattern(-number.value, token.line, token.column);
+    }
+    if (this.match(TokenType.NUMBER, TokenType.STRING)) {
+      return new AST.LiteralPattern(token.value, token.line, token.column);
+    }
+    if (this.match(TokenType.GOLDBERRY, TokenType.SAURON)) {
+      return new AST.LiteralPattern(token.type === TokenType.GOLDBERRY, token.line, token.column);
+    }
+    if (this.match(TokenType.SHADOW)) {
+      return new AST.LiteralPattern(null, token.line, token.column);
+    }
+    if (this.match(TokenType.LBRACKET)) {
+      return this.arrayPattern(token, bound, () => this.pattern(bound));
+    }
+    if (this.match(TokenType.LBRACE)) {
+      return new AST.ObjectPattern(this.fieldPatterns(bound).fields, null, token.line, token.column);
+    }
+    if (this.match(TokenType.IDENTIFIER)) {
+      // Hobbit {...} matches instances of a realm; a name alone binds
+      if (this.match(TokenType.LBRACE)) {
+        return new AST.RealmPattern(token.value, this.fieldPatterns(bound).fields, token.line, token.column);
+      }
+      return this.bindingPattern(token, bound);
+    }
+
+    throw new TmbdlError(`Expected a pattern, found '${token.value}'`, token.line, token.column);
+  }
+
+  bindingPattern(token, bound) {
+    if (token.value === '_') {
+      return new AST.WildcardPattern(token.line, token.column);
+    }
+    if (bound.has(token.value)) {
+      throw new TmbdlError(`'${token.value}' is bound twice in one pattern`, token.line, token.column);
+    }
+    bound.add(token.value);
+    return new AST.BindingPattern(token.value, token.line, token.column);
+  }
+
+  // After '[': elements, each parsed by element, then optionally ...rest as
+  // the last one
+  arrayPattern(startToken, bound, element) {
+    const elements = [];
+    let rest = null;
+
+    if (!this.check(TokenType.RBRACKET)) {
+      do {
+        if (this.match(TokenType.ELLIPSIS)) {
+          rest = this.restPattern('a fellowship', bound);
+        } else {
+          elements.push(element());
+        }
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RBRACKET, "Expected ']' after fellowship pattern");
+    return new AST.ArrayPattern(elements, rest, startToken.line, startToken.column);
+  }
+
+  // After '{': key: pattern, or a key alone to bind it under its own name.
+  // A pattern that unpacks may also give defaults and end with ...rest.
+  fieldPatterns(bound, unpacking = false) {
+    const fields = [];
+    let rest = null;
+
+    if (!this.check(TokenType.RBRACE)) {
+      do {
+        if (unpacking && this.match(TokenType.ELLIPSIS)) {
+          rest = this.restPattern('an object', bound);
+          continue;
+        }
+        const key = this.consume(TokenType.IDENTIFIER, 'Expected property name');
+        let pattern;
+        if (unpacking) {
+          pattern = this.match(TokenType.COLON) ? this.unpackTarget(bound) : this.withDefault(this.bindingPattern(key, bound));
+        } else {
+          pattern = this.match(TokenType.COLON) ? this.pattern(bound) : this.bindingPattern(key, bound);
+        }
+        fields.push({ key: key.value, pattern });
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RBRACE, "Expected '}' after pattern properties");
+    return { fields, rest };
+  }
+
+  // After '...': the name that takes whatever the rest of the pattern leaves
+  restPattern(kind, bound) {
+    const name = this.consume(TokenType.IDENTIFIER, "Expected a name after '...'");
+    const rest = this.bindingPattern(name, bound);
+    if (this.check(TokenType.COMMA)) {
+      throw new TmbdlError(`The '...' of ${kind} pattern must come last`, name.line, name.column);
+    }
+    return rest;
+  }
+
+  // A fellowship or object pattern that unpacks a value into names, rather
+  // than testing it: [first, second = 2, ...rest] or {name, age: years, ...others}
+  unpackPattern(bound) {
+    const token = this.advance(); // consume [ or {
+    if (token.type === TokenType.LBRACKET) {
+      return this.arrayPattern(token, bound, () => this.unpackTarget(bound));
+    }
+    const { fields, rest } = this.fieldPatterns(bound, true);
+    return new AST.ObjectPattern(fields, rest, token.line, token.column);
+  }
+
+  // A name or nested pattern to unpack into, perhaps with a default
+  unpackTarget(bound) {
+    if (this.check(TokenType.LBRACKET) || this.check(TokenType.LBRACE)) {
+      return this.withDefault(this.unpackPattern(bound));
+    }
+    const name = this.consume(TokenType.IDENTIFIER, 'Expected a name or pattern to unpack into');
+    return this.withDefault(this.bindingPattern(name, bound));
+  }
+
+  // target = value, the value to use when what target unpacks is missing
+  withDefault(target) {
+    if (!this.match(TokenType.EQUALS)) return target;
+    if (target.type === 'WildcardPattern') {
+      throw new TmbdlError("'_' unpacks nothing, so it cannot have a default", target.line, target.column);
+    }
+    return new AST.DefaultPattern(target, this.expression(), target.line, target.column);
+  }
+
   ifStatement() {
     const keyword = this.advance(); // consume perhaps
     this.consume(TokenType.LPAREN, "Expected '(' after 'perhaps'");
@@ -286,7 +638,9 @@ export class Parser {
     const keyword = this.advance(); // consume journey
     this.consume(TokenType.LPAREN, "Expected '(' after 'journey'");
 
-    const variable = this.consume(TokenType.IDENTIFIER, 'Expected variable name');
+    const variable = this.check(TokenType.LBRACKET) || this.check(TokenType.LBRACE)
+      ? this.unpackPattern(new Set())
+      : this.consume(TokenType.IDENTIFIER, 'Expected variable name').value;
     this.consume(TokenType.IN, "Expected 'in' after variable");
     const iterable = this.expression();
 
@@ -294,7 +648,7 @@ export class Parser {
     this.consume(TokenType.LBRACE, "Expected '{' after journey header");
     const body = new AST.BlockStatement(this.block(), keyword.line, keyword.column);
 
-    return new AST.ForInStatement(variable.value, iterable, body, keyword.line, keyword.column);
+    return new AST.ForInStatement(variable, iterable, body, keyword.line, keyword.column);
   }
 
   returnStatement() {
@@ -363,34 +717,18 @@ export class Parser {
 
     // Check for compound assignment: x += 1, x -= 1, etc.
     if (expr.type === 'Identifier') {
-      if (this.match(TokenType.PLUS_EQUALS)) {
-        const value = this.expression();
-        this.optionalSemicolon();
-        return new AST.CompoundAssignment(expr.name, '+', value, expr.line, expr.column);
-      }
-      if (this.match(TokenType.MINUS_EQUALS)) {
-        const value = this.expression();
-        this.optionalSemicolon();
-        return new AST.CompoundAssignment(expr.name, '-', value, expr.line, expr.column);
-      }
-      if (this.match(TokenType.STAR_EQUALS)) {
-        const value = this.expression();
-        this.optionalSemicolon();
-        return new AST.CompoundAssignment(expr.name, '*', value, expr.line, expr.column);
-      }
-      if (this.match(TokenType.SLASH_EQUALS)) {
+      const operator = COMPOUND_OPERATORS.get(this.peek().type);
+      if (operator) {
+        this.advance();
         const value = this.expression();
         this.optionalSemicolon();
-        return new AST.CompoundAssignment(expr.name, '/', value, expr.line, expr.column);
+        return new AST.CompoundAssignment(expr.name, operator, value, expr.line, expr.column);
       }
       // Postfix increment/decrement: x++, x--
-      if (this.match(TokenType.PLUS_PLUS)) {
-        this.optionalSemicolon();
-        return new AST.UpdateExpression(expr.name, '++', false, expr.line, expr.column);
-      }
-      if (this.match(TokenType.MINUS_MINUS)) {
+      if (this.match(TokenType.PLUS_PLUS, TokenType.MINUS_MINUS)) {
+        const update = new AST.UpdateExpression(expr.name, this.previous().value, false, expr.line, expr.column);
         this.optionalSemicolon();
-        return new AST.UpdateExpression(expr.name, '--', false, expr.line, expr.column);
+        return new AST.ExpressionStatement(update, expr.line, expr.column);
       }
     }
 
@@ -431,59 +769,27 @@ export class Parser {
   }
 
   and() {
-    let left = this.equality();
+    let left = this.binary();
 
     while (this.match(TokenType.WITH)) {
       const operator = this.previous();
-      const right = this.equality();
+      const right = this.binary();
       left = new AST.LogicalExpression(left, 'with', right, operator.line, operator.column);
     }
 
     return left;
   }
 
-  equality() {
-    let left = this.comparison();
+  // A chain of the binary operators at one level of BINARY_PRECEDENCE,
+  // each side made of the levels that bind tighter
+  binary(level = 0) {
+    if (level === BINARY_PRECEDENCE.length) return this.unary();
 
-    while (this.match(TokenType.EQUALS_EQUALS, TokenType.BANG_EQUALS)) {
-      const operator = this.previous();
-      const right = this.comparison();
-      left = new AST.BinaryExpression(left, operator.value, right, operator.line, operator.column);
-    }
-
-    return left;
-  }
-
-  comparison() {
-    let left = this.term();
+    let left = this.binary(level + 1);
 
-    while (this.match(TokenType.LESS, TokenType.GREATER, TokenType.LESS_EQUALS, TokenType.GREATER_EQUALS)) {
+    while (this.match(...BINARY_PRECEDENCE[level])) {
       const operator = this.previous();
-      const right = this.term();
-      left = new AST.BinaryExpression(left, operator.value, right, operator.line, operator.column);
-    }
-
-    return left;
-  }
-
-  term() {
-    let left = this.factor();
-
-    while (this.match(TokenType.PLUS, TokenType.MINUS)) {
-      const operator = this.previous();
-      const right = this.factor();
-      left = new AST.BinaryExpression(left, operator.value, right, operator.line, operator.column);
-    }
-
-    return left;
-  }
-
-  factor() {
-    let left = this.unary();
-
-    while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.PERCENT)) {
-      const operator = this.previous();
-      const right = this.unary();
+      const right = this.binary(level + 1);
       left = new AST.BinaryExpression(left, operator.value, right, operator.line, operator.column);
     }
 
@@ -504,7 +810,21 @@ export class Parser {
       return new AST.UpdateExpression(operand.value, operator.value, true, operator.line, operator.column);
     }
 
-    return this.call();
+    return this.power();
+  }
+
+  // '**' binds tighter than a sign on its left, so -2 ** 2 is -4, and groups
+  // to the right: 2 ** 3 ** 2 is 2 ** 9
+  power() {
+    const base = this.call();
+
+    if (this.match(TokenType.STAR_STAR)) {
+      const operator = this.previous();
+      const exponent = this.unary();
+      return new AST.BinaryExpression(base, operator.value, exponent, operator.line, operator.column);
+    }
+
+    return base;
   }
 
   call() {
@@ -529,15 +849,7 @@ export class Parser {
   }
 
   finishCall(callee) {
-    const args = [];
-
-    if (!this.check(TokenType.RPAREN)) {
-      do {
-        args.push(this.expression());
-      } while (this.match(TokenType.COMMA));
-    }
-
-    const paren = this.consume(TokenType.RPAREN, "Expected ')' after arguments");
+    const args = this.callArguments();
     return new AST.CallExpression(callee, args, callee.line, callee.column);
   }
 
@@ -572,6 +884,10 @@ export class Parser {
       return new AST.SelfExpression(token.line, token.column);
     }
 
+    if (this.match(TokenType.ELDER)) {
+      return this.elderCall(token);
+    }
+
     if (this.match(TokenType.CREATE)) {
       return this.createExpression(token);
     }
@@ -594,28 +910,12 @@ export class Parser {
       }
 
       // Check if this looks like a lambda parameter list
-      const startPos = this.current;
-      const params = [];
-      let isLambda = false;
-
-      if (this.check(TokenType.IDENTIFIER)) {
-        params.push(this.advance().value);
-        while (this.match(TokenType.COMMA)) {
-          params.push(this.consume(TokenType.IDENTIFIER, "Expected parameter name").value);
-        }
-        if (this.match(TokenType.RPAREN)) {
-          if (this.match(TokenType.ARROW)) {
-            isLambda = true;
-          }
-        }
-      }
-
-      if (isLambda) {
+      const params = this.lambdaParameters();
+      if (params) {
         return this.lambdaBody(params, token.line, token.column);
       }
 
-      // Not a lambda, backtrack and parse as grouped expression
-      this.current = startPos;
+      // Not a lambda, parse as grouped expression
       const expr = this.expression();
       this.consume(TokenType.RPAREN, "Expected ')' after expression");
       return expr;
@@ -665,6 +965,20 @@ export class Parser {
     return new AST.ObjectLiteral(properties, startToken.line, startToken.column);
   }
 
+  // After '(': a lambda's parameters and its '=>', or null - having consumed
+  // nothing - when the parentheses group an expression instead
+  lambdaParameters() {
+    const start = this.current;
+    try {
+      const params = this.parameters();
+      if (this.match(TokenType.ARROW)) return params;
+    } catch (error) {
+      if (!(error instanceof TmbdlError)) throw error;
+    }
+    this.current = start;
+    return null;
+  }
+
   lambdaBody(params, line, column) {
     // Lambda can have either a block body or an expression body
     if (this.match(TokenType.LBRACE)) {
@@ -677,18 +991,21 @@ export class Parser {
     }
   }
 
+  elderCall(token) {
+    this.consume(TokenType.DOT, "Expected '.' after 'elder'");
+    const method = this.match(TokenType.FORGE)
+      ? 'forge'
+      : this.consume(TokenType.IDENTIFIER, "Expected song name after 'elder.'").value;
+    this.consume(TokenType.LPAREN, "Expected '(' after elder song name");
+    const args = this.callArguments();
+
+    return new AST.ElderCall(method, args, token.line, token.column);
+  }
+
   createExpression(token) {
     const className = this.consume(TokenType.IDENTIFIER, "Expected realm name after 'create'");
     this.consume(TokenType.LPAREN, "Expected '(' after realm name");
-
-    const args = [];
-    if (!this.check(TokenType.RPAREN)) {
-      do {
-        args.push(this.expression());
-      } while (this.match(TokenType.COMMA));
-    }
-
-    this.consume(TokenType.RPAREN, "Expected ')' after arguments");
+    const args = this.callArguments();
 
     return new AST.CreateExpression(className.value, args, token.line, token.column);
   }
@@ -738,7 +1055,7 @@ export class Parser {
       TokenType.PERHAPS, TokenType.WANDER, TokenType.JOURNEY,
       TokenType.ANSWER, TokenType.FLEE, TokenType.ONWARDS,
       TokenType.SING, TokenType.EYEOF, TokenType.ATTEMPT,
-      TokenType.SUMMON, TokenType.SHARE, TokenType.REALM,
+      TokenType.SUMMON, TokenType.SHARE, TokenType.REALM, TokenType.RIDDLE,
       TokenType.LBRACE, TokenType.RBRACE, TokenType.EOF
     ].includes(next.type);
   }
@@ -771,29 +1088,37 @@ export class Parser {
     this.match(TokenType.SEMICOLON);
   }
 
-  synchronize() {
-    this.advance();
+  // Record a syntax error and skip to where parsing can safely resume
+  recover(error, start, boundaries = STATEMENT_BOUNDARIES) {
+    if (!(error instanceof TmbdlError)) throw error;
 
-    while (!this.isAtEnd()) {
-      if (this.previous().type === TokenType.SEMICOLON) return;
-
-      switch (this.peek().type) {
-        case TokenType.RING:
-        case TokenType.PRECIOUS:
-        case TokenType.SONG:
-        case TokenType.PERHAPS:
-        case TokenType.WANDER:
-        case TokenType.JOURNEY:
-        case TokenType.ANSWER:
-        case TokenType.SING:
-        case TokenType.EYEOF:
-        case TokenType.ATTEMPT:
-        case TokenType.SUMMON:
-        case TokenType.SHARE:
-          return;
-      }
+    // One bad token can trip several rules - report each position once
+    const last = this.errors[this.errors.length - 1];
+    if (!last || last.line !== error.line || last.column !== error.column) {
+      this.errors.push(error);
+    }
+
+    this.synchronize(boundaries);
 
+    // Always move forward, or a stray token would be reported forever
+    if (this.current === start && !this.isAtEnd()) {
       this.advance();
     }
   }
+
+  // Skip tokens until one of the boundary tokens. A block opened while
+  // skipping is skipped whole; a '}' closing an enclosing block is left for
+  // that block, so one error does not swallow the rest of it.
+  synchronize(boundaries = STATEMENT_BOUNDARIES) {
+    let depth = 0;
+
+    while (!this.isAtEnd()) {
+      if (depth === 0 && boundaries.has(this.peek().type)) return;
+
+      const token = this.advance();
+      if (token.type === TokenType.LBRACE) depth++;
+      if (token.type === TokenType.RBRACE) depth--;
+      if (depth === 0 && token.type === TokenType.SEMICOLON) return;
+    }
+  }
 }
@@ -0,0 +1,639 @@
+// Tmbdl Resolver
+//
+// A static pass over the AST, run before any backend executes it. It walks
+// scopes the way the interpreter's environments nest, so mistakes that would
+// only surface when a rarely-taken branch runs are reported up front:
+//
+//   - names that were never declared
+//   - assignment to a precious
+//   - answer outside a song, flee/onwards outside a loop, self outside a realm
+//
+// Unused local rings and summoned names are reported as warnings.
+//
+// Along the way every local is given a slot in its scope's environment, in
+// the order its scope declares them. Declarations are annotated with `slot`,
+// and names that read or assign a local with `local = { depth, slot }` -
+// how many environments out it lives, and where - so the interpreter can
+// find it without searching by name.
+
+import { natives } from './stdlib.js';
+import { parameterName } from './ast.js';
+import { SyntaxError, UndefinedVariableError, ConstantError, TmbdlWarning, ErrorList } from './errors.js';
+
+// A name declared in one scope
+class Binding {
+  constructor(name, kind, node, slot) {
+    this.name = name;
+    this.kind = kind;         // 'ring', 'precious', 'song', 'realm', 'param', 'summon' or 'native'
+    this.node = node;         // the declaring node, for warnings
+    this.slot = slot;         // index in the scope's environment, null for globals
+    this.declared = false;    // whether the walk has reached the declaration yet
+    this.used = false;
+  }
+}
+
+class Scope {
+  constructor(kind, parent = null) {
+    this.kind = kind;         // 'global', 'block' or 'song' (the scope of a song's parameters)
+    this.parent = parent;
+    this.bindings = new Map();
+    this.wildcard = false;    // a `summon "path"` brought in names we cannot see
+  }
+}
+
+export class Resolver {
+  // `globals` names anything already defined before the program runs,
+  // such as earlier REPL input
+  constructor({ globals = [] } = {}) {
+    this.globals = globals;
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  // Main entry point: throws when anything is wrong, else returns the warnings
+  resolve(program) {
+    this.analyze(program);
+
+    if (this.errors.length === 1) throw this.errors[0];
+    if (this.errors.length > 1) throw new ErrorList(this.errors);
+    return this.warnings;
+  }
+
+  // Collect errors and warnings without throwing
+  analyze(program) {
+    this.scope = new Scope('global');
+    this.songDepth = 0;       // songs and lambdas we are inside
+    this.realms = [];         // realm declarations we are inside, innermost last
+    this.loopDepth = 0;       // loops inside the current song
+    this.attemptDepth = 0;    // attempt blocks inside the current song
+    this.site = null;         // the template literal being walked, if any
+
+    for (const name of [...natives.map(native => native.name), ...this.globals]) {
+      this.define(name, 'native', null);
+    }
+
+    this.visit(program);
+
+    const byPosition = (a, b) => (a.line - b.line) || (a.column - b.column);
+    this.errors.sort(byPosition);
+    this.warnings.sort(byPosition);
+    return this;
+  }
+
+  // ============================================================
+  // VISITOR - Dispatch to appropriate method
+  // ============================================================
+
+  visit(node) {
+    if (!node) return;
+
+    const methodName = `visit${node.type}`;
+    if (this[methodName]) {
+      return this[methodName](node);
+    }
+
+    throw new Error(`Resolver: Unknown node type '${node.type}'`);
+  }
+
+  visitProgram(node) {
+    this.visitStatements(node.statements);
+    this.warnUnused(this.scope);
+  }
+
+  // ============================================================
+  // SCOPES
+  // ============================================================
+
+  beginScope(kind = 'block') {
+    this.scope = new Scope(kind, this.scope);
+  }
+
+  endScope() {
+    this.warnUnused(this.scope);
+    this.scope = this.scope.parent;
+  }
+
+  // Declare everything a list of statements will define before walking it,
+  // so a song can call one declared further down
+  visitStatements(statements) {
+    for (const statement of statements) {
+      this.hoist(statement);
+    }
+    for (const statement of statements) {
+      this.visit(statement);
+    }
+  }
+
+  hoist(node) {
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.slot = this.define(node.name, node.isConstant ? 'precious' : 'ring', node, false).slot;
+        break;
+      case 'DestructuringDeclaration':
+        for (const binding of bindingsOf(node.pattern)) {
+          binding.slot = this.define(binding.name, node.isConstant ? 'precious' : 'ring', binding, false).slot;
+        }
+        break;
+      case 'FunctionDeclaration':
+        node.slot = this.define(node.name, 'song', node, false).slot;
+        break;
+      case 'RealmDeclaration':
+        node.slot = this.define(node.name, 'realm', node, false).slot;
+        break;
+      case 'ShareStatement':
+        if (node.declaration) this.hoist(node.declaration);
+        break;
+      case 'SummonStatement':
+        for (const spec of node.imports ?? []) {
+          spec.slot = this.define(spec.alias, 'summon', node, false).slot;
+        }
+        if (node.alias) {
+          node.slot = this.define(node.alias, 'summon', node, false).slot;
+        }
+        break;
+    }
+  }
+
+  define(name, kind, node, declared = true) {
+    const { bindings } = this.scope;
+    if (!bindings.has(name)) {
+      const slot = this.scope.kind === 'global' ? null : bindings.size;
+      bindings.set(name, new Binding(name, kind, node, slot));
+    }
+    const binding = this.scope.bindings.get(name);
+    binding.declared ||= declared;
+    return binding;
+  }
+
+  // The walk has reached a hoisted declaration
+  declare(name) {
+    this.scope.bindings.get(name).declared = true;
+  }
+
+  // The binding a name refers to here, `undefined` when a wildcard summon
+  // might provide it, or null when nothing does. node learns where a local
+  // lives, unless a wildcard summon on the way could shadow it at runtime.
+  lookup(name, node) {
+    let crossedSong = false;
+    let wildcard = false;
+    node.local = null;
+
+    for (let scope = this.scope, depth = 0; scope; scope = scope.parent, depth++) {
+      const binding = scope.bindings.get(name);
+      // A declaration this song has not reached yet does not exist at runtime;
+      // one outside the song will have run by the time the song is called
+      if (binding && (binding.declared || crossedSong)) {
+        if (binding.slot !== null && !wildcard) {
+          node.local = { depth, slot: binding.slot };
+        }
+        return binding;
+      }
+      wildcard ||= scope.wildcard;
+      if (scope.kind === 'song') crossedSong = true;
+    }
+
+    return wildcard ? undefined : null;
+  }
+
+  reference(name, node) {
+    const binding = this.lookup(name, node);
+    if (binding === null) {
+      this.report(new UndefinedVariableError(name, ...this.position(node)));
+    } else if (binding) {
+      binding.used = true;
+    }
+  }
+
+  assign(name, node) {
+    const binding = this.lookup(name, node);
+    if (binding === null) {
+      this.report(new UndefinedVariableError(name, ...this.position(node)));
+    } else if (binding?.kind === 'precious') {
+      this.report(new ConstantError(name, ...this.position(node)));
+    }
+  }
+
+  // ============================================================
+  // REPORTING
+  // ============================================================
+
+  // Where to report a problem with a node. Nodes inside a template literal
+  // were parsed on their own, so their positions are relative to it.
+  position(node) {
+    const at = this.site ?? node;
+    return [at.line, at.column];
+  }
+
+  // A runtime error found early. Inside an attempt it may be the point, so
+  // it is only a warning there.
+  report(error) {
+    if (this.attemptDepth > 0) {
+      this.warnings.push(new TmbdlWarning(`${error.message} - rescue will catch it`, error.line, error.column));
+    } else {
+      this.errors.push(error);
+    }
+  }
+
+  misplaced(message, node) {
+    this.errors.push(new SyntaxError(message, ...this.position(node)));
+  }
+
+  warnUnused(scope) {
+    for (const binding of scope.bindings.values()) {
+      if (binding.used || binding.name.startsWith('_')) continue;
+
+      const { line, column } = binding.node ?? {};
+      if (binding.kind === 'summon') {
+        this.warnings.push(new TmbdlWarning(`'${binding.name}' is summoned but never used`, line, column));
+      } else if ((binding.kind === 'ring' || binding.kind === 'precious') && scope.kind !== 'global') {
+        this.warnings.push(new TmbdlWarning(`The ${binding.kind} '${binding.name}' is forged but never used`, line, column));
+      }
+    }
+  }
+
+  // ============================================================
+  // DECLARATIONS
+  // ============================================================
+
+  visitVariableDeclaration(node) {
+    this.visit(node.value);
+    this.declare(node.name);
+  }
+
+  visitDestructuringDeclaration(node) {
+    this.visit(node.value);
+    this.visitPattern(node.pattern, binding => this.declare(binding.name));
+  }
+
+  visitFunctionDeclaration(node) {
+    this.declare(node.name);
+    this.visitSong(node.params, node.body);
+  }
+
+  visitLambdaExpression(node) {
+    this.visitSong(node.params, node.body);
+  }
+
+  // A song, method, forge or lambda. Loops and attempts outside it do not
+  // reach into its body.
+  visitSong(params, body) {
+    const { loopDepth, attemptDepth } = this;
+    this.songDepth++;
+    this.loopDepth = 0;
+    this.attemptDepth = 0;
+    this.beginScope('song');
+
+    // Every argument has its slot first, then, in order, its default and the
+    // names a pattern unpacks it into. A default sees only the arguments
+    // before it.
+    params.forEach((param, i) => this.define(parameterName(param, i), 'param', null, false));
+    params.forEach((param, i) => {
+      if (param.type === 'DefaultPattern') {
+        this.visit(param.value);
+        param = param.pattern;
+      }
+      this.declare(parameterName(params[i], i));
+      if (param.type === 'ArrayPattern' || param.type === 'ObjectPattern') this.visitPattern(param);
+    });
+    if (Array.isArray(body)) {
+      this.visitStatements(body);
+    } else {
+      this.visit(body);
+    }
+
+    this.endScope();
+    this.songDepth--;
+    this.loopDepth = loopDepth;
+    this.attemptDepth = attemptDepth;
+  }
+
+  visitRealmDeclaration(node) {
+    if (node.superClass) {
+      this.reference(node.superClass, node);
+    }
+    this.declare(node.name);
+
+    // Realm rings are worked out where the realm is declared, without a self
+    for (const member of node.statics) {
+      if (member.type === 'VariableDeclaration' && member.value) {
+        this.visit(member.value);
+      }
+    }
+
+    this.realms.push(node);
+    if (node.constructor) {
+      this.visitSong(node.constructor.params, node.constructor.body);
+    }
+    for (const method of [...node.methods, ...node.accessors]) {
+      this.visitSong(method.params, method.body);
+    }
+    for (const member of node.statics) {
+      if (member.type === 'FunctionDeclaration') {
+        this.visitSong(member.params, member.body);
+      }
+    }
+    this.realms.pop();
+  }
+
+  visitSummonStatement(node) {
+    if (!node.imports && !node.alias) {
+      this.scope.wildcard = true;
+    }
+    for (const name of summonedNames(node)) {
+      this.declare(name);
+    }
+  }
+
+  visitShareStatement(node) {
+    if (node.declaration) {
+      this.visit(node.declaration);
+      this.reference(node.declaration.name, node);
+    } else {
+      for (const name of node.names) {
+        this.reference(name, node);
+      }
+    }
+  }
+
+  // ============================================================
+  // STATEMENTS
+  // ============================================================
+
+  visitBlockStatement(node) {
+    this.beginScope();
+    this.visitStatements(node.statements);
+    this.endScope();
+  }
+
+  visitExpressionStatement(node) {
+    this.visit(node.expression);
+  }
+
+  visitPrintStatement(node) {
+    this.visit(node.value);
+  }
+
+  visitEyeofStatement(node) {
+    this.visit(node.label);
+    this.visit(node.value);
+  }
+
+  visitIfStatement(node) {
+    this.visit(node.condition);
+    this.visit(node.thenBranch);
+    this.visit(node.elseBranch);
+  }
+
+  visitWhileStatement(node) {
+    this.visit(node.condition);
+    this.loopDepth++;
+    this.visit(node.body);
+    this.loopDepth--;
+  }
+
+  visitForInStatement(node) {
+    this.visit(node.iterable);
+
+    // The loop variable and the body share one scope, as in the interpreter
+    this.beginScope();
+    if (typeof node.variable === 'string') {
+      this.define(node.variable, 'param', node);
+    } else {
+      this.visitPattern(node.variable);
+    }
+    this.loopDepth++;
+    this.visitStatements(node.body.statements);
+    this.loopDepth--;
+    this.endScope();
+  }
+
+  visitReturnStatement(node) {
+    if (this.songDepth === 0) {
+      this.misplaced("'answer' can only be used inside a song", node);
+    }
+    this.visit(node.value);
+  }
+
+  visitBreakStatement(node) {
+    if (this.loopDepth === 0) {
+      this.misplaced("'flee' can only be used inside a loop", node);
+    }
+  }
+
+  visitContinueStatement(node) {
+    if (this.loopDepth === 0) {
+      this.misplaced("'onwards' can only be used inside a loop", node);
+    }
+  }
+
+  visitTryStatement(node) {
+    this.attemptDepth++;
+    this.visit(node.tryBlock);
+    this.attemptDepth--;
+
+    this.beginScope();
+    this.define(node.catchParam, 'param', node);
+    this.visitStatements(node.catchBlock.statements);
+    this.endScope();
+  }
+
+  visitRiddleStatement(node) {
+    this.visit(node.subject);
+
+    // The names a pattern binds are seen by its guard and its body, which
+    // share one scope, as in the interpreter
+    for (const arm of node.arms) {
+      this.beginScope();
+      this.visitPattern(arm.pattern);
+      this.visit(arm.guard);
+      this.visitStatements(arm.body.statements);
+      this.endScope();
+    }
+  }
+
+  // Walk a pattern in the order it runs, handing each name it binds to bind -
+  // which by default defines it here, as riddle arms, journeys and
+  // parameters want
+  visitPattern(pattern, bind = binding => this.bindPattern(binding)) {
+    switch (pattern.type) {
+      case 'BindingPattern':
+        bind(pattern);
+        break;
+      case 'DefaultPattern':
+        this.visit(pattern.value);
+        this.visitPattern(pattern.pattern, bind);
+        break;
+      case 'ArrayPattern':
+        for (const element of pattern.elements) {
+          this.visitPattern(element, bind);
+        }
+        if (pattern.rest) this.visitPattern(pattern.rest, bind);
+        break;
+      case 'RealmPattern':
+        this.reference(pattern.realm, pattern);
+        // falls through
+      case 'ObjectPattern':
+        for (const field of pattern.fields) {
+          this.visitPattern(field.pattern, bind);
+        }
+        if (pattern.rest) this.visitPattern(pattern.rest, bind);
+        break;
+    }
+  }
+
+  bindPattern(binding) {
+    binding.slot = this.define(binding.name, 'param', binding).slot;
+  }
+
+  // ============================================================
+  // ASSIGNMENT
+  // ============================================================
+
+  visitAssignment(node) {
+    this.visit(node.value);
+    this.assign(node.name, node);
+  }
+
+  visitCompoundAssignment(node) {
+    this.visit(node.value);
+    this.reference(node.name, node);
+    this.assign(node.name, node);
+  }
+
+  visitUpdateExpression(node) {
+    this.reference(node.name, node);
+    this.assign(node.name, node);
+  }
+
+  visitIndexAssignment(node) {
+    this.visit(node.object);
+    this.visit(node.index);
+    this.visit(node.value);
+  }
+
+  visitPropertyAssignment(node) {
+    this.visit(node.object);
+    this.visit(node.value);
+  }
+
+  // ============================================================
+  // EXPRESSIONS
+  // ============================================================
+
+  visitIdentifier(node) {
+    this.reference(node.name, node);
+  }
+
+  visitSelfExpression(node) {
+    if (this.realms.length === 0) {
+      this.misplaced('Cannot use "self" outside of a realm method', node);
+    }
+  }
+
+  visitElderCall(node) {
+    const realm = this.realms[this.realms.length - 1];
+    if (!realm) {
+      this.misplaced('Cannot use "elder" outside of a realm method', node);
+    } else if (!realm.superClass) {
+      this.misplaced(`Realm '${realm.name}' has no elder realm`, node);
+    }
+    for (const arg of node.arguments) {
+      this.visit(arg);
+    }
+  }
+
+  visitBinaryExpression(node) {
+    this.visit(node.left);
+    this.visit(node.right);
+  }
+
+  visitLogicalExpression(node) {
+    this.visit(node.left);
+    this.visit(node.right);
+  }
+
+  visitUnaryExpression(node) {
+    this.visit(node.operand);
+  }
+
+  visitCallExpression(node) {
+    this.visit(node.callee);
+    for (const arg of node.arguments) {
+      this.visit(arg);
+    }
+  }
+
+  visitSpreadArgument(node) {
+    this.visit(node.argument);
+  }
+
+  visitCreateExpression(node) {
+    this.reference(node.className, node);
+    for (const arg of node.arguments) {
+      this.visit(arg);
+    }
+  }
+
+  visitIndexExpression(node) {
+    this.visit(node.object);
+    this.visit(node.index);
+  }
+
+  visitPropertyAccess(node) {
+    this.visit(node.object);
+  }
+
+  visitArrayLiteral(node) {
+    for (const element of node.elements) {
+      this.visit(element);
+    }
+  }
+
+  visitObjectLiteral(node) {
+    for (const prop of node.properties) {
+      this.visit(prop.value);
+    }
+  }
+
+  visitTemplateLiteral(node) {
+    const site = this.site;
+    this.site ??= node;
+    for (const part of node.parts) {
+      if (part.type === 'expr') this.visit(part.value);
+    }
+    this.site = site;
+  }
+
+  visitNumberLiteral() {}
+  visitStringLiteral() {}
+  visitBooleanLiteral() {}
+  visitNullLiteral() {}
+}
+
+// The BindingPatterns inside a pattern, in order
+function bindingsOf(pattern, found = []) {
+  switch (pattern.type) {
+    case 'BindingPattern':
+      found.push(pattern);
+      break;
+    case 'DefaultPattern':
+      bindingsOf(pattern.pattern, found);
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) bindingsOf(element, found);
+      if (pattern.rest) bindingsOf(pattern.rest, found);
+      break;
+    case 'ObjectPattern':
+      for (const field of pattern.fields) bindingsOf(field.pattern, found);
+      if (pattern.rest) bindingsOf(pattern.rest, found);
+      break;
+  }
+  return found;
+}
+
+// The names a summon binds in the importing scope, when they can be known
+function summonedNames(node) {
+  if (node.imports) return node.imports.map(({ alias }) => alias);
+  if (node.alias) return [node.alias];
+  return [];
+}
@@ -1,13 +1,15 @@
 // Tmbdl Bytecode Serializer
 //
 // Serializes compiled bytecode to a binary format (.tmbdlc)
-// and deserializes it back for execution.
+// and deserializes it back for execution. A file holds the path of the entry
+// program's source and the entry program, then every module it summons, keyed
+// by its path from the entry's directory.
 
 import { Chunk, TmbdlBytecodeFunction } from './bytecode.js';
 
 // Magic number: "TMBDL" + version
 const MAGIC = [0x54, 0x4D, 0x42, 0x44, 0x4C];  // "TMBDL"
-const VERSION = 1;
+const VERSION = 4;  // 2: two-byte jump offsets and *_LONG instructions, 3: song signatures, 4: summoned modules
 
 // Type tags for constants
 const TYPE_NULL = 0x00;
@@ -26,14 +28,30 @@ export class BytecodeSerializer {
     this.functionMap = new Map();  // Map functions to indices
   }
 
-  serialize(chunk) {
+  serialize(chunk, modules = new Map(), file = null) {
     this.buffer = [];
-    this.functionMap = new Map();
 
     // Write header
     this.writeBytes(MAGIC);
     this.writeByte(VERSION);
 
+    this.writeString(file ?? '');
+    this.writeUnit(chunk);
+
+    // Write each summoned module after its path
+    this.writeUint32(modules.size);
+    for (const [path, moduleChunk] of modules) {
+      this.writeString(path);
+      this.writeUnit(moduleChunk);
+    }
+
+    return new Uint8Array(this.buffer);
+  }
+
+  // Write one compiled file: its functions, then which of them is its main chunk
+  writeUnit(chunk) {
+    this.functionMap = new Map();
+
     // Collect all functions first (for proper indexing)
     this.collectFunctions(chunk);
 
@@ -47,8 +65,6 @@ export class BytecodeSerializer {
 
     // Write main chunk index (always 0 since we write main first)
     this.writeUint32(0);
-
-    return new Uint8Array(this.buffer);
   }
 
   collectFunctions(chunk) {
@@ -83,6 +99,9 @@ export class BytecodeSerializer {
     this.writeString(func.name);
     this.writeUint16(func.arity);
     this.writeUint16(func.upvalueCount);
+    this.writeUint16(func.required);
+    this.writeByte(func.variadic ? 1 : 0);
+    this.writeString(func.signature ?? '');
 
     // Write constants
     this.writeUint32(chunk.constants.length);
@@ -176,10 +195,15 @@ export class BytecodeDeserializer {
   }
 
   deserialize(bytes) {
+    return this.deserializeProgram(bytes).chunk;
+  }
+
+  // Read a whole file: { file, chunk, modules }, where file is the entry's
+  // source path (null if none was given) and modules maps each summoned
+  // module's path from the entry's directory to its chunk
+  deserializeProgram(bytes) {
     this.buffer = bytes;
     this.offset = 0;
-    this.functions = [];
-    this.pendingRefs = [];
 
     // Read and verify header
     const magic = this.readBytes(5);
@@ -194,6 +218,25 @@ export class BytecodeDeserializer {
       throw new Error(`Unsupported bytecode version: ${version}`);
     }
 
+    const file = this.readString() || null;
+    const chunk = this.readUnit();
+
+    // Read each summoned module after its path
+    const modules = new Map();
+    const moduleCount = this.readUint32();
+    for (let i = 0; i < moduleCount; i++) {
+      const path = this.readString();
+      modules.set(path, this.readUnit());
+    }
+
+    return { file, chunk, modules };
+  }
+
+  // Read one compiled file, answering its main chunk
+  readUnit() {
+    this.functions = [];
+    this.pendingRefs = [];
+
     // Read function count
     const functionCount = this.readUint32();
 
@@ -219,6 +262,9 @@ export class BytecodeDeserializer {
     const name = this.readString();
     const arity = this.readUint16();
     const upvalueCount = this.readUint16();
+    const required = this.readUint16();
+    const variadic = this.readByte() === 1;
+    const signature = this.readString();
 
     // Read constants
     const constantCount = this.readUint32();
@@ -250,6 +296,9 @@ export class BytecodeDeserializer {
 
     const func = new TmbdlBytecodeFunction(name, arity, chunk);
     func.upvalueCount = upvalueCount;
+    func.required = required;
+    func.variadic = variadic;
+    func.signature = signature;
 
     return func;
   }
@@ -322,12 +371,17 @@ export class BytecodeDeserializer {
 // CONVENIENCE FUNCTIONS
 // ============================================================
 
-export function serializeBytecode(chunk) {
+export function serializeBytecode(chunk, modules = new Map(), file = null) {
   const serializer = new BytecodeSerializer();
-  return serializer.serialize(chunk);
+  return serializer.serialize(chunk, modules, file);
 }
 
 export function deserializeBytecode(bytes) {
   const deserializer = new BytecodeDeserializer();
   return deserializer.deserialize(bytes);
 }
+
+export function deserializeProgram(bytes) {
+  const deserializer = new BytecodeDeserializer();
+  return deserializer.deserializeProgram(bytes);
+}
@@ -0,0 +1,146 @@
+// Tmbdl Source Maps - Linking transpiled JavaScript back to tmbdl source
+//
+// While it compiles with source maps on, the compiler marks where the code
+// for each AST node begins with the node's line and column, and where each
+// song begins with the name its stack frames go by. stripMarks takes the
+// marks out again and answers the Version 3 source map mappings they
+// describe: for each generated line, the columns where tmbdl code begins.
+
+const MARK = '\u0000';
+const MARKS = /\u0000(\d+):(\d+)(?::([^\u0000]*))?\u0000/g;
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Mark the start of a node's code, after any indentation, with its position
+// and, for a song, its name
+export function mark(code, node, name = null) {
+  const indent = code.length - code.trimStart().length;
+  const position = `${node.line}:${node.column ?? 1}${name === null ? '' : `:${name}`}`;
+  return `${code.slice(0, indent)}${MARK}${position}${MARK}${code.slice(indent)}`;
+}
+
+// Take the marks out of compiled code. Answers { code, mappings, names },
+// with a mark that shares its place with others giving way to the innermost
+// one.
+export function stripMarks(marked) {
+  const segments = [];
+  const names = [];
+  let code = '';
+  let last = 0;
+  for (const match of marked.matchAll(MARKS)) {
+    code += marked.slice(last, match.index);
+    last = match.index + match[0].length;
+    if (segments.at(-1)?.offset === code.length) segments.pop();
+    let name = null;
+    if (match[3] !== undefined) {
+      name = names.indexOf(match[3]);
+      if (name === -1) name = names.push(match[3]) - 1;
+    }
+    segments.push({ offset: code.length, line: Number(match[1]), column: Number(match[2]), name });
+  }
+  code += marked.slice(last);
+  return { code, mappings: encodeMappings(code, segments), names };
+}
+
+// One number as a base64 VLQ: five bits a digit, least significant first,
+// with the sign in the lowest bit of the first
+function vlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let digits = '';
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32;
+    digits += BASE64[digit];
+  } while (rest > 0);
+  return digits;
+}
+
+// Turn { offset, line, column, name } segments, in order of offset, into the
+// mappings string. Each segment holds four numbers, each relative to the
+// same number in the segment before: the generated column (starting again
+// on each line), the source (always the first), and the source line and
+// column, counted from zero. A segment with a name adds its index in names,
+// relative to the last segment that had one.
+function encodeMappings(code, segments) {
+  const lines = [[]];
+  let previous = { column: 0, source: 0, line: 0, sourceColumn: 0 };
+  let previousName = 0;
+  let line = 0;
+  let lineStart = 0;
+  let scanned = 0;
+
+  for (const segment of segments) {
+    for (; scanned < segment.offset; scanned++) {
+      if (code[scanned] === '\n') {
+        lines.push([]);
+        line++;
+        lineStart = scanned + 1;
+        previous.column = 0;
+      }
+    }
+    const current = {
+      column: segment.offset - lineStart,
+      source: 0,
+      line: segment.line - 1,
+      sourceColumn: segment.column - 1,
+    };
+    let encoded = vlq(current.column - previous.column) + vlq(current.source - previous.source) +
+      vlq(current.line - previous.line) + vlq(current.sourceColumn - previous.sourceColumn);
+    if (segment.name !== null) {
+      encoded += vlq(segment.name - previousName);
+      previousName = segment.name;
+    }
+    lines[line].push(encoded);
+    previous = current;
+  }
+
+  return lines.map(segments => segments.join(',')).join(';');
+}
+
+// Read a mappings string back into, for each generated line, a list of
+// [column, source line, source column], all counted from zero, with the
+// index of the segment's name after them when it has one. Copied into the
+// runtime of transpiled programs as source, so it must stand alone.
+export function decodeMappings(mappings) {
+  const digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  let name = 0;
+  return mappings.split(';').map(line => {
+    let column = 0;
+    return line.split(',').filter(segment => segment !== '').map(segment => {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = digits.indexOf(char);
+        value += (digit & 31) << shift;
+        shift += 5;
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      column += values[0];
+      sourceLine += values[2] ?? 0;
+      sourceColumn += values[3] ?? 0;
+      if (values.length < 5) return [column, sourceLine, sourceColumn];
+      name += values[4];
+      return [column, sourceLine, sourceColumn, name];
+    });
+  });
+}
+
+// A Version 3 source map for one compiled module. `source` is the tmbdl
+// file's path as seen from the map, and `content` its text.
+export function createSourceMap(file, source, content, mappings, names = []) {
+  return { version: 3, file, sources: [source], sourcesContent: [content], names, mappings };
+}
+
+// The comment that points JavaScript tools at a module's source map: a
+// file next to it, or the map itself, inline
+export function sourceMappingComment(map, file = null) {
+  const url = file ?? `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+  return `//# sourceMappingURL=${url}`;
+}
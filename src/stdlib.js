@@ -1,7 +1,36 @@
 // Standard library for Tmbdl
 // Built-in functions with LOTR theming
-
-import { TypeError } from './errors.js';
+//
+// Every built-in song is declared once in `natives` below and shared by all
+// three backends: the interpreter (createStdlib), the bytecode VM
+// (VM.initStdlib) and the JavaScript transpiler (Compiler.generateRuntime).
+//
+// An entry describes a song:
+//
+//   name     - global name
+//   doc      - one-line description
+//   params   - [{ name, type, optional?, rest? }] - arity comes from these
+//   returns  - type of the result
+//   fn       - implementation, called as fn(args, host) after the arguments
+//              have been checked against params
+//
+// Types are tmbdl type names, as returned by type(): 'number', 'tale',
+// 'truth', 'fellowship', 'realm', 'song', 'shadow', or 'any'. Alternatives
+// are written 'tale|fellowship'.
+//
+// `host` is supplied by the backend running the song:
+//
+//   host.call(song, args)   call a tmbdl song or lambda (extra args are dropped)
+//   host.format(value)      display form of a value, as sing prints it
+//   host.typeOf(value)      tmbdl type name of a value
+//
+// The transpiler copies each fn's source into the generated runtime, so an
+// implementation may only use its arguments, `host`, JavaScript built-ins,
+// TypeError/RuntimeError from errors.js and readFileSync/writeFileSync/existsSync.
+
+import { TypeError, RuntimeError, DivisionByZeroError } from './errors.js';
+import { describeParameter } from './ast.js';
+import { TmbdlFunction, TmbdlLambda, TmbdlClass, TmbdlInstance } from './environment.js';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 
 class NativeFunction {
@@ -29,585 +58,729 @@ class HigherOrderFunction extends NativeFunction {
   }
 }
 
-// Format a value for display
-function formatValue(value) {
-  if (value === null) return 'shadow';
-  if (value === true) return 'goldberry';
-  if (value === false) return 'sauron';
-  if (typeof value === 'string') return value;
-  if (Array.isArray(value)) {
-    return '[' + value.map(formatValue).join(', ') + ']';
-  }
-  // Check for TmbdlFunction (user-defined function)
-  if (value && value.declaration && value.closure) {
-    return `<song ${value.name}>`;
-  }
-  // Check for TmbdlLambda
-  if (value && value.params && value.body && value.closure && !value.declaration) {
-    return `<lambda (${value.params.join(', ')})>`;
-  }
-  // Check for TmbdlInstance (has klass property) or TmbdlClass (has methods Map)
-  if (value && value.klass && value.fields) {
-    // TmbdlInstance - format its fields
-    const fields = [];
-    for (const [k, v] of value.fields) {
-      fields.push(`${k}: ${formatValue(v)}`);
-    }
-    return `<${value.klass.name} {${fields.join(', ')}}>`;
-  }
-  if (value && value.methods instanceof Map) {
-    // TmbdlClass
-    return `<realm ${value.name}>`;
-  }
-  if (typeof value === 'object') {
-    const pairs = Object.entries(value)
-      .map(([k, v]) => `${k}: ${formatValue(v)}`);
-    return '{' + pairs.join(', ') + '}';
-  }
-  if (value && value.toString) {
-    return value.toString();
-  }
-  return String(value);
-}
+// ═══════════════════════════════════════════════════════════════
+// The registry
+// ═══════════════════════════════════════════════════════════════
+
+export const natives = [
+  {
+    name: 'length',
+    doc: 'Get length of array or string',
+    params: [{ name: 'value', type: 'tale|fellowship' }],
+    returns: 'number',
+    fn: ([value]) => value.length,
+  },
+  {
+    name: 'push',
+    doc: 'Add element to array',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'value', type: 'any' }],
+    returns: 'fellowship',
+    fn: ([arr, value]) => {
+      arr.push(value);
+      return arr;
+    },
+  },
+  {
+    name: 'pop',
+    doc: 'Remove and return last element',
+    params: [{ name: 'arr', type: 'fellowship' }],
+    returns: 'any',
+    fn: ([arr]) => arr.pop() ?? null,
+  },
+  {
+    name: 'type',
+    doc: 'Get type of value',
+    params: [{ name: 'value', type: 'any' }],
+    returns: 'tale',
+    fn: ([value], host) => host.typeOf(value),
+  },
+  {
+    name: 'str',
+    doc: 'Convert to string',
+    params: [{ name: 'value', type: 'any' }],
+    returns: 'tale',
+    fn: ([value], host) => host.format(value),
+  },
+  {
+    name: 'num',
+    doc: 'Convert to number',
+    params: [{ name: 'value', type: 'any' }],
+    returns: 'number',
+    fn: ([value], host) => {
+      const num = Number(value);
+      if (isNaN(num)) {
+        throw new TypeError(`Cannot forge a number from '${host.format(value)}'`);
+      }
+      return num;
+    },
+  },
+  {
+    name: 'floor',
+    doc: 'Round down',
+    params: [{ name: 'n', type: 'number' }],
+    returns: 'number',
+    fn: ([n]) => Math.floor(n),
+  },
+  {
+    name: 'ceil',
+    doc: 'Round up',
+    params: [{ name: 'n', type: 'number' }],
+    returns: 'number',
+    fn: ([n]) => Math.ceil(n),
+  },
+  {
+    name: 'round',
+    doc: 'Round to nearest',
+    params: [{ name: 'n', type: 'number' }],
+    returns: 'number',
+    fn: ([n]) => Math.round(n),
+  },
+  {
+    name: 'abs',
+    doc: 'Absolute value',
+    params: [{ name: 'n', type: 'number' }],
+    returns: 'number',
+    fn: ([n]) => Math.abs(n),
+  },
+  {
+    name: 'min',
+    doc: 'Minimum value',
+    params: [{ name: 'numbers', type: 'number', rest: true }],
+    returns: 'number',
+    fn: (args) => Math.min(...args),
+  },
+  {
+    name: 'max',
+    doc: 'Maximum value',
+    params: [{ name: 'numbers', type: 'number', rest: true }],
+    returns: 'number',
+    fn: (args) => Math.max(...args),
+  },
+  {
+    name: 'random',
+    doc: 'Random number between 0 and 1',
+    params: [],
+    returns: 'number',
+    fn: () => Math.random(),
+  },
+  {
+    name: 'range',
+    doc: 'Create an array of numbers: range(end), range(start, end) or range(start, end, step)',
+    params: [
+      { name: 'start', type: 'number' },
+      { name: 'end', type: 'number', optional: true },
+      { name: 'step', type: 'number', optional: true },
+    ],
+    returns: 'fellowship',
+    fn: (args) => {
+      let start = 0, end, step = 1;
+      if (args.length === 1) {
+        end = args[0];
+      } else {
+        [start, end, step = 1] = args;
+      }
 
-// Create all standard library functions
-export function createStdlib() {
-  const stdlib = new Map();
+      const result = [];
+      if (step > 0) {
+        for (let i = start; i < end; i += step) result.push(i);
+      } else if (step < 0) {
+        for (let i = start; i > end; i += step) result.push(i);
+      }
+      return result;
+    },
+  },
+  {
+    name: 'keys',
+    doc: 'Get object keys',
+    params: [{ name: 'obj', type: 'realm' }],
+    returns: 'fellowship',
+    fn: ([obj]) => Object.keys(obj),
+  },
+  {
+    name: 'values',
+    doc: 'Get object values',
+    params: [{ name: 'obj', type: 'realm' }],
+    returns: 'fellowship',
+    fn: ([obj]) => Object.values(obj),
+  },
+  {
+    name: 'entries',
+    doc: 'Get object [key, value] pairs',
+    params: [{ name: 'obj', type: 'realm' }],
+    returns: 'fellowship',
+    fn: ([obj]) => Object.entries(obj),
+  },
+  {
+    name: 'split',
+    doc: 'Split string',
+    params: [{ name: 'str', type: 'tale' }, { name: 'delimiter', type: 'tale' }],
+    returns: 'fellowship',
+    fn: ([str, delimiter]) => str.split(delimiter),
+  },
+  {
+    name: 'join',
+    doc: 'Join array to string',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'delimiter', type: 'tale' }],
+    returns: 'tale',
+    fn: ([arr, delimiter]) => arr.join(delimiter),
+  },
+  {
+    name: 'slice',
+    doc: 'Get portion of array or string',
+    params: [
+      { name: 'value', type: 'tale|fellowship' },
+      { name: 'start', type: 'number', optional: true },
+      { name: 'end', type: 'number', optional: true },
+    ],
+    returns: 'tale|fellowship',
+    fn: ([value, start = 0, end]) => value.slice(start, end),
+  },
 
-  // length - Get length of array or string
-  stdlib.set('length', new NativeFunction('length', 1, (args) => {
-    const value = args[0];
-    if (typeof value === 'string' || Array.isArray(value)) {
-      return value.length;
-    }
-    throw new TypeError('length() requires a string or fellowship (array)');
-  }));
-
-  // push - Add element to array
-  stdlib.set('push', new NativeFunction('push', 2, (args) => {
-    const arr = args[0];
-    const value = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('push() requires a fellowship (array) as first argument');
-    }
-    arr.push(value);
-    return arr;
-  }));
-
-  // pop - Remove and return last element
-  stdlib.set('pop', new NativeFunction('pop', 1, (args) => {
-    const arr = args[0];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('pop() requires a fellowship (array)');
-    }
-    return arr.pop();
-  }));
-
-  // type - Get type of value
-  stdlib.set('type', new NativeFunction('type', 1, (args) => {
-    const value = args[0];
-    if (value === null) return 'shadow';
-    if (typeof value === 'boolean') return 'truth';
-    if (typeof value === 'number') return 'number';
-    if (typeof value === 'string') return 'tale';
-    if (Array.isArray(value)) return 'fellowship';
-    if (typeof value === 'function' || value instanceof NativeFunction) return 'song';
-    if (typeof value === 'object') return 'realm';
-    return 'unknown';
-  }));
-
-  // str - Convert to string
-  stdlib.set('str', new NativeFunction('str', 1, (args) => {
-    return formatValue(args[0]);
-  }));
-
-  // num - Convert to number
-  stdlib.set('num', new NativeFunction('num', 1, (args) => {
-    const value = args[0];
-    const num = Number(value);
-    if (isNaN(num)) {
-      throw new TypeError(`Cannot forge a number from '${formatValue(value)}'`);
-    }
-    return num;
-  }));
-
-  // floor - Round down
-  stdlib.set('floor', new NativeFunction('floor', 1, (args) => {
-    return Math.floor(args[0]);
-  }));
-
-  // ceil - Round up
-  stdlib.set('ceil', new NativeFunction('ceil', 1, (args) => {
-    return Math.ceil(args[0]);
-  }));
-
-  // round - Round to nearest
-  stdlib.set('round', new NativeFunction('round', 1, (args) => {
-    return Math.round(args[0]);
-  }));
-
-  // abs - Absolute value
-  stdlib.set('abs', new NativeFunction('abs', 1, (args) => {
-    return Math.abs(args[0]);
-  }));
-
-  // min - Minimum value
-  stdlib.set('min', new NativeFunction('min', -1, (args) => {
-    return Math.min(...args);
-  }));
-
-  // max - Maximum value
-  stdlib.set('max', new NativeFunction('max', -1, (args) => {
-    return Math.max(...args);
-  }));
-
-  // random - Random number between 0 and 1
-  stdlib.set('random', new NativeFunction('random', 0, () => {
-    return Math.random();
-  }));
-
-  // range - Create an array of numbers
-  stdlib.set('range', new NativeFunction('range', -1, (args) => {
-    let start = 0, end, step = 1;
-
-    if (args.length === 1) {
-      end = args[0];
-    } else if (args.length === 2) {
-      start = args[0];
-      end = args[1];
-    } else {
-      start = args[0];
-      end = args[1];
-      step = args[2];
-    }
+  // ═══════════════════════════════════════════════════════════════
+  // Higher-order functions
+  // ═══════════════════════════════════════════════════════════════
 
-    const result = [];
-    if (step > 0) {
-      for (let i = start; i < end; i += step) {
-        result.push(i);
+  {
+    name: 'map',
+    doc: 'Transform each element with a callback',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song' }],
+    returns: 'fellowship',
+    fn: ([arr, fn], host) => arr.map((item, index) => host.call(fn, [item, index])),
+  },
+  {
+    name: 'filter',
+    doc: 'Keep elements that pass a test',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song' }],
+    returns: 'fellowship',
+    fn: ([arr, fn], host) => arr.filter((item, index) => host.call(fn, [item, index])),
+  },
+  {
+    name: 'reduce',
+    doc: 'Accumulate values',
+    params: [
+      { name: 'arr', type: 'fellowship' },
+      { name: 'fn', type: 'song' },
+      { name: 'initial', type: 'any', optional: true },
+    ],
+    returns: 'any',
+    fn: (args, host) => {
+      const [arr, fn, initial] = args;
+      const step = (acc, item, index) => host.call(fn, [acc, item, index]);
+      return args.length >= 3 ? arr.reduce(step, initial) : arr.reduce(step);
+    },
+  },
+  {
+    name: 'find',
+    doc: 'Find first element matching condition',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song' }],
+    returns: 'any',
+    fn: ([arr, fn], host) => arr.find((item, index) => host.call(fn, [item, index])) ?? null,
+  },
+  {
+    name: 'some',
+    doc: 'Check if any element passes test',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song' }],
+    returns: 'truth',
+    fn: ([arr, fn], host) => arr.some((item, index) => host.call(fn, [item, index])),
+  },
+  {
+    name: 'every',
+    doc: 'Check if all elements pass test',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song' }],
+    returns: 'truth',
+    fn: ([arr, fn], host) => arr.every((item, index) => host.call(fn, [item, index])),
+  },
+  {
+    name: 'sort',
+    doc: 'Sort array with optional comparator',
+    params: [{ name: 'arr', type: 'fellowship' }, { name: 'fn', type: 'song', optional: true }],
+    returns: 'fellowship',
+    fn: ([arr, fn], host) => {
+      const copy = [...arr];
+      if (fn) {
+        copy.sort((a, b) => host.call(fn, [a, b]));
+      } else {
+        copy.sort((a, b) => a - b);
       }
-    } else if (step < 0) {
-      for (let i = start; i > end; i += step) {
-        result.push(i);
-      }
-    }
-    return result;
-  }));
-
-  // keys - Get object keys
-  stdlib.set('keys', new NativeFunction('keys', 1, (args) => {
-    const obj = args[0];
-    if (typeof obj !== 'object' || obj === null) {
-      throw new TypeError('keys() requires a realm (object)');
-    }
-    return Object.keys(obj);
-  }));
-
-  // values - Get object values
-  stdlib.set('values', new NativeFunction('values', 1, (args) => {
-    const obj = args[0];
-    if (typeof obj !== 'object' || obj === null) {
-      throw new TypeError('values() requires a realm (object)');
-    }
-    return Object.values(obj);
-  }));
-
-  // split - Split string
-  stdlib.set('split', new NativeFunction('split', 2, (args) => {
-    const str = args[0];
-    const delimiter = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('split() requires a tale (string)');
-    }
-    return str.split(delimiter);
-  }));
-
-  // join - Join array to string
-  stdlib.set('join', new NativeFunction('join', 2, (args) => {
-    const arr = args[0];
-    const delimiter = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('join() requires a fellowship (array)');
-    }
-    return arr.join(delimiter);
-  }));
-
-  // slice - Get portion of array or string
-  stdlib.set('slice', new NativeFunction('slice', -1, (args) => {
-    const value = args[0];
-    const start = args[1] || 0;
-    const end = args[2];
-    if (typeof value === 'string' || Array.isArray(value)) {
-      return value.slice(start, end);
-    }
-    throw new TypeError('slice() requires a tale (string) or fellowship (array)');
-  }));
-
-  // map - Transform each element with a callback
-  stdlib.set('map', new HigherOrderFunction('map', 2, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('map() requires a fellowship (array) as first argument');
-    }
-    return arr.map((item, index) => callFn(callback, [item, index]));
-  }));
-
-  // filter - Keep elements that pass a test
-  stdlib.set('filter', new HigherOrderFunction('filter', 2, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('filter() requires a fellowship (array) as first argument');
-    }
-    return arr.filter((item, index) => callFn(callback, [item, index]));
-  }));
-
-  // reduce - Accumulate values
-  stdlib.set('reduce', new HigherOrderFunction('reduce', -1, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    const initial = args[2];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('reduce() requires a fellowship (array) as first argument');
-    }
-    if (args.length >= 3) {
-      return arr.reduce((acc, item, index) => callFn(callback, [acc, item, index]), initial);
-    } else {
-      return arr.reduce((acc, item, index) => callFn(callback, [acc, item, index]));
-    }
-  }));
-
-  // find - Find first element matching condition
-  stdlib.set('find', new HigherOrderFunction('find', 2, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('find() requires a fellowship (array) as first argument');
-    }
-    return arr.find((item, index) => callFn(callback, [item, index])) ?? null;
-  }));
-
-  // some - Check if any element passes test
-  stdlib.set('some', new HigherOrderFunction('some', 2, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('some() requires a fellowship (array) as first argument');
-    }
-    return arr.some((item, index) => callFn(callback, [item, index]));
-  }));
-
-  // every - Check if all elements pass test
-  stdlib.set('every', new HigherOrderFunction('every', 2, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('every() requires a fellowship (array) as first argument');
-    }
-    return arr.every((item, index) => callFn(callback, [item, index]));
-  }));
-
-  // sort - Sort array with optional comparator
-  stdlib.set('sort', new HigherOrderFunction('sort', -1, (args, callFn) => {
-    const arr = args[0];
-    const callback = args[1];
-    if (!Array.isArray(arr)) {
-      throw new TypeError('sort() requires a fellowship (array) as first argument');
-    }
-    const copy = [...arr];
-    if (callback) {
-      copy.sort((a, b) => callFn(callback, [a, b]));
-    } else {
-      copy.sort((a, b) => a - b);
-    }
-    return copy;
-  }));
+      return copy;
+    },
+  },
 
   // ═══════════════════════════════════════════════════════════════
   // String manipulation functions (for self-hosting compiler)
   // ═══════════════════════════════════════════════════════════════
 
-  // charAt - Get character at index
-  stdlib.set('charAt', new NativeFunction('charAt', 2, (args) => {
-    const str = args[0];
-    const index = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('charAt() requires a tale (string) as first argument');
-    }
-    if (index < 0 || index >= str.length) {
-      return '';  // Return empty string for out of bounds (like JS)
-    }
-    return str.charAt(index);
-  }));
-
-  // charCode - Get ASCII/Unicode code of character
-  stdlib.set('charCode', new NativeFunction('charCode', 1, (args) => {
-    const str = args[0];
-    if (typeof str !== 'string' || str.length === 0) {
-      throw new TypeError('charCode() requires a non-empty tale (string)');
-    }
-    return str.charCodeAt(0);
-  }));
-
-  // fromCharCode - Create character from ASCII/Unicode code
-  stdlib.set('fromCharCode', new NativeFunction('fromCharCode', 1, (args) => {
-    const code = args[0];
-    if (typeof code !== 'number') {
-      throw new TypeError('fromCharCode() requires a number');
-    }
-    return String.fromCharCode(code);
-  }));
-
-  // isAlpha - Check if character is alphabetic
-  stdlib.set('isAlpha', new NativeFunction('isAlpha', 1, (args) => {
-    const char = args[0];
-    if (typeof char !== 'string') {
-      return false;
-    }
-    if (char.length !== 1) {
-      return false;
-    }
-    const code = char.charCodeAt(0);
-    return (code >= 65 && code <= 90) ||   // A-Z
-           (code >= 97 && code <= 122) ||  // a-z
-           char === '_';                    // underscore counts as alpha for identifiers
-  }));
-
-  // isDigit - Check if character is a digit
-  stdlib.set('isDigit', new NativeFunction('isDigit', 1, (args) => {
-    const char = args[0];
-    if (typeof char !== 'string') {
-      return false;
-    }
-    if (char.length !== 1) {
-      return false;
-    }
-    const code = char.charCodeAt(0);
-    return code >= 48 && code <= 57;  // 0-9
-  }));
-
-  // isAlphaNumeric - Check if character is alphanumeric
-  stdlib.set('isAlphaNumeric', new NativeFunction('isAlphaNumeric', 1, (args) => {
-    const char = args[0];
-    if (typeof char !== 'string') {
-      return false;
-    }
-    if (char.length !== 1) {
-      return false;
-    }
-    const code = char.charCodeAt(0);
-    return (code >= 65 && code <= 90) ||   // A-Z
-           (code >= 97 && code <= 122) ||  // a-z
-           (code >= 48 && code <= 57) ||   // 0-9
-           char === '_';                    // underscore
-  }));
-
-  // isWhitespace - Check if character is whitespace
-  stdlib.set('isWhitespace', new NativeFunction('isWhitespace', 1, (args) => {
-    const char = args[0];
-    if (typeof char !== 'string') {
-      return false;
-    }
-    return char === ' ' || char === '\t' || char === '\n' || char === '\r';
-  }));
-
-  // indexOf - Find index of substring
-  stdlib.set('indexOf', new NativeFunction('indexOf', -1, (args) => {
-    const str = args[0];
-    const search = args[1];
-    const start = args[2] || 0;
-    if (typeof str !== 'string') {
-      throw new TypeError('indexOf() requires a tale (string) as first argument');
-    }
-    return str.indexOf(search, start);
-  }));
-
-  // lastIndexOf - Find last index of substring
-  stdlib.set('lastIndexOf', new NativeFunction('lastIndexOf', -1, (args) => {
-    const str = args[0];
-    const search = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('lastIndexOf() requires a tale (string) as first argument');
-    }
-    return str.lastIndexOf(search);
-  }));
-
-  // startsWith - Check if string starts with prefix
-  stdlib.set('startsWith', new NativeFunction('startsWith', 2, (args) => {
-    const str = args[0];
-    const prefix = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('startsWith() requires a tale (string) as first argument');
-    }
-    return str.startsWith(prefix);
-  }));
-
-  // endsWith - Check if string ends with suffix
-  stdlib.set('endsWith', new NativeFunction('endsWith', 2, (args) => {
-    const str = args[0];
-    const suffix = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('endsWith() requires a tale (string) as first argument');
-    }
-    return str.endsWith(suffix);
-  }));
-
-  // trim - Remove leading/trailing whitespace
-  stdlib.set('trim', new NativeFunction('trim', 1, (args) => {
-    const str = args[0];
-    if (typeof str !== 'string') {
-      throw new TypeError('trim() requires a tale (string)');
-    }
-    return str.trim();
-  }));
-
-  // toLowerCase - Convert to lowercase
-  stdlib.set('toLowerCase', new NativeFunction('toLowerCase', 1, (args) => {
-    const str = args[0];
-    if (typeof str !== 'string') {
-      throw new TypeError('toLowerCase() requires a tale (string)');
-    }
-    return str.toLowerCase();
-  }));
-
-  // toUpperCase - Convert to uppercase
-  stdlib.set('toUpperCase', new NativeFunction('toUpperCase', 1, (args) => {
-    const str = args[0];
-    if (typeof str !== 'string') {
-      throw new TypeError('toUpperCase() requires a tale (string)');
-    }
-    return str.toUpperCase();
-  }));
-
-  // replace - Replace first occurrence
-  stdlib.set('replace', new NativeFunction('replace', 3, (args) => {
-    const str = args[0];
-    const search = args[1];
-    const replacement = args[2];
-    if (typeof str !== 'string') {
-      throw new TypeError('replace() requires a tale (string) as first argument');
-    }
-    return str.replace(search, replacement);
-  }));
-
-  // replaceAll - Replace all occurrences
-  stdlib.set('replaceAll', new NativeFunction('replaceAll', 3, (args) => {
-    const str = args[0];
-    const search = args[1];
-    const replacement = args[2];
-    if (typeof str !== 'string') {
-      throw new TypeError('replaceAll() requires a tale (string) as first argument');
-    }
-    return str.split(search).join(replacement);
-  }));
-
-  // includes - Check if string/array contains value
-  stdlib.set('includes', new NativeFunction('includes', 2, (args) => {
-    const container = args[0];
-    const value = args[1];
-    if (typeof container === 'string' || Array.isArray(container)) {
-      return container.includes(value);
-    }
-    throw new TypeError('includes() requires a tale (string) or fellowship (array)');
-  }));
-
-  // repeat - Repeat string n times
-  stdlib.set('repeat', new NativeFunction('repeat', 2, (args) => {
-    const str = args[0];
-    const count = args[1];
-    if (typeof str !== 'string') {
-      throw new TypeError('repeat() requires a tale (string) as first argument');
-    }
-    return str.repeat(count);
-  }));
-
-  // reverse - Reverse array or string
-  stdlib.set('reverse', new NativeFunction('reverse', 1, (args) => {
-    const value = args[0];
-    if (Array.isArray(value)) {
-      return [...value].reverse();
-    }
-    if (typeof value === 'string') {
+  {
+    name: 'charAt',
+    doc: 'Get character at index',
+    params: [{ name: 'str', type: 'tale' }, { name: 'index', type: 'number' }],
+    returns: 'tale',
+    fn: ([str, index]) => {
+      if (index < 0 || index >= str.length) {
+        return '';  // Return empty string for out of bounds (like JS)
+      }
+      return str.charAt(index);
+    },
+  },
+  {
+    name: 'charCode',
+    doc: 'Get ASCII/Unicode code of character',
+    params: [{ name: 'char', type: 'tale' }],
+    returns: 'number',
+    fn: ([char]) => {
+      if (char.length === 0) {
+        throw new TypeError('charCode() requires a non-empty tale (string)');
+      }
+      return char.charCodeAt(0);
+    },
+  },
+  {
+    name: 'fromCharCode',
+    doc: 'Create character from ASCII/Unicode code',
+    params: [{ name: 'code', type: 'number' }],
+    returns: 'tale',
+    fn: ([code]) => String.fromCharCode(code),
+  },
+  {
+    name: 'isAlpha',
+    doc: 'Check if character is alphabetic (underscore counts, for identifiers)',
+    params: [{ name: 'char', type: 'any' }],
+    returns: 'truth',
+    fn: ([char]) => {
+      if (typeof char !== 'string' || char.length !== 1) return false;
+      const code = char.charCodeAt(0);
+      return (code >= 65 && code <= 90) ||   // A-Z
+             (code >= 97 && code <= 122) ||  // a-z
+             char === '_';
+    },
+  },
+  {
+    name: 'isDigit',
+    doc: 'Check if character is a digit',
+    params: [{ name: 'char', type: 'any' }],
+    returns: 'truth',
+    fn: ([char]) => {
+      if (typeof char !== 'string' || char.length !== 1) return false;
+      const code = char.charCodeAt(0);
+      return code >= 48 && code <= 57;  // 0-9
+    },
+  },
+  {
+    name: 'isAlphaNumeric',
+    doc: 'Check if character is alphanumeric (or underscore)',
+    params: [{ name: 'char', type: 'any' }],
+    returns: 'truth',
+    fn: ([char]) => {
+      if (typeof char !== 'string' || char.length !== 1) return false;
+      const code = char.charCodeAt(0);
+      return (code >= 65 && code <= 90) ||   // A-Z
+             (code >= 97 && code <= 122) ||  // a-z
+             (code >= 48 && code <= 57) ||   // 0-9
+             char === '_';
+    },
+  },
+  {
+    name: 'isWhitespace',
+    doc: 'Check if character is whitespace',
+    params: [{ name: 'char', type: 'any' }],
+    returns: 'truth',
+    fn: ([char]) => char === ' ' || char === '\t' || char === '\n' || char === '\r',
+  },
+  {
+    name: 'indexOf',
+    doc: 'Find index of substring',
+    params: [
+      { name: 'str', type: 'tale' },
+      { name: 'search', type: 'tale' },
+      { name: 'start', type: 'number', optional: true },
+    ],
+    returns: 'number',
+    fn: ([str, search, start = 0]) => str.indexOf(search, start),
+  },
+  {
+    name: 'lastIndexOf',
+    doc: 'Find last index of substring',
+    params: [{ name: 'str', type: 'tale' }, { name: 'search', type: 'tale' }],
+    returns: 'number',
+    fn: ([str, search]) => str.lastIndexOf(search),
+  },
+  {
+    name: 'startsWith',
+    doc: 'Check if string starts with prefix',
+    params: [{ name: 'str', type: 'tale' }, { name: 'prefix', type: 'tale' }],
+    returns: 'truth',
+    fn: ([str, prefix]) => str.startsWith(prefix),
+  },
+  {
+    name: 'endsWith',
+    doc: 'Check if string ends with suffix',
+    params: [{ name: 'str', type: 'tale' }, { name: 'suffix', type: 'tale' }],
+    returns: 'truth',
+    fn: ([str, suffix]) => str.endsWith(suffix),
+  },
+  {
+    name: 'trim',
+    doc: 'Remove leading/trailing whitespace',
+    params: [{ name: 'str', type: 'tale' }],
+    returns: 'tale',
+    fn: ([str]) => str.trim(),
+  },
+  {
+    name: 'toLowerCase',
+    doc: 'Convert to lowercase',
+    params: [{ name: 'str', type: 'tale' }],
+    returns: 'tale',
+    fn: ([str]) => str.toLowerCase(),
+  },
+  {
+    name: 'toUpperCase',
+    doc: 'Convert to uppercase',
+    params: [{ name: 'str', type: 'tale' }],
+    returns: 'tale',
+    fn: ([str]) => str.toUpperCase(),
+  },
+  {
+    name: 'replace',
+    doc: 'Replace first occurrence',
+    params: [
+      { name: 'str', type: 'tale' },
+      { name: 'search', type: 'tale' },
+      { name: 'replacement', type: 'tale' },
+    ],
+    returns: 'tale',
+    fn: ([str, search, replacement]) => str.replace(search, replacement),
+  },
+  {
+    name: 'replaceAll',
+    doc: 'Replace all occurrences',
+    params: [
+      { name: 'str', type: 'tale' },
+      { name: 'search', type: 'tale' },
+      { name: 'replacement', type: 'tale' },
+    ],
+    returns: 'tale',
+    fn: ([str, search, replacement]) => str.split(search).join(replacement),
+  },
+  {
+    name: 'includes',
+    doc: 'Check if string/array contains value',
+    params: [{ name: 'container', type: 'tale|fellowship' }, { name: 'value', type: 'any' }],
+    returns: 'truth',
+    fn: ([container, value]) => container.includes(value),
+  },
+  {
+    name: 'repeat',
+    doc: 'Repeat string n times',
+    params: [{ name: 'str', type: 'tale' }, { name: 'count', type: 'number' }],
+    returns: 'tale',
+    fn: ([str, count]) => str.repeat(count),
+  },
+  {
+    name: 'reverse',
+    doc: 'Reverse array or string',
+    params: [{ name: 'value', type: 'tale|fellowship' }],
+    returns: 'tale|fellowship',
+    fn: ([value]) => {
+      if (Array.isArray(value)) {
+        return [...value].reverse();
+      }
       return value.split('').reverse().join('');
-    }
-    throw new TypeError('reverse() requires a tale (string) or fellowship (array)');
-  }));
-
-  // concat - Concatenate arrays
-  stdlib.set('concat', new NativeFunction('concat', -1, (args) => {
-    if (args.length === 0) return [];
-    if (!Array.isArray(args[0])) {
-      throw new TypeError('concat() requires fellowships (arrays)');
-    }
-    return args[0].concat(...args.slice(1));
-  }));
+    },
+  },
+  {
+    name: 'concat',
+    doc: 'Concatenate arrays',
+    params: [{ name: 'arrays', type: 'fellowship', rest: true }],
+    returns: 'fellowship',
+    fn: (args) => args.length === 0 ? [] : args[0].concat(...args.slice(1)),
+  },
 
   // ═══════════════════════════════════════════════════════════════
   // File I/O functions (for self-hosting compiler)
   // ═══════════════════════════════════════════════════════════════
 
-  // readFile - Read entire file as string
-  stdlib.set('readFile', new NativeFunction('readFile', 1, (args) => {
-    const path = args[0];
-    if (typeof path !== 'string') {
-      throw new TypeError('readFile() requires a path (string)');
-    }
-    try {
-      return readFileSync(path, 'utf-8');
-    } catch (e) {
-      throw new TypeError(`The scroll could not be found: '${path}'`);
-    }
-  }));
-
-  // writeFile - Write string to file
-  stdlib.set('writeFile', new NativeFunction('writeFile', 2, (args) => {
-    const path = args[0];
-    const content = args[1];
-    if (typeof path !== 'string') {
-      throw new TypeError('writeFile() requires a path (string) as first argument');
-    }
-    if (typeof content !== 'string') {
-      throw new TypeError('writeFile() requires content (string) as second argument');
-    }
-    try {
-      writeFileSync(path, content, 'utf-8');
-      return true;
-    } catch (e) {
-      throw new TypeError(`Could not inscribe the scroll: '${path}'`);
-    }
-  }));
-
-  // fileExists - Check if file exists
-  stdlib.set('fileExists', new NativeFunction('fileExists', 1, (args) => {
-    const path = args[0];
-    if (typeof path !== 'string') {
-      throw new TypeError('fileExists() requires a path (string)');
-    }
-    return existsSync(path);
-  }));
+  {
+    name: 'readFile',
+    doc: 'Read entire file as string',
+    params: [{ name: 'path', type: 'tale' }],
+    returns: 'tale',
+    fn: ([path]) => {
+      try {
+        return readFileSync(path, 'utf-8');
+      } catch (e) {
+        throw new TypeError(`The scroll could not be found: '${path}'`);
+      }
+    },
+  },
+  {
+    name: 'writeFile',
+    doc: 'Write string to file',
+    params: [{ name: 'path', type: 'tale' }, { name: 'content', type: 'tale' }],
+    returns: 'truth',
+    fn: ([path, content]) => {
+      try {
+        writeFileSync(path, content, 'utf-8');
+        return true;
+      } catch (e) {
+        throw new TypeError(`Could not inscribe the scroll: '${path}'`);
+      }
+    },
+  },
+  {
+    name: 'fileExists',
+    doc: 'Check if file exists',
+    params: [{ name: 'path', type: 'tale' }],
+    returns: 'truth',
+    fn: ([path]) => existsSync(path),
+  },
 
   // ═══════════════════════════════════════════════════════════════
   // Error handling
   // ═══════════════════════════════════════════════════════════════
 
-  // error - Throw an error with message
-  stdlib.set('error', new NativeFunction('error', 1, (args) => {
-    const message = args[0];
-    throw new Error(String(message));
-  }));
-
-  // assert - Assert condition is true
-  stdlib.set('assert', new NativeFunction('assert', -1, (args) => {
-    const condition = args[0];
-    const message = args[1] || 'Assertion failed';
-    if (!condition) {
+  {
+    name: 'error',
+    doc: 'Throw an error with message',
+    params: [{ name: 'message', type: 'any' }],
+    returns: 'shadow',
+    fn: ([message]) => {
       throw new Error(String(message));
+    },
+  },
+  {
+    name: 'assert',
+    doc: 'Assert condition is true',
+    params: [{ name: 'condition', type: 'any' }, { name: 'message', type: 'any', optional: true }],
+    returns: 'truth',
+    fn: ([condition, message]) => {
+      if (!condition) {
+        throw new Error(String(message || 'Assertion failed'));
+      }
+      return true;
+    },
+  },
+];
+
+// How type errors name each type
+export const TYPE_LABELS = {
+  number: 'number',
+  tale: 'tale (string)',
+  truth: 'truth (boolean)',
+  fellowship: 'fellowship (array)',
+  realm: 'realm (object)',
+  song: 'song (function)',
+  shadow: 'shadow',
+};
+
+// Validate a call against a registry entry's params. Kept self-contained
+// (apart from TYPE_LABELS and the error classes) because the transpiler
+// copies it into the generated runtime.
+export function checkArguments(native, args, typeOf) {
+  const { name, params } = native;
+  const variadic = params.some(param => param.rest);
+  const required = params.filter(param => !param.optional && !param.rest).length;
+
+  if (args.length < required || (!variadic && args.length > params.length)) {
+    const expected = variadic ? `at least ${required}`
+      : required === params.length ? `${required}`
+      : `${required} to ${params.length}`;
+    throw new RuntimeError(
+      `Song '${name}' expects ${expected} arguments but received ${args.length}`
+    );
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const param = params[Math.min(i, params.length - 1)];
+    if (param.type === 'any') continue;
+
+    const types = param.type.split('|');
+    if (!types.includes(typeOf(args[i]))) {
+      const expected = types.map(type => TYPE_LABELS[type]).join(' or ');
+      const position = params.length === 1 && !variadic
+        ? ''
+        : ` as ${['first', 'second', 'third'][i] || `#${i + 1}`} argument`;
+      throw new TypeError(`${name}() requires a ${expected}${position}`);
     }
-    return true;
-  }));
+  }
+}
+
+// Format a value as sing and str() show it, the same way in every backend.
+// Each backend has its own songs, realms and instances, so describe tells
+// them apart: it answers { kind, name } for a song, native song, lambda or
+// realm - a lambda goes by its parameter list - and { kind: 'instance',
+// name, fields } for an instance, fields being [name, value] pairs. For
+// anything else it answers null. Kept self-contained because the
+// transpiler copies it into the runtime.
+export function formatWith(value, describe) {
+  if (value === null || value === undefined) return 'shadow';
+  if (value === true) return 'goldberry';
+  if (value === false) return 'sauron';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return '[' + value.map(item => formatWith(item, describe)).join(', ') + ']';
+  }
+  const described = describe(value);
+  if (described?.kind === 'instance') {
+    const fields = described.fields.map(([k, v]) => `${k}: ${formatWith(v, describe)}`);
+    return `<${described.name} {${fields.join(', ')}}>`;
+  }
+  if (described) {
+    return `<${described.kind} ${described.name}>`;
+  }
+  if (typeof value === 'object') {
+    const pairs = Object.entries(value).map(([k, v]) => `${k}: ${formatWith(v, describe)}`);
+    return '{' + pairs.join(', ') + '}';
+  }
+  return String(value);
+}
 
+// ============================================================
+// OPERATORS - what truthiness and the operators mean, the same in every
+// backend (see "Truthiness, Equality and Arithmetic" in LANGUAGE.md).
+// Errors carry no position; the backend running the program adds it. Kept
+// self-contained (apart from the error classes) because the transpiler
+// copies them into the runtime.
+// ============================================================
+
+// sauron, shadow, 0, NaN and "" are falsy; everything else is truthy,
+// including empty fellowships and objects
+export function isTruthy(value) {
+  return value !== false && value !== null && value !== undefined &&
+    value !== 0 && value !== '' && !Number.isNaN(value);
+}
+
+// The same number, tale, truth or shadow, or the very same fellowship,
+// object, realm or song. Values of different types are never equal.
+export function isEqual(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+// Numbers add; when either side is a tale, both are joined as sing shows them
+export function add(a, b, format) {
+  if (typeof a === 'number' && typeof b === 'number') return a + b;
+  if (typeof a === 'string' || typeof b === 'string') return format(a) + format(b);
+  throw new TypeError("One does not simply use '+' with non-numbers, unless one side is a tale");
+}
+
+// Every other binary operator but == and != takes two numbers
+export function arithmetic(operator, a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    throw new TypeError(`One does not simply use '${operator}' with non-numbers`);
+  }
+  switch (operator) {
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/':
+      if (b === 0) throw new DivisionByZeroError();
+      return a / b;
+    case '//':
+      if (b === 0) throw new DivisionByZeroError();
+      return Math.floor(a / b);
+    case '%':
+      if (b === 0) throw new DivisionByZeroError();
+      return a % b;
+    case '**': return a ** b;
+    case '&': return a & b;
+    case '|': return a | b;
+    case '^': return a ^ b;
+    case '<<': return a << b;
+    case '>>': return a >> b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+  }
+  throw new RuntimeError(`Unknown operator: ${operator}`);
+}
+
+export function negate(value) {
+  if (typeof value !== 'number') {
+    throw new TypeError('One does not simply negate a non-number');
+  }
+  return -value;
+}
+
+// The value ++ or -- leaves behind
+export function step(operator, value) {
+  if (typeof value !== 'number') {
+    throw new TypeError(`One does not simply use '${operator}' on a non-number`);
+  }
+  return operator === '++' ? value + 1 : value - 1;
+}
+
+// Number of arguments a fixed-arity entry takes, -1 otherwise
+export function nativeArity(native) {
+  const { params } = native;
+  return params.some(param => param.optional || param.rest) ? -1 : params.length;
+}
+
+// Wrap a registry entry as a NativeFunction running against `host`. Callers
+// may pass a callFn when calling, which replaces host.call for that call.
+export function bindNative(native, host) {
+  const fn = (args, callFn) => {
+    const callHost = callFn ? { ...host, call: callFn } : host;
+    checkArguments(native, args, callHost.typeOf);
+    return native.fn(args, callHost);
+  };
+
+  const higherOrder = native.params.some(param => param.type.split('|').includes('song'));
+  const NativeClass = higherOrder ? HigherOrderFunction : NativeFunction;
+  return new NativeClass(native.name, nativeArity(native), fn);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Interpreter host
+// ═══════════════════════════════════════════════════════════════
+
+// What an interpreter value is, for formatWith
+function describeValue(value) {
+  if (value instanceof NativeFunction) return { kind: 'native song', name: value.name };
+  if (value instanceof TmbdlClass) return { kind: 'realm', name: value.name };
+  if (value instanceof TmbdlFunction) return { kind: 'song', name: value.name };
+  if (value instanceof TmbdlLambda) {
+    return { kind: 'lambda', name: `(${value.params.map(describeParameter).join(', ')})` };
+  }
+  if (value?.boundMethod) return { kind: 'song', name: value.boundMethod.name };
+  if (value instanceof TmbdlInstance) {
+    return { kind: 'instance', name: value.klass.name, fields: [...value.fields] };
+  }
+  return null;
+}
+
+// Format a value for display
+function formatValue(value) {
+  return formatWith(value, describeValue);
+}
+
+// Tmbdl type name of an interpreter value
+function typeOf(value) {
+  if (value === null || value === undefined) return 'shadow';
+  if (typeof value === 'boolean') return 'truth';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'tale';
+  if (Array.isArray(value)) return 'fellowship';
+  if (typeof value === 'function' || value instanceof NativeFunction) return 'song';
+  if (value instanceof TmbdlClass) return 'realm';
+  // TmbdlFunction, TmbdlLambda and bound methods
+  if (value.closure || value.boundMethod) return 'song';
+  return 'realm';
+}
+
+// Create all standard library functions
+export function createStdlib() {
+  const host = {
+    call: () => {
+      throw new RuntimeError('This song cannot call back into Tmbdl here');
+    },
+    format: formatValue,
+    typeOf,
+  };
+
+  const stdlib = new Map();
+  for (const native of natives) {
+    stdlib.set(native.name, bindNative(native, host));
+  }
   return stdlib;
 }
 
-export { NativeFunction, HigherOrderFunction, formatValue };
+export { NativeFunction, HigherOrderFunction, formatValue, typeOf };
@@ -39,13 +39,24 @@ export const TokenType = {
   SELF: 'SELF',               // this
   INHERITS: 'INHERITS',       // extends
   CREATE: 'CREATE',           // new
+  ELDER: 'ELDER',             // super
+  REVEAL: 'REVEAL',           // get (property accessor)
+  INSCRIBE: 'INSCRIBE',       // set (property accessor)
+  RIDDLE: 'RIDDLE',           // match (pattern matching)
 
   // Operators
   PLUS: 'PLUS',               // +
   MINUS: 'MINUS',             // -
   STAR: 'STAR',               // *
   SLASH: 'SLASH',             // /
+  SLASH_SLASH: 'SLASH_SLASH', // //
   PERCENT: 'PERCENT',         // %
+  STAR_STAR: 'STAR_STAR',     // **
+  AMPERSAND: 'AMPERSAND',     // &
+  PIPE: 'PIPE',               // |
+  CARET: 'CARET',             // ^
+  LESS_LESS: 'LESS_LESS',     // <<
+  GREATER_GREATER: 'GREATER_GREATER', // >>
   EQUALS: 'EQUALS',           // =
   EQUALS_EQUALS: 'EQUALS_EQUALS',   // ==
   BANG_EQUALS: 'BANG_EQUALS',       // !=
@@ -57,6 +68,8 @@ export const TokenType = {
   MINUS_EQUALS: 'MINUS_EQUALS',     // -=
   STAR_EQUALS: 'STAR_EQUALS',       // *=
   SLASH_EQUALS: 'SLASH_EQUALS',     // /=
+  STAR_STAR_EQUALS: 'STAR_STAR_EQUALS',     // **=
+  SLASH_SLASH_EQUALS: 'SLASH_SLASH_EQUALS', // //=
   PLUS_PLUS: 'PLUS_PLUS',           // ++
   MINUS_MINUS: 'MINUS_MINUS',       // --
   ARROW: 'ARROW',                   // => (for lambdas)
@@ -72,6 +85,7 @@ export const TokenType = {
   COLON: 'COLON',             // :
   SEMICOLON: 'SEMICOLON',     // ; (optional)
   DOT: 'DOT',                 // .
+  ELLIPSIS: 'ELLIPSIS',       // ... (rest of a fellowship pattern)
 
   // Special
   EOF: 'EOF',
@@ -112,6 +126,10 @@ export const Keywords = {
   'self': TokenType.SELF,
   'inherits': TokenType.INHERITS,
   'create': TokenType.CREATE,
+  'elder': TokenType.ELDER,
+  'reveal': TokenType.REVEAL,
+  'inscribe': TokenType.INSCRIBE,
+  'riddle': TokenType.RIDDLE,
 };
 
 // Token class
@@ -0,0 +1,86 @@
+// Content-Length framed JSON messages over stdio
+//
+// Both the Debug Adapter Protocol and the Language Server Protocol send each
+// message as a header block followed by a JSON body:
+//
+//   Content-Length: 52\r\n
+//   \r\n
+//   {"seq":1,"type":"request","command":"initialize"}
+//
+// Reads block until a whole message has arrived. The interpreter runs
+// synchronously, so the servers built on this cannot wait on events.
+
+import { readSync, writeSync } from 'fs';
+
+export class MessageTransport {
+  constructor(input = 0, output = 1) {
+    this.input = input;
+    this.output = output;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // The next message, or null once the input has ended
+  read() {
+    while (true) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd !== -1) {
+        const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+        const match = header.match(/Content-Length:\s*(\d+)/i);
+        const start = headerEnd + 4;
+
+        if (!match) {
+          // Not a message we understand - drop it and look for the next one
+          this.buffer = this.buffer.subarray(start);
+          continue;
+        }
+        const end = start + Number(match[1]);
+        if (this.buffer.length >= end) {
+          const body = this.buffer.subarray(start, end).toString('utf-8');
+          this.buffer = this.buffer.subarray(end);
+          return JSON.parse(body);
+        }
+      }
+
+      if (!this.fill()) {
+        return null;
+      }
+    }
+  }
+
+  write(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf-8');
+    const data = Buffer.concat([Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, 'ascii'), body]);
+
+    let written = 0;
+    while (written < data.length) {
+      try {
+        written += writeSync(this.output, data, written);
+      } catch (error) {
+        if (error.code !== 'EAGAIN') throw error;
+        sleep(10);
+      }
+    }
+  }
+
+  // Append whatever input is available; false at end of input
+  fill() {
+    const chunk = Buffer.alloc(65536);
+    while (true) {
+      try {
+        const bytesRead = readSync(this.input, chunk, 0, chunk.length, null);
+        if (bytesRead === 0) return false;
+        this.buffer = Buffer.concat([this.buffer, chunk.subarray(0, bytesRead)]);
+        return true;
+      } catch (error) {
+        if (error.code === 'EOF') return false;
+        if (error.code !== 'EAGAIN') throw error;
+        sleep(10);
+      }
+    }
+  }
+}
+
+// Wait without spinning while a non-blocking pipe has nothing for us
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
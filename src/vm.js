@@ -3,8 +3,9 @@
 // A stack-based VM that executes bytecode.
 // This is the "engine" that runs compiled Tmbdl programs.
 
-import { OpCode, TmbdlBytecodeFunction, Closure, Upvalue } from './bytecode.js';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { OpCode, MemberKind, isLongOpCode, TmbdlBytecodeFunction, Closure, Upvalue, BytecodeClass, BytecodeInstance, BoundMethod } from './bytecode.js';
+import { TmbdlError, RuntimeError, TypeError, UndefinedVariableError, ConstantError, createPeril, recursionError, arityError, isStackOverflow, MAX_CALL_DEPTH } from './errors.js';
+import { natives, bindNative, NativeFunction, formatWith, TYPE_LABELS, isTruthy, isEqual, add, arithmetic, negate, step } from './stdlib.js';
 
 // ============================================================
 // CALL FRAME - Represents a function call
@@ -16,6 +17,8 @@ class CallFrame {
     this.ip = ip;                   // Instruction pointer (within closure's chunk)
     this.stackOffset = stackOffset; // Where this frame's locals start
     this.returnSlot = returnSlot;   // Stack position to restore to after return
+    this.receiver = null;           // Instance bound to 'self', if any
+    this.isInitializer = false;     // Forge frames return the instance
   }
 
   // Get the chunk we're executing
@@ -24,6 +27,49 @@ class CallFrame {
   }
 }
 
+// What a VM value is, for formatWith
+function describeValue(value) {
+  if (value instanceof NativeFunction) return { kind: 'native song', name: value.name };
+  if (value instanceof BytecodeClass) return { kind: 'realm', name: value.name };
+  if (value instanceof BoundMethod) return describeValue(value.method);
+  if (value instanceof Closure || value instanceof TmbdlBytecodeFunction) {
+    const func = value instanceof Closure ? value.func : value;
+    if (func.name === '<lambda>') return { kind: 'lambda', name: `(${func.signature ?? ''})` };
+    return { kind: 'song', name: func.name };
+  }
+  if (value instanceof BytecodeInstance) {
+    return { kind: 'instance', name: value.klass.name, fields: [...value.fields] };
+  }
+  return null;
+}
+
+// The operator each number-only opcode applies
+const ARITHMETIC = {
+  [OpCode.SUB]: '-',
+  [OpCode.MUL]: '*',
+  [OpCode.DIV]: '/',
+  [OpCode.FLOOR_DIV]: '//',
+  [OpCode.MOD]: '%',
+  [OpCode.POW]: '**',
+  [OpCode.BIT_AND]: '&',
+  [OpCode.BIT_OR]: '|',
+  [OpCode.BIT_XOR]: '^',
+  [OpCode.SHL]: '<<',
+  [OpCode.SHR]: '>>',
+  [OpCode.LT]: '<',
+  [OpCode.LTE]: '<=',
+  [OpCode.GT]: '>',
+  [OpCode.GTE]: '>=',
+};
+
+// A fellowship marked by SPREAD, whose elements CALL_SPREAD passes as
+// arguments of their own
+class Spread {
+  constructor(values) {
+    this.values = values;
+  }
+}
+
 // ============================================================
 // VIRTUAL MACHINE
 // ============================================================
@@ -35,273 +81,30 @@ export class VM {
     this.frames = [];           // Call stack
     this.frame = null;          // Current frame
     this.openUpvalues = null;   // Linked list of open upvalues
+    this.handlers = [];         // Active rescue handlers, innermost last
     this.exports = {};          // Exports from current module
     this.moduleCache = new Map(); // Cache of loaded modules
     this.currentFile = options.currentFile || null;  // Current file being executed
     this.moduleLoader = options.moduleLoader || null; // Function to load modules
+    this.isModule = options.isModule || false;        // Running a summoned module
+    this.maxDepth = options.maxDepth ?? MAX_CALL_DEPTH; // Deepest song calls may nest
+    this.format = (value) => this.formatValue(value);
 
     // Initialize standard library
     this.initStdlib();
   }
 
-  // Initialize built-in functions
+  // Install the shared standard library, running against this VM
   initStdlib() {
-    // Native function wrapper
-    const native = (name, arity, fn) => ({
-      type: 'native',
-      name,
-      arity,
-      fn
-    });
-
-    this.globals.set('length', native('length', 1, (args) => {
-      const val = args[0];
-      if (typeof val === 'string' || Array.isArray(val)) return val.length;
-      throw new Error('length() requires a string or array');
-    }));
-
-    this.globals.set('push', native('push', 2, (args) => {
-      args[0].push(args[1]);
-      return args[0];
-    }));
-
-    this.globals.set('pop', native('pop', 1, (args) => {
-      return args[0].pop();
-    }));
-
-    this.globals.set('type', native('type', 1, (args) => {
-      const val = args[0];
-      if (val === null) return 'shadow';
-      if (typeof val === 'boolean') return 'truth';
-      if (typeof val === 'number') return 'number';
-      if (typeof val === 'string') return 'tale';
-      if (Array.isArray(val)) return 'fellowship';
-      if (typeof val === 'function' || val?.type === 'native') return 'song';
-      return 'realm';
-    }));
-
-    this.globals.set('str', native('str', 1, (args) => String(args[0])));
-    this.globals.set('num', native('num', 1, (args) => Number(args[0])));
-
-    this.globals.set('floor', native('floor', 1, (args) => Math.floor(args[0])));
-    this.globals.set('ceil', native('ceil', 1, (args) => Math.ceil(args[0])));
-    this.globals.set('round', native('round', 1, (args) => Math.round(args[0])));
-    this.globals.set('abs', native('abs', 1, (args) => Math.abs(args[0])));
-    this.globals.set('random', native('random', 0, () => Math.random()));
-
-    this.globals.set('min', native('min', -1, (args) => Math.min(...args)));
-    this.globals.set('max', native('max', -1, (args) => Math.max(...args)));
-
-    this.globals.set('range', native('range', -1, (args) => {
-      let start = 0, end, step = 1;
-      if (args.length === 1) {
-        end = args[0];
-      } else if (args.length === 2) {
-        start = args[0];
-        end = args[1];
-      } else {
-        start = args[0];
-        end = args[1];
-        step = args[2];
-      }
-      const result = [];
-      if (step > 0) {
-        for (let i = start; i < end; i += step) result.push(i);
-      } else {
-        for (let i = start; i > end; i += step) result.push(i);
-      }
-      return result;
-    }));
-
-    this.globals.set('keys', native('keys', 1, (args) => Object.keys(args[0])));
-    this.globals.set('values', native('values', 1, (args) => Object.values(args[0])));
-    this.globals.set('split', native('split', 2, (args) => args[0].split(args[1])));
-    this.globals.set('join', native('join', 2, (args) => args[0].join(args[1])));
-    this.globals.set('slice', native('slice', -1, (args) => args[0].slice(args[1], args[2])));
-
-    // Higher-order functions
-    this.globals.set('map', native('map', 2, (args) => {
-      const [arr, fn] = args;
-      return arr.map((item, i) => this.callValue(fn, [item, i]));
-    }));
-
-    this.globals.set('filter', native('filter', 2, (args) => {
-      const [arr, fn] = args;
-      return arr.filter((item, i) => this.callValue(fn, [item, i]));
-    }));
-
-    this.globals.set('reduce', native('reduce', -1, (args) => {
-      const [arr, fn, init] = args;
-      if (args.length >= 3) {
-        return arr.reduce((acc, item, i) => this.callValue(fn, [acc, item, i]), init);
-      }
-      return arr.reduce((acc, item, i) => this.callValue(fn, [acc, item, i]));
-    }));
-
-    this.globals.set('find', native('find', 2, (args) => {
-      const [arr, fn] = args;
-      return arr.find((item, i) => this.callValue(fn, [item, i])) ?? null;
-    }));
-
-    this.globals.set('some', native('some', 2, (args) => {
-      const [arr, fn] = args;
-      return arr.some((item, i) => this.callValue(fn, [item, i]));
-    }));
-
-    this.globals.set('every', native('every', 2, (args) => {
-      const [arr, fn] = args;
-      return arr.every((item, i) => this.callValue(fn, [item, i]));
-    }));
-
-    this.globals.set('sort', native('sort', -1, (args) => {
-      const [arr, fn] = args;
-      const copy = [...arr];
-      if (fn) {
-        copy.sort((a, b) => this.callValue(fn, [a, b]));
-      } else {
-        copy.sort((a, b) => a - b);
-      }
-      return copy;
-    }));
-
-    // ════════════════════════════════════════════════════════════
-    // String manipulation functions (for self-hosting compiler)
-    // ════════════════════════════════════════════════════════════
-
-    this.globals.set('charAt', native('charAt', 2, (args) => {
-      const [str, index] = args;
-      if (index < 0 || index >= str.length) return '';
-      return str.charAt(index);
-    }));
-
-    this.globals.set('charCode', native('charCode', 1, (args) => {
-      return args[0].charCodeAt(0);
-    }));
-
-    this.globals.set('fromCharCode', native('fromCharCode', 1, (args) => {
-      return String.fromCharCode(args[0]);
-    }));
-
-    this.globals.set('isAlpha', native('isAlpha', 1, (args) => {
-      const char = args[0];
-      if (typeof char !== 'string' || char.length !== 1) return false;
-      const code = char.charCodeAt(0);
-      return (code >= 65 && code <= 90) || (code >= 97 && code <= 122) || char === '_';
-    }));
-
-    this.globals.set('isDigit', native('isDigit', 1, (args) => {
-      const char = args[0];
-      if (typeof char !== 'string' || char.length !== 1) return false;
-      const code = char.charCodeAt(0);
-      return code >= 48 && code <= 57;
-    }));
-
-    this.globals.set('isAlphaNumeric', native('isAlphaNumeric', 1, (args) => {
-      const char = args[0];
-      if (typeof char !== 'string' || char.length !== 1) return false;
-      const code = char.charCodeAt(0);
-      return (code >= 65 && code <= 90) || (code >= 97 && code <= 122) ||
-             (code >= 48 && code <= 57) || char === '_';
-    }));
-
-    this.globals.set('isWhitespace', native('isWhitespace', 1, (args) => {
-      const char = args[0];
-      return char === ' ' || char === '\t' || char === '\n' || char === '\r';
-    }));
-
-    this.globals.set('indexOf', native('indexOf', -1, (args) => {
-      return args[0].indexOf(args[1], args[2] || 0);
-    }));
-
-    this.globals.set('lastIndexOf', native('lastIndexOf', -1, (args) => {
-      return args[0].lastIndexOf(args[1]);
-    }));
-
-    this.globals.set('startsWith', native('startsWith', 2, (args) => {
-      return args[0].startsWith(args[1]);
-    }));
-
-    this.globals.set('endsWith', native('endsWith', 2, (args) => {
-      return args[0].endsWith(args[1]);
-    }));
-
-    this.globals.set('trim', native('trim', 1, (args) => {
-      return args[0].trim();
-    }));
-
-    this.globals.set('toLowerCase', native('toLowerCase', 1, (args) => {
-      return args[0].toLowerCase();
-    }));
-
-    this.globals.set('toUpperCase', native('toUpperCase', 1, (args) => {
-      return args[0].toUpperCase();
-    }));
-
-    this.globals.set('replace', native('replace', 3, (args) => {
-      return args[0].replace(args[1], args[2]);
-    }));
-
-    this.globals.set('replaceAll', native('replaceAll', 3, (args) => {
-      return args[0].split(args[1]).join(args[2]);
-    }));
-
-    this.globals.set('includes', native('includes', 2, (args) => {
-      return args[0].includes(args[1]);
-    }));
-
-    this.globals.set('repeat', native('repeat', 2, (args) => {
-      return args[0].repeat(args[1]);
-    }));
-
-    this.globals.set('reverse', native('reverse', 1, (args) => {
-      if (Array.isArray(args[0])) return [...args[0]].reverse();
-      return args[0].split('').reverse().join('');
-    }));
-
-    this.globals.set('concat', native('concat', -1, (args) => {
-      if (args.length === 0) return [];
-      return args[0].concat(...args.slice(1));
-    }));
-
-    // ════════════════════════════════════════════════════════════
-    // File I/O functions
-    // ════════════════════════════════════════════════════════════
-
-    this.globals.set('readFile', native('readFile', 1, (args) => {
-      try {
-        return readFileSync(args[0], 'utf-8');
-      } catch (e) {
-        throw new Error(`The scroll could not be found: '${args[0]}'`);
-      }
-    }));
-
-    this.globals.set('writeFile', native('writeFile', 2, (args) => {
-      try {
-        writeFileSync(args[0], args[1], 'utf-8');
-        return true;
-      } catch (e) {
-        throw new Error(`Could not inscribe the scroll: '${args[0]}'`);
-      }
-    }));
-
-    this.globals.set('fileExists', native('fileExists', 1, (args) => {
-      return existsSync(args[0]);
-    }));
-
-    // ════════════════════════════════════════════════════════════
-    // Error handling
-    // ════════════════════════════════════════════════════════════
-
-    this.globals.set('error', native('error', 1, (args) => {
-      throw new Error(String(args[0]));
-    }));
-
-    this.globals.set('assert', native('assert', -1, (args) => {
-      if (!args[0]) {
-        throw new Error(args[1] || 'Assertion failed');
-      }
-      return true;
-    }));
+    const host = {
+      call: (callee, args) => this.callFromNative(callee, args),
+      format: this.format,
+      typeOf: (value) => this.typeOf(value),
+    };
+
+    for (const native of natives) {
+      this.globals.set(native.name, bindNative(native, host));
+    }
   }
 
   // ============================================================
@@ -313,21 +116,78 @@ export class VM {
     const mainFunc = new TmbdlBytecodeFunction('main', 0, chunk);
     mainFunc.upvalueCount = 0;
     const mainClosure = new Closure(mainFunc);
+    mainClosure.file = this.currentFile;
+    mainClosure.globals = this.globals;
     this.frames = [new CallFrame(mainClosure, 0, 0)];
     this.frame = this.frames[0];
     this.openUpvalues = null;
+    this.handlers = [];
 
     return this.execute();
   }
 
-  execute() {
+  // Run until the frame count drops back to baseDepth (0 for the whole
+  // program, higher when a native is calling back into a song)
+  execute(baseDepth = 0) {
+    // Errors thrown while dispatching unwind to the innermost rescue handler;
+    // with none installed they escape to the caller as before.
+    while (true) {
+      try {
+        return this.dispatch(baseDepth);
+      } catch (caught) {
+        let error = caught;
+        // Songs called back from natives nest on the host's stack
+        if (isStackOverflow(error)) {
+          error = recursionError(this.frames.length - 1, this.maxDepth, this.currentLine());
+        }
+        if (error instanceof TmbdlError) {
+          if (error.line === null) {
+            error.line = this.currentLine();
+          }
+          // The frames are still here, so this is the place to record them
+          error.trace ??= this.stackTrace();
+        }
+        if (!this.handleError(error, baseDepth)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Unwind to the innermost handler and resume in its rescue block. Handlers
+  // installed at or below baseDepth belong to an outer execute() - the error
+  // has to unwind through the native that started this one first.
+  handleError(error, baseDepth = 0) {
+    if (this.handlers.length === 0 ||
+        this.handlers[this.handlers.length - 1].frameCount <= baseDepth) {
+      return false;
+    }
+
+    const handler = this.handlers.pop();
+
+    // Drop the frames the error passed through
+    this.frames.length = handler.frameCount;
+    this.frame = this.frames[this.frames.length - 1];
+
+    // Close upvalues for discarded locals, then restore the stack
+    this.closeUpvalues(handler.stackHeight);
+    this.stack.length = handler.stackHeight;
+
+    // The rescue block finds its peril on top of the stack
+    this.push(createPeril(error));
+    this.frame.ip = handler.catchIp;
+    return true;
+  }
+
+  dispatch(baseDepth) {
     while (true) {
       const instruction = this.readByte();
 
       switch (instruction) {
         // ==================== STACK ====================
-        case OpCode.PUSH_CONST: {
-          const index = this.readByte();
+        case OpCode.PUSH_CONST:
+        case OpCode.PUSH_CONST_LONG: {
+          const index = this.readIndex(instruction);
           this.push(this.frame.chunk.constants[index]);
           break;
         }
@@ -344,146 +204,129 @@ export class VM {
         case OpCode.ADD: {
           const b = this.pop();
           const a = this.pop();
-          this.push(a + b);
+          this.push(add(a, b, this.format));
           break;
         }
 
-        case OpCode.SUB: {
+        case OpCode.SUB:
+        case OpCode.MUL:
+        case OpCode.DIV:
+        case OpCode.FLOOR_DIV:
+        case OpCode.MOD:
+        case OpCode.POW:
+        case OpCode.BIT_AND:
+        case OpCode.BIT_OR:
+        case OpCode.BIT_XOR:
+        case OpCode.SHL:
+        case OpCode.SHR: {
           const b = this.pop();
           const a = this.pop();
-          this.push(a - b);
+          this.push(arithmetic(ARITHMETIC[instruction], a, b));
           break;
         }
 
-        case OpCode.MUL: {
-          const b = this.pop();
-          const a = this.pop();
-          this.push(a * b);
-          break;
-        }
-
-        case OpCode.DIV: {
-          const b = this.pop();
-          const a = this.pop();
-          if (b === 0) throw new Error('Division by zero');
-          this.push(a / b);
+        case OpCode.NEG:
+          this.push(negate(this.pop()));
           break;
-        }
 
-        case OpCode.MOD: {
-          const b = this.pop();
-          const a = this.pop();
-          this.push(a % b);
+        case OpCode.INCREMENT:
+          this.push(step('++', this.pop()));
           break;
-        }
 
-        case OpCode.NEG:
-          this.push(-this.pop());
+        case OpCode.DECREMENT:
+          this.push(step('--', this.pop()));
           break;
 
         // ==================== COMPARISON ====================
         case OpCode.EQ: {
           const b = this.pop();
           const a = this.pop();
-          this.push(a === b);
+          this.push(isEqual(a, b));
           break;
         }
 
         case OpCode.NEQ: {
           const b = this.pop();
           const a = this.pop();
-          this.push(a !== b);
-          break;
-        }
-
-        case OpCode.LT: {
-          const b = this.pop();
-          const a = this.pop();
-          this.push(a < b);
-          break;
-        }
-
-        case OpCode.LTE: {
-          const b = this.pop();
-          const a = this.pop();
-          this.push(a <= b);
-          break;
-        }
-
-        case OpCode.GT: {
-          const b = this.pop();
-          const a = this.pop();
-          this.push(a > b);
+          this.push(!isEqual(a, b));
           break;
         }
 
+        case OpCode.LT:
+        case OpCode.LTE:
+        case OpCode.GT:
         case OpCode.GTE: {
           const b = this.pop();
           const a = this.pop();
-          this.push(a >= b);
+          this.push(arithmetic(ARITHMETIC[instruction], a, b));
           break;
         }
 
         // ==================== LOGICAL ====================
         case OpCode.NOT:
-          this.push(!this.isTruthy(this.pop()));
+          this.push(!isTruthy(this.pop()));
           break;
 
         // ==================== VARIABLES ====================
-        case OpCode.LOAD: {
-          const slot = this.readByte();
+        case OpCode.LOAD:
+        case OpCode.LOAD_LONG: {
+          const slot = this.readIndex(instruction);
           this.push(this.stack[this.frame.stackOffset + slot]);
           break;
         }
 
-        case OpCode.STORE: {
-          const slot = this.readByte();
+        case OpCode.STORE:
+        case OpCode.STORE_LONG: {
+          const slot = this.readIndex(instruction);
           this.stack[this.frame.stackOffset + slot] = this.peek();
           break;
         }
 
-        case OpCode.LOAD_GLOBAL: {
-          const nameIndex = this.readByte();
+        case OpCode.LOAD_GLOBAL:
+        case OpCode.LOAD_GLOBAL_LONG: {
+          const nameIndex = this.readIndex(instruction);
           const name = this.frame.chunk.constants[nameIndex];
-          if (!this.globals.has(name)) {
-            throw new Error(`Undefined variable: ${name}`);
+          const globals = this.frame.closure.globals ?? this.globals;
+          if (!globals.has(name)) {
+            throw new UndefinedVariableError(name, this.currentLine());
           }
-          this.push(this.globals.get(name));
+          this.push(globals.get(name));
           break;
         }
 
-        case OpCode.STORE_GLOBAL: {
-          const nameIndex = this.readByte();
+        case OpCode.STORE_GLOBAL:
+        case OpCode.STORE_GLOBAL_LONG: {
+          const nameIndex = this.readIndex(instruction);
           const name = this.frame.chunk.constants[nameIndex];
-          this.globals.set(name, this.peek());
+          (this.frame.closure.globals ?? this.globals).set(name, this.peek());
           break;
         }
 
         // ==================== CONTROL FLOW ====================
         case OpCode.JUMP: {
-          const offset = this.readByte();
+          const offset = this.readShort();
           this.frame.ip += offset;
           break;
         }
 
         case OpCode.JUMP_IF_FALSE: {
-          const offset = this.readByte();
-          if (!this.isTruthy(this.peek())) {
+          const offset = this.readShort();
+          if (!isTruthy(this.peek())) {
             this.frame.ip += offset;
           }
           break;
         }
 
         case OpCode.JUMP_IF_TRUE: {
-          const offset = this.readByte();
-          if (this.isTruthy(this.peek())) {
+          const offset = this.readShort();
+          if (isTruthy(this.peek())) {
             this.frame.ip += offset;
           }
           break;
         }
 
         case OpCode.LOOP: {
-          const offset = this.readByte();
+          const offset = this.readShort();
           this.frame.ip -= offset;
           break;
         }
@@ -492,19 +335,69 @@ export class VM {
         case OpCode.CALL: {
           const argCount = this.readByte();
           const callee = this.stack[this.stack.length - 1 - argCount];
-          this.callValue(callee, null, argCount);
+          this.callValue(callee, argCount);
           break;
         }
 
-        case OpCode.MAKE_CLOSURE: {
-          const funcIndex = this.readByte();
+        case OpCode.TAIL_CALL: {
+          const argCount = this.readByte();
+          const callee = this.stack[this.stack.length - 1 - argCount];
+          const caller = this.frame;
+          this.callValue(callee, argCount);
+          this.replaceCaller(caller);
+          break;
+        }
+
+        case OpCode.CALL_SPREAD: {
+          const argCount = this.spreadArguments(this.readByte());
+          const callee = this.stack[this.stack.length - 1 - argCount];
+          this.callValue(callee, argCount);
+          break;
+        }
+
+        case OpCode.TAIL_CALL_SPREAD: {
+          const argCount = this.spreadArguments(this.readByte());
+          const callee = this.stack[this.stack.length - 1 - argCount];
+          const caller = this.frame;
+          this.callValue(callee, argCount);
+          this.replaceCaller(caller);
+          break;
+        }
+
+        case OpCode.SPREAD: {
+          const values = this.pop();
+          if (!Array.isArray(values)) {
+            throw new TypeError(
+              `Only a fellowship can be spread into arguments, not a ${TYPE_LABELS[this.typeOf(values)]}`,
+              this.currentLine()
+            );
+          }
+          this.push(new Spread(values));
+          break;
+        }
+
+        case OpCode.JUMP_IF_GIVEN: {
+          const offset = this.readShort();
+          if (this.peek() !== undefined) {
+            this.frame.ip += offset;
+          }
+          break;
+        }
+
+        case OpCode.MAKE_CLOSURE:
+        case OpCode.MAKE_CLOSURE_LONG: {
+          const funcIndex = this.readIndex(instruction);
           const func = this.frame.chunk.constants[funcIndex];
           const closure = new Closure(func);
+          closure.receiver = this.frame.receiver;
+          closure.realm = this.frame.closure.realm;
+          closure.file = this.frame.closure.file;
+          closure.globals = this.frame.closure.globals;
 
           // Read upvalue descriptors
           for (let i = 0; i < func.upvalueCount; i++) {
             const isLocal = this.readByte();
-            const index = this.readByte();
+            const index = this.readShort();
             if (isLocal) {
               // Capture a local from the current frame
               closure.upvalues[i] = this.captureUpvalue(this.frame.stackOffset + index);
@@ -518,15 +411,17 @@ export class VM {
           break;
         }
 
-        case OpCode.GET_UPVALUE: {
-          const slot = this.readByte();
+        case OpCode.GET_UPVALUE:
+        case OpCode.GET_UPVALUE_LONG: {
+          const slot = this.readIndex(instruction);
           const upvalue = this.frame.closure.upvalues[slot];
           this.push(upvalue.get(this.stack));
           break;
         }
 
-        case OpCode.SET_UPVALUE: {
-          const slot = this.readByte();
+        case OpCode.SET_UPVALUE:
+        case OpCode.SET_UPVALUE_LONG: {
+          const slot = this.readIndex(instruction);
           const upvalue = this.frame.closure.upvalues[slot];
           upvalue.set(this.stack, this.peek());
           break;
@@ -539,13 +434,18 @@ export class VM {
         }
 
         case OpCode.RETURN: {
-          const result = this.pop();
+          // A forge always hands back the instance it built
+          const result = this.frame.isInitializer ? this.frame.receiver : this.pop();
           // Close any upvalues in the current frame
           this.closeUpvalues(this.frame.stackOffset);
           const returnSlot = this.frame.returnSlot;
 
-          // Pop the frame
+          // Pop the frame, along with any handlers it left installed
           this.frames.pop();
+          while (this.handlers.length > 0 &&
+                 this.handlers[this.handlers.length - 1].frameCount > this.frames.length) {
+            this.handlers.pop();
+          }
 
           if (this.frames.length === 0) {
             // We've returned from main
@@ -558,9 +458,29 @@ export class VM {
           // Restore stack to where the function was, then push result
           this.stack.length = returnSlot;
           this.push(result);
+
+          if (this.frames.length === baseDepth) {
+            // A song called from a native has finished
+            return result;
+          }
           break;
         }
 
+        // ==================== EXCEPTIONS ====================
+        case OpCode.TRY_BEGIN: {
+          const offset = this.readShort();
+          this.handlers.push({
+            frameCount: this.frames.length,
+            stackHeight: this.stack.length,
+            catchIp: this.frame.ip + offset,
+          });
+          break;
+        }
+
+        case OpCode.TRY_END:
+          this.handlers.pop();
+          break;
+
         // ==================== BUILT-INS ====================
         case OpCode.PRINT: {
           const value = this.pop();
@@ -576,8 +496,9 @@ export class VM {
         }
 
         // ==================== ARRAYS/OBJECTS ====================
-        case OpCode.MAKE_ARRAY: {
-          const count = this.readByte();
+        case OpCode.MAKE_ARRAY:
+        case OpCode.MAKE_ARRAY_LONG: {
+          const count = this.readIndex(instruction);
           const arr = [];
           for (let i = 0; i < count; i++) {
             arr.unshift(this.pop());
@@ -608,53 +529,273 @@ export class VM {
           break;
         }
 
-        case OpCode.MAKE_OBJECT: {
-          const count = this.readByte();
+        case OpCode.MAKE_OBJECT:
+        case OpCode.MAKE_OBJECT_LONG: {
+          // Keys and values were pushed in source order, which the object keeps
+          const count = this.readIndex(instruction);
+          const pairs = this.stack.splice(this.stack.length - count * 2);
           const obj = {};
-          for (let i = 0; i < count; i++) {
-            const value = this.pop();
-            const key = this.pop();
-            obj[key] = value;
+          for (let i = 0; i < pairs.length; i += 2) {
+            obj[pairs[i]] = pairs[i + 1];
           }
           this.push(obj);
           break;
         }
 
-        case OpCode.GET_PROP: {
-          const propIndex = this.readByte();
+        case OpCode.GET_PROP:
+        case OpCode.GET_PROP_LONG: {
+          const propIndex = this.readIndex(instruction);
           const prop = this.frame.chunk.constants[propIndex];
           const obj = this.pop();
-          this.push(obj[prop]);
+          this.push(this.getProperty(obj, prop));
           break;
         }
 
-        case OpCode.SET_PROP: {
-          const propIndex = this.readByte();
+        case OpCode.SET_PROP:
+        case OpCode.SET_PROP_LONG: {
+          const propIndex = this.readIndex(instruction);
           const prop = this.frame.chunk.constants[propIndex];
           const value = this.pop();
           const obj = this.pop();
-          obj[prop] = value;
+          if (obj instanceof BytecodeInstance) {
+            this.setInstanceProperty(obj, prop, value);
+          } else if (obj instanceof BytecodeClass) {
+            if (obj.isPrecious(prop)) {
+              throw new ConstantError(prop, this.currentLine());
+            }
+            obj.statics.set(prop, value);
+          } else if (typeof obj === 'object' && obj !== null) {
+            obj[prop] = value;
+          } else {
+            throw new TypeError(
+              'Can only set properties on realm instances or objects',
+              this.currentLine()
+            );
+          }
           this.push(value);
           break;
         }
 
+        // ==================== CLASSES ====================
+        case OpCode.MAKE_CLASS:
+        case OpCode.MAKE_CLASS_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const methodCount = this.readByte();
+          const name = this.frame.chunk.constants[nameIndex];
+
+          const methods = [];
+          for (let i = 0; i < methodCount; i++) {
+            methods.unshift(this.pop());
+          }
+          const initializer = this.pop();
+          const superClass = this.pop();
+
+          if (superClass !== null && !(superClass instanceof BytecodeClass)) {
+            throw new TypeError(
+              `'${this.formatValue(superClass)}' is not a realm - cannot inherit`,
+              this.currentLine()
+            );
+          }
+
+          const klass = new BytecodeClass(name, superClass);
+          klass.initializer = initializer;
+          if (initializer) {
+            initializer.realm = klass;
+          }
+          for (const method of methods) {
+            method.realm = klass;
+            klass.methods.set(method.name, method);
+          }
+
+          this.push(klass);
+          break;
+        }
+
+        case OpCode.GET_THIS: {
+          if (this.frame.receiver === null) {
+            throw new RuntimeError(
+              'Cannot use "self" outside of a realm method',
+              this.currentLine()
+            );
+          }
+          this.push(this.frame.receiver);
+          break;
+        }
+
+        case OpCode.INVOKE:
+        case OpCode.INVOKE_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const argCount = this.readByte();
+          const name = this.frame.chunk.constants[nameIndex];
+          this.invoke(name, argCount);
+          break;
+        }
+
+        case OpCode.TAIL_INVOKE:
+        case OpCode.TAIL_INVOKE_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const argCount = this.readByte();
+          const name = this.frame.chunk.constants[nameIndex];
+          const caller = this.frame;
+          this.invoke(name, argCount);
+          this.replaceCaller(caller);
+          break;
+        }
+
+        case OpCode.DEFINE_MEMBER:
+        case OpCode.DEFINE_MEMBER_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const kind = this.readByte();
+          const name = this.frame.chunk.constants[nameIndex];
+          const value = this.pop();
+          this.defineMember(this.peek(), name, kind, value);
+          break;
+        }
+
+        case OpCode.INVOKE_ELDER:
+        case OpCode.INVOKE_ELDER_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const argCount = this.readByte();
+          const name = this.frame.chunk.constants[nameIndex];
+          this.invokeElder(name, argCount);
+          break;
+        }
+
+        case OpCode.GET_ELDER:
+        case OpCode.GET_ELDER_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const name = this.frame.chunk.constants[nameIndex];
+          this.push(new BoundMethod(this.frame.receiver, this.findElder(name, this.frame.receiver)));
+          break;
+        }
+
         // ==================== MODULES ====================
-        case OpCode.IMPORT: {
-          const pathIndex = this.readByte();
+        case OpCode.IMPORT:
+        case OpCode.IMPORT_LONG: {
+          const pathIndex = this.readIndex(instruction);
           const modulePath = this.frame.chunk.constants[pathIndex];
           const moduleExports = this.loadModule(modulePath);
           this.push(moduleExports);
           break;
         }
 
-        case OpCode.EXPORT: {
-          const nameIndex = this.readByte();
+        case OpCode.IMPORT_ALL:
+        case OpCode.IMPORT_ALL_LONG: {
+          const pathIndex = this.readIndex(instruction);
+          const modulePath = this.frame.chunk.constants[pathIndex];
+          const moduleExports = this.loadModule(modulePath);
+          const globals = this.frame.closure.globals ?? this.globals;
+          for (const [name, value] of Object.entries(moduleExports)) {
+            globals.set(name, value);
+          }
+          break;
+        }
+
+        case OpCode.EXPORT:
+        case OpCode.EXPORT_LONG: {
+          const nameIndex = this.readIndex(instruction);
           const name = this.frame.chunk.constants[nameIndex];
           const value = this.pop();
           this.exports[name] = value;
           break;
         }
 
+        // ==================== PATTERNS ====================
+        case OpCode.MATCH_ARRAY:
+        case OpCode.MATCH_ARRAY_LONG: {
+          const count = this.readIndex(instruction);
+          const rest = this.readByte();
+          const value = this.pop();
+          this.push(Array.isArray(value) && (rest ? value.length >= count : value.length === count));
+          break;
+        }
+
+        case OpCode.MATCH_OBJECT: {
+          const value = this.pop();
+          this.push(value instanceof BytecodeInstance || this.isPlainObject(value));
+          break;
+        }
+
+        case OpCode.HAS_FIELD:
+        case OpCode.HAS_FIELD_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const name = this.frame.chunk.constants[nameIndex];
+          const value = this.pop();
+          this.push(value instanceof BytecodeInstance
+            ? value.fields.has(name)
+            : this.isPlainObject(value) && Object.hasOwn(value, name));
+          break;
+        }
+
+        case OpCode.MATCH_REALM:
+        case OpCode.MATCH_REALM_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const realm = this.pop();
+          const value = this.pop();
+          if (!(realm instanceof BytecodeClass)) {
+            throw new TypeError(
+              `'${this.frame.chunk.constants[nameIndex]}' is not a realm - cannot match against it`,
+              this.currentLine()
+            );
+          }
+          this.push(value instanceof BytecodeInstance && value.klass.descendsFrom(realm));
+          break;
+        }
+
+        case OpCode.SLICE:
+        case OpCode.SLICE_LONG: {
+          const start = this.readIndex(instruction);
+          this.push(this.pop().slice(start));
+          break;
+        }
+
+        // ==================== DESTRUCTURING ====================
+        case OpCode.UNPACK_ARRAY:
+          if (!Array.isArray(this.peek())) {
+            throw this.unpackError('A fellowship', this.peek());
+          }
+          break;
+
+        case OpCode.UNPACK_OBJECT:
+          if (!(this.peek() instanceof BytecodeInstance) && !this.isPlainObject(this.peek())) {
+            throw this.unpackError('An object', this.peek());
+          }
+          break;
+
+        case OpCode.GET_ELEMENT:
+        case OpCode.GET_ELEMENT_LONG: {
+          const index = this.readIndex(instruction);
+          const array = this.pop();
+          this.push(index < array.length ? array[index] : null);
+          break;
+        }
+
+        case OpCode.GET_FIELD:
+        case OpCode.GET_FIELD_LONG: {
+          const nameIndex = this.readIndex(instruction);
+          const name = this.frame.chunk.constants[nameIndex];
+          const value = this.pop();
+          if (value instanceof BytecodeInstance) {
+            this.push(value.fields.has(name) ? value.fields.get(name) : null);
+          } else {
+            this.push(Object.hasOwn(value, name) ? value[name] : null);
+          }
+          break;
+        }
+
+        case OpCode.OMIT_FIELDS:
+        case OpCode.OMIT_FIELDS_LONG: {
+          const count = this.readIndex(instruction);
+          const names = this.stack.splice(this.stack.length - count, count);
+          const value = this.pop();
+          const rest = {};
+          for (const [key, field] of value instanceof BytecodeInstance ? value.fields : Object.entries(value)) {
+            if (!names.includes(key)) rest[key] = field;
+          }
+          this.push(rest);
+          break;
+        }
+
         // ==================== END ====================
         case OpCode.HALT:
           return this.stack.length > 0 ? this.peek() : null;
@@ -673,6 +814,18 @@ export class VM {
     return this.frame.chunk.code[this.frame.ip++];
   }
 
+  // Read a two-byte (big-endian) operand
+  readShort() {
+    const high = this.readByte();
+    const low = this.readByte();
+    return (high << 8) | low;
+  }
+
+  // Index and count operands are one byte, or two for the *_LONG variants
+  readIndex(instruction) {
+    return isLongOpCode(instruction) ? this.readShort() : this.readByte();
+  }
+
   push(value) {
     this.stack.push(value);
   }
@@ -685,50 +838,33 @@ export class VM {
     return this.stack[this.stack.length - 1 - distance];
   }
 
-  isTruthy(value) {
-    if (value === null) return false;
-    if (typeof value === 'boolean') return value;
-    return true;
-  }
-
   countLocals() {
     // Rough count of locals in current frame
     return 0;  // Simplified for now
   }
 
-  callValue(callee, argsArray, argCount = null) {
-    // Called either with argsArray (from native functions)
-    // or with argCount (from bytecode CALL instruction)
+  // An object literal's value, as opposed to the VM's own objects
+  isPlainObject(value) {
+    return typeof value === 'object' && value !== null && value.constructor === Object;
+  }
 
-    if (argsArray !== null) {
-      // Native calling native - direct call
-      if (callee.type === 'native') {
-        return callee.fn(argsArray);
-      } else if (callee instanceof Closure) {
-        // Push args onto stack and call
-        for (const arg of argsArray) {
-          this.push(arg);
-        }
-        return this.callClosure(callee, argsArray.length);
-      } else if (callee instanceof TmbdlBytecodeFunction) {
-        // Wrap in closure and call
-        const closure = new Closure(callee);
-        for (const arg of argsArray) {
-          this.push(arg);
-        }
-        return this.callClosure(closure, argsArray.length);
-      }
-    }
+  unpackError(kind, value) {
+    return new TypeError(
+      `${kind} pattern cannot unpack a ${TYPE_LABELS[this.typeOf(value)]}`,
+      this.currentLine()
+    );
+  }
 
-    if (callee?.type === 'native') {
-      // Native function
-      const args = [];
-      for (let i = 0; i < argCount; i++) {
-        args.unshift(this.pop());
-      }
+  // Call the value sitting below argCount arguments on the stack
+  callValue(callee, argCount) {
+    if (callee instanceof BoundMethod) {
+      this.callClosure(callee.method, argCount, callee.receiver);
+    } else if (callee instanceof BytecodeClass) {
+      this.callClass(callee, argCount);
+    } else if (callee instanceof NativeFunction) {
+      const args = this.stack.splice(this.stack.length - argCount, argCount);
       this.pop();  // Pop the function itself
-      const result = callee.fn(args);
-      this.push(result);
+      this.push(callee.call(args));
     } else if (callee instanceof Closure) {
       this.callClosure(callee, argCount);
     } else if (callee instanceof TmbdlBytecodeFunction) {
@@ -736,22 +872,324 @@ export class VM {
       const closure = new Closure(callee);
       this.callClosure(closure, argCount);
     } else {
-      throw new Error(`Cannot call ${typeof callee}`);
+      throw new TypeError(
+        `'${this.formatValue(callee)}' is not a song (function)`,
+        this.currentLine()
+      );
+    }
+  }
+
+  // Call a song on behalf of a native (map, filter, ...) and run it to
+  // completion. Like the interpreter, arguments past the song's last
+  // parameter are dropped.
+  callFromNative(callee, args) {
+    const func = callee instanceof BoundMethod ? callee.method.func : callee.func;
+    if ((callee instanceof Closure || callee instanceof BoundMethod) && !func.variadic) {
+      args = args.slice(0, func.arity);
+    }
+
+    const baseDepth = this.frames.length;
+    this.push(callee);
+    for (const arg of args) {
+      this.push(arg);
+    }
+    this.callValue(callee, args.length);
+
+    if (this.frames.length > baseDepth) {
+      this.execute(baseDepth);
     }
+    return this.pop();
   }
 
-  callClosure(closure, argCount) {
-    if (argCount !== closure.arity) {
-      throw new Error(`Expected ${closure.arity} arguments but got ${argCount}`);
+  callClosure(closure, argCount, receiver = closure.receiver) {
+    const { arity, required, variadic } = closure.func;
+    if (argCount < required || (argCount > arity && !variadic)) {
+      const max = variadic ? Infinity : arity;
+      throw arityError(this.describeSong(closure, receiver), required, max, argCount, this.currentLine());
+    }
+
+    if (this.frames.length > this.maxDepth) {
+      throw recursionError(this.frames.length, this.maxDepth, this.currentLine());
+    }
+
+    // Arguments left out stay undefined for their defaults to fill in, and a
+    // rest parameter takes whatever is past the others as a fellowship
+    for (; argCount < arity; argCount++) {
+      this.push(undefined);
+    }
+    if (variadic) {
+      this.push(this.stack.splice(this.stack.length - (argCount - arity)));
+      argCount = arity + 1;
     }
 
     // returnSlot is where the closure object is - we'll replace it with the return value
     const returnSlot = this.stack.length - argCount - 1;
     const frame = new CallFrame(closure, 0, this.stack.length - argCount, returnSlot);
+    frame.receiver = receiver;
     this.frames.push(frame);
     this.frame = frame;
   }
 
+  // A song as arity errors name it, with its signature, as the interpreter does
+  describeSong(closure, receiver) {
+    const signature = `(${closure.func.signature ?? ''})`;
+    if (closure.name === '<lambda>') return `Lambda ${signature}`;
+    if (closure.name === 'forge') return `Forge ${closure.realm?.name ?? ''}${signature}`;
+    if (receiver !== null && closure.realm) return `Method ${closure.realm.name}.${closure.name}${signature}`;
+    return `Song ${closure.name}${signature}`;
+  }
+
+  // Replace the count values on top of the stack with the arguments they
+  // make once each Spread is spread out, and answer how many that is
+  spreadArguments(count) {
+    const start = this.stack.length - count;
+    for (const value of this.stack.splice(start)) {
+      if (value instanceof Spread) {
+        for (const element of value.values) this.push(element);
+      } else {
+        this.push(value);
+      }
+    }
+    return this.stack.length - start;
+  }
+
+  // After a tail call has pushed the callee's frame, the caller has nothing
+  // left to do: slide the callee down into the caller's slots and drop the
+  // caller's frame, so tail recursion runs in constant space. Natives leave
+  // no new frame, and their result is answered by the RETURN that follows.
+  replaceCaller(caller) {
+    const callee = this.frame;
+    if (callee === caller || caller.isInitializer || callee.isInitializer) {
+      return;
+    }
+
+    this.closeUpvalues(caller.stackOffset);
+    const distance = callee.returnSlot - caller.returnSlot;
+    this.stack.copyWithin(caller.returnSlot, callee.returnSlot);
+    this.stack.length -= distance;
+    callee.returnSlot -= distance;
+    callee.stackOffset -= distance;
+
+    this.frames.splice(this.frames.length - 2, 1);
+  }
+
+  // Calling a realm creates an instance and runs the nearest forge on it
+  callClass(klass, argCount) {
+    const instance = new BytecodeInstance(klass);
+    const initializer = klass.findInitializer();
+
+    // The instance takes the realm's slot so it is what's left after the call
+    this.stack[this.stack.length - 1 - argCount] = instance;
+
+    if (initializer) {
+      this.callClosure(initializer, argCount, instance);
+      this.frame.isInitializer = true;
+    } else {
+      this.stack.length -= argCount;
+    }
+  }
+
+  // obj.name(args) with obj and args already on the stack
+  invoke(name, argCount) {
+    const receiver = this.peek(argCount);
+
+    if (receiver instanceof BytecodeInstance) {
+      // A field holding a song shadows a method of the same name, and a
+      // reveal is run for the song it answers
+      if (receiver.fields.has(name) || receiver.klass.findGetter(name)) {
+        const value = this.getProperty(receiver, name);
+        this.stack[this.stack.length - 1 - argCount] = value;
+        this.callValue(value, argCount);
+        return;
+      }
+
+      const method = receiver.klass.findMethod(name);
+      if (!method) {
+        throw new RuntimeError(
+          `${receiver.klass.name} has no property '${name}'`,
+          this.currentLine()
+        );
+      }
+      this.callClosure(method, argCount, receiver);
+      return;
+    }
+
+    if (receiver instanceof BytecodeClass) {
+      const found = receiver.findStatic(name);
+      if (found?.method) {
+        this.callClosure(found.method, argCount, receiver);
+        return;
+      }
+    }
+
+    // Plain objects and module namespaces: look the song up, then call it
+    const value = this.getProperty(receiver, name);
+    this.stack[this.stack.length - 1 - argCount] = value;
+    this.callValue(value, argCount);
+  }
+
+  // elder.name(args) with self and args already on the stack: run the
+  // version of the song (or forge) found above the current method's realm
+  invokeElder(name, argCount) {
+    const receiver = this.peek(argCount);
+    this.callClosure(this.findElder(name, receiver), argCount, receiver);
+  }
+
+  // The version of a song (or forge) that elder.name reaches from the
+  // current method, whose self is receiver
+  findElder(name, receiver) {
+    const realm = this.frame.closure.realm;
+    if (realm === null) {
+      throw new RuntimeError(
+        'Cannot use "elder" outside of a realm method',
+        this.currentLine()
+      );
+    }
+
+    const elder = realm.superClass;
+    if (elder === null) {
+      throw new RuntimeError(
+        `Realm '${realm.name}' has no elder realm`,
+        this.currentLine()
+      );
+    }
+
+    // Inside a realm song, self is the realm and elder reaches realm songs
+    if (receiver instanceof BytecodeClass) {
+      const found = name === 'forge' ? null : elder.findStatic(name);
+      if (!found?.method) {
+        throw new RuntimeError(
+          `${elder.name} has no realm song '${name}'`,
+          this.currentLine()
+        );
+      }
+      return found.method;
+    }
+
+    const method = name === 'forge' ? elder.findInitializer() : elder.findMethod(name);
+    if (!method) {
+      throw new RuntimeError(
+        name === 'forge' ? `Realm '${elder.name}' has no forge` : `${elder.name} has no song '${name}'`,
+        this.currentLine()
+      );
+    }
+    return method;
+  }
+
+  // DEFINE_MEMBER: add a realm ring, precious or song, or an accessor, to klass
+  defineMember(klass, name, kind, value) {
+    switch (kind) {
+      case MemberKind.RING:
+      case MemberKind.PRECIOUS:
+        klass.statics.set(name, value);
+        if (kind === MemberKind.PRECIOUS) {
+          klass.constants.add(name);
+        }
+        break;
+      case MemberKind.SONG:
+        value.realm = klass;
+        klass.staticMethods.set(name, value);
+        break;
+      case MemberKind.REVEAL:
+        value.realm = klass;
+        klass.getters.set(name, value);
+        break;
+      case MemberKind.INSCRIBE:
+        value.realm = klass;
+        klass.setters.set(name, value);
+        break;
+    }
+  }
+
+  setInstanceProperty(obj, prop, value) {
+    const setter = obj.klass.findSetter(prop);
+    if (setter) {
+      // Accessors run to completion, like a song called from a native
+      this.callFromNative(new BoundMethod(obj, setter), [value]);
+      return;
+    }
+    if (obj.klass.findGetter(prop)) {
+      throw new TypeError(
+        `'${prop}' of ${obj.klass.name} can only be revealed, not inscribed`,
+        this.currentLine()
+      );
+    }
+    obj.fields.set(prop, value);
+  }
+
+  getProperty(obj, prop) {
+    if (obj instanceof BytecodeInstance) {
+      if (obj.fields.has(prop)) {
+        return obj.fields.get(prop);
+      }
+      const getter = obj.klass.findGetter(prop);
+      if (getter) {
+        return this.callFromNative(new BoundMethod(obj, getter), []);
+      }
+      const method = obj.klass.findMethod(prop);
+      if (method) {
+        return new BoundMethod(obj, method);
+      }
+      // A property with only an inscribe reads as shadow
+      if (obj.klass.findSetter(prop)) {
+        return null;
+      }
+      throw new RuntimeError(
+        `${obj.klass.name} has no property '${prop}'`,
+        this.currentLine()
+      );
+    }
+
+    if (obj instanceof BytecodeClass) {
+      const found = obj.findStatic(prop);
+      if (found) {
+        // Realm songs are bound to the realm they are read through
+        return found.method ? new BoundMethod(obj, found.method) : found.value;
+      }
+      throw new RuntimeError(
+        `${obj.name} has no property '${prop}'`,
+        this.currentLine()
+      );
+    }
+
+    if (typeof obj === 'object' && obj !== null) {
+      return obj[prop];
+    }
+
+    throw new TypeError(
+      'Can only access properties on realm instances or objects',
+      this.currentLine()
+    );
+  }
+
+  // Source line of the instruction currently executing
+  currentLine() {
+    return this.frame.chunk.lines[this.frame.ip - 1] ?? null;
+  }
+
+  // The active song calls, innermost first, each with the line it has reached
+  stackTrace() {
+    const trace = [];
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      const frame = this.frames[i];
+      trace.push({
+        name: this.frameName(frame, i),
+        file: frame.closure.file,
+        line: frame.chunk.lines[frame.ip - 1] ?? null,
+      });
+    }
+    return trace;
+  }
+
+  // Named the way the interpreter names its call stack frames. Songs and
+  // lambdas made inside a method carry its self; a method is called with one.
+  frameName(frame, depth) {
+    if (depth === 0) return this.isModule ? '<module>' : '<main>';
+    if (frame.receiver === null || frame.closure.receiver !== null) return frame.closure.name;
+    const realm = frame.receiver instanceof BytecodeClass ? frame.receiver : frame.receiver.klass;
+    return `${realm.name}.${frame.closure.name}`;
+  }
+
   // Capture a local variable as an upvalue
   captureUpvalue(stackIndex) {
     // Check if we already have an upvalue for this slot
@@ -802,7 +1240,16 @@ export class VM {
     }
 
     // Load and compile the module
-    const moduleExports = this.moduleLoader(modulePath, this.currentFile, this.moduleCache);
+    let moduleExports;
+    try {
+      moduleExports = this.moduleLoader(modulePath, this.currentFile, this.moduleCache);
+    } catch (error) {
+      // Carry the trace on through the songs that summoned the module
+      if (error instanceof TmbdlError && error.trace) {
+        error.trace.push(...this.stackTrace());
+      }
+      throw error;
+    }
 
     // Cache and return
     this.moduleCache.set(modulePath, moduleExports);
@@ -815,25 +1262,20 @@ export class VM {
   }
 
   formatValue(value) {
-    if (value === null) return 'shadow';
-    if (value === true) return 'goldberry';
-    if (value === false) return 'sauron';
-    if (Array.isArray(value)) {
-      return '[' + value.map(v => this.formatValue(v)).join(', ') + ']';
-    }
-    if (value instanceof Closure) {
-      return `<song ${value.name}>`;
-    }
-    if (value instanceof TmbdlBytecodeFunction) {
-      return `<song ${value.name}>`;
-    }
-    if (value?.type === 'native') {
-      return `<native song ${value.name}>`;
-    }
-    if (typeof value === 'object') {
-      const pairs = Object.entries(value).map(([k, v]) => `${k}: ${this.formatValue(v)}`);
-      return '{' + pairs.join(', ') + '}';
+    return formatWith(value, describeValue);
+  }
+
+  // Tmbdl type name of a VM value
+  typeOf(value) {
+    if (value === null || value === undefined) return 'shadow';
+    if (typeof value === 'boolean') return 'truth';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'string') return 'tale';
+    if (Array.isArray(value)) return 'fellowship';
+    if (value instanceof Closure || value instanceof BoundMethod ||
+        value instanceof TmbdlBytecodeFunction || value instanceof NativeFunction) {
+      return 'song';
     }
-    return String(value);
+    return 'realm';
   }
 }
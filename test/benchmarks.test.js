@@ -0,0 +1,92 @@
+// Benchmarks on a small input: each program under examples/benchmarks/ with
+// its sizes cut down, so every backend can run it in a moment and a
+// benchmark that stops working is caught before anyone times it
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = join(ROOT, 'bin', 'tmbdl.js');
+const BENCHMARKS = join(ROOT, 'examples', 'benchmarks');
+
+// The sizes each benchmark is timed with, what they shrink to, and what the
+// benchmark prints once they have
+const SMALL = {
+  calls: {
+    sizes: [['fib(22)', 'fib(12)'], ['i < 2000', 'i < 300'], ['steps < 100000', 'steps < 50']],
+    stdout: 'fib(12) = 144\nPositions found: 24850\nCounted to 100\n',
+  },
+  closures: {
+    sizes: [['weighAll(400000)', 'weighAll(300)']],
+    stdout: 'Total weight: 7500\nHeaviest: 106\n',
+  },
+  loops: {
+    sizes: [['countPrimes(60000)', 'countPrimes(100)'], ['range(0, 1000)', 'range(0, 10)'], ['pass < 300', 'pass < 3']],
+    stdout: 'Primes below 60000: 25\nSum of evens, 300 times over: 60\n',
+  },
+};
+
+function node(args) {
+  return spawnSync(process.execPath, args, { encoding: 'utf-8', timeout: 10000 });
+}
+
+function tmbdl(...args) {
+  return node([CLI, ...args]);
+}
+
+const BACKENDS = {
+  run: (file) => tmbdl('run', file),
+  vm: (file) => tmbdl('vm', file),
+  compile(file) {
+    const output = file.replace(/\.tmbdl$/, '.mjs');
+    const compiled = tmbdl('compile', file, output);
+    return compiled.status === 0 ? node([output]) : compiled;
+  },
+  exec(file) {
+    const output = file + 'c';
+    const built = tmbdl('build', file, output);
+    return built.status === 0 ? tmbdl('exec', output) : built;
+  },
+};
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-benchmarks-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+// Copy a benchmark into its own directory with its sizes cut down
+function shrink(name, sizes) {
+  let source = readFileSync(join(BENCHMARKS, name + '.tmbdl'), 'utf-8');
+  for (const [size, small] of sizes) {
+    assert.ok(source.includes(size), `${name}.tmbdl no longer has '${size}' to shrink`);
+    source = source.replaceAll(size, small);
+  }
+  const file = join(mkdtempSync(join(workDir, name + '-')), name + '.tmbdl');
+  writeFileSync(file, source);
+  return file;
+}
+
+for (const [name, { sizes, stdout }] of Object.entries(SMALL)) {
+  describe(`benchmark ${name} on a small input`, () => {
+    for (const [backend, runBackend] of Object.entries(BACKENDS)) {
+      it(`runs under ${backend}`, () => {
+        const result = runBackend(shrink(name, sizes));
+
+        assert.equal(result.error, undefined);
+        assert.equal(result.stderr, '');
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, stdout);
+      });
+    }
+  });
+}
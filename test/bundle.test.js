@@ -0,0 +1,111 @@
+// Bundles: a program and the modules it summons in one script that plain
+// node runs, with only the runtime pieces the program uses
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync, readFileSync, copyFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-bundle-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function node(args, cwd = workDir) {
+  return spawnSync(process.execPath, args, { cwd, encoding: 'utf-8', timeout: 10000 });
+}
+
+// Write a project under a fresh directory, run its main.tmbdl with the
+// interpreter, then bundle it and run the bundle from a directory of its own
+function bundle(name, files, output = 'main.js') {
+  const root = join(workDir, name);
+  for (const [path, source] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), source);
+  }
+
+  const run = node([CLI, 'run', join(root, 'main.tmbdl')]);
+  const bundled = node([CLI, 'bundle', join(root, 'main.tmbdl'), join(root, output)]);
+  if (bundled.status !== 0) return { run, bundled };
+
+  const elsewhere = join(workDir, `${name}-elsewhere`);
+  mkdirSync(elsewhere);
+  copyFileSync(join(root, output), join(elsewhere, output));
+  return {
+    run,
+    bundled,
+    code: readFileSync(join(root, output), 'utf-8'),
+    result: node([join(elsewhere, output)], elsewhere),
+  };
+}
+
+const PROGRAM = {
+  'main.tmbdl': [
+    'sing "setting out"',
+    'summon { walk } from "lib/road"',
+    'summon "lib/road" as road',
+    'summon "lib/inn"',
+    'sing [walk(2), road, length(INN)]',
+  ].join('\n'),
+  'lib/road.tmbdl': [
+    'sing "the road begins"',
+    'summon { INN } from "inn"',
+    'share song walk(miles) { answer miles + " miles to " + INN }',
+    'share ring RIVER = "Brandywine"',
+  ].join('\n'),
+  'lib/inn.tmbdl': 'share precious INN = "the Prancing Pony"',
+};
+
+describe('bundle', () => {
+  it('runs a program and its modules like the interpreter, with no sources beside it', () => {
+    const { run, bundled, result } = bundle('road', PROGRAM);
+
+    assert.equal(bundled.status, 0, bundled.stderr);
+    assert.match(bundled.stdout, /main\.tmbdl and 2 summoned modules → .*main\.js/);
+    assert.equal(result.stderr, '');
+    assert.equal(result.stdout, run.stdout);
+    assert.equal(run.stdout, [
+      'setting out',
+      'the road begins',
+      '[2 miles to the Prancing Pony, {walk: <song walk>, RIVER: Brandywine}, 17]',
+      '',
+    ].join('\n'));
+  });
+
+  it('keeps only the stdlib songs the program uses', () => {
+    const { code } = bundle('stdlib', PROGRAM);
+
+    assert.match(code, /^const length = /m);
+    assert.doesNotMatch(code, /^const (map|filter|readFile) = /m);
+    assert.doesNotMatch(code, /^(import|export) /m);
+    assert.ok(!code.includes(workDir), 'module paths are relative to the entry');
+  });
+
+  it('reaches the file system as a script or as a module', () => {
+    const files = { 'main.tmbdl': 'writeFile("note.txt", "there and back")\nsing [fileExists("note.txt"), readFile("note.txt")]' };
+    for (const output of ['main.js', 'main.mjs']) {
+      const { result } = bundle(`files-${output.replace('.', '-')}`, files, output);
+      assert.equal(result.stderr, '', output);
+      assert.equal(result.stdout, '[goldberry, there and back]\n', output);
+    }
+  });
+
+  it('refuses a name a module does not share', () => {
+    const { run, bundled } = bundle('unshared', { 'main.tmbdl': 'summon { RIVER } from "lib/inn"', 'lib/inn.tmbdl': PROGRAM['lib/inn.tmbdl'] });
+
+    for (const result of [run, bundled]) {
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /Module 'lib\/inn' does not share 'RIVER'/);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+// Bytecode encoding: wide operands, hard limits and the .tmbdlc round trip
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { CodeGenerator } from '../src/codegen.js';
+import { OpCode } from '../src/bytecode.js';
+import { VM } from '../src/vm.js';
+import { serializeBytecode, deserializeBytecode, deserializeProgram } from '../src/serializer.js';
+import { CompileError } from '../src/errors.js';
+
+function generate(source) {
+  const tokens = new Lexer(source).tokenize();
+  const ast = new Parser(tokens).parse();
+  return new CodeGenerator().generate(ast);
+}
+
+// Run a chunk and hand back the VM so tests can inspect its globals
+function run(chunk) {
+  const vm = new VM();
+  vm.run(chunk);
+  return vm;
+}
+
+function lines(count, line) {
+  return Array.from({ length: count }, (_, i) => line(i)).join('\n');
+}
+
+describe('wide operands', () => {
+  it('loads constants and globals past index 255', () => {
+    const source = lines(300, i => `ring g${i} = "s${i}"`) + '\nring result = g0 + g257 + g299\n';
+    const chunk = generate(source);
+
+    assert.ok(chunk.constants.length > 256);
+    assert.ok(chunk.code.includes(OpCode.PUSH_CONST_LONG));
+    assert.ok(chunk.code.includes(OpCode.STORE_GLOBAL_LONG));
+    assert.equal(run(chunk).globals.get('result'), 's0s257s299');
+  });
+
+  it('addresses locals and captured locals past slot 255', () => {
+    const source = [
+      'song big() {',
+      lines(300, i => `  ring v${i} = ${i}`),
+      '  ring last = () => v299',
+      '  answer v0 + v256 + last()',
+      '}',
+      'ring result = big()',
+    ].join('\n');
+
+    assert.equal(run(generate(source)).globals.get('result'), 555);
+  });
+
+  it('builds arrays with more than 255 elements', () => {
+    const elements = Array.from({ length: 300 }, (_, i) => i);
+    const chunk = generate(`ring arr = [${elements.join(', ')}]\n`);
+
+    assert.deepEqual(run(chunk).globals.get('arr'), elements);
+  });
+
+  it('jumps over more than 255 bytes of code', () => {
+    const source = [
+      'ring n = 0',
+      'wander (n < 3) {',
+      lines(120, i => `  ring y${i} = ${i}`),
+      '  n = n + 1',
+      '}',
+    ].join('\n');
+
+    assert.equal(run(generate(source)).globals.get('n'), 3);
+  });
+
+  it('calls elder songs whose name is past constant 255', () => {
+    const source = [
+      'realm Being {',
+      '  song speak() { answer "elder" }',
+      '}',
+      'realm Ent inherits Being {',
+      '  song speak() {',
+      lines(300, i => `    ring s${i} = "s${i}"`),
+      '    answer s299 + elder.speak()',
+      '  }',
+      '}',
+      'ring result = create Ent().speak()',
+    ].join('\n');
+
+    assert.equal(run(generate(source)).globals.get('result'), 's299elder');
+  });
+
+  it('survives serialization', () => {
+    const source = lines(300, i => `ring g${i} = ${i}`) + '\nring result = g0 + g299\n';
+    const chunk = deserializeBytecode(serializeBytecode(generate(source)));
+
+    assert.equal(run(chunk).globals.get('result'), 299);
+  });
+
+  it('carries summoned modules by path through serialization', () => {
+    const modules = new Map([['lib/road.tmbdl', generate('share ring miles = 3')], ['inn.tmbdl', generate('ring x = 1')]]);
+    const program = deserializeProgram(serializeBytecode(generate('ring result = 2'), modules, '/shire/main.tmbdl'));
+
+    assert.equal(program.file, '/shire/main.tmbdl');
+    assert.equal(run(program.chunk).globals.get('result'), 2);
+    assert.deepEqual([...program.modules.keys()], ['lib/road.tmbdl', 'inn.tmbdl']);
+    assert.equal(run(program.modules.get('lib/road.tmbdl')).globals.get('miles'), 3);
+  });
+});
+
+describe('limits', () => {
+  it('rejects calls with more than 255 arguments', () => {
+    const args = Array.from({ length: 256 }, (_, i) => i).join(', ');
+    assert.throws(() => generate(`song f() {}\nf(${args})\n`), CompileError);
+  });
+
+  it('rejects jumps longer than 65535 bytes', () => {
+    const source = `ring n = 0\nperhaps (n == 0) {\n${lines(9000, () => '  n = n + 1')}\n}\n`;
+    assert.throws(() => generate(source), /Too much code to jump over/);
+  });
+});
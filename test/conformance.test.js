@@ -0,0 +1,225 @@
+// Cross-backend conformance suite
+//
+// Runs every program under examples/ through the four ways Tmbdl can execute
+// code and compares stdout and the error class against the golden files in
+// test/golden/:
+//
+//   run      tmbdl run <file>                   (tree-walking interpreter)
+//   vm       tmbdl vm <file>                    (bytecode VM)
+//   compile  tmbdl compile <file>, then node    (transpiled JavaScript)
+//   exec     tmbdl build <file>, then exec      (serialized .tmbdlc)
+//
+// Golden files hold the interpreter's behaviour: <name>.out is the expected
+// stdout and <name>.error (only present when the program fails) the expected
+// error class. Regenerate them with:
+//
+//   UPDATE_GOLDEN=1 npm test
+//
+// Divergences we already know about live in test/golden/known-divergences.json,
+// keyed by backend then example. Those tests are reported as TODO instead of
+// failing, and fail once the backend conforms so the entry gets removed.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, mkdtempSync, readdirSync, rmSync, unlinkSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { tmpdir } from 'os';
+import * as errors from '../src/errors.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = join(ROOT, 'bin', 'tmbdl.js');
+const EXAMPLES = join(ROOT, 'examples');
+const GOLDEN = join(ROOT, 'test', 'golden');
+const KNOWN_DIVERGENCES = join(GOLDEN, 'known-divergences.json');
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+const TIMEOUT = 10000;
+
+// Themed error name (what formatError prints) -> error class name
+const ERROR_CLASSES = new Map();
+for (const [className, ErrorClass] of Object.entries(errors)) {
+  if (ErrorClass === errors.TmbdlError || ErrorClass.prototype instanceof errors.TmbdlError) {
+    ERROR_CLASSES.set(new ErrorClass().name, className);
+  }
+}
+
+function findExamples(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findExamples(path));
+    } else if (entry.name.endsWith('.tmbdl')) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+function node(args) {
+  return spawnSync(process.execPath, args, { cwd: ROOT, encoding: 'utf-8', timeout: TIMEOUT });
+}
+
+function tmbdl(...args) {
+  return node([CLI, ...args]);
+}
+
+// Turn a finished process into { stdout, error }
+function outcome(result) {
+  if (result.error) {
+    // Timed out or could not spawn
+    return { stdout: result.stdout ?? '', error: `host:${result.error.code || result.error.name}` };
+  }
+  return {
+    stdout: result.stdout,
+    error: result.status === 0 ? null : errorClass(result.stderr),
+  };
+}
+
+// The first line formatError prints is the themed name, e.g. "Unknown Ring (line 3:5)"
+function errorClass(stderr) {
+  const header = stderr.split('\n').map(line => line.trim()).find(line => line !== '') || '';
+  const name = header.replace(/\s*\(line .*\)$/, '');
+  return ERROR_CLASSES.get(name) || `host:${name}`;
+}
+
+// Imports a transpiled module and reports failures the way the CLI does
+const JS_RUNNER = `
+import { formatError } from ${JSON.stringify(pathToFileURL(join(ROOT, 'src', 'errors.js')).href)};
+try {
+  await import(process.argv[1]);
+} catch (error) {
+  console.error(formatError(error));
+  process.exit(1);
+}
+`;
+
+const BACKENDS = {
+  run(file) {
+    return outcome(tmbdl('run', file));
+  },
+
+  vm(file) {
+    return outcome(tmbdl('vm', file));
+  },
+
+  compile(file, workDir) {
+    const output = join(workDir, relative(EXAMPLES, file).replace(/\.tmbdl$/, '.mjs'));
+    mkdirSync(dirname(output), { recursive: true });
+    const compiled = tmbdl('compile', file, output);
+    if (compiled.status !== 0) {
+      return { stdout: '', error: errorClass(compiled.stderr) };
+    }
+    return outcome(node(['--input-type=module', '-e', JS_RUNNER, pathToFileURL(output).href]));
+  },
+
+  exec(file, workDir) {
+    const output = join(workDir, relative(EXAMPLES, file) + 'c');
+    mkdirSync(dirname(output), { recursive: true });
+    const built = tmbdl('build', file, output);
+    if (built.status !== 0) {
+      return { stdout: '', error: errorClass(built.stderr) };
+    }
+    return outcome(tmbdl('exec', output));
+  },
+};
+
+function goldenPaths(name) {
+  const base = join(GOLDEN, name);
+  return { out: base + '.out', error: base + '.error' };
+}
+
+function readGolden(name) {
+  const paths = goldenPaths(name);
+  if (!existsSync(paths.out)) {
+    return null;
+  }
+  return {
+    stdout: readFileSync(paths.out, 'utf-8'),
+    error: existsSync(paths.error) ? readFileSync(paths.error, 'utf-8').trim() : null,
+  };
+}
+
+function writeGolden(name, result) {
+  const paths = goldenPaths(name);
+  mkdirSync(dirname(paths.out), { recursive: true });
+  writeFileSync(paths.out, result.stdout);
+  if (result.error) {
+    writeFileSync(paths.error, result.error + '\n');
+  } else if (existsSync(paths.error)) {
+    unlinkSync(paths.error);
+  }
+}
+
+// Describe how a backend's result differs from the golden one
+function divergence(expected, actual) {
+  const problems = [];
+  if (actual.error !== expected.error) {
+    problems.push(`error: expected ${expected.error ?? 'none'}, got ${actual.error ?? 'none'}`);
+  }
+  if (actual.stdout !== expected.stdout) {
+    const want = expected.stdout.split('\n');
+    const got = actual.stdout.split('\n');
+    let line = 0;
+    while (line < want.length && want[line] === got[line]) line++;
+    problems.push(
+      `stdout differs at line ${line + 1}:\n` +
+      `  expected: ${JSON.stringify(want[line] ?? '<end of output>')}\n` +
+      `  actual:   ${JSON.stringify(got[line] ?? '<end of output>')}`
+    );
+  }
+  return problems.join('\n');
+}
+
+const examples = findExamples(EXAMPLES).map(file => ({
+  file,
+  name: relative(EXAMPLES, file).replace(/\.tmbdl$/, ''),
+}));
+
+const known = existsSync(KNOWN_DIVERGENCES)
+  ? JSON.parse(readFileSync(KNOWN_DIVERGENCES, 'utf-8'))
+  : {};
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-conformance-'));
+
+  if (UPDATE) {
+    // The interpreter is the reference implementation
+    for (const { file, name } of examples) {
+      writeGolden(name, BACKENDS.run(file, workDir));
+    }
+  }
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+for (const [backend, runBackend] of Object.entries(BACKENDS)) {
+  describe(backend, () => {
+    for (const { file, name } of examples) {
+      it(name, (t) => {
+        const expected = readGolden(name);
+        assert.ok(expected, `No golden output for ${name} - run with UPDATE_GOLDEN=1`);
+
+        const actual = runBackend(file, workDir);
+        const problems = divergence(expected, actual);
+        const knownReason = known[backend]?.[name];
+
+        if (knownReason) {
+          if (problems === '') {
+            assert.fail(`${backend} now conforms on ${name} - remove it from known-divergences.json`);
+          }
+          t.todo(knownReason);
+        }
+
+        if (problems !== '') {
+          assert.fail(`${backend} diverges on ${name}\n${problems}`);
+        }
+      });
+    }
+  });
+}
@@ -0,0 +1,228 @@
+// The Debug Adapter Protocol server, driven by a small DAP client
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+const PROGRAM = [
+  'ring total = 0',                 // 1
+  'precious party = ["Sam", "Pippin"]',  // 2
+  '',                               // 3
+  'song add(a, b) {',               // 4
+  '  ring sum = a + b',             // 5
+  '  answer sum',                   // 6
+  '}',                              // 7
+  '',                               // 8
+  'total = add(total, 2)',          // 9
+  'sing total',                     // 10
+  'attempt {',                      // 11
+  '  ring broken = 1 / 0',          // 12
+  '} rescue (e) {',                 // 13
+  '  sing "rescued"',               // 14
+  '}',                              // 15
+  'ring missing = length(total)',   // 16
+].join('\n');
+
+// Speaks DAP to a `tmbdl dap` child process
+class DapClient {
+  constructor() {
+    this.process = spawn(process.execPath, [CLI, 'dap'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    this.buffer = Buffer.alloc(0);
+    this.seq = 1;
+    this.pending = new Map();   // request seq -> resolve
+    this.events = [];
+    this.waiters = [];          // { event, resolve }
+    this.process.stdout.on('data', (data) => this.receive(data));
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (true) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const length = Number(this.buffer.subarray(0, headerEnd).toString().match(/Content-Length: (\d+)/)[1]);
+      const end = headerEnd + 4 + length;
+      if (this.buffer.length < end) return;
+
+      const message = JSON.parse(this.buffer.subarray(headerEnd + 4, end).toString('utf-8'));
+      this.buffer = this.buffer.subarray(end);
+      if (message.type === 'response') {
+        this.pending.get(message.request_seq)(message);
+      } else {
+        this.events.push(message);
+        this.waiters = this.waiters.filter(waiter => {
+          if (waiter.event !== message.event) return true;
+          waiter.resolve(message.body);
+          return false;
+        });
+      }
+    }
+  }
+
+  request(command, args = {}) {
+    const seq = this.seq++;
+    const body = JSON.stringify({ seq, type: 'request', command, arguments: args });
+    this.process.stdin.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    return new Promise(resolve => this.pending.set(seq, resolve));
+  }
+
+  // The next occurrence of an event
+  next(event) {
+    return new Promise(resolve => this.waiters.push({ event, resolve }));
+  }
+
+  output(category = 'stdout') {
+    return this.events
+      .filter(message => message.event === 'output' && message.body.category === category)
+      .map(message => message.body.output)
+      .join('');
+  }
+
+  async close() {
+    const exited = new Promise(resolve => this.process.on('exit', resolve));
+    this.process.stdin.end();
+    return exited;
+  }
+}
+
+// A client for one test, stopped once the test is over even if it failed
+function connect(t) {
+  const client = new DapClient();
+  t.after(() => client.process.kill());
+  return client;
+}
+
+let workDir;
+let program;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-dap-'));
+  program = join(workDir, 'program.tmbdl');
+  writeFileSync(program, PROGRAM);
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+// Initialize, set breakpoints and launch; resolves with the first stop
+async function launch(client, { lines = [], filters = ['uncaught'], filterOptions, stopOnEntry = false } = {}) {
+  const initialize = await client.request('initialize', { adapterID: 'tmbdl' });
+  assert.equal(initialize.success, true);
+
+  const breakpoints = await client.request('setBreakpoints', {
+    source: { path: program },
+    breakpoints: lines.map(line => ({ line })),
+  });
+  await client.request('setExceptionBreakpoints', { filters, filterOptions });
+  const launched = await client.request('launch', { program, stopOnEntry });
+  assert.equal(launched.success, true, launched.message);
+
+  const stopped = client.next('stopped');
+  const terminated = client.next('terminated');
+  await client.request('configurationDone');
+  return { breakpoints: breakpoints.body.breakpoints, stopped, terminated };
+}
+
+describe('dap server', () => {
+  it('advertises its exception filters', async (t) => {
+    const client = connect(t);
+    const response = await client.request('initialize', { adapterID: 'tmbdl' });
+    await client.close();
+
+    const filters = response.body.exceptionBreakpointFilters.map(filter => filter.filter);
+    assert.deepEqual(filters, ['raised', 'uncaught']);
+  });
+
+  it('stops at breakpoints and reports the stack, scopes and variables', async (t) => {
+    const client = connect(t);
+    const { breakpoints, stopped } = await launch(client, { lines: [15, 5] });
+
+    // Line 15 only closes a block - it moves once the program loads
+    const changed = client.events.filter(message => message.event === 'breakpoint');
+    assert.deepEqual(changed.map(message => message.body.breakpoint.line), [16, 5]);
+    assert.deepEqual(breakpoints.map(breakpoint => breakpoint.verified), [false, false]);
+
+    assert.equal((await stopped).reason, 'breakpoint');
+    const trace = await client.request('stackTrace', { threadId: 1 });
+    assert.deepEqual(
+      trace.body.stackFrames.map(frame => `${frame.name}:${frame.line}`),
+      ['add:5', '<main>:9']
+    );
+
+    const scopes = await client.request('scopes', { frameId: 0 });
+    assert.deepEqual(scopes.body.scopes.map(scope => scope.name), ['Locals', 'Globals']);
+
+    const locals = await client.request('variables', { variablesReference: scopes.body.scopes[0].variablesReference });
+    assert.deepEqual(locals.body.variables.map(v => `${v.name}=${v.value}`), ['a=0', 'b=2']);
+
+    const globals = await client.request('variables', { variablesReference: scopes.body.scopes[1].variablesReference });
+    const party = globals.body.variables.find(v => v.name === 'party');
+    assert.deepEqual(party.presentationHint, { attributes: ['constant'] });
+
+    const members = await client.request('variables', { variablesReference: party.variablesReference });
+    assert.deepEqual(members.body.variables.map(v => v.value), ['Sam', 'Pippin']);
+
+    const evaluated = await client.request('evaluate', { expression: 'a + b', frameId: 0 });
+    assert.equal(evaluated.body.result, '2');
+
+    await client.request('continue', { threadId: 1 });
+    await client.close();
+  });
+
+  it('steps in, over and out', async (t) => {
+    const client = connect(t);
+    const { stopped } = await launch(client, { stopOnEntry: true });
+    assert.equal((await stopped).reason, 'entry');
+
+    const lines = [];
+    for (const command of ['next', 'next', 'next', 'stepIn', 'next', 'stepOut']) {
+      const step = client.next('stopped');
+      await client.request(command, { threadId: 1 });
+      await step;
+      const trace = await client.request('stackTrace', { threadId: 1 });
+      lines.push(trace.body.stackFrames[0].line);
+    }
+    assert.deepEqual(lines, [2, 4, 9, 5, 6, 10]);
+
+    await client.request('disconnect');
+    await client.close();
+  });
+
+  it('pauses on raised and uncaught TmbdlErrors', async (t) => {
+    const client = connect(t);
+    const { stopped, terminated } = await launch(client, {
+      filters: ['uncaught'],
+      filterOptions: [{ filterId: 'raised', condition: 'DivisionByZeroError' }],
+    });
+
+    const raised = await stopped;
+    assert.equal(raised.reason, 'exception');
+    let info = await client.request('exceptionInfo', { threadId: 1 });
+    assert.equal(info.body.exceptionId, 'DivisionByZeroError');
+    assert.equal(info.body.breakMode, 'always');
+
+    let next = client.next('stopped');
+    await client.request('continue', { threadId: 1 });
+    await next;
+    info = await client.request('exceptionInfo', { threadId: 1 });
+    assert.equal(info.body.exceptionId, 'TypeError');
+    assert.equal(info.body.breakMode, 'unhandled');
+
+    const exited = client.next('exited');
+    await client.request('continue', { threadId: 1 });
+    assert.equal((await exited).exitCode, 1);
+    await terminated;
+
+    assert.equal(client.output(), '2\nrescued\n');
+    assert.match(client.output('stderr'), /One does not simply/);
+    assert.match(client.output('console'), /The ring 'broken' is forged but never used/);
+    await client.close();
+  });
+});
@@ -0,0 +1,129 @@
+// The interpreter's source-level debugger, driven by scripted commands
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Interpreter } from '../src/interpreter.js';
+import { Debugger } from '../src/debugger.js';
+import { QuitSignal } from '../src/environment.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const PROGRAM = [
+  'ring total = 0',            // 1
+  'precious LIMIT = 2',        // 2
+  '',                          // 3
+  'song add(a, b) {',          // 4
+  '  ring sum = a + b',        // 5
+  '  answer sum',              // 6
+  '}',                         // 7
+  '',                          // 8
+  'ring i = 0',                // 9
+  'wander (i < LIMIT) {',      // 10
+  '  total = add(total, i)',   // 11
+  '  i++',                     // 12
+  '}',                         // 13
+  'sing total',                // 14
+].join('\n');
+
+// Run PROGRAM under the debugger and return everything it and the program wrote
+function debug(commands) {
+  const output = [];
+  const script = [...commands];
+  const ast = new Parser(new Lexer(PROGRAM).tokenize()).parse();
+  const interpreter = new Interpreter();
+  const debug = new Debugger(PROGRAM, ast, {
+    readCommand: () => script.length > 0 ? script.shift() : null,
+    write: (line) => output.push(line.trim()),
+  });
+  debug.attach(interpreter);
+
+  const log = console.log;
+  console.log = (line) => output.push(`sing: ${line}`);
+  try {
+    interpreter.interpret(ast);
+  } finally {
+    console.log = log;
+  }
+  return output;
+}
+
+// The lines the debugger paused on, in order
+function pauses(output) {
+  return output
+    .filter(line => /^(Paused|Breakpoint) at line/.test(line))
+    .map(line => Number(line.match(/\d+$/)[0]));
+}
+
+describe('debugger', () => {
+  it('pauses before the first statement and runs on when input ends', () => {
+    const output = debug([]);
+    assert.deepEqual(pauses(output), [1]);
+    assert.equal(output.at(-1), 'sing: 1');
+  });
+
+  it('stops at breakpoints every time a loop comes around', () => {
+    const output = debug(['break 11', 'c', 'c', 'c']);
+    assert.deepEqual(pauses(output), [1, 11, 11]);
+  });
+
+  it('moves breakpoints on blank lines to the next statement', () => {
+    const output = debug(['break 8', 'breakpoints']);
+    assert.ok(output.includes('Breakpoint set at line 9'));
+    assert.ok(output.some(line => /^●\s+9 │/.test(line)));
+  });
+
+  it('steps into, over and out of songs', () => {
+    assert.deepEqual(pauses(debug(['break 11', 'c', 's', 's', 'o'])), [1, 11, 5, 6, 12]);
+    assert.deepEqual(pauses(debug(['break 11', 'c', 'n', 'n'])), [1, 11, 12, 11]);
+  });
+
+  it('shows the environment chain and the call stack', () => {
+    const output = debug(['break 6', 'c', 'scope', 'stack']);
+    const scope = output.slice(output.indexOf('song add'), output.indexOf('#0 add (line 6)'));
+
+    assert.deepEqual(scope, [
+      'song add',
+      'a = 0',
+      'b = 0',
+      'sum = 0',
+      'global',
+      'total = 0',
+      'precious LIMIT = 2',
+      'add = <song add>',
+      'i = 0',
+    ]);
+    assert.ok(output.includes('#1 <main> (line 11)'));
+  });
+
+  it('evaluates expressions where it is paused', () => {
+    const output = debug(['break 6', 'c', 'print sum + LIMIT', 'p nowhere']);
+    assert.ok(output.includes('2'));
+    assert.ok(output.some(line => line.startsWith('Unknown Ring')));
+  });
+
+  it('abandons the program on quit, even inside attempt', () => {
+    const source = 'attempt {\n  sing 1\n} rescue (e) {\n  sing "rescued"\n}\n';
+    const ast = new Parser(new Lexer(source).tokenize()).parse();
+    const interpreter = new Interpreter();
+    new Debugger(source, ast, { readCommand: () => 'quit', write: () => {} }).attach(interpreter);
+
+    assert.throws(() => interpreter.interpret(ast), QuitSignal);
+  });
+
+  it('reads commands from stdin in tmbdl debug', () => {
+    const result = spawnSync(
+      process.execPath,
+      [join(ROOT, 'bin', 'tmbdl.js'), 'debug', join(ROOT, 'examples', 'simple.tmbdl')],
+      { input: 'next\ncontinue\n', encoding: 'utf-8', timeout: 10000 }
+    );
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Paused at line \d+/);
+    assert.match(result.stdout, /The program has finished/);
+  });
+});
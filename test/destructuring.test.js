@@ -0,0 +1,101 @@
+// Destructuring: parsing patterns in declarations, loops and parameters, resolving
+// the names they bind, and unpacking in every backend
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parser, analyze, everyBackend } from './helpers.js';
+
+describe('destructuring parsing', () => {
+  it('builds patterns for declarations, loops and parameters', () => {
+    const program = parser([
+      'precious [first, second = 2, ...rest] = list',
+      'journey ({name, age: years} in hobbits) { }',
+      'song greet([greeting, _], who) { }',
+      'ring f = ({x}) => x',
+    ].join('\n')).parse();
+    const [declaration, loop, song, lambda] = program.statements;
+
+    assert.equal(declaration.type, 'DestructuringDeclaration');
+    assert.equal(declaration.isConstant, true);
+    assert.deepEqual(declaration.pattern.elements.map(element => element.type), ['BindingPattern', 'DefaultPattern']);
+    assert.equal(declaration.pattern.rest.name, 'rest');
+    assert.deepEqual(loop.variable.fields.map(({ key, pattern }) => `${key}:${pattern.name}`), ['name:name', 'age:years']);
+    assert.equal(song.params[0].type, 'ArrayPattern');
+    assert.equal(song.params[1], 'who');
+    assert.equal(lambda.value.params[0].type, 'ObjectPattern');
+  });
+
+  it('reports broken patterns and carries on with the next statement', () => {
+    const p = parser([
+      'ring [a, a] = pair',         // 1
+      'ring [...rest, last] = x',   // 2
+      'ring [_ = 1] = x',           // 3
+      'ring [a, b] pair',           // 4
+      'realm Shire {',              // 5
+      '  realm ring [x] = [1]',     // 6
+      '}',                          // 7
+      'sing 1',                     // 8
+    ].join('\n'));
+    const program = p.parsePartial();
+
+    assert.deepEqual(p.errors.map(error => `${error.line}:${error.column} ${error.message}`), [
+      "1:10 'a' is bound twice in one pattern",
+      "2:10 The '...' of a fellowship pattern must come last",
+      "3:7 '_' unpacks nothing, so it cannot have a default",
+      "4:13 Expected '=' after pattern",
+      '6:9 A realm ring must have a single name',
+    ]);
+    assert.equal(program.statements.at(-1).type, 'PrintStatement');
+  });
+});
+
+describe('destructuring resolving', () => {
+  it('declares every name a pattern binds', () => {
+    const { errors } = analyze([
+      'precious [a, {b}] = [1, {b: 2}]',
+      'a = 3',
+      'song f([x], {y}) { sing [x, y] }',
+      'sing [b, c]',
+    ].join('\n'));
+
+    assert.deepEqual(errors.map(error => `${error.line} ${error.message}`), [
+      "2 The precious 'a' cannot be changed - it is bound forever",
+      "4 This ring has not been forged: 'c'",
+    ]);
+  });
+});
+
+describe('destructuring', () => {
+  it('unpacks the same way in every backend', () => {
+    const source = [
+      'ring [a, [b, c = 3], ...rest] = [1, [2], 4, 5]',
+      'ring {name, home = "Shire", ...more} = {name: "Sam", age: 38, job: "gardener"}',
+      'sing [a, b, c, rest, name, home, more]',
+      'song pair({x, y}) { answer x + y }',
+      'journey ([k, v] in entries({one: 1, two: 2})) { sing `{k}: {pair({x: v, y: v})}` }',
+      'ring swap = ([x, y]) => [y, x]',
+      'sing swap([1, 2])',
+    ].join('\n');
+
+    for (const [command, result] of Object.entries(everyBackend(source))) {
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout,
+        '[1, 2, 3, [4, 5], Sam, Shire, {age: 38, job: gardener}]\none: 2\ntwo: 4\n[2, 1]\n', command);
+    }
+  });
+
+  it('refuses to unpack a value of the wrong kind', () => {
+    for (const [source, message] of [
+      ['ring [m, n] = 5\nsing [m, n]', /A fellowship pattern cannot unpack a number/],
+      ['ring {m} = shadow\nsing m', /An object pattern cannot unpack a shadow/],
+      ['ring [m, {n}] = [1, 2]\nsing [m, n]', /An object pattern cannot unpack a number/],
+      ['song f({x}) { }\nf([1])', /An object pattern cannot unpack a fellowship \(array\)/],
+      ['journey ([k] in [[1], "ring"]) { sing k }', /A fellowship pattern cannot unpack a tale/],
+    ]) {
+      for (const [command, result] of Object.entries(everyBackend(source))) {
+        assert.equal(result.status, 1, `${command}: ${source}`);
+        assert.match(result.stderr, message, `${command}: ${source}`);
+      }
+    }
+  });
+});
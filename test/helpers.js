@@ -0,0 +1,64 @@
+// What the feature tests share: parsing and resolving snippets, and running
+// a program through the CLI in one backend or in all four
+
+import { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Resolver } from '../src/resolver.js';
+
+export const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+// Made the first time a test file runs a program, and removed once its tests are done
+let workDir = null;
+
+after(() => {
+  if (workDir !== null) rmSync(workDir, { recursive: true, force: true });
+});
+
+function write(source) {
+  workDir ??= mkdtempSync(join(tmpdir(), 'tmbdl-test-'));
+  const file = join(workDir, 'program.tmbdl');
+  writeFileSync(file, source);
+  return file;
+}
+
+function node(...args) {
+  return spawnSync(process.execPath, args, { cwd: workDir, encoding: 'utf-8', timeout: 10000 });
+}
+
+export function parser(source) {
+  return new Parser(new Lexer(source).tokenize());
+}
+
+export function analyze(source) {
+  return new Resolver().analyze(parser(source).parse());
+}
+
+// Run a program with one command of the CLI, e.g. 'run' or 'vm'
+export function tmbdl(source, command) {
+  return node(CLI, command, write(source));
+}
+
+// Run a program in every backend: tree-walker, VM, transpiled JavaScript and
+// bytecode. Compiling and building it must succeed.
+export function everyBackend(source) {
+  const file = write(source);
+
+  const compiled = node(CLI, 'compile', file, join(workDir, 'program.js'));
+  assert.equal(compiled.status, 0, `compile failed:\n${compiled.stderr}`);
+  const built = node(CLI, 'build', file, join(workDir, 'program.tmbdlc'));
+  assert.equal(built.status, 0, `build failed:\n${built.stderr}`);
+
+  return {
+    run: node(CLI, 'run', file),
+    vm: node(CLI, 'vm', file),
+    compile: node(join(workDir, 'program.js')),
+    exec: node(CLI, 'exec', join(workDir, 'program.tmbdlc')),
+  };
+}
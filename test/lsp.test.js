@@ -0,0 +1,290 @@
+// The language server, driven by a small LSP client
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { tmpdir } from 'os';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+const LIBRARY = [
+  'share song greet(name) {',       // 1
+  '  answer `Hail, {name}!`',       // 2
+  '}',                              // 3
+  'share precious RINGS = 20',      // 4
+].join('\n');
+
+const PROGRAM = [
+  'summon { greet } from "lib/greetings"',   // 1
+  'summon "lib/greetings" as hobbits',       // 2
+  '',                                        // 3
+  'realm Walker {',                          // 4
+  '  forge(name) {',                         // 5
+  '    self.name = name',                    // 6
+  '  }',                                     // 7
+  '  song walk(miles) {',                    // 8
+  '    answer self.describe() + miles',      // 9
+  '  }',                                     // 10
+  '  song describe() {',                     // 11
+  '    answer self.name',                    // 12
+  '  }',                                     // 13
+  '}',                                       // 14
+  '',                                        // 15
+  'ring miles = 3',                          // 16
+  'song travel(miles) {',                    // 17
+  '  ring frodo = create Walker("Frodo")',   // 18
+  '  answer frodo.walk(miles)',              // 19
+  '}',                                       // 20
+  'sing greet("Sam") + travel(miles)',       // 21
+  'sing hobbits.RINGS + length("Shire")',    // 22
+].join('\n');
+
+const PATTERNS = [
+  'realm Hobbit {}',                                  // 1
+  'ring [first, ...others] = ["Frodo", "Sam"]',       // 2
+  'precious {name, age: years} = create Hobbit()',    // 3
+  'journey ([key, value] in entries({a: 1})) {',      // 4
+  '  sing key + value + first',                       // 5
+  '}',                                                // 6
+  'riddle (others) {',                                // 7
+  '  [only] perhaps (only == name) => { sing only }', // 8
+  '  Hobbit {name: called} => { sing called }',       // 9
+  '  rest => { sing rest + years }',                  // 10
+  '}',                                                // 11
+  'sing others',                                      // 12
+].join('\n');
+
+// Speaks LSP to a `tmbdl lsp` child process
+class LspClient {
+  constructor() {
+    this.process = spawn(process.execPath, [CLI, 'lsp'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    this.buffer = Buffer.alloc(0);
+    this.id = 1;
+    this.pending = new Map();   // request id -> resolve
+    this.diagnostics = new Map();
+    this.waiters = [];          // resolve functions waiting for diagnostics
+    this.process.stdout.on('data', (data) => this.receive(data));
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (true) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const length = Number(this.buffer.subarray(0, headerEnd).toString().match(/Content-Length: (\d+)/)[1]);
+      const end = headerEnd + 4 + length;
+      if (this.buffer.length < end) return;
+
+      const message = JSON.parse(this.buffer.subarray(headerEnd + 4, end).toString('utf-8'));
+      this.buffer = this.buffer.subarray(end);
+      if (message.id !== undefined) {
+        this.pending.get(message.id)(message);
+      } else if (message.method === 'textDocument/publishDiagnostics') {
+        this.diagnostics.set(message.params.uri, message.params.diagnostics);
+        this.waiters.splice(0).forEach(resolve => resolve(message.params));
+      }
+    }
+  }
+
+  send(message) {
+    const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+    this.process.stdin.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+  }
+
+  request(method, params = {}) {
+    const id = this.id++;
+    this.send({ id, method, params });
+    return new Promise(resolve => this.pending.set(id, resolve));
+  }
+
+  // Open or replace a document and wait for its diagnostics
+  open(uri, text) {
+    const published = new Promise(resolve => this.waiters.push(resolve));
+    this.send({ method: 'textDocument/didOpen', params: { textDocument: { uri, languageId: 'tmbdl', version: 1, text } } });
+    return published;
+  }
+
+  change(uri, text) {
+    const published = new Promise(resolve => this.waiters.push(resolve));
+    this.send({ method: 'textDocument/didChange', params: { textDocument: { uri, version: 2 }, contentChanges: [{ text }] } });
+    return published;
+  }
+
+  async close() {
+    const exited = new Promise(resolve => this.process.on('exit', resolve));
+    await this.request('shutdown');
+    this.send({ method: 'exit' });
+    return exited;
+  }
+}
+
+let workDir;
+let mainUri;
+let libraryUri;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-lsp-'));
+  mkdirSync(join(workDir, 'lib'));
+  writeFileSync(join(workDir, 'lib', 'greetings.tmbdl'), LIBRARY);
+  writeFileSync(join(workDir, 'main.tmbdl'), PROGRAM);
+  mainUri = pathToFileURL(join(workDir, 'main.tmbdl')).href;
+  libraryUri = pathToFileURL(join(workDir, 'lib', 'greetings.tmbdl')).href;
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+// A started server with PROGRAM open, stopped once the test is over
+async function connect(t) {
+  const client = new LspClient();
+  t.after(() => client.process.kill());
+  await client.request('initialize', { processId: null, rootUri: pathToFileURL(workDir).href, capabilities: {} });
+  client.send({ method: 'initialized', params: {} });
+  await client.open(mainUri, PROGRAM);
+  return client;
+}
+
+// Zero-based position of text on a one-based line of PROGRAM, or another
+// source, found after the column given
+function at(line, text, source = PROGRAM, from = 0) {
+  const character = source.split('\n')[line - 1].indexOf(text, from);
+  return { textDocument: { uri: mainUri }, position: { line: line - 1, character } };
+}
+
+function rangeOf(location) {
+  return `${location.uri === mainUri ? 'main' : location.uri === libraryUri ? 'lib' : location.uri}:` +
+    `${location.range.start.line + 1}:${location.range.start.character + 1}`;
+}
+
+describe('language server', () => {
+  it('publishes diagnostics from the parser', async (t) => {
+    const client = await connect(t);
+    assert.deepEqual(client.diagnostics.get(mainUri), []);
+
+    const { diagnostics } = await client.change(mainUri, 'ring x = 1\nsong (a) {}\nring = 2\n');
+    assert.equal(diagnostics.length, 2);
+    assert.equal(diagnostics[0].message, 'Expected song name');
+    assert.deepEqual(diagnostics[0].range.start, { line: 1, character: 5 });
+    assert.equal(diagnostics[1].message, 'Expected variable name');
+    assert.deepEqual(diagnostics[1].range.start, { line: 2, character: 5 });
+
+    await client.close();
+  });
+
+  it('goes to the definitions of rings, songs and realms', async (t) => {
+    const client = await connect(t);
+    const definition = async (position) => rangeOf((await client.request('textDocument/definition', position)).result);
+
+    assert.equal(await definition(at(19, 'miles')), 'main:17:13');  // the parameter, not the global
+    assert.equal(await definition(at(21, 'miles')), 'main:16:6');
+    assert.equal(await definition(at(21, 'travel')), 'main:17:6');
+    assert.equal(await definition(at(18, 'Walker')), 'main:4:7');
+    assert.equal(await definition(at(9, 'describe')), 'main:11:8');
+    assert.equal(await definition(at(19, 'frodo')), 'main:18:8');
+
+    await client.close();
+  });
+
+  it('goes to the names bound by destructuring', async (t) => {
+    const client = await connect(t);
+    await client.change(mainUri, PATTERNS);
+    const definition = async (line, text, from) =>
+      rangeOf((await client.request('textDocument/definition', at(line, text, PATTERNS, from))).result);
+
+    assert.equal(await definition(5, 'key'), 'main:4:11');
+    assert.equal(await definition(5, 'value'), 'main:4:16');
+    assert.equal(await definition(5, 'first'), 'main:2:7');
+    assert.equal(await definition(10, 'years'), 'main:3:22');
+    assert.equal(await definition(12, 'others'), 'main:2:17');
+
+    await client.close();
+  });
+
+  it('goes to the names riddle arms bind, in their guards and bodies', async (t) => {
+    const client = await connect(t);
+    await client.change(mainUri, PATTERNS);
+    const definition = async (line, text, from) =>
+      rangeOf((await client.request('textDocument/definition', at(line, text, PATTERNS, from))).result);
+
+    assert.equal(await definition(8, 'only', 20), 'main:8:4');  // in the guard
+    assert.equal(await definition(8, 'name'), 'main:3:11');     // outside the arm
+    assert.equal(await definition(8, 'only', 40), 'main:8:4');  // in the body
+    assert.equal(await definition(9, 'called', 25), 'main:9:17');
+    assert.equal(await definition(9, 'Hobbit'), 'main:1:7');
+    assert.equal(await definition(10, 'rest', 10), 'main:10:3');
+
+    const outside = await client.request('textDocument/completion', { textDocument: { uri: mainUri }, position: { line: 11, character: 0 } });
+    assert.ok(!outside.result.some(item => item.label === 'only'));
+
+    await client.close();
+  });
+
+  it('follows summon imports into other files', async (t) => {
+    const client = await connect(t);
+    const definition = async (position) => rangeOf((await client.request('textDocument/definition', position)).result);
+
+    assert.equal(await definition(at(21, 'greet')), 'lib:1:12');
+    assert.equal(await definition(at(22, 'RINGS')), 'lib:4:16');
+
+    await client.close();
+  });
+
+  it('shows stdlib signatures and declarations on hover', async (t) => {
+    const client = await connect(t);
+
+    const native = await client.request('textDocument/hover', at(22, 'length'));
+    assert.match(native.result.contents.value, /song length\(value: tale\|fellowship\) -> number/);
+
+    const song = await client.request('textDocument/hover', at(21, 'greet'));
+    assert.match(song.result.contents.value, /song greet\(name\)/);
+
+    await client.close();
+  });
+
+  it('completes keywords, stdlib songs and names in scope', async (t) => {
+    const client = await connect(t);
+
+    const inSong = await client.request('textDocument/completion', { textDocument: { uri: mainUri }, position: { line: 18, character: 2 } });
+    const labels = inSong.result.map(item => item.label);
+    for (const label of ['wander', 'perhaps', 'frodo', 'miles', 'Walker', 'greet', 'hobbits', 'charAt']) {
+      assert.ok(labels.includes(label), `missing ${label}`);
+    }
+
+    const outside = await client.request('textDocument/completion', { textDocument: { uri: mainUri }, position: { line: 21, character: 0 } });
+    assert.ok(!outside.result.some(item => item.label === 'frodo'));
+
+    await client.change(mainUri, PROGRAM + '\nsing hobbits.');
+    const members = await client.request('textDocument/completion', { textDocument: { uri: mainUri }, position: { line: 22, character: 13 } });
+    assert.deepEqual(members.result.map(item => item.label).sort(), ['RINGS', 'greet']);
+
+    await client.close();
+  });
+
+  it('ignores notifications it does not handle, but not requests', async (t) => {
+    const client = await connect(t);
+    client.send({ method: 'workspace/didChangeConfiguration', params: { settings: {} } });
+    client.send({ method: 'textDocument/didSave', params: { textDocument: { uri: mainUri } } });
+
+    const { result } = await client.request('textDocument/definition', at(21, 'travel'));
+    assert.equal(rangeOf(result), 'main:17:6');
+    const unknown = await client.request('workspace/symbol', { query: 'travel' });
+    assert.equal(unknown.error.code, -32601);
+
+    await client.close();
+  });
+
+  it('lists realms and songs as document symbols', async (t) => {
+    const client = await connect(t);
+    const { result } = await client.request('textDocument/documentSymbol', { textDocument: { uri: mainUri } });
+
+    const outline = result.map(symbol => [symbol.name, symbol.children.map(child => child.name)]);
+    assert.deepEqual(outline, [['Walker', ['forge', 'walk', 'describe']], ['travel', []]]);
+    assert.deepEqual(result[0].range.end, { line: 13, character: 1 });
+
+    await client.close();
+  });
+});
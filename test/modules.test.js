@@ -0,0 +1,289 @@
+// Modules across files: finding the module graph, and compiling it to one ES
+// module per file that imports a shared runtime and runs like the interpreter,
+// and building it into one .tmbdlc that runs without the sources
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync, readdirSync, readFileSync, copyFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { loadModuleGraph, sharedNames } from '../src/modules.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-modules-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+// Write a project: { 'relative/path.tmbdl': source } under a fresh directory
+function project(name, files) {
+  const root = join(workDir, name);
+  for (const [path, source] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), source);
+  }
+  return root;
+}
+
+function node(...args) {
+  return spawnSync(process.execPath, args, { encoding: 'utf-8', timeout: 10000 });
+}
+
+// Run a project's entry with the interpreter, then compiled to JavaScript
+function runAndCompile(root, entry = 'main.tmbdl') {
+  const output = join(root, 'out', entry.replace(/\.tmbdl$/, '.mjs'));
+  const compiled = node(CLI, 'compile', join(root, entry), output);
+  return {
+    run: node(CLI, 'run', join(root, entry)),
+    compiled,
+    compile: compiled.status === 0 ? node(output) : compiled,
+  };
+}
+
+const ROAD = {
+  'main.tmbdl': [
+    'summon "lib/shire"',
+    'summon "lib/shire" as home',
+    'summon { walk as stroll } from "../elsewhere/road.tmbdl"',
+    'sing [HOBBITS, greet("Sam")]',
+    'sing home',
+    'sing stroll(3)',
+  ].join('\n'),
+  'lib/shire.tmbdl': [
+    'summon { walk } from "../../elsewhere/road"',
+    'share precious HOBBITS = 4',
+    'share song greet(name) { answer "Hail " + name + walk(1) }',
+  ].join('\n'),
+  '../elsewhere/road.tmbdl': 'share song walk(miles) { answer ", " + miles + " miles" }',
+};
+
+describe('module graph', () => {
+  it('lists every summoned module before the files that summon it', () => {
+    const root = project('graph', ROAD);
+    const modules = loadModuleGraph(join(root, 'main.tmbdl'));
+
+    assert.deepEqual([...modules.keys()], [
+      join(workDir, 'elsewhere', 'road.tmbdl'),
+      join(root, 'lib', 'shire.tmbdl'),
+      join(root, 'main.tmbdl'),
+    ]);
+    assert.deepEqual([...modules.get(join(root, 'main.tmbdl')).summons.values()], [
+      join(root, 'lib', 'shire.tmbdl'),
+      join(root, 'lib', 'shire.tmbdl'),
+      join(workDir, 'elsewhere', 'road.tmbdl'),
+    ]);
+    assert.deepEqual(sharedNames(modules.get(join(root, 'lib', 'shire.tmbdl')).ast), ['HOBBITS', 'greet']);
+  });
+
+  it('points a module that cannot be found at the summon', () => {
+    const root = project('missing', { 'main.tmbdl': 'sing 1\nsummon "nowhere"' });
+    assert.throws(() => loadModuleGraph(join(root, 'main.tmbdl')), {
+      name: 'A shadow has fallen',
+      message: /^Cannot summon module '.*nowhere\.tmbdl'/,
+      line: 2,
+    });
+  });
+});
+
+describe('running modules in the VM', () => {
+  it('binds every shared name for a summon without a name list', () => {
+    const root = project('vm-wildcard', {
+      'main.tmbdl': 'summon "lib/shire"\nsing [HOBBITS, greet("Sam")]',
+      'lib/shire.tmbdl': 'share precious HOBBITS = 4\nshare song greet(name) { answer "Hail " + name }',
+    });
+    const vm = node(CLI, 'vm', join(root, 'main.tmbdl'));
+
+    assert.equal(vm.stderr, '');
+    assert.equal(vm.stdout, node(CLI, 'run', join(root, 'main.tmbdl')).stdout);
+    assert.equal(vm.stdout, '[4, Hail Sam]\n');
+  });
+
+  it('runs module songs against their own module\'s rings', () => {
+    const root = project('vm-globals', {
+      'main.tmbdl': [
+        'summon { greet, bump } from "lib/shire"',
+        'ring count = 10',
+        'bump()',
+        'sing [greet("Sam"), count]',
+      ].join('\n'),
+      'lib/shire.tmbdl': [
+        'summon { walk } from "road"',
+        'ring count = 0',
+        'share song bump() { count += 1 }',
+        'share song greet(name) { answer map([name], (n) => "Hail " + n + walk(count))[0] }',
+      ].join('\n'),
+      'lib/road.tmbdl': 'share song walk(miles) { answer ", " + miles + " miles" }',
+    });
+    const vm = node(CLI, 'vm', join(root, 'main.tmbdl'));
+
+    assert.equal(vm.stderr, '');
+    assert.equal(vm.stdout, node(CLI, 'run', join(root, 'main.tmbdl')).stdout);
+    assert.equal(vm.stdout, '[Hail Sam, 1 miles, 10]\n');
+  });
+
+  it('shows the source of a syntax error in a summoned module', () => {
+    const root = project('module-syntax', {
+      'main.tmbdl': 'summon "lib/road"\nsing "the entry file"\nsing walk',
+      'lib/road.tmbdl': 'share ring walk = 1\nring = 2',
+    });
+
+    for (const command of ['run', 'vm']) {
+      const result = node(CLI, command, join(root, 'main.tmbdl'));
+      assert.equal(result.status, 1, command);
+      assert.match(result.stderr, /2 \| ring = 2\n {11}\^/, command);
+      assert.doesNotMatch(result.stderr, /the entry file/, command);
+    }
+  });
+});
+
+describe('compiling modules', () => {
+  it('writes one ES module per file and a shared runtime', () => {
+    const root = project('layout', ROAD);
+    const { run, compiled, compile } = runAndCompile(root);
+
+    assert.equal(compiled.status, 0, compiled.stderr);
+    assert.deepEqual(readdirSync(join(root, 'out')).sort(), ['lib', 'main.mjs', 'tmbdl-runtime.mjs']);
+    assert.deepEqual(readdirSync(join(root, 'elsewhere')), ['road.mjs']);
+    assert.match(readFileSync(join(root, 'out', 'lib', 'shire.mjs'), 'utf-8'),
+      /from "\.\.\/tmbdl-runtime\.mjs";\nimport \* as __tmbdl_module1 from "\.\.\/\.\.\/elsewhere\/road\.mjs";/);
+
+    assert.equal(compile.stderr, '');
+    assert.equal(compile.stdout, run.stdout);
+    assert.equal(run.stdout, '[4, Hail Sam, 1 miles]\n{HOBBITS: 4, greet: <song greet>}\n, 3 miles\n');
+  });
+
+  it('lets summoned and declared names take the place of stdlib songs', () => {
+    const root = project('shadowing', {
+      'main.tmbdl': [
+        'summon "words" as str',
+        'summon { reverse } from "words"',
+        'song length(x) { answer "long" }',
+        'sing [str.upper("a"), reverse("ab"), length([1]), keys({a: 1})]',
+      ].join('\n'),
+      'words.tmbdl': [
+        'share song upper(word) { answer "up:" + word }',
+        'share song reverse(word) { answer "rev:" + word }',
+      ].join('\n'),
+    });
+    const { run, compile } = runAndCompile(root);
+
+    assert.equal(compile.stderr, '');
+    assert.equal(compile.stdout, run.stdout);
+    assert.equal(run.stdout, '[up:a, rev:ab, long, [a]]\n');
+  });
+
+  it('runs realms that inherit across modules', () => {
+    const root = project('realms', {
+      'main.tmbdl': [
+        'summon { Being } from "being"',
+        'realm Hobbit inherits Being { forge(name) { self.name = name } }',
+        'sing create Hobbit("Frodo").describe()',
+      ].join('\n'),
+      'being.tmbdl': 'realm Being { forge() { } song describe() { answer "a being called " + self.name } }\nshare { Being }',
+    });
+    const { run, compile } = runAndCompile(root);
+
+    assert.equal(compile.stderr, '');
+    assert.equal(compile.stdout, run.stdout);
+    assert.equal(run.stdout, 'a being called Frodo\n');
+  });
+
+  it('refuses a name the module does not share', () => {
+    const root = project('unshared', {
+      'main.tmbdl': 'summon "lib/road"',
+      'lib/road.tmbdl': 'summon { ride } from "horses"\nshare ring walk = 1',
+      'lib/horses.tmbdl': 'share ring trot = 2',
+    });
+    const { run, compiled } = runAndCompile(root);
+
+    for (const result of [run, compiled]) {
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /Module 'horses' does not share 'ride'/);
+      assert.match(result.stderr, /1 \| summon \{ ride \} from "horses"/);
+    }
+  });
+
+  it('shows the source of every syntax error in the entry file', () => {
+    const root = project('syntax', { 'main.tmbdl': 'ring x = 1\nring y = )\nring z = ]' });
+    const { compiled } = runAndCompile(root);
+
+    assert.equal(compiled.status, 1);
+    assert.match(compiled.stderr, /2 \| ring y = \)\n {15}\^/);
+    assert.match(compiled.stderr, /3 \| ring z = \]\n {15}\^/);
+  });
+
+  it('warns about every module in the program', () => {
+    const root = project('warnings', {
+      'main.tmbdl': 'summon { walk } from "lib/road"\nsing walk()',
+      'lib/road.tmbdl': 'summon { INN } from "inn"\nshare song walk() { answer 1 }',
+      'lib/inn.tmbdl': 'share ring INN = 2',
+    });
+    const { compiled } = runAndCompile(root);
+
+    assert.equal(compiled.status, 0);
+    assert.match(compiled.stderr, /'INN' is summoned but never used\n\n {2}1 \| summon \{ INN \} from "inn"/);
+  });
+});
+
+// Build a project's main.tmbdl, then exec the build from a directory of its own
+function buildAndExec(root) {
+  const built = node(CLI, 'build', join(root, 'main.tmbdl'));
+  if (built.status !== 0) return { built };
+
+  const elsewhere = join(root, 'shipped');
+  mkdirSync(elsewhere);
+  copyFileSync(join(root, 'main.tmbdlc'), join(elsewhere, 'main.tmbdlc'));
+  return { built, exec: node(CLI, 'exec', join(elsewhere, 'main.tmbdlc')) };
+}
+
+describe('building modules', () => {
+  it('builds every summoned module into the program', () => {
+    const root = project('build', {
+      'main.tmbdl': [
+        'summon { walk } from "lib/road"',
+        'summon "lib/road" as road',
+        'summon { INN } from "../inn"',
+        'sing [walk(2), road.RIVER, INN]',
+      ].join('\n'),
+      'lib/road.tmbdl': 'sing "the road begins"\nshare song walk(miles) { answer miles + " miles" }\nshare ring RIVER = "Brandywine"',
+      '../inn.tmbdl': 'share precious INN = "the Prancing Pony"',
+    });
+    const { built, exec } = buildAndExec(root);
+
+    assert.equal(built.status, 0, built.stderr);
+    assert.match(built.stdout, /main\.tmbdl and 2 summoned modules → .*main\.tmbdlc/);
+    assert.equal(exec.stderr, '');
+    assert.equal(exec.stdout, node(CLI, 'run', join(root, 'main.tmbdl')).stdout);
+    assert.equal(exec.stdout, 'the road begins\n[2 miles, Brandywine, the Prancing Pony]\n');
+  });
+
+  it('names the files it was built from in stack traces', () => {
+    const root = project('build-trace', {
+      'main.tmbdl': 'summon { walk } from "lib/road"\nsing walk(shadow)',
+      'lib/road.tmbdl': 'share song walk(miles) {\n    answer miles - 1\n}',
+    });
+    const { exec } = buildAndExec(root);
+
+    assert.equal(exec.status, 1);
+    assert.match(exec.stderr, /2 \|     answer miles - 1/);
+    assert.match(exec.stderr, /<main> \(.*build-trace\/main\.tmbdl:2\)\n {4}walk \(.*build-trace\/lib\/road\.tmbdl:2\)/);
+    assert.doesNotMatch(exec.stderr, /shipped/);
+  });
+
+  it('refuses to build a program whose modules cannot be found', () => {
+    const root = project('build-missing', { 'main.tmbdl': 'sing 1\nsummon "nowhere"' });
+    const { built } = buildAndExec(root);
+
+    assert.equal(built.status, 1);
+    assert.match(built.stderr, /Cannot summon module '.*nowhere\.tmbdl'/);
+    assert.match(built.stderr, /2 \| summon "nowhere"/);
+  });
+});
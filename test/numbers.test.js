@@ -0,0 +1,105 @@
+// Numbers: lexing literals in other bases, with separators and exponents, the
+// precedence of '**', '//' and the bitwise operators, and evaluating them and
+// their compound assignments in every backend
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { tmbdl, everyBackend } from './helpers.js';
+
+function numbers(source) {
+  return new Lexer(source).tokenize().slice(0, -1).map(token => token.value);
+}
+
+// An expression with its grouping made explicit
+function grouping(source) {
+  const show = (node) => node.type === 'BinaryExpression'
+    ? `(${show(node.left)} ${node.operator} ${show(node.right)})`
+    : node.type === 'UnaryExpression' ? `(${node.operator}${show(node.operand)})` : String(node.value ?? node.name);
+  return show(new Parser(new Lexer(source).tokenize()).parse().statements[0].expression);
+}
+
+describe('number literals', () => {
+  it('reads other bases, separators and exponents', () => {
+    assert.deepEqual(numbers('0xFF 0B101 0o17 1_000 3.141_5 6.02e23 1E-3 2e+2 007'),
+      [255, 5, 15, 1000, 3.1415, 6.02e23, 0.001, 200, 7]);
+  });
+
+  it('refuses malformed numbers', () => {
+    for (const [source, message] of [
+      ['0x', "expected hexadecimal digits after '0x'"],
+      ['0b102', "unexpected '2' in '0b102'"],
+      ['1__000', "'_' must sit between two digits in '1_'"],
+      ['1_', "'_' must sit between two digits in '1_'"],
+      ['0x_FF', "expected hexadecimal digits after '0x'"],
+      ['1e+', "expected digits in the exponent of '1e+'"],
+      ['12abc', "unexpected 'a' in '12a'"],
+      ['1.e3', "expected digits after the '.' in '1.e'"],
+      ['1._5', "expected digits after the '.' in '1._'"],
+    ]) {
+      assert.throws(() => new Lexer(source).tokenize(), { message: `The number has gone astray - ${message}` }, source);
+    }
+  });
+});
+
+describe('operator precedence', () => {
+  it('binds bitwise operators between comparisons and arithmetic', () => {
+    assert.equal(grouping('n & 1 == 0'), '((n & 1) == 0)');
+    assert.equal(grouping('a | b ^ c & d'), '(a | (b ^ (c & d)))');
+    assert.equal(grouping('1 + 2 << 3 >> 4'), '(((1 + 2) << 3) >> 4)');
+    assert.equal(grouping('a < b | c'), '(a < (b | c))');
+  });
+
+  it('groups ** to the right, tighter than a sign', () => {
+    assert.equal(grouping('2 ** 3 ** 2'), '(2 ** (3 ** 2))');
+    assert.equal(grouping('-2 ** 2'), '(-(2 ** 2))');
+    assert.equal(grouping('2 ** -1'), '(2 ** (-1))');
+    assert.equal(grouping('2 * 3 ** 2'), '(2 * (3 ** 2))');
+  });
+
+  it('binds // as tightly as / and %', () => {
+    assert.equal(grouping('1 + 9 // 2 * 3'), '(1 + ((9 // 2) * 3))');
+    assert.equal(grouping('7 // 2 ** 2'), '(7 // (2 ** 2))');
+    assert.equal(grouping('-7 // 2 % 3'), '(((-7) // 2) % 3)');
+  });
+});
+
+describe('numbers', () => {
+  it('evaluate the same way in every backend', () => {
+    const results = everyBackend([
+      'sing [0x10 + 0b1 + 0o10, 1_000 * 1e3, 2 ** 3 ** 2, -2 ** 2]',
+      'sing [0b1100 & 0b1010, 0b1100 | 0b1010, 0b1100 ^ 0b1010, 1 << 4, -16 >> 2]',
+      'sing [5 & 1 == 1, 2 ** 0.5 > 1.41, 0xFFFFFFFF | 0]',
+    ].join('\n'));
+
+    for (const [command, result] of Object.entries(results)) {
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout,
+        '[25, 1000000, 512, -4]\n[8, 14, 6, 16, -4]\n[goldberry, goldberry, -1]\n', command);
+    }
+  });
+
+  it('divide to whole numbers and assign powers and quotients in every backend', () => {
+    const results = everyBackend([
+      'ring x = 3',
+      'x **= 2',
+      'ring y = 100',
+      'y //= 7',
+      'sing [7 // 2, -7 // 2, 7.5 // 2, x, y]',
+      'attempt { sing 1 // 0 } rescue (error) { sing error.message }',
+    ].join('\n'));
+
+    for (const [command, result] of Object.entries(results)) {
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout,
+        '[3, -4, 3, 9, 14]\nA shadow has fallen upon your math - division by zero\n', command);
+    }
+  });
+
+  it('refuses non-numbers in the interpreter', () => {
+    const run = tmbdl('sing "ring" ** 2', 'run');
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /One does not simply use '\*\*' with non-numbers/);
+  });
+});
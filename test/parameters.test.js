@@ -0,0 +1,109 @@
+// Parameters: parsing defaults, rest parameters and spread arguments, resolving
+// the names they bind, and checking arity the same way in every backend
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parameterRange } from '../src/ast.js';
+import { parser, analyze, everyBackend } from './helpers.js';
+
+describe('parameter parsing', () => {
+  it('builds defaults, rest parameters and spread arguments', () => {
+    const program = parser([
+      'song f(a, b = 2, [c] = [3], ...rest) { }',
+      'f(1, ...list)',
+    ].join('\n')).parse();
+    const [song, call] = program.statements;
+
+    assert.deepEqual(song.params.map(param => param.type ?? param),
+      ['a', 'DefaultPattern', 'DefaultPattern', 'RestParameter']);
+    assert.deepEqual(parameterRange(song.params), { min: 1, max: Infinity });
+    assert.deepEqual(call.expression.arguments.map(arg => arg.type), ['NumberLiteral', 'SpreadArgument']);
+  });
+
+  it('reports misplaced defaults and rest parameters', () => {
+    const p = parser([
+      'song f(...rest, last) { }',
+      'song g(a = 1, b) { }',
+      'realm Shire {',
+      '  inscribe name(...names) { }',
+      '}',
+      'sing 1',
+    ].join('\n'));
+    const program = p.parsePartial();
+
+    assert.deepEqual(p.errors.map(error => `${error.line} ${error.message}`), [
+      "1 The '...' parameter must come last",
+      '2 A parameter without a default cannot follow one with a default',
+      '4 An inscribe takes exactly one parameter',
+    ]);
+    assert.equal(program.statements.at(-1).type, 'PrintStatement');
+  });
+});
+
+describe('parameter resolving', () => {
+  it('lets a default see the parameters before it, but not after', () => {
+    const { errors } = analyze([
+      'song f(a, b = a + 1, ...rest) { answer [a, b, rest] }',
+      'song g(x = y, y = 1) { }',
+    ].join('\n'));
+
+    assert.deepEqual(errors.map(error => `${error.line} ${error.message}`), [
+      "2 This ring has not been forged: 'y'",
+    ]);
+  });
+});
+
+describe('parameters', () => {
+  it('fill defaults, gather rest and spread the same way in every backend', () => {
+    const results = everyBackend([
+      'song f(a, b = a * 2, ...rest) { answer [a, b, rest] }',
+      'sing f(1)',
+      'sing f(...[1, 2, 3, 4])',
+      'sing map([1, 2], (x, i = 10) => x + i)',
+      'realm Hobbit { forge(name, ...titles) { self.titles = titles } }',
+      'sing create Hobbit("Frodo", ...["Ring-bearer"]).titles',
+    ].join('\n'));
+
+    for (const [command, result] of Object.entries(results)) {
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout, '[1, 2, []]\n[1, 2, [3, 4]]\n[1, 3]\n[Ring-bearer]\n', command);
+    }
+  });
+
+  it('refuse the wrong number of arguments with the same message in every backend', () => {
+    for (const [source, message] of [
+      ['song f(a, b = 1) { }\nf()', /Song f\(a, b = \.\.\.\) expects 1 to 2 arguments but received 0/],
+      ['song f(a, ...rest) { }\nf()', /Song f\(a, \.\.\.rest\) expects at least 1 argument but received 0/],
+      ['ring f = ([x]) => x\nf([1], 2)', /Lambda \(\[x\]\) expects 1 argument but received 2/],
+      ['realm R { song m() { } }\ncreate R().m(1)', /Method R\.m\(\) expects 0 arguments but received 1/],
+      ['realm R { forge(a) { } }\ncreate R()', /Forge R\(a\) expects 1 argument but received 0/],
+      ['song f(...all) { }\nf(..."ring")', /Only a fellowship can be spread into arguments, not a tale/],
+    ]) {
+      for (const [command, result] of Object.entries(everyBackend(source))) {
+        assert.equal(result.status, 1, `${command}: ${source}`);
+        assert.match(result.stderr, message, `${command}: ${source}`);
+      }
+    }
+  });
+
+  it('refuse the wrong number of arguments before any default runs or pattern unpacks', () => {
+    for (const [source, message] of [
+      ['song h(a, b = a * 2) { }\nh()', /Song h\(a, b = \.\.\.\) expects 1 to 2 arguments but received 0/],
+      ['song h([a, b]) { }\nh()', /Song h\(\[a, b\]\) expects 1 argument but received 0/],
+      [
+        'song loud() {\n  sing "the default ran"\n  answer 1\n}\nrealm R { song m(a, b = loud()) { } }\ncreate R().m()',
+        /Method R\.m\(a, b = \.\.\.\) expects 1 to 2 arguments but received 0/,
+      ],
+      [
+        'song loud() {\n  sing "the default ran"\n  answer 1\n}\nrealm R { forge(a, b = loud()) { } }\ncreate R(1, 2, 3)',
+        /Forge R\(a, b = \.\.\.\) expects 1 to 2 arguments but received 3/,
+      ],
+    ]) {
+      for (const [command, result] of Object.entries(everyBackend(source))) {
+        assert.equal(result.status, 1, `${command}: ${source}`);
+        assert.equal(result.stdout, '', `${command}: ${source}`);
+        assert.match(result.stderr, message, `${command}: ${source}`);
+      }
+    }
+  });
+});
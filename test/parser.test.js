@@ -0,0 +1,121 @@
+// Parser error recovery: every syntax error in one pass, plus a partial AST
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { TmbdlError, ErrorList, formatError } from '../src/errors.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+const BROKEN = [
+  'ring x = 1',                 // 1
+  'song (a) {',                 // 2
+  '  sing a',                   // 3
+  '}',                          // 4
+  'ring = 5',                   // 5
+  'song ok() {',                // 6
+  '  ring y = * 2',             // 7
+  '  sing y',                   // 8
+  '}',                          // 9
+  'realm Hobbit {',             // 10
+  '  ring name = 1',            // 11
+  '  song walk() { sing 1 }',   // 12
+  '}',                          // 13
+  'sing x',                     // 14
+].join('\n');
+
+function parser(source) {
+  return new Parser(new Lexer(source).tokenize());
+}
+
+function positions(errors) {
+  return errors.map(error => `${error.line}:${error.column}`);
+}
+
+describe('parser error recovery', () => {
+  it('collects an error from every broken statement', () => {
+    const p = parser(BROKEN);
+    p.parsePartial();
+
+    assert.deepEqual(positions(p.errors), ['2:6', '5:6', '7:12', '11:3']);
+    assert.deepEqual(p.errors.map(error => error.message), [
+      'Expected song name',
+      'Expected variable name',
+      "The path is unclear - unexpected token '*'",
+      "Expected 'forge', 'song', 'reveal', 'inscribe' or 'realm' in realm body",
+    ]);
+  });
+
+  it('keeps the statements that did parse', () => {
+    const program = parser(BROKEN).parsePartial();
+
+    assert.deepEqual(
+      program.statements.map(statement => `${statement.type}:${statement.line}`),
+      ['VariableDeclaration:1', 'FunctionDeclaration:6', 'RealmDeclaration:10', 'PrintStatement:14']
+    );
+    assert.deepEqual(program.statements[1].body.map(statement => statement.type), ['PrintStatement']);
+    assert.deepEqual(program.statements[2].methods.map(method => method.name), ['walk']);
+  });
+
+  it('throws one error as itself and several together', () => {
+    assert.throws(() => parser('ring = 1\nsing 2').parse(), error => {
+      assert.ok(!(error instanceof ErrorList));
+      assert.equal(error.message, 'Expected variable name');
+      return true;
+    });
+
+    assert.throws(() => parser(BROKEN).parse(), error => {
+      assert.ok(error instanceof ErrorList);
+      assert.ok(error instanceof TmbdlError);
+      assert.equal(error.errors.length, 4);
+      assert.equal(error.program.statements.length, 4);
+      return true;
+    });
+  });
+
+  it('does not get stuck on stray closing braces', () => {
+    const p = parser('}\nsing 1\n}}\nsing 2');
+    const program = p.parsePartial();
+
+    assert.deepEqual(positions(p.errors), ['1:1', '3:1', '3:2']);
+    assert.equal(program.statements.length, 2);
+  });
+
+  it('formats every error with its source excerpt', () => {
+    let error;
+    try {
+      parser(BROKEN).parse();
+    } catch (e) {
+      error = e;
+    }
+    const output = formatError(error, BROKEN);
+
+    assert.match(output, /2 \| song \(a\) \{\n {11}\^/);
+    assert.match(output, /7 \|   ring y = \* 2\n {17}\^/);
+    assert.match(output, /11 \|   ring name = 1\n {9}\^/);
+    assert.match(output, /4 errors/);
+  });
+
+  it('lists all problems and exits non-zero from the CLI', () => {
+    const workDir = mkdtempSync(join(tmpdir(), 'tmbdl-parser-'));
+    const file = join(workDir, 'broken.tmbdl');
+    writeFileSync(file, BROKEN);
+
+    try {
+      for (const command of ['run', 'vm', 'build']) {
+        const result = spawnSync(process.execPath, [CLI, command, file], { encoding: 'utf-8', timeout: 10000 });
+        assert.equal(result.status, 1, command);
+        assert.equal(result.stdout, '', command);
+        assert.equal(result.stderr.match(/\(line \d+:\d+\)/g).length, 4, command);
+      }
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,105 @@
+// Realm members: realm rings, preciouses and songs, and reveal/inscribe accessors
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parser, tmbdl, everyBackend } from './helpers.js';
+
+const GATE = [
+  'realm Gate {',
+  '  realm precious WORD = "mellon"',
+  '  realm ring opened = 0',
+  '  forge() {',
+  '    self.secret = "friend"',
+  '  }',
+  '  reveal word() {',
+  '    answer self.secret',
+  '  }',
+  '}',
+  'realm Door inherits Gate {',
+  '  inscribe word(value) {',
+  '    self.secret = value',
+  '  }',
+  '}',
+].join('\n');
+
+function parseErrors(source) {
+  const p = parser(source);
+  p.parsePartial();
+  return p.errors.map(error => `${error.line}:${error.column} ${error.message}`);
+}
+
+describe('realm members', () => {
+  it('checks accessor parameters and what follows a realm keyword', () => {
+    assert.deepEqual(parseErrors([
+      'realm Gate {',
+      '  reveal word(x) { answer x }',
+      '  inscribe word() { }',
+      '  realm forge() { }',
+      '  realm ring opened = 0',
+      '}',
+    ].join('\n')), [
+      '2:10 A reveal takes no parameters',
+      '3:12 An inscribe takes exactly one parameter',
+      "4:9 Expected 'ring', 'precious' or 'song' after 'realm'",
+    ]);
+  });
+
+  it('shares realm rings with inheriting realms until they are given their own', () => {
+    const source = GATE + '\nDoor.opened = 2\nsing [Gate.opened, Door.opened, Door.WORD]\n';
+    for (const [command, result] of Object.entries(everyBackend(source))) {
+      assert.equal(result.stdout, '[0, 2, mellon]\n', command);
+    }
+  });
+
+  it('keeps realm preciouses bound, even through an inheriting realm', () => {
+    for (const [command, result] of Object.entries(everyBackend(GATE + '\nDoor.WORD = "edro"\n'))) {
+      assert.equal(result.status, 1, command);
+      assert.match(result.stderr, /Precious Violation/, command);
+      assert.match(result.stderr, /The precious 'WORD' cannot be changed - it is bound forever/, command);
+      if (command !== 'compile') assert.match(result.stderr, /Precious Violation \(line 16/, command);
+    }
+  });
+
+  it('makes a property with only a reveal read-only', () => {
+    for (const [command, result] of Object.entries(everyBackend(GATE + '\nring gate = create Gate()\ngate.word = "edro"\n'))) {
+      assert.equal(result.status, 1, command);
+      assert.match(result.stderr, /One does not simply/, command);
+      assert.match(result.stderr, /'word' of Gate can only be revealed, not inscribed/, command);
+    }
+  });
+
+  it('hides the elder reveal behind an inscribe of the same name', () => {
+    const source = GATE + '\nring door = create Door()\ndoor.word = "edro"\nsing [door.word, door.secret]\n';
+    for (const [command, result] of Object.entries(everyBackend(source))) {
+      assert.equal(result.stdout, '[shadow, edro]\n', command);
+    }
+  });
+
+  it('lets a lambda keep the self and elder of the method it was made in', () => {
+    const source = [
+      'realm Hobbit {',
+      '  forge(name) { self.name = name }',
+      '  song title() { answer "Master " + self.name }',
+      '}',
+      'realm Gardener inherits Hobbit {',
+      '  song greeter() {',
+      '    answer (greeting) => greeting + ", " + elder.title()',
+      '  }',
+      '  song hear(speak) { answer speak("Hello") + " (heard by " + self.name + ")" }',
+      '}',
+      'ring greet = create Gardener("Sam").greeter()',
+      'sing greet("Well met")',
+      'sing create Gardener("Frodo").hear(greet)',
+    ].join('\n');
+    for (const [command, result] of Object.entries(everyBackend(source))) {
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout, 'Well met, Master Sam\nHello, Master Sam (heard by Frodo)\n', command);
+    }
+  });
+
+  it('has no self in realm ring values', () => {
+    const result = tmbdl('realm Gate {\n  realm ring word = self.secret\n}\n', 'run');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Cannot use "self" outside of a realm method/);
+  });
+});
@@ -0,0 +1,163 @@
+// Tail calls and the recursion limit, in the interpreter and the VM
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, readFileSync, openSync, closeSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Interpreter } from '../src/interpreter.js';
+import { RuntimeError } from '../src/errors.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+const TAIL = [
+  'song count(n, total) {',
+  '  perhaps (n == 0) { answer total }',
+  '  answer count(n - 1, total + 1)',
+  '}',
+  'realm Walker {',
+  '  song walk(miles) {',
+  '    perhaps (miles == 0) { answer "home" }',
+  '    answer self.walk(miles - 1)',
+  '  }',
+  '}',
+  'ring even = (n) => {',
+  '  perhaps (n == 0) { answer goldberry }',
+  '  answer odd(n - 1)',
+  '}',
+  'song odd(n) {',
+  '  perhaps (n == 0) { answer sauron }',
+  '  answer even(n - 1)',
+  '}',
+  'sing count(100000, 0)',
+  'sing create Walker().walk(50000)',
+  'sing even(30001)',
+].join('\n');
+
+const DEEP = [
+  'song down(n) {',             // 1
+  '  perhaps (n == 0) {',       // 2
+  '    answer 0',               // 3
+  '  }',                        // 4
+  '  answer 1 + down(n - 1)',   // 5
+  '}',                          // 6
+  'sing down(40)',              // 7
+  'attempt {',                  // 8
+  '  sing down(60)',            // 9
+  '} rescue (e) {',             // 10
+  '  sing e["message"]',        // 11
+  '}',                          // 12
+  'sing down(60)',              // 13
+].join('\n');
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-recursion-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function tmbdl(source, ...args) {
+  const file = join(workDir, 'program.tmbdl');
+  writeFileSync(file, source);
+  return spawnSync(process.execPath, [CLI, ...args, file], { cwd: workDir, encoding: 'utf-8', timeout: 60000 });
+}
+
+function interpret(source, options) {
+  const program = new Parser(new Lexer(source).tokenize()).parse();
+  new Interpreter(null, options).interpret(program);
+}
+
+describe('tail calls', () => {
+  it('runs tail-recursive songs, methods and lambdas in constant space', () => {
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(TAIL, command);
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout, '100000\nhome\nsauron\n', command);
+    }
+  });
+
+  it('keeps the frame of a call made inside an attempt', () => {
+    const source = [
+      'song climb(height) {',
+      '  attempt {',
+      '    answer climb(height + 1)',
+      '  } rescue (e) {',
+      '    answer height',
+      '  }',
+      '}',
+      'sing climb(0)',
+    ].join('\n');
+
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(source, command, '--max-depth=50');
+      assert.equal(result.stdout, '49\n', command);
+    }
+  });
+});
+
+describe('recursion limit', () => {
+  it('raises a RuntimeError with the depth once the limit is passed', () => {
+    assert.throws(() => interpret(DEEP, { maxDepth: 50 }), error => {
+      assert.ok(error instanceof RuntimeError);
+      assert.equal(error.message, 'The road goes ever on and on - songs were called 51 deep, past the limit of 50');
+      assert.equal(error.line, 5);
+      assert.equal(error.trace.length, 51);
+      return true;
+    });
+  });
+
+  it('can be rescued and set from the CLI in both backends', () => {
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(DEEP, command, '--max-depth=50');
+      assert.equal(result.status, 1, command);
+      assert.equal(result.stdout, '40\nThe road goes ever on and on - songs were called 51 deep, past the limit of 50\n', command);
+      assert.match(result.stderr, /<main> \(program.tmbdl:13\)\n {4}down \(program.tmbdl:5\)\n {4}\.\.\. the same song 49 more times/, command);
+    }
+  });
+
+  it('reports the error after all the program sang, when both go to one place', () => {
+    const file = join(workDir, 'program.tmbdl');
+    writeFileSync(file, DEEP);
+    const output = openSync(join(workDir, 'output.txt'), 'w');
+    spawnSync(process.execPath, [CLI, 'run', '--max-depth=50', file], { stdio: ['ignore', output, output], timeout: 60000 });
+    closeSync(output);
+
+    const lines = readFileSync(join(workDir, 'output.txt'), 'utf-8').split('\n');
+    assert.deepEqual(lines.slice(0, 2), ['40', 'The road goes ever on and on - songs were called 51 deep, past the limit of 50']);
+    assert.match(lines.slice(2).join('\n'), /^\n {2}A shadow has fallen \(line 5:14\)/);
+  });
+
+  it('lets the interpreter recurse as deep as the limit under run', () => {
+    const deep = (n) => DEEP.split('\n').slice(0, 6).join('\n') + `\nsing down(${n})`;
+
+    const near = tmbdl(deep(9990), 'run');
+    assert.equal(near.stderr, '');
+    assert.equal(near.stdout, '9990\n');
+
+    const raised = tmbdl(deep(20001), 'run', '--max-depth=20000');
+    assert.equal(raised.status, 1);
+    assert.match(raised.stderr, /songs were called 20001 deep, past the limit of 20000/);
+  });
+
+  it('turns running out of host stack into the same error', () => {
+    assert.throws(() => interpret('song down(n) {\n  answer 1 + down(n + 1)\n}\nsing down(0)'), error => {
+      assert.ok(error instanceof RuntimeError);
+      assert.match(error.message, /^The road goes ever on and on - songs were called \d+ deep, and the host ran out of room for more$/);
+      return true;
+    });
+  });
+
+  it('rejects a limit that is not a whole number', () => {
+    const result = tmbdl('sing 1', 'run', '--max-depth=deep');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--max-depth needs a whole number of at least 1/);
+  });
+});
@@ -0,0 +1,232 @@
+// The resolver: mistakes found before the program runs
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Resolver } from '../src/resolver.js';
+import { Interpreter } from '../src/interpreter.js';
+import { ErrorList, UndefinedVariableError, ConstantError } from '../src/errors.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+function analyze(source, options) {
+  const program = new Parser(new Lexer(source).tokenize()).parse();
+  return new Resolver(options).analyze(program);
+}
+
+// "line:column message" for each error or warning
+function describeAll(problems) {
+  return problems.map(problem => `${problem.line}:${problem.column} ${problem.message}`);
+}
+
+describe('resolver', () => {
+  it('reports undeclared names and assignments to a precious', () => {
+    const { errors } = analyze([
+      'precious RING = 1',
+      'ring total = 0',
+      'perhaps (total > 5) {',
+      '  sing totl',
+      '  RING = 2',
+      '  RING += 1',
+      '  count = 3',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(errors.map(error => error.constructor), [
+      UndefinedVariableError, ConstantError, ConstantError, UndefinedVariableError,
+    ]);
+    assert.deepEqual(describeAll(errors).map(line => line.split(' ')[0]), ['4:8', '5:3', '6:3', '7:3']);
+  });
+
+  it('allows songs to use names declared further down', () => {
+    const { errors } = analyze([
+      'song first() { answer second() + later }',
+      'song second() { answer 1 }',
+      'ring later = 2',
+      'sing first()',
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+  });
+
+  it('catches top-level use before declaration but not an outer name being shadowed', () => {
+    const { errors } = analyze([
+      'sing early',
+      'ring early = 1',
+      'song shadowed() {',
+      '  ring early = early + 1',
+      '  answer early',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(describeAll(errors), ["1:6 This ring has not been forged: 'early'"]);
+  });
+
+  it('reports answer, flee, onwards and self out of place', () => {
+    const { errors } = analyze([
+      'answer 1',
+      'flee',
+      'song walk() {',
+      '  onwards',
+      '  wander (goldberry) { ring step = () => { flee } }',
+      '  sing self',
+      '}',
+      'realm Hobbit {',
+      '  song name() { answer self.name }',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(describeAll(errors), [
+      "1:1 'answer' can only be used inside a song",
+      "2:1 'flee' can only be used inside a loop",
+      "4:3 'onwards' can only be used inside a loop",
+      "5:44 'flee' can only be used inside a loop",
+      '6:8 Cannot use "self" outside of a realm method',
+    ]);
+  });
+
+  it('reports elder outside a realm method or without a parent realm', () => {
+    const { errors } = analyze([
+      'realm Being {',
+      '  song speak() { answer elder.speak() }',
+      '}',
+      'realm Ent inherits Being {',
+      '  forge() { elder.forge() }',
+      '  song speak() { answer () => elder.speak() }',
+      '}',
+      'sing elder.forge()',
+    ].join('\n'));
+
+    assert.deepEqual(describeAll(errors), [
+      "2:25 Realm 'Being' has no elder realm",
+      '8:6 Cannot use "elder" outside of a realm method',
+    ]);
+  });
+
+  it('warns about unused locals and summons', () => {
+    const { errors, warnings } = analyze([
+      'summon { greet, farewell as bye } from "lib/greetings"',
+      'ring unusedGlobal = 1',
+      'song walk(miles) {',
+      '  ring spare = 2',
+      '  ring _ignored = 3',
+      '  ring written = 0',
+      '  written = 4',
+      '  answer greet(miles)',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(describeAll(warnings), [
+      "1:1 'bye' is summoned but never used",
+      "4:3 The ring 'spare' is forged but never used",
+      "6:3 The ring 'written' is forged but never used",
+    ]);
+  });
+
+  it('only warns about runtime errors inside an attempt', () => {
+    const { errors, warnings } = analyze([
+      'attempt {',
+      '  sing missing',
+      '} rescue (e) {',
+      '  sing e["message"]',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(describeAll(warnings), ["2:8 This ring has not been forged: 'missing' - rescue will catch it"]);
+  });
+
+  it('reports names in template literals at the literal', () => {
+    const { errors } = analyze('ring name = "Sam"\nsing `Hail {name} and {nobody}`');
+    assert.deepEqual(describeAll(errors), ["2:6 This ring has not been forged: 'nobody'"]);
+  });
+
+  it('trusts wildcard summons and names it is told about', () => {
+    assert.deepEqual(analyze('summon "lib/greetings"\nsing greet("Sam")').errors, []);
+    assert.deepEqual(analyze('sing earlier', { globals: ['earlier'] }).errors, []);
+  });
+
+  it('gives locals a slot and each reference the distance to it', () => {
+    const program = new Parser(new Lexer([
+      'ring total = 0',
+      'song add(step) {',
+      '  ring before = total',
+      '  wander (goldberry) {',
+      '    total = before + step',
+      '    flee',
+      '  }',
+      '}',
+    ].join('\n')).tokenize()).parse();
+    new Resolver().analyze(program);
+
+    const [global, song] = program.statements;
+    const [before, loop] = song.body;
+    const [assignment] = loop.body.statements;
+    assert.equal(global.slot, null);
+    assert.equal(before.slot, 1);
+    assert.equal(before.value.local, null);
+    assert.equal(assignment.local, null);
+    assert.deepEqual(assignment.value.left.local, { depth: 1, slot: 1 });
+    assert.deepEqual(assignment.value.right.local, { depth: 1, slot: 0 });
+  });
+
+  it('runs resolved programs with the same scoping as before', () => {
+    const program = new Parser(new Lexer([
+      'song outer() {',
+      '  ring read = () => later',
+      '  ring later = "late"',
+      '  precious FIXED = 1',
+      '  attempt { FIXED = 2 } rescue (e) { sing e["message"] }',
+      '  realm Keeper {',
+      '    forge() { self.kept = later }',
+      '  }',
+      '  answer [read(), create Keeper().kept]',
+      '}',
+      'sing outer()',
+    ].join('\n')).tokenize()).parse();
+    new Resolver().resolve(program);
+
+    const output = [];
+    const log = console.log;
+    console.log = line => output.push(line);
+    try {
+      new Interpreter().interpret(program);
+    } finally {
+      console.log = log;
+    }
+    assert.deepEqual(output, ["The precious 'FIXED' cannot be changed - it is bound forever", '[late, late]']);
+  });
+
+  it('throws every error together from resolve()', () => {
+    const program = new Parser(new Lexer('sing a\nsing b').tokenize()).parse();
+    assert.throws(() => new Resolver().resolve(program), error => {
+      assert.ok(error instanceof ErrorList);
+      assert.equal(error.errors.length, 2);
+      return true;
+    });
+  });
+
+  it('stops the CLI before anything runs', () => {
+    const workDir = mkdtempSync(join(tmpdir(), 'tmbdl-resolver-'));
+    const file = join(workDir, 'branch.tmbdl');
+    writeFileSync(file, 'sing "before"\nperhaps (sauron) {\n  sing nowhere\n}\n');
+
+    try {
+      for (const command of ['run', 'vm', 'compile', 'build']) {
+        const result = spawnSync(process.execPath, [CLI, command, file], { encoding: 'utf-8', timeout: 10000 });
+        assert.equal(result.status, 1, command);
+        assert.equal(result.stdout, '', command);
+        assert.match(result.stderr, /Unknown Ring \(line 3:8\)/, command);
+      }
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
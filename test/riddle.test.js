@@ -0,0 +1,104 @@
+// riddle: parsing patterns, resolving what they bind, and matching in both backends
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parser, analyze, tmbdl } from './helpers.js';
+
+describe('riddle parsing', () => {
+  it('builds a pattern for each arm', () => {
+    const program = parser([
+      'riddle (x) {',
+      '  [first, ...rest] perhaps (first > 1) => { sing rest }',
+      '  Hobbit {name, age: years} => { sing name }',
+      '  _ => { sing "?" }',
+      '}',
+    ].join('\n')).parse();
+    const [fellowship, realm, wildcard] = program.statements[0].arms;
+
+    assert.equal(fellowship.pattern.type, 'ArrayPattern');
+    assert.deepEqual(fellowship.pattern.elements.map(element => element.name), ['first']);
+    assert.equal(fellowship.pattern.rest.name, 'rest');
+    assert.equal(fellowship.guard.type, 'BinaryExpression');
+    assert.equal(realm.pattern.realm, 'Hobbit');
+    assert.deepEqual(realm.pattern.fields.map(({ key, pattern }) => `${key}:${pattern.name}`), ['name:name', 'age:years']);
+    assert.equal(wildcard.pattern.type, 'WildcardPattern');
+    assert.equal(wildcard.guard, null);
+  });
+
+  it('reports broken arms and carries on with the next statement', () => {
+    const p = parser([
+      'riddle (x) {',                   // 1
+      '  [a, a] => { sing a }',         // 2
+      '}',                              // 3
+      'riddle (x) {',                   // 4
+      '  [...rest, last] => { }',       // 5
+      '}',                              // 6
+      'riddle (x) {',                   // 7
+      '  1 { sing 1 }',                 // 8
+      '}',                              // 9
+      'sing x',                         // 10
+    ].join('\n'));
+    const program = p.parsePartial();
+
+    assert.deepEqual(p.errors.map(error => `${error.line}:${error.column} ${error.message}`), [
+      "2:7 'a' is bound twice in one pattern",
+      "5:7 The '...' of a fellowship pattern must come last",
+      "8:5 Expected '=>' after pattern",
+    ]);
+    assert.deepEqual(program.statements.map(statement => statement.type),
+      ['RiddleStatement', 'RiddleStatement', 'RiddleStatement', 'PrintStatement']);
+  });
+});
+
+describe('riddle resolving', () => {
+  it('keeps bindings inside their arm and checks realm names', () => {
+    const { errors } = analyze([
+      'ring x = [1]',
+      'riddle (x) {',
+      '  [n] perhaps (n > 0) => { sing n }',
+      '  Dwarf {name} => { sing name }',
+      '}',
+      'sing n',
+    ].join('\n'));
+
+    assert.deepEqual(errors.map(error => `${error.line} ${error.message}`), [
+      "4 This ring has not been forged: 'Dwarf'",
+      "6 This ring has not been forged: 'n'",
+    ]);
+  });
+});
+
+describe('riddle matching', () => {
+  it('tries the arms in order and runs the first that fits', () => {
+    const source = [
+      'realm Hobbit {',
+      '  forge(name) { self.name = name }',
+      '}',
+      'realm Took inherits Hobbit { }',
+      'journey (x in [[1, 2, 3], [4], create Took("Pippin"), {name: "Tom"}, 9]) {',
+      '  riddle (x) {',
+      '    [a, ...more] perhaps (length(more) > 0) => { sing `{a} then {more}` }',
+      '    [a] => { sing `only {a}` }',
+      '    Hobbit {name} => { sing `hobbit {name}` }',
+      '    {name} => { sing `someone {name}` }',
+      '  }',
+      '}',
+    ].join('\n');
+
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(source, command);
+      assert.equal(result.stderr, '', command);
+      assert.equal(result.stdout, '1 then [2, 3]\nonly 4\nhobbit Pippin\nsomeone Tom\n', command);
+    }
+  });
+
+  it('refuses to match against something that is not a realm', () => {
+    const source = 'ring Hobbit = 5\nriddle (1) {\n  Hobbit {} => { sing 1 }\n}';
+
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(source, command);
+      assert.equal(result.status, 1, command);
+      assert.match(result.stderr, /'Hobbit' is not a realm - cannot match against it/, command);
+    }
+  });
+});
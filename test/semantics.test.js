@@ -0,0 +1,93 @@
+// Truthiness, ==, + and the number operators: one meaning, shared by the
+// interpreter, the VM and transpiled programs
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Interpreter } from '../src/interpreter.js';
+import { CodeGenerator } from '../src/codegen.js';
+import { Compiler } from '../src/compiler.js';
+import { VM } from '../src/vm.js';
+import { isTruthy, isEqual, add, arithmetic, formatValue } from '../src/stdlib.js';
+
+function parse(source) {
+  return new Parser(new Lexer(source).tokenize()).parse();
+}
+
+// Capture what a backend sings, then the message of the error it raised
+async function capture(run) {
+  const lines = [];
+  const log = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    await run();
+  } catch (error) {
+    lines.push(`error: ${error.message}`);
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+const backends = {
+  interpreter: (source) => new Interpreter().interpret(parse(source)),
+  vm: (source) => new VM().run(new CodeGenerator().generate(parse(source))),
+  compiled: async (source) => {
+    const js = new Compiler().compile(parse(source));
+    await import('data:text/javascript,' + encodeURIComponent(js));
+  },
+};
+
+describe('shared operators', () => {
+  it('treat sauron, shadow, 0, NaN and "" as falsy', () => {
+    assert.deepEqual([false, null, undefined, 0, NaN, ''].map(isTruthy), [false, false, false, false, false, false]);
+    assert.deepEqual([true, 1, -1, '0', [], {}].map(isTruthy), [true, true, true, true, true, true]);
+  });
+
+  it('compare without converting between types', () => {
+    const party = [];
+    assert.equal(isEqual(1, '1'), false);
+    assert.equal(isEqual(0, false), false);
+    assert.equal(isEqual(undefined, null), true);
+    assert.equal(isEqual(party, party), true);
+    assert.equal(isEqual([], []), false);
+  });
+
+  it('add numbers, join tales and refuse the rest', () => {
+    assert.equal(add(1, 2, formatValue), 3);
+    assert.equal(add('x', true, formatValue), 'xgoldberry');
+    assert.throws(() => add(1, null, formatValue), { name: 'One does not simply', line: null });
+    assert.throws(() => arithmetic('%', 1, 0), { name: 'Mathematical Shadow' });
+    assert.throws(() => arithmetic('<', 'a', 'b'), { message: "One does not simply use '<' with non-numbers" });
+  });
+});
+
+describe('backends agree on', () => {
+  const cases = {
+    'truthiness': [
+      'journey (value in [0, "", shadow, sauron, [], "0", 0.5]) { perhaps (value) { sing "yes" } otherwise { sing "no" } }',
+      'sing [none 0, 0 either "x", "" with "y"]',
+    ].join('\n'),
+    'equality': 'sing [1 == "1", 0 == sauron, shadow == shadow, "a" != "a"]',
+    'addition': 'sing "n" + 1 + goldberry + shadow + [1]',
+    'addition of non-tales': 'sing 1 + goldberry',
+    'division by zero': 'sing 1 / 0',
+    'dividing in place by zero': 'ring x = 5\nx /= 0',
+    'comparing tales': 'sing "a" < "b"',
+    'incrementing a tale': 'ring x = "a"\nx++',
+  };
+
+  for (const [name, source] of Object.entries(cases)) {
+    it(name, async () => {
+      const expected = await capture(() => backends.interpreter(source));
+      assert.deepEqual(await capture(() => backends.vm(source)), expected, 'vm');
+      assert.deepEqual(await capture(() => backends.compiled(source)), expected, 'compiled');
+    });
+  }
+
+  it('where an operator failed', () => {
+    assert.throws(() => backends.interpreter('ring x = 1\nsing x + (2 - "b")'), { line: 2, column: 13 });
+    assert.throws(() => backends.vm('ring x = 1\nsing x + (2 - "b")'), { line: 2 });
+  });
+});
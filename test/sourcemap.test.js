@@ -0,0 +1,130 @@
+// Source maps: encoding the positions the compiler marks, and compiled
+// programs telling their stack traces in tmbdl lines and columns
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { mark, stripMarks, decodeMappings } from '../src/sourcemap.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-sourcemap-'));
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+const PROGRAM = {
+  'main.tmbdl': [
+    'summon { divide } from "lib/numbers"',
+    'song halve(n) {',
+    '    answer divide(n, 2)',
+    '}',
+    'sing halve(8)',
+    'sing halve(shadow)',
+  ].join('\n'),
+  'lib/numbers.tmbdl': [
+    'share song divide(a, b) {',
+    '    answer a / b',
+    '}',
+  ].join('\n'),
+};
+
+// Compile PROGRAM into a directory of its own, then run it
+function compile(name, ...options) {
+  const root = join(workDir, name);
+  for (const [path, source] of Object.entries(PROGRAM)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), source);
+  }
+  const output = join(root, 'out', 'main.mjs');
+  const compiled = spawnSync(process.execPath, [CLI, 'compile', ...options, join(root, 'main.tmbdl'), output],
+    { encoding: 'utf-8', timeout: 10000 });
+  assert.equal(compiled.status, 0, compiled.stderr);
+  return {
+    root,
+    output,
+    run: spawnSync(process.execPath, [output], { encoding: 'utf-8', timeout: 10000 }),
+  };
+}
+
+// The tmbdl position a generated line and column map to
+function lookup(map, line, column) {
+  const segment = decodeMappings(map.mappings)[line - 1].findLast(([start]) => start <= column - 1);
+  return segment && [segment[1] + 1, segment[2] + 1];
+}
+
+describe('source map mappings', () => {
+  it('round-trip the marked positions, innermost first', () => {
+    const code = mark('sing(', { line: 1, column: 1 }) + mark(mark('x', { line: 1, column: 6 }), { line: 1, column: 5 }) +
+      ')\n\n  ' + mark('  last();', { line: 40, column: 300 });
+    const { code: stripped, mappings } = stripMarks(code);
+
+    assert.equal(stripped, 'sing(x)\n\n    last();');
+    assert.deepEqual(decodeMappings(mappings), [[[0, 0, 0], [5, 0, 5]], [], [[4, 39, 299]]]);
+  });
+
+  it('carry the names songs are marked with', () => {
+    const code = mark('function f() {', { line: 1, column: 1 }, 'f') + '\n  ' + mark('g', { line: 2, column: 3 }) +
+      mark('h', { line: 2, column: 5 }, 'Realm.h') + mark('i', { line: 3, column: 1 }, 'f');
+    const { mappings, names } = stripMarks(code);
+
+    assert.deepEqual(names, ['f', 'Realm.h']);
+    assert.deepEqual(decodeMappings(mappings), [[[0, 0, 0, 0]], [[2, 1, 2], [3, 1, 4, 1], [4, 2, 0, 0]]]);
+  });
+});
+
+describe('compiling with source maps', () => {
+  it('writes a .map file beside each module', () => {
+    const { root, output } = compile('files', '--source-map');
+    const map = JSON.parse(readFileSync(output + '.map', 'utf-8'));
+    const code = readFileSync(output, 'utf-8').split('\n');
+
+    assert.equal(map.version, 3);
+    assert.equal(map.file, 'main.mjs');
+    assert.deepEqual(map.sources, ['../main.tmbdl']);
+    assert.deepEqual(map.sourcesContent, [PROGRAM['main.tmbdl']]);
+    assert.equal(code.at(-2), '//# sourceMappingURL=main.mjs.map');
+
+    const call = code.findIndex(line => line.includes('divide(n, 2)'));
+    assert.deepEqual(lookup(map, call + 1, code[call].indexOf('divide(n, 2)') + 1), [3, 12]);
+    assert.ok(existsSync(join(root, 'out', 'lib', 'numbers.mjs.map')));
+    assert.ok(!existsSync(join(root, 'out', 'tmbdl-runtime.mjs.map')));
+  });
+
+  it('can put the map inside the module instead', () => {
+    const { root, output } = compile('inline', '--source-map=inline');
+    const comment = readFileSync(output, 'utf-8').match(/\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.+)\n$/);
+    const map = JSON.parse(Buffer.from(comment[1], 'base64').toString());
+
+    assert.deepEqual(map.sources, ['../main.tmbdl']);
+    assert.ok(!existsSync(output + '.map'));
+    assert.ok(!existsSync(join(root, 'out', 'lib', 'numbers.mjs.map')));
+  });
+
+  it('tells stack traces in tmbdl lines', () => {
+    const { root, run } = compile('trace', '--source-map');
+
+    assert.equal(run.stdout, '4\n');
+    const frames = run.stderr.split('\n').filter(line => line.trimStart().startsWith('at '));
+    assert.match(frames[0], /at arithmetic \(file:.*\/tmbdl-runtime\.mjs:\d+:\d+\)/);
+    assert.deepEqual(frames.slice(1, 4).map(frame => frame.trim()), [
+      `at divide (file://${join(root, 'lib', 'numbers.tmbdl')}:2:14)`,
+      `at halve (file://${join(root, 'main.tmbdl')}:3:12)`,
+      `at file://${join(root, 'main.tmbdl')}:6:6`,
+    ]);
+  });
+
+  it('leaves stack traces alone without them', () => {
+    const { run } = compile('plain');
+    assert.match(run.stderr, /at divide \(file:.*\/out\/lib\/numbers\.mjs:\d+:\d+\)/);
+  });
+});
@@ -0,0 +1,107 @@
+// The shared standard library registry and the three backends built on it
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Interpreter } from '../src/interpreter.js';
+import { CodeGenerator } from '../src/codegen.js';
+import { Compiler } from '../src/compiler.js';
+import { VM } from '../src/vm.js';
+import { natives, nativeArity } from '../src/stdlib.js';
+
+function parse(source) {
+  return new Parser(new Lexer(source).tokenize()).parse();
+}
+
+// Capture what a backend sings, or the name of the error it raised
+async function capture(run) {
+  const lines = [];
+  const log = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    await run();
+  } catch (error) {
+    lines.push(`error: ${error.name}`);
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+const backends = {
+  interpreter: (source) => new Interpreter().interpret(parse(source)),
+  vm: (source) => new VM().run(new CodeGenerator().generate(parse(source))),
+  compiled: async (source) => {
+    const js = new Compiler().compile(parse(source));
+    await import('data:text/javascript,' + encodeURIComponent(js));
+  },
+};
+
+describe('stdlib registry', () => {
+  it('gives every entry a unique name and typed params', () => {
+    const names = natives.map(native => native.name);
+    assert.equal(new Set(names).size, names.length);
+    for (const native of natives) {
+      assert.equal(typeof native.fn, 'function', native.name);
+      for (const param of native.params) {
+        assert.ok(param.name && param.type, `${native.name} has an untyped param`);
+      }
+    }
+  });
+
+  it('is installed in the interpreter and the VM', () => {
+    const interpreter = new Interpreter();
+    const vm = new VM();
+    for (const native of natives) {
+      assert.equal(interpreter.globals.get(native.name).arity, nativeArity(native), native.name);
+      assert.equal(vm.globals.get(native.name).arity, nativeArity(native), native.name);
+    }
+  });
+
+  it('is available to transpiled programs', async () => {
+    const runtime = new Compiler().generateRuntime();
+    const names = natives.map(native => native.name);
+    const module = await import(
+      'data:text/javascript,' + encodeURIComponent(`${runtime}\nexport { ${names.join(', ')} };`)
+    );
+    for (const name of names) {
+      assert.equal(typeof module[name], 'function', name);
+    }
+  });
+});
+
+describe('backends agree', () => {
+  const cases = {
+    'formats with str()': 'sing str([1, goldberry, shadow, "x"])',
+    'names types': 'sing type(1) + type("a") + type([]) + type(shadow) + type(length) + type((x) => x)',
+    'names realms and their instances': 'realm Hobbit {}\nsing type(Hobbit) + " " + type(create Hobbit()) + " " + str(Hobbit)',
+    'formats songs, lambdas and bound methods': [
+      'realm Hobbit {',
+      '  forge(name) { self.name = name }',
+      '  song greet(other) { answer other }',
+      '}',
+      'song walk() { }',
+      'ring sam = create Hobbit("Sam")',
+      'sing str((a, b = 2, ...rest) => a)',
+      'sing str(sam.greet) + " " + type(sam.greet)',
+      'sing [walk, length, Hobbit, sam]',
+    ].join('\n'),
+    'calls songs from map and reduce': [
+      'ring doubled = map([1, 2, 3], (n) => n * 2)',
+      'sing doubled',
+      'sing reduce(doubled, (acc, n) => acc + n, 0)',
+    ].join('\n'),
+    'has the string songs': 'sing charAt("Tom", 1) + replaceAll("a-b-c", "-", "+")',
+    'checks argument types': 'sing length(5)',
+    'checks arity': 'sing charAt("Tom")',
+  };
+
+  for (const [name, source] of Object.entries(cases)) {
+    it(name, async () => {
+      const expected = await capture(() => backends.interpreter(source));
+      assert.deepEqual(await capture(() => backends.vm(source)), expected, 'vm');
+      assert.deepEqual(await capture(() => backends.compiled(source)), expected, 'compiled');
+    });
+  }
+});
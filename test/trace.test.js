@@ -0,0 +1,147 @@
+// Stack traces: TmbdlError.trace, peril.trace and the traceback formatError prints
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { Interpreter } from '../src/interpreter.js';
+import { formatError } from '../src/errors.js';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'tmbdl.js');
+
+// walk and travel still have work to do when their calls answer, so neither
+// is a tail call and both keep their place in the trace
+const WALKER = [
+  'realm Walker {',                  // 1
+  '  forge(name) {',                 // 2
+  '    self.name = name',            // 3
+  '  }',                             // 4
+  '  song walk(miles) {',            // 5
+  '    answer self.rest(miles) * 2', // 6
+  '  }',                             // 7
+  '  song rest(miles) {',            // 8
+  '    answer 100 / miles',          // 9
+  '  }',                             // 10
+  '}',                               // 11
+  'share { Walker }',                // 12
+].join('\n');
+
+const MAIN = [
+  'summon { Walker } from "lib/walker"',              // 1
+  '',                                                 // 2
+  'song travel(miles) {',                             // 3
+  '  ring frodo = create Walker("Frodo")',            // 4
+  '  answer frodo.walk(miles) * 2',                   // 5
+  '}',                                                // 6
+  '',                                                 // 7
+  'song describe(trace) {',                           // 8
+  '  answer map(trace, (frame) => `{frame["name"]}:{frame["line"]}`)',  // 9
+  '}',                                                // 10
+  '',                                                 // 11
+  'attempt {',                                        // 12
+  '  sing travel(0)',                                 // 13
+  '} rescue (e) {',                                   // 14
+  '  sing describe(e["trace"])',                      // 15
+  '}',                                                // 16
+  'ring legs = map([2, 0], (m) => travel(m))',        // 17
+].join('\n');
+
+const BROKEN_MODULE = [
+  'song crumble() {',                // 1
+  '  answer length(7)',              // 2
+  '}',                               // 3
+  'crumble()',                       // 4
+].join('\n');
+
+let workDir;
+
+before(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'tmbdl-trace-'));
+  mkdirSync(join(workDir, 'lib'));
+  writeFileSync(join(workDir, 'lib', 'walker.tmbdl'), WALKER);
+  writeFileSync(join(workDir, 'lib', 'broken.tmbdl'), BROKEN_MODULE);
+  writeFileSync(join(workDir, 'main.tmbdl'), MAIN);
+  writeFileSync(join(workDir, 'summons.tmbdl'), 'song open() {\n  summon "lib/broken"\n}\nopen()\n');
+});
+
+after(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function tmbdl(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: workDir, encoding: 'utf-8', timeout: 10000 });
+}
+
+function interpret(source, file = null) {
+  const program = new Parser(new Lexer(source).tokenize()).parse();
+  new Interpreter(file).interpret(program);
+}
+
+describe('stack traces', () => {
+  it('records each song call with its file and line', () => {
+    const file = join(workDir, 'main.tmbdl');
+    assert.throws(() => interpret(MAIN, file), error => {
+      assert.deepEqual(error.trace.map(frame => `${frame.name}:${frame.line}`), [
+        'Walker.rest:9', 'Walker.walk:6', 'travel:5', '<lambda>:17', '<main>:17',
+      ]);
+      assert.equal(error.trace[0].file, join(workDir, 'lib', 'walker.tmbdl'));
+      assert.equal(error.trace[2].file, file);
+      return true;
+    });
+  });
+
+  it('exposes the trace as peril.trace in both backends', () => {
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(command, 'main.tmbdl');
+      assert.equal(result.stdout, '[Walker.rest:9, Walker.walk:6, travel:5, <main>:13]\n', command);
+    }
+  });
+
+  it('prints a traceback with the excerpt from the failing module', () => {
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(command, 'main.tmbdl');
+      assert.equal(result.status, 1, command);
+      assert.match(result.stderr, /9 \|     answer 100 \/ miles/, command);
+      assert.match(result.stderr, new RegExp([
+        'The road that led here \\(most recent song last\\):',
+        '    <main> \\(main.tmbdl:17\\)',
+        '    <lambda> \\(main.tmbdl:17\\)',
+        '    travel \\(main.tmbdl:5\\)',
+        '    Walker.walk \\(lib/walker.tmbdl:6\\)',
+        '    Walker.rest \\(lib/walker.tmbdl:9\\)',
+      ].join('\n')), command);
+    }
+  });
+
+  it('continues through the songs that summoned a module', () => {
+    for (const command of ['run', 'vm']) {
+      const result = tmbdl(command, 'summons.tmbdl');
+      assert.match(result.stderr, new RegExp([
+        '    <main> \\(summons.tmbdl:4\\)',
+        '    open \\(summons.tmbdl:2\\)',
+        '    <module> \\(lib/broken.tmbdl:4\\)',
+        '    crumble \\(lib/broken.tmbdl:2\\)',
+      ].join('\n')), command);
+    }
+  });
+
+  it('leaves the traceback out for errors outside any song', () => {
+    assert.throws(() => interpret('ring x = 1\nsing x / 0'), error => {
+      assert.deepEqual(error.trace.map(frame => frame.name), ['<main>']);
+      assert.doesNotMatch(formatError(error), /The road that led here/);
+      return true;
+    });
+  });
+
+  it('gives standard library errors the line of their statement', () => {
+    assert.throws(() => interpret('ring total = 2\n\nring missing = length(total)'), error => {
+      assert.equal(error.line, 3);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// The bytecode VM on its own: how it dispatches methods and realm members,
+// and how attempt/rescue unwinds its frames
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexer } from '../src/lexer.js';
+import { Parser } from '../src/parser.js';
+import { CodeGenerator } from '../src/codegen.js';
+import { VM } from '../src/vm.js';
+
+// Run a program in the VM and answer the value of one of its globals
+function run(source, name = 'result') {
+  const ast = new Parser(new Lexer(source).tokenize()).parse();
+  const vm = new VM();
+  vm.run(new CodeGenerator().generate(ast));
+  return vm.globals.get(name);
+}
+
+describe('methods in the VM', () => {
+  it('dispatches on the realm of self, reaching elder songs through elder', () => {
+    const result = run([
+      'realm Being {',
+      '  forge(name) { self.name = name }',
+      '  song speak() { answer "I am " + self.name }',
+      '  song greet() { answer self.speak() + "!" }',
+      '}',
+      'realm Elf inherits Being {',
+      '  forge(name) { elder.forge(name + " of the Woodland") }',
+      '  song speak() { answer "Elvish: " + elder.speak() }',
+      '}',
+      'ring result = [create Being("Sam").greet(), create Elf("Legolas").greet()]',
+    ].join('\n'));
+
+    assert.deepEqual(result, ['I am Sam!', 'Elvish: I am Legolas of the Woodland!']);
+  });
+
+  it('keeps self bound to a method taken from its instance', () => {
+    const result = run([
+      'realm Counter {',
+      '  forge() { self.count = 0 }',
+      '  song bump(by) {',
+      '    self.count = self.count + by',
+      '    answer self.count',
+      '  }',
+      '}',
+      'ring counter = create Counter()',
+      'ring bump = counter.bump',
+      'bump(2)',
+      'ring result = [map([1, 2], bump), counter.count]',
+    ].join('\n'));
+
+    assert.deepEqual(result, [[3, 5], 5]);
+  });
+
+  it('reports a method the realm does not have', () => {
+    assert.throws(() => run('realm Hobbit {}\nring result = create Hobbit().fly()'), /fly/);
+  });
+});
+
+describe('realm members in the VM', () => {
+  it('runs realm songs with self as the realm, inherited until given their own', () => {
+    const result = run([
+      'realm Gate {',
+      '  realm ring opened = 0',
+      '  realm song open() {',
+      '    self.opened = self.opened + 1',
+      '    answer self.opened',
+      '  }',
+      '}',
+      'realm Door inherits Gate {}',
+      'Gate.open()',
+      'ring shared = Door.opened',
+      'Door.open()',
+      'ring result = [shared, Gate.opened, Door.opened]',
+    ].join('\n'));
+
+    assert.deepEqual(result, [1, 1, 2]);
+  });
+
+  it('refuses to change a realm precious', () => {
+    assert.throws(() => run('realm Gate {\n  realm precious WORD = "mellon"\n}\nGate.WORD = "friend"'), /WORD/);
+  });
+});
+
+describe('rescue in the VM', () => {
+  it('unwinds every frame between the error and the rescue', () => {
+    const result = run([
+      'song divide(a, b) { answer a / b }',
+      'song halve(n) {',
+      '  ring half = divide(n, 0)',
+      '  answer half',
+      '}',
+      'song outer(n) {',
+      '  ring kept = n * 10',
+      '  attempt {',
+      '    ring lost = halve(n)',
+      '    answer lost',
+      '  } rescue (error) {',
+      '    answer [kept, error.name, length(error.trace)]',
+      '  }',
+      '}',
+      'ring result = [outer(4), outer(5)]',
+    ].join('\n'));
+
+    assert.deepEqual(result, [[40, 'Mathematical Shadow', 4], [50, 'Mathematical Shadow', 4]]);
+  });
+
+  it('hands an error raised inside a rescue on to the rescue of a caller', () => {
+    const result = run([
+      'song inner() {',
+      '  attempt {',
+      '    ring broken = 1 / 0',
+      '  } rescue (first) {',
+      '    ring again = first.line / 0',
+      '  }',
+      '  answer "not reached"',
+      '}',
+      'song middle() {',
+      '  ring got = inner()',
+      '  answer got',
+      '}',
+      'ring result = shadow',
+      'attempt {',
+      '  middle()',
+      '} rescue (second) {',
+      '  result = [second.name, second.line, second.trace[0].name]',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(result, ['Mathematical Shadow', 5, 'inner']);
+  });
+
+  it('leaves behind no rescue of a song that has returned', () => {
+    const result = run([
+      'song guarded() {',
+      '  attempt {',
+      '    answer "safe"',
+      '  } rescue (error) {',
+      '    answer "wrongly caught"',
+      '  }',
+      '}',
+      'ring result = []',
+      'attempt {',
+      '  push(result, guarded())',
+      '  push(result, 1 / 0)',
+      '} rescue (error) {',
+      '  push(result, error.name)',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(result, ['safe', 'Mathematical Shadow']);
+  });
+
+  it('rescues each time round a loop, with flee and onwards inside', () => {
+    const result = run([
+      'ring result = []',
+      'journey (n in [1, 0, 2, 0, 3, -1, 4]) {',
+      '  attempt {',
+      '    perhaps (n < 0) { flee }',
+      '    push(result, 12 / n)',
+      '  } rescue (error) {',
+      '    push(result, "rescued")',
+      '    onwards',
+      '  }',
+      '  push(result, "after")',
+      '}',
+      'ring n = 0',
+      'wander (n < 3) {',
+      '  n++',
+      '  attempt { push(result, n / (n - 2)) } rescue (error) { push(result, error.line) }',
+      '}',
+    ].join('\n'));
+
+    assert.deepEqual(result, [
+      12, 'after', 'rescued', 6, 'after', 'rescued', 4, 'after',
+      -1, 15, 3,
+    ]);
+  });
+
+  it('closes over the loop variable of the pass that was rescued', () => {
+    const result = run([
+      'ring tellers = []',
+      'journey (n in [1, 0, 2]) {',
+      '  attempt {',
+      '    ring quotient = 2 / n',
+      '    push(tellers, () => quotient)',
+      '  } rescue (error) {',
+      '    push(tellers, () => `no share for {n}`)',
+      '  }',
+      '}',
+      'ring result = map(tellers, (tell) => tell())',
+    ].join('\n'));
+
+    assert.deepEqual(result, [2, 'no share for 0', 1]);
+  });
+});